@@ -107,6 +107,42 @@ const GasPropertiesColorProfile = new ColorProfile( [ 'default', 'projector' ],
     projector: 'rgb( 100, 100, 100 )'
   },
 
+  // bars that show the measured density profile inside the container
+  densityProfileBarFill: {
+    default: 'rgba( 255, 255, 255, 0.2 )',
+    projector: 'rgba( 0, 0, 0, 0.15 )'
+  },
+
+  // curve that shows the density profile predicted by the barometric formula
+  densityProfilePredictedStroke: {
+    default: 'rgb( 255, 255, 0 )',
+    projector: 'rgb( 230, 130, 0 )'
+  },
+
+  // background of charts, e.g. the PV diagram
+  chartBackgroundFill: {
+    default: 'black',
+    projector: 'white'
+  },
+
+  // data that is plotted on charts, e.g. the trace of the state of the gas on the PV diagram
+  chartPlotStroke: {
+    default: 'rgb( 255, 255, 0 )',
+    projector: 'rgb( 230, 130, 0 )'
+  },
+
+  // isotherms on the PV diagram
+  pvDiagramIsothermStroke: {
+    default: 'rgb( 100, 100, 100 )',
+    projector: 'rgb( 180, 180, 180 )'
+  },
+
+  // trail of the tagged particle, and the ring that marks it
+  particleTracerStroke: {
+    default: 'rgb( 0, 255, 255 )',
+    projector: 'rgb( 0, 150, 220 )'
+  },
+
   // enabled with ?grid query parameter
   gridColor: {
     default: 'white',
@@ -150,6 +186,59 @@ const GasPropertiesColorProfile = new ColorProfile( [ 'default', 'projector' ],
     default: 'rgb( 255, 170, 170 )' // lighter shade of lightParticleColor
   },
 
+  // primary color for medium particles
+  mediumParticleColor: {
+    default: 'rgb( 46, 184, 92 )' // green
+  },
+
+  // specular highlight for medium particles
+  mediumParticleHighlightColor: {
+    default: 'rgb( 190, 245, 205 )' // lighter shade of mediumParticleColor
+  },
+
+  // primary color for very heavy particles
+  veryHeavyParticleColor: {
+    default: 'rgb( 230, 170, 0 )' // amber
+  },
+
+  // specular highlight for very heavy particles
+  veryHeavyParticleHighlightColor: {
+    default: 'rgb( 255, 235, 170 )' // lighter shade of veryHeavyParticleColor
+  },
+
+  // primary color for diatomic particles
+  diatomicParticleColor: {
+    default: 'rgb( 0, 175, 200 )' // teal
+  },
+
+  // specular highlight for diatomic particles
+  diatomicParticleHighlightColor: {
+    default: 'rgb( 180, 240, 250 )' // lighter shade of diatomicParticleColor
+  },
+
+  // colors for the gases in SpeciesLibrary
+  heliumColor: {
+    default: 'rgb( 255, 190, 210 )' // pink
+  },
+  neonColor: {
+    default: 'rgb( 255, 110, 60 )' // orange
+  },
+  argonColor: {
+    default: 'rgb( 170, 120, 230 )' // violet
+  },
+  nitrogenColor: {
+    default: 'rgb( 70, 130, 240 )' // blue
+  },
+  oxygenColor: {
+    default: 'rgb( 230, 50, 50 )' // red
+  },
+  carbonDioxideColor: {
+    default: 'rgb( 150, 150, 150 )' // gray
+  },
+  xenonColor: {
+    default: 'rgb( 60, 200, 220 )' // cyan
+  },
+
   // primary color for 1st particle type in Diffusion screen
   particle1Color: {
     default: 'rgb( 0, 230, 255)' // cyan
@@ -218,6 +307,16 @@ const GasPropertiesColorProfile = new ColorProfile( [ 'default', 'projector' ],
     default: PhetColorScheme.KINETIC_ENERGY
   },
 
+  // background of the overflow bin in the Speed and Kinetic Energy histograms
+  histogramOverflowBinFill: {
+    default: 'rgb( 50, 50, 50 )'
+  },
+
+  // Maxwell-Boltzmann curve in the Speed and Kinetic Energy histograms
+  maxwellBoltzmannCurveColor: {
+    default: 'rgb( 0, 230, 0 )'
+  },
+
   // container divider in the Diffusion screen
   dividerColor: {
     default: 'rgb( 70, 205, 85 )'
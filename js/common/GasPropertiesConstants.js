@@ -6,6 +6,7 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Range from '../../../dot/js/Range.js';
 import RangeWithValue from '../../../dot/js/RangeWithValue.js';
 import PhetFont from '../../../scenery-phet/js/PhetFont.js';
 import gasProperties from '../gasProperties.js';
@@ -37,20 +38,29 @@ const GasPropertiesConstants = {
   // time step used when pressing the Step button, in ps
   MODEL_TIME_STEP: 0.2,
 
-  // number of particles
-  HEAVY_PARTICLES_RANGE: new RangeWithValue( 0, 1000, 0 ),
-  LIGHT_PARTICLES_RANGE: new RangeWithValue( 0, 1000, 0 ),
+  // number of particles of each species, in the screens that are based on the Ideal Gas Law
+  SPECIES_PARTICLES_RANGE: new RangeWithValue( 0, 1000, 0 ),
 
-  // radii
-  HEAVY_PARTICLES_RADIUS: 125, // pm
-  LIGHT_PARTICLES_RADIUS: 87.5, // pm
+  // Ranges for the mass and radius of each species, in the screens that are based on the Ideal Gas Law.
+  // Default values are specified by SpeciesDescriptors.
+  SPECIES_MASS_RANGE: new Range( 4, 150 ), // AMU
+  SPECIES_RADIUS_RANGE: new Range( 50, 250 ), // pm
 
   // Ranges for quantities in a Diffusion experiment
   NUMBER_OF_PARTICLES_RANGE: new RangeWithValue( 0, 200, 0 ),
-  MASS_RANGE: new RangeWithValue( 4, 32, 28 ), // AMU
+  MASS_RANGE: new RangeWithValue( 4, 150, 28 ), // AMU, large enough for the gases in SpeciesLibrary
   RADIUS_RANGE: new RangeWithValue( 50, 250, 125 ), // pm
   INITIAL_TEMPERATURE_RANGE: new RangeWithValue( 50, 500, 300 ), // K
 
+  // coefficient of restitution for collisions, 1 is perfectly elastic
+  RESTITUTION_RANGE: new RangeWithValue( 0, 1, 1 ),
+
+  // magnitude of gravity, in pm/ps^2
+  GRAVITY_RANGE: new RangeWithValue( 0, 100, 0 ),
+
+  // durations that can be shown on the Time Series chart, in ps
+  TIME_WINDOWS: [ 10, 25, 50, 100 ],
+
   // Defaults for all AccordionBox instances
   ACCORDION_BOX_OPTIONS: {
     cornerRadius: PANEL_CORNER_RADIUS,
@@ -115,6 +125,9 @@ const GasPropertiesConstants = {
   // mass conversion: kg per 1 AMU (atomic mass unit)
   KG_PER_AMU: 1.66E-27,
 
+  // energy conversion: zJ (zeptojoules) per 1 AMU * pm^2 / ps^2, the model's unit of energy
+  ZJ_PER_AMU_PM2_PER_PS2: 1.66E-6,
+
   // pressure conversion: atm (atmospheres) per 1 kPa (kilopascal)
   ATM_PER_KPA: 0.00986923,
 
@@ -21,6 +21,14 @@ const GasPropertiesGlobalOptions = {
     new BooleanProperty( GasPropertiesQueryParameters.pressureNoise, {
       tandem: optionsTandem.createTandem( 'pressureNoiseProperty' ),
       phetioDocumentation: 'turns noise on and off for the pressure gauge'
+    } ),
+
+  // @public
+  kineticPressureProperty:
+    new BooleanProperty( GasPropertiesQueryParameters.kineticPressure, {
+      tandem: optionsTandem.createTandem( 'kineticPressureProperty' ),
+      phetioDocumentation: 'when true, pressure is measured from the momentum transferred to the container walls. ' +
+                           'When false, pressure is computed using the Ideal Gas Law.'
     } )
 };
 
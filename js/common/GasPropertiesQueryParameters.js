@@ -26,6 +26,48 @@ const GasPropertiesQueryParameters = QueryStringMachine.getAll( {
     defaultValue: true
   },
 
+  /**
+   * Whether pressure is measured from the momentum that particles transfer to the container walls, instead of being
+   * computed using the Ideal Gas Law. Public facing.
+   *
+   * In code, this should not be used or interrogated directly. It's sole usage is to set the initial value of
+   * GasPropertiesGlobalOptions.kineticPressureProperty.
+   */
+  kineticPressure: {
+    type: 'boolean',
+    defaultValue: false
+  },
+
+  /**
+   * Seed for the random number generators of the models. Public facing.
+   *
+   * Each model has its own random number generator, see BaseModel.random. When a seed is provided, two sessions
+   * with the same seed and the same inputs produce identical particle trajectories. This is useful for reproducing
+   * bug reports and for lab exercises. null (the default) seeds the models with the sim's random seed, which
+   * differs for each session, and which PhET-iO record/playback sets. See BaseModel getSimSeed.
+   */
+  seed: {
+    type: 'number',
+    defaultValue: null,
+    isValidValue: value => ( value === null || Number.isInteger( value ) )
+  },
+
+  /**
+   * The particle species in the screens that are based on the Ideal Gas Law, in the order that they appear in
+   * the user interface. For example, ?species=heavy,medium,light mixes 3 gases. 'diatomic' is a species of molecules
+   * that rotate, see DiatomicParticle. See SpeciesDescriptors.
+   * Public facing.
+   */
+  species: {
+    type: 'array',
+    elementSchema: {
+      type: 'string',
+      validValues: [ 'diatomic', 'heavy', 'light', 'medium', 'veryHeavy' ]
+    },
+    defaultValue: [ 'heavy', 'light' ],
+    isValidValue: array => ( array.length > 0 && _.uniq( array ).length === array.length )
+  },
+
   //==================================================================================================================
   // For internal use only. Expose to the public only after discussion and promotion to public-facing.
   //==================================================================================================================
@@ -54,6 +96,18 @@ const GasPropertiesQueryParameters = QueryStringMachine.getAll( {
     defaultValue: 800
   },
 
+  // How the heater/cooler adds heat to or removes heat from the particles in the container, see HeatCoolMethod.
+  // 'scaling' scales the speed of every particle on each time step, so heating is uniform throughout the container.
+  // 'thermalWall' makes the bottom wall of the container a thermal wall, whose temperature is set by the
+  // heater/cooler. Particles that hit the bottom wall are re-emitted at the wall's temperature, so heat spreads
+  // upward from the bottom of the container. See ThermalWall. 'thermalWall' requires collisionDetection=eventDriven.
+  // For internal use only.
+  heatCoolMethod: {
+    type: 'string',
+    validValues: [ 'scaling', 'thermalWall' ],
+    defaultValue: 'scaling'
+  },
+
   // Pressure at which the lid blows off of the container, in kPa.
   // For internal use only.
   maxPressure: {
@@ -70,6 +124,36 @@ const GasPropertiesQueryParameters = QueryStringMachine.getAll( {
     defaultValue: 100000
   },
 
+  // Initial magnitude of the uniform gravitational field that acts on particles, in pm/ps^2.
+  // The direction of gravity is initially down. 0 means no gravity.
+  // For internal use only.
+  gravity: {
+    type: 'number',
+    isValidValue: value => ( value >= 0 && value <= 100 ),
+    defaultValue: 0
+  },
+
+  // Collision detection method for all screens, see CollisionDetectionMethod.
+  // 'overlap' detects collisions between particles that overlap at the end of a time step.
+  // 'eventDriven' computes the exact time of each collision within a time step, and handles collisions in order.
+  // For internal use only.
+  collisionDetection: {
+    type: 'string',
+    validValues: [ 'overlap', 'eventDriven' ],
+    defaultValue: 'overlap'
+  },
+
+  // Periodically logs statistics about collision detection to the console, for comparing collision detection
+  // methods. Requires the log query parameter. See CollisionDetector.
+  // For internal use only.
+  collisionDiagnostics: { type: 'flag' },
+
+  // Runs a benchmark of collision detection before the sim starts, and logs the mean step time for various
+  // numbers of particles and each collision detection method. Requires the log query parameter.
+  // See CollisionDetectorBenchmark.
+  // For internal use only.
+  benchmark: { type: 'flag' },
+
   // Speed limit for the container's left movable wall, in pm/ps. Relevant when reducing the container size.
   // For internal use only.
   wallSpeedLimit: {
@@ -79,6 +163,13 @@ const GasPropertiesQueryParameters = QueryStringMachine.getAll( {
   }
 } );
 
+// With the overlap collision detector, the gas equilibrates well below the temperature of a thermal wall.
+// See EventDrivenCollisionDetector options.bottomThermalWall.
+if ( GasPropertiesQueryParameters.heatCoolMethod === 'thermalWall' &&
+     GasPropertiesQueryParameters.collisionDetection !== 'eventDriven' ) {
+  throw new Error( 'heatCoolMethod=thermalWall requires collisionDetection=eventDriven' );
+}
+
 gasProperties.register( 'GasPropertiesQueryParameters', GasPropertiesQueryParameters );
 
 // log the values of all sim-specific query parameters
@@ -6,6 +6,7 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Random from '../../../dot/js/Random.js';
 import Utils from '../../../dot/js/Utils.js';
 import gasProperties from '../gasProperties.js';
 
@@ -17,20 +18,22 @@ const GasPropertiesUtils = {
    * @param {number} mean - mean of the Gaussian
    * @param {number} deviation - standard deviation of the Gaussian
    * @param {number} threshold - acceptable difference between the desired and actual mean
+   * @param {Random} random - source of random numbers
    * @returns {number[]}
    */
-  getGaussianValues: function( n, mean, deviation, threshold ) {
+  getGaussianValues: function( n, mean, deviation, threshold, random ) {
     assert && assert( typeof n === 'number' && n > 0, `invalid n: ${n}` );
     assert && assert( typeof mean === 'number' && isFinite( mean ), `invalid mean: ${mean}` );
     assert && assert( typeof deviation === 'number' && isFinite( deviation ), `invalid deviation: ${deviation}` );
     assert && assert( typeof threshold === 'number' && threshold >= 0, `invalid threshold: ${threshold}` );
+    assert && assert( random instanceof Random, `invalid random: ${random}` );
 
     const values = [];
     let sum = 0;
 
     // Generate a random Gaussian sample whose values have the desired mean and standard deviation.
     for ( let i = 0; i < n; i++ ) {
-      const value = Utils.boxMullerTransform( mean, deviation, phet.joist.random );
+      const value = Utils.boxMullerTransform( mean, deviation, random );
       assert && assert( isFinite( value ), `invalid value: ${value}` );
       values.push( value );
       sum += value;
@@ -56,6 +59,52 @@ const GasPropertiesUtils = {
     return values;
   },
 
+  /**
+   * Generates a value from a gamma distribution with scale 1, using the method of Marsaglia and Tsang,
+   * "A Simple Method for Generating Gamma Variables", ACM Transactions on Mathematical Software 26(3), 2000.
+   * @param {number} shape - shape of the distribution, > 0
+   * @param {Random} random - source of random numbers
+   * @returns {number}
+   */
+  nextGamma( shape, random ) {
+    assert && assert( typeof shape === 'number' && shape > 0, `invalid shape: ${shape}` );
+    assert && assert( random instanceof Random, `invalid random: ${random}` );
+
+    // For shape < 1, generate with shape + 1, then boost. See section 6 of the paper.
+    if ( shape < 1 ) {
+      return GasPropertiesUtils.nextGamma( shape + 1, random ) * Math.pow( random.nextDouble(), 1 / shape );
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt( 9 * d );
+    while ( true ) {
+      let x;
+      let v;
+      do {
+        x = Utils.boxMullerTransform( 0, 1, random );
+        v = 1 + c * x;
+      } while ( v <= 0 );
+      v = v * v * v;
+      const u = random.nextDouble();
+      if ( u < 1 - 0.0331 * x * x * x * x || Math.log( u ) < 0.5 * x * x + d * ( 1 - v + Math.log( v ) ) ) {
+        return d * v;
+      }
+    }
+  },
+
+  /**
+   * Generates a value from a beta distribution, in the range [0,1].
+   * @param {number} a - first shape of the distribution, > 0
+   * @param {number} b - second shape of the distribution, > 0
+   * @param {Random} random - source of random numbers
+   * @returns {number}
+   */
+  nextBeta( a, b, random ) {
+    const x = GasPropertiesUtils.nextGamma( a, random );
+    const y = GasPropertiesUtils.nextGamma( b, random );
+    return ( x + y === 0 ) ? 0.5 : x / ( x + y );
+  },
+
   /**
    * Determines the position of a point that is the reflection of a specified point across a line.
    * Used in collision response.
@@ -74,6 +123,18 @@ const GasPropertiesUtils = {
     return reflectedPoint;
   },
 
+  /**
+   * Gets the smallest number of the form {1,2,5} * 10^n that is greater than or equal to a value.
+   * Used to choose 'nice' scales and intervals for charts.
+   * @param {number} value - > 0
+   * @returns {number}
+   */
+  getNiceCeiling( value ) {
+    assert && assert( typeof value === 'number' && value > 0 && isFinite( value ), `invalid value: ${value}` );
+    const power = Math.pow( 10, Math.floor( Math.log10( value ) ) );
+    return _.find( [ 1, 2, 5, 10 ].map( multiplier => multiplier * power ), niceValue => niceValue >= value );
+  },
+
   /**
    * Determines whether an array is homogeneous.
    * @param {Array} array
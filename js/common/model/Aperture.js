@@ -0,0 +1,155 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Aperture is a small hole (a pinhole) in one wall of the container, through which particles escape by effusion.
+ * Unlike the opening in the top of the container, which is sized by the lid, the aperture can be anywhere on any wall,
+ * and it is typically smaller than the mean free path of the particles. See EffusionModel.
+ *
+ * A particle escapes through the aperture if it has reached the wall, and its center is in the aperture. So the
+ * aperture can be narrower than a particle, and the rate at which particles reach it does not depend on their size.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import ContainerWall from './ContainerWall.js';
+import IdealGasLawContainer from './IdealGasLawContainer.js';
+import Particle from './Particle.js';
+
+// constants
+const WIDTH_RANGE = new RangeWithValue( 50, 1000, 200 ); // pm
+
+class Aperture {
+
+  /**
+   * @param {IdealGasLawContainer} container
+   * @param {Object} [options]
+   */
+  constructor( container, options ) {
+    assert && assert( container instanceof IdealGasLawContainer, `invalid container: ${container}` );
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.container = container;
+
+    // @public whether the aperture is open. When it is closed, the wall is solid.
+    this.isOpenProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'isOpenProperty' ),
+      phetioDocumentation: 'whether particles can escape through the aperture'
+    } );
+
+    // @public the wall that the aperture is in
+    this.wallProperty = new EnumerationProperty( ContainerWall, ContainerWall.RIGHT, {
+      tandem: options.tandem.createTandem( 'wallProperty' ),
+      phetioDocumentation: 'the wall of the container that the aperture is in'
+    } );
+
+    // @public position of the center of the aperture along its wall, as a fraction of the length of the wall,
+    // from the bottom of a vertical wall, or the left of a horizontal wall. The aperture is kept inside the wall,
+    // so 0 and 1 put it at the ends of the wall.
+    this.positionProperty = new NumberProperty( 0.5, {
+      range: new Range( 0, 1 ),
+      tandem: options.tandem.createTandem( 'positionProperty' ),
+      phetioDocumentation: 'position of the center of the aperture along its wall, as a fraction of the length of ' +
+                           'the wall, from the bottom or left'
+    } );
+
+    // @public width of the aperture
+    this.widthProperty = new NumberProperty( WIDTH_RANGE.defaultValue, {
+      range: WIDTH_RANGE,
+      units: 'pm',
+      tandem: options.tandem.createTandem( 'widthProperty' ),
+      phetioDocumentation: 'width of the aperture'
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.isOpenProperty.reset();
+    this.wallProperty.reset();
+    this.positionProperty.reset();
+    this.widthProperty.reset();
+  }
+
+  /**
+   * Gets the coordinate of the start of the aperture, along its wall: y for a vertical wall, x for a horizontal wall.
+   * @returns {number} in pm
+   * @public
+   */
+  getMin() {
+    const wall = this.wallProperty.value;
+    const isVertical = ( wall === ContainerWall.LEFT || wall === ContainerWall.RIGHT );
+    const wallMin = isVertical ? this.container.bottom : this.container.left;
+    const wallMax = isVertical ? this.container.top : this.container.right;
+    const width = Math.min( this.widthProperty.value, wallMax - wallMin );
+    return Utils.linear( 0, 1, wallMin, wallMax - width, this.positionProperty.value );
+  }
+
+  /**
+   * Gets the coordinate of the end of the aperture, along its wall: y for a vertical wall, x for a horizontal wall.
+   * @returns {number} in pm
+   * @public
+   */
+  getMax() {
+    const wall = this.wallProperty.value;
+    const isVertical = ( wall === ContainerWall.LEFT || wall === ContainerWall.RIGHT );
+    const wallLength = isVertical ? this.container.height : this.container.width;
+    return this.getMin() + Math.min( this.widthProperty.value, wallLength );
+  }
+
+  /**
+   * Does a particle escape through the aperture? It escapes if it is open, the particle has reached the wall, and the
+   * particle's center is in the aperture. Call this before collision detection, which would keep the particle inside
+   * the container.
+   * @param {Particle} particle
+   * @returns {boolean}
+   * @public
+   */
+  isEscaping( particle ) {
+    assert && assert( particle instanceof Particle, `invalid particle: ${particle}` );
+
+    let isEscaping = false;
+    if ( this.isOpenProperty.value ) {
+      const wall = this.wallProperty.value;
+      const container = this.container;
+      let hasReachedWall;
+      let position; // position of the particle's center along the wall
+      if ( wall === ContainerWall.LEFT ) {
+        hasReachedWall = ( particle.left <= container.left );
+        position = particle.position.y;
+      }
+      else if ( wall === ContainerWall.RIGHT ) {
+        hasReachedWall = ( particle.right >= container.right );
+        position = particle.position.y;
+      }
+      else if ( wall === ContainerWall.TOP ) {
+        hasReachedWall = ( particle.top >= container.top );
+        position = particle.position.x;
+      }
+      else {
+        hasReachedWall = ( particle.bottom <= container.bottom );
+        position = particle.position.x;
+      }
+      isEscaping = hasReachedWall && position >= this.getMin() && position <= this.getMax();
+    }
+    return isEscaping;
+  }
+}
+
+gasProperties.register( 'Aperture', Aperture );
+export default Aperture;
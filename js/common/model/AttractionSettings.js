@@ -0,0 +1,76 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * AttractionSettings defines the parameters of the attractive potential for one species of particle.
+ * See ParticleSystem for how these settings are applied.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+
+class AttractionSettings {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+      strengthRange: new RangeWithValue( 0, 500, 200 ), // K
+      rangeRange: new RangeWithValue( 300, 1200, 600 ), // pm
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( options.strengthRange instanceof RangeWithValue,
+      `invalid strengthRange: ${options.strengthRange}` );
+    assert && assert( options.rangeRange instanceof RangeWithValue,
+      `invalid rangeRange: ${options.rangeRange}` );
+
+    // @public ε/k, the depth of the potential well expressed as a temperature, in K
+    this.strengthProperty = new NumberProperty( options.strengthRange.defaultValue, {
+      numberType: 'Integer',
+      range: options.strengthRange,
+      units: 'K',
+      isValidValue: value => ( value % AttractionSettings.DELTAS.strength === 0 ),
+      tandem: options.tandem.createTandem( 'strengthProperty' ),
+      phetioStudioControl: false, // because value must be a multiple of delta
+      phetioDocumentation: 'depth of the potential well, expressed as a temperature'
+    } );
+
+    // @public the distance between particle centers beyond which there is no attraction, in pm
+    this.rangeProperty = new NumberProperty( options.rangeRange.defaultValue, {
+      numberType: 'Integer',
+      range: options.rangeRange,
+      units: 'pm',
+      isValidValue: value => ( value % AttractionSettings.DELTAS.range === 0 ),
+      tandem: options.tandem.createTandem( 'rangeProperty' ),
+      phetioStudioControl: false, // because value must be a multiple of delta
+      phetioDocumentation: 'distance between particle centers at which the potential is truncated'
+    } );
+  }
+
+  /**
+   * Resets the settings.
+   * @public
+   */
+  reset() {
+    this.strengthProperty.reset();
+    this.rangeProperty.reset();
+  }
+}
+
+// @public (read-only) values must be a multiple of these deltas
+AttractionSettings.DELTAS = {
+  strength: 25, // K
+  range: 50 // pm
+};
+
+gasProperties.register( 'AttractionSettings', AttractionSettings );
+export default AttractionSettings;
@@ -138,6 +138,16 @@ class BaseContainer {
 
   get top() { return this.bounds.maxY; }
 
+  /**
+   * Gets the area of the inside of the walls that particles collide with. The container is a 3D box, but particles
+   * move in 2D, so this is the perimeter of the inside bounds times the depth of the container.
+   * @returns {number} in pm^2
+   * @public
+   */
+  getWallArea() {
+    return 2 * ( this.width + this.height ) * this.depth;
+  }
+
   /**
    * Determines whether the container fully contains a particle.
    * @param {Particle} particle
@@ -7,6 +7,9 @@
  * - model-view transform
  * - model bounds
  * - control of time (play, pause, step, speed)
+ * - random number generation
+ * - snapshots of the model's microstate
+ * - recording measurements for export
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -15,23 +18,30 @@ import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Random from '../../../../dot/js/Random.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import Stopwatch from '../../../../scenery-phet/js/Stopwatch.js';
 import TimeControlSpeed from '../../../../scenery-phet/js/TimeControlSpeed.js';
+import PhetioObject from '../../../../tandem/js/PhetioObject.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import gasProperties from '../../gasProperties.js';
+import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
+import BaseModelIO from './BaseModelIO.js';
+import DataRecorder from './DataRecorder.js';
 import TimeTransform from './TimeTransform.js';
 
 // constants
 const MODEL_VIEW_SCALE = 0.040; // number of pixels per pm
+const FIXED_DT = 1 / 60; // time step for a seeded model, in seconds
+const SNAPSHOT_VERSION = 1; // version of the snapshot format, increment when the format changes. See getSnapshot.
 
 /**
  * @param {Tandem} tandem
  * @param {Object} [options]
  */
-class BaseModel {
+class BaseModel extends PhetioObject {
 
   /**
    * @param {Tandem} tandem
@@ -47,9 +57,31 @@ class BaseModel {
       modelOriginOffset: new Vector2( 645, 475 ),
 
       // Stopwatch initial position (in view coordinates!), determined empirically.
-      stopwatchPosition: new Vector2( 240, 15 )
+      stopwatchPosition: new Vector2( 240, 15 ),
+
+      // {number|null} seed for the model's random number generator, null to use the sim's random seed, see getSimSeed
+      seed: GasPropertiesQueryParameters.seed
     }, options );
 
+    assert && assert( options.seed === null || Number.isInteger( options.seed ), `invalid seed: ${options.seed}` );
+
+    super( {
+      tandem: tandem,
+      phetioType: BaseModelIO,
+      phetioDocumentation: 'the model for the screen, whose state is a snapshot of the particles and container'
+    } );
+
+    // @private {number|null}
+    this.seed = options.seed;
+
+    // @public (read-only) {Random} The model's own stream of random numbers. All randomness in the model must come
+    // from here, so that a model that is created with the same seed and given the same inputs behaves identically.
+    this.random = new Random( { seed: ( this.seed === null ) ? getSimSeed() : this.seed } );
+
+    // @private {number} real time that has not yet been stepped, in seconds. A seeded model is stepped in fixed
+    // increments of real time, so that its behavior does not depend on the frame rate. See step.
+    this.remainingDt = 0;
+
     // @public (read-only) {ModelViewTransform2} transform between model and view coordinate frames
     this.modelViewTransform = ModelViewTransform2.createOffsetXYScaleMapping(
       options.modelOriginOffset,
@@ -89,6 +121,10 @@ class BaseModel {
       },
       tandem: tandem.createTandem( 'stopwatch' )
     } );
+
+    // @public (read-only) records the measurements while the stopwatch is running, for export
+    this.dataRecorder = new DataRecorder( this.stopwatch, () => this.getMeasurements(),
+      () => this.getMeasurementUnits() );
   }
 
   /**
@@ -103,19 +139,98 @@ class BaseModel {
 
     // model elements
     this.stopwatch.reset();
+    this.dataRecorder.reset();
+
+    // Start the same stream of random numbers again, so that a seeded model is reproducible after Reset All.
+    if ( this.seed !== null ) {
+      this.random.setSeed( this.seed );
+    }
+    this.remainingDt = 0;
+  }
+
+  /**
+   * Seeds the model's random number generator, as if the model had been created with the seed option.
+   * @param {number|null} seed - null to use the sim's random seed, see getSimSeed
+   * @public
+   */
+  setSeed( seed ) {
+    assert && assert( seed === null || Number.isInteger( seed ), `invalid seed: ${seed}` );
+    this.seed = seed;
+    this.random.setSeed( ( seed === null ) ? getSimSeed() : seed );
+  }
+
+  /**
+   * Gets a snapshot of the model's microstate, as a plain object that can be serialized with JSON.stringify.
+   * Restoring the snapshot with setSnapshot reproduces the exact state of every particle, not just the macroscopic
+   * quantities. Subclasses add their state to the snapshot. The snapshot does not include the settings that are
+   * controlled by the user (e.g. gravity, restitution) or the state of the random number generator. PhET-iO state
+   * includes those settings, see BaseModelIO.
+   * @returns {Object}
+   * @public
+   */
+  getSnapshot() {
+    return {
+      version: SNAPSHOT_VERSION
+    };
+  }
+
+  /**
+   * Restores a snapshot of the model's microstate. Subclasses restore their state from the snapshot.
+   * @param {Object} snapshot - see getSnapshot
+   * @public
+   */
+  setSnapshot( snapshot ) {
+    if ( snapshot.version !== SNAPSHOT_VERSION ) {
+      throw new Error( `unsupported snapshot version: ${snapshot.version}` );
+    }
+    this.remainingDt = 0;
+
+    // Records before the snapshot are not continuous with records after the snapshot.
+    this.dataRecorder.clear();
+  }
+
+  /**
+   * Gets the current values of the measurements that are recorded for export, see DataRecorder. Subclasses add their
+   * measurements. Values are numbers, null, arrays of numbers, or nested objects, see DataSerializer.
+   * @returns {Object}
+   * @public
+   */
+  getMeasurements() {
+    return {};
+  }
+
+  /**
+   * Gets the units of the measurements, see getMeasurements and DataSerializer. Subclasses add the units of their
+   * measurements.
+   * @returns {Object}
+   * @public
+   */
+  getMeasurementUnits() {
+    return {};
   }
 
   /**
    * Steps the model using real time units.
    * This should be called directly only by Sim.js, and is a no-op when the sim is paused.
    * Subclasses that need to add functionality should override stepModelTime, not this method.
+   * If the model is seeded, it is stepped in fixed increments of real time, and the remainder is carried over to
+   * the next call.
    * @param {number} dt - time delta, in seconds
    * @public
    */
   step( dt ) {
     assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
     if ( this.isPlayingProperty.value ) {
-      this.stepRealTime( dt );
+      if ( this.seed === null ) {
+        this.stepRealTime( dt );
+      }
+      else {
+        this.remainingDt += dt;
+        while ( this.remainingDt >= FIXED_DT ) {
+          this.stepRealTime( FIXED_DT );
+          this.remainingDt -= FIXED_DT;
+        }
+      }
     }
   }
 
@@ -128,7 +243,11 @@ class BaseModel {
    */
   stepRealTime( dt ) {
     assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
-    this.stepModelTime( this.timeTransform( dt ) );
+    const modelDt = this.timeTransform( dt );
+    this.stepModelTime( modelDt );
+
+    // Record after the model has been stepped, so that measurements and the stopwatch are up to date.
+    this.dataRecorder.step( modelDt );
   }
 
   /**
@@ -143,5 +262,17 @@ class BaseModel {
   }
 }
 
+/**
+ * Gets the seed for the random number generator of a model that has no seed of its own. This is the sim's random
+ * seed, which PhET-iO record/playback sets (like phet.joist.random), so that playback reproduces the model.
+ * It differs for each session, unless the randomSeed query parameter is provided.
+ * @returns {number}
+ */
+function getSimSeed() {
+  const randomSeed = phet.chipper.queryParameters.randomSeed;
+  assert && assert( typeof randomSeed === 'number', `invalid randomSeed: ${randomSeed}` );
+  return randomSeed;
+}
+
 gasProperties.register( 'BaseModel', BaseModel );
 export default BaseModel;
\ No newline at end of file
@@ -0,0 +1,49 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * BaseModelIO is the IO type for BaseModel. The state of a model is a snapshot of its microstate, so that
+ * restoring PhET-iO state reproduces every particle exactly, not just the macroscopic quantities.
+ * See BaseModel.getSnapshot.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import validate from '../../../../axon/js/validate.js';
+import ObjectIO from '../../../../tandem/js/types/ObjectIO.js';
+import gasProperties from '../../gasProperties.js';
+
+class BaseModelIO extends ObjectIO {
+
+  /**
+   * @param {BaseModel} baseModel
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  static toStateObject( baseModel ) {
+    validate( baseModel, this.validator );
+    return baseModel.getSnapshot();
+  }
+
+  /**
+   * @param {BaseModel} baseModel
+   * @param {Object} stateObject
+   * @public
+   * @override
+   */
+  static applyState( baseModel, stateObject ) {
+    validate( baseModel, this.validator );
+    baseModel.setSnapshot( stateObject );
+  }
+}
+
+BaseModelIO.documentation = 'The model for a screen. Its state is a snapshot of every particle (position, ' +
+                            'previous position, velocity, mass and radius) and of the container.';
+
+// Refer to BaseModel via the namespace, because BaseModel imports this module.
+BaseModelIO.validator = { isValidValue: value => value instanceof phet.gasProperties.BaseModel };
+BaseModelIO.typeName = 'BaseModelIO';
+ObjectIO.validateSubtype( BaseModelIO );
+
+gasProperties.register( 'BaseModelIO', BaseModelIO );
+export default BaseModelIO;
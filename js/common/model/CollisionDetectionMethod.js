@@ -0,0 +1,18 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * CollisionDetectionMethod is an enumeration of the methods used to detect collisions between particles.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import gasProperties from '../../gasProperties.js';
+
+const CollisionDetectionMethod = Enumeration.byKeys( [
+  'OVERLAP',     // particles collide if they overlap at the end of a time step, see CollisionDetector
+  'EVENT_DRIVEN' // collisions are handled in the order that they occur, see EventDrivenCollisionDetector
+] );
+
+gasProperties.register( 'CollisionDetectionMethod', CollisionDetectionMethod );
+export default CollisionDetectionMethod;
@@ -2,7 +2,8 @@
 
 /**
  * CollisionDetector handles collision detection and response for all screens. Our collision model involves
- * rigid bodies. It is a perfectly-elastic collision model, where there is no net loss of kinetic energy.
+ * rigid bodies. By default, it is a perfectly-elastic collision model, where there is no net loss of kinetic energy.
+ * Optional coefficients of restitution make collisions inelastic, so that kinetic energy is dissipated.
  *
  * The algorithms for particle-particle collisions and particle-container collisions were adapted from the Java
  * implementation of Gas Properties. They differ from the standard rigid-body collision model as described in (e.g.)
@@ -19,23 +20,39 @@
  * https://en.wikipedia.org/wiki/Collision_response#Impulse-based_contact_model
  * https://en.wikipedia.org/wiki/Coefficient_of_restitution
  *
+ * This implementation detects particle-particle collisions based on whether particles overlap at the end of
+ * a time step. See EventDrivenCollisionDetector for an alternative that computes the exact time of each collision.
+ * Running with ?collisionDiagnostics&log compares the 2 implementations, by periodically logging how many collisions
+ * were missed (e.g. fast particles that passed through each other), and how much kinetic energy changed.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import merge from '../../../../phet-core/js/merge.js';
 import gasProperties from '../../gasProperties.js';
+import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
 import GasPropertiesUtils from '../GasPropertiesUtils.js';
 import BaseContainer from './BaseContainer.js';
 import Particle from './Particle.js';
-import Region from './Region.js';
-
-// Coefficient of restitution (e) is the ratio of the final to initial relative velocity between two objects
-// after they collide. It normally ranges from 0 to 1, where 1 is a perfectly elastic collision.
-// See https://en.wikipedia.org/wiki/Coefficient_of_restitution
-const e = 1;
+import ParticleUtils from './ParticleUtils.js';
+import SpatialHash from './SpatialHash.js';
+
+// constants
+const DIAGNOSTICS_PERIOD = 100; // number of calls to update between diagnostics log messages
+
+// Offsets (in the spatial hash grid) of the adjacent regions that are tested for collisions with a region.
+// Columns are numbered right-to-left, so these are the regions to the left, above-left, above, and above-right.
+// The other 4 adjacent regions are tested when they are the region that is being tested.
+const ADJACENT_OFFSETS = [
+  { column: 1, row: 0 },
+  { column: 1, row: 1 },
+  { column: 0, row: 1 },
+  { column: -1, row: 1 }
+];
 
 class CollisionDetector {
 
@@ -54,25 +71,90 @@ class CollisionDetector {
 
     options = merge( {
 
-      // {number|null} Regions are square, length of one side, pm. If null, default will be set below.
-      regionLength: null
+      // Coefficient of restitution (e) is the ratio of the final to initial relative velocity between two objects
+      // after they collide. It ranges from 0 to 1, where 1 is a perfectly elastic collision.
+      // See https://en.wikipedia.org/wiki/Coefficient_of_restitution
+      // If null, collisions are perfectly elastic.
+      particleParticleRestitutionProperty: null, // {NumberProperty|null} for particle-particle collisions
+      particleContainerRestitutionProperty: null, // {NumberProperty|null} for particle-container collisions
+
+      // {function(particle1:Particle, particle2:Particle)|null} called after the response to each particle-particle
+      // collision, e.g. to exchange energy between translation and rotation, see RotationalEnergyExchange
+      particleParticleCollisionListener: null
 
     }, options );
 
-    // If regionLength is not provided, the default is based on container height.
-    const regionLength = options.regionLength || container.height / 4;
-    assert && assert( regionLength > 0, `invalid regionLength: ${regionLength}` );
+    assert && assert( !options.particleParticleRestitutionProperty ||
+                      options.particleParticleRestitutionProperty instanceof NumberProperty,
+      `invalid particleParticleRestitutionProperty: ${options.particleParticleRestitutionProperty}` );
+    assert && assert( !options.particleContainerRestitutionProperty ||
+                      options.particleContainerRestitutionProperty instanceof NumberProperty,
+      `invalid particleContainerRestitutionProperty: ${options.particleContainerRestitutionProperty}` );
+    assert && assert( options.particleParticleCollisionListener === null ||
+                      typeof options.particleParticleCollisionListener === 'function',
+      `invalid particleParticleCollisionListener: ${options.particleParticleCollisionListener}` );
+
+    // @protected
+    this.particleParticleCollisionsEnabledProperty = particleParticleCollisionsEnabledProperty;
+
+    // @protected {function(particle1:Particle, particle2:Particle)} ends the free path of both particles, then
+    // calls the client's listener
+    this.particleParticleCollisionListener = ( particle1, particle2 ) => {
+      this.endFreePath( particle1 );
+      this.endFreePath( particle2 );
+      options.particleParticleCollisionListener && options.particleParticleCollisionListener( particle1, particle2 );
+    };
 
     // @private
-    this.particleParticleCollisionsEnabledProperty = particleParticleCollisionsEnabledProperty;
+    this.particleParticleRestitutionProperty = options.particleParticleRestitutionProperty;
+    this.particleContainerRestitutionProperty = options.particleContainerRestitutionProperty;
 
-    // @public (read-only) {Region[]} 2D grid of Regions
-    this.regions = createRegions( container, regionLength );
+    // @public (read-only) broad phase of collision detection. Since collisions only occur inside the container,
+    // the collision detection space is the container at its maximum width.
+    this.spatialHash = new SpatialHash( container.maxBounds );
 
     // @public (read-only) number of wall collisions on the most recent call to update
     this.numberOfParticleContainerCollisions = 0;
 
-    // @private mutable vectors, reused in critical code
+    // @public (read-only) number of particle-particle collisions on the most recent call to update
+    this.numberOfParticleParticleCollisions = 0;
+
+    // @public (read-only) number of particle-particle collisions that were missed on the most recent call to update.
+    // This is computed only when diagnostics are enabled, because it is expensive for some implementations.
+    this.numberOfMissedCollisions = 0;
+
+    // @public (read-only) free paths that ended (with a particle-particle collision) on the most recent call to update.
+    // A free path is the distance that a particle travels between particle-particle collisions. See MeanFreePathModel.
+    this.numberOfFreePaths = 0;
+    this.freePathLengthSum = 0; // in pm
+
+    // @private {Object|null} statistics that are accumulated for ?collisionDiagnostics, null if not enabled
+    this.diagnostics = null;
+    if ( GasPropertiesQueryParameters.collisionDiagnostics ) {
+      this.diagnostics = {
+        numberOfUpdates: 0,
+        numberOfParticleParticleCollisions: 0,
+        numberOfMissedCollisions: 0,
+        kineticEnergyChange: 0 // sum of |ΔKE|/KE for each update
+      };
+    }
+
+    // @public (read-only) magnitude of the momentum transferred to each wall of the container on the most recent
+    // call to update, in AMU * pm / ps. This is used to measure pressure kinetically, see PressureModel.
+    this.wallImpulses = {
+      left: 0,
+      right: 0,
+      top: 0,
+      bottom: 0
+    };
+
+    // @public (read-only) work done on particles by each wall of the container on the most recent call to update,
+    // in AMU * pm^2 / ps^2. Only the left wall moves, so only the left wall does work. See EnergyLedger.
+    this.wallWork = {
+      left: 0
+    };
+
+    // @protected mutable vectors, reused in critical code
     this.mutableVectors = {
       normal: new Vector2( 0, 0 ),
       tangent: new Vector2( 0, 0 ),
@@ -87,44 +169,176 @@ class CollisionDetector {
     this.numberOfParticleContainerCollisions = 0;
   }
 
-  /**
-   * Clears all regions.
-   * @private
-   */
-  clearRegions() {
-    for ( let i = this.regions.length - 1; i >= 0; i-- ) {
-      this.regions[ i ].clear();
-    }
-  }
-
   /**
    * Performs collision detection and response for the current state of the particle system.
+   * @param {number} dt - time delta of the time step that moved the particles, in ps
    * @public
    */
-  update() {
+  update( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
 
-    this.clearRegions();
+    const kineticEnergy = this.diagnostics ? this.getKineticEnergy() : 0;
 
-    // Use regions that intersect the container, since collisions only occur inside the container.
-    const containerRegions = _.filter( this.regions,
-      region => this.container.bounds.intersectsBounds( region.bounds ) );
+    this.clearWallImpulses();
+    this.numberOfMissedCollisions = 0;
+    this.numberOfFreePaths = 0;
+    this.freePathLengthSum = 0;
 
-    // put particles in regions
-    assignParticlesToRegions( this.particleArrays, containerRegions );
+    // Particles traveled at their current velocity for the time step, before collision response changes velocities.
+    this.updateFreePathLengths( dt );
+    this.updateCollisions( dt );
 
-    // particle-particle collisions, within each region
-    if ( this.particleParticleCollisionsEnabledProperty.value ) {
-      for ( let i = containerRegions.length - 1; i >= 0; i-- ) {
-        doParticleParticleCollisions( containerRegions[ i ].particles, this.mutableVectors );
+    // Verify that all particles are fully inside the container.
+    assert && assert( this.container.containsParticles( this.particleArrays ),
+      'particles have leaked out of the container' );
+
+    this.diagnostics && this.updateDiagnostics( kineticEnergy );
+  }
+
+  /**
+   * Detects and handles collisions for one time step. This implementation detects particle-particle collisions
+   * by checking whether particles overlap at their current positions.
+   * @param {number} dt - time delta, in ps
+   * @protected
+   */
+  updateCollisions( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    // Put particles in regions. Region size adapts to the largest particle, which may change in the Diffusion screen.
+    this.spatialHash.clear();
+    const maxRadius = getMaxRadius( this.particleArrays );
+    if ( maxRadius > 0 ) {
+      this.spatialHash.setRegionLength( 2 * maxRadius );
+      this.spatialHash.addParticles( this.particleArrays );
+    }
+
+    // particle-particle collisions, within each region and between adjacent regions
+    this.numberOfParticleParticleCollisions = 0;
+    if ( this.particleParticleCollisionsEnabledProperty.value && maxRadius > 0 ) {
+
+      // Do this before collision response changes positions. It's expensive, so do it only for diagnostics.
+      if ( this.diagnostics ) {
+        this.numberOfMissedCollisions = countPassedThroughPairs( this.particleArrays, dt );
       }
+
+      this.numberOfParticleParticleCollisions = doParticleParticleCollisions( this.spatialHash,
+        this.getParticleParticleRestitution(), this.mutableVectors, this.particleParticleCollisionListener );
     }
 
     // particle-container collisions
     this.numberOfParticleContainerCollisions = this.updateParticleContainerCollisions();
+  }
 
-    // Verify that all particles are fully inside the container.
-    assert && assert( this.container.containsParticles( this.particleArrays ),
-      'particles have leaked out of the container' );
+  /**
+   * Adds the distance that each particle traveled on the time step to the length of its current free path.
+   * @param {number} dt - time delta, in ps
+   * @private
+   */
+  updateFreePathLengths( dt ) {
+    for ( let i = this.particleArrays.length - 1; i >= 0; i-- ) {
+      const particles = this.particleArrays[ i ];
+      for ( let j = particles.length - 1; j >= 0; j-- ) {
+        particles[ j ].freePathLength += particles[ j ].getSpeed() * dt;
+      }
+    }
+  }
+
+  /**
+   * Ends the free path of a particle that collided with another particle, and starts its next free path.
+   * @param {Particle} particle
+   * @private
+   */
+  endFreePath( particle ) {
+    this.numberOfFreePaths++;
+    this.freePathLengthSum += particle.freePathLength;
+    particle.freePathLength = 0;
+    particle.numberOfCollisions++;
+  }
+
+  /**
+   * Gets the total kinetic energy of the particles.
+   * @returns {number} in AMU * pm^2 / ps^2
+   * @private
+   */
+  getKineticEnergy() {
+    let kineticEnergy = 0;
+    for ( let i = this.particleArrays.length - 1; i >= 0; i-- ) {
+      kineticEnergy += ParticleUtils.getTotalKineticEnergy( this.particleArrays[ i ] );
+    }
+    return kineticEnergy;
+  }
+
+  /**
+   * Accumulates statistics for ?collisionDiagnostics, and periodically logs them.
+   * Kinetic energy changes only when collisions are inelastic, or when the container's left wall does work.
+   * @param {number} kineticEnergyBefore - total kinetic energy before collisions were handled, in AMU * pm^2 / ps^2
+   * @private
+   */
+  updateDiagnostics( kineticEnergyBefore ) {
+    assert && assert( this.diagnostics, 'diagnostics are not enabled' );
+
+    const diagnostics = this.diagnostics;
+    diagnostics.numberOfUpdates++;
+    diagnostics.numberOfParticleParticleCollisions += this.numberOfParticleParticleCollisions;
+    diagnostics.numberOfMissedCollisions += this.numberOfMissedCollisions;
+    if ( kineticEnergyBefore > 0 ) {
+      const kineticEnergyChange = this.getKineticEnergy() - kineticEnergyBefore;
+      diagnostics.kineticEnergyChange += Math.abs( kineticEnergyChange ) / kineticEnergyBefore;
+    }
+
+    if ( diagnostics.numberOfUpdates === DIAGNOSTICS_PERIOD ) {
+      const detected = diagnostics.numberOfParticleParticleCollisions;
+      const missed = diagnostics.numberOfMissedCollisions;
+      const missedPercent = ( detected + missed === 0 ) ? 0 : 100 * missed / ( detected + missed );
+      const meanKineticEnergyChange = diagnostics.kineticEnergyChange / diagnostics.numberOfUpdates;
+      phet.log && phet.log( `${this.constructor.name}: ${detected} particle-particle collisions, ` +
+                            `${missed} missed (${missedPercent.toFixed( 2 )}%), ` +
+                            `mean |ΔKE|/KE per update=${meanKineticEnergyChange.toExponential( 3 )}` );
+      diagnostics.numberOfUpdates = 0;
+      diagnostics.numberOfParticleParticleCollisions = 0;
+      diagnostics.numberOfMissedCollisions = 0;
+      diagnostics.kineticEnergyChange = 0;
+    }
+  }
+
+  /**
+   * Gets the coefficient of restitution for particle-particle collisions.
+   * @returns {number}
+   * @protected
+   */
+  getParticleParticleRestitution() {
+    return this.particleParticleRestitutionProperty ? this.particleParticleRestitutionProperty.value : 1;
+  }
+
+  /**
+   * Gets the coefficient of restitution for particle-container collisions.
+   * @returns {number}
+   * @protected
+   */
+  getParticleContainerRestitution() {
+    return this.particleContainerRestitutionProperty ? this.particleContainerRestitutionProperty.value : 1;
+  }
+
+  /**
+   * Clears the momentum transferred to the walls of the container, and the work done by the walls.
+   * @protected
+   */
+  clearWallImpulses() {
+    this.wallImpulses.left = 0;
+    this.wallImpulses.right = 0;
+    this.wallImpulses.top = 0;
+    this.wallImpulses.bottom = 0;
+    this.wallWork.left = 0;
+  }
+
+  /**
+   * Gets the total magnitude of the momentum transferred to the walls of the container on the most recent call
+   * to update.
+   * @returns {number} in AMU * pm / ps
+   * @public
+   */
+  getTotalWallImpulse() {
+    return this.wallImpulses.left + this.wallImpulses.right + this.wallImpulses.top + this.wallImpulses.bottom;
   }
 
   /**
@@ -138,136 +352,232 @@ class CollisionDetector {
     let numberOfParticleContainerCollisions = 0;
     for ( let i = this.particleArrays.length - 1; i >= 0; i-- ) {
       numberOfParticleContainerCollisions += doParticleContainerCollisions( this.particleArrays[ i ],
-        this.container.bounds, this.container.leftWallVelocity );
+        this.container.bounds, this.container.leftWallVelocity, this.getParticleContainerRestitution(),
+        this.wallImpulses, this.wallWork );
     }
     return numberOfParticleContainerCollisions;
   }
 }
 
 /**
- * Partitions the collision detection bounds into Regions.  Since collisions only occur inside the container,
- * the maximum collision detection bounds is the container at its max width.  This algorithm builds the grid
- * right-to-left, bottom-to-top, so that the grid is aligned with the right and bottom edges of the container.
- * Regions along the top and left edges may be outside the container, and that's OK.  Regions outside the
- * container will be excluded from collision detection.
- * @param {BaseContainer} container
- * @param {number} regionLength - regions are square, length of one side, in pm
- * @returns {Region[]}
+ * Gets the radius of the largest particle.
+ * @param {Particle[][]} particleArrays - collections of particles
+ * @returns {number} in pm, 0 if there are no particles
  */
-function createRegions( container, regionLength ) {
-  assert && assert( container instanceof BaseContainer, `invalid container: ${container}` );
-  assert && assert( typeof regionLength === 'number' && regionLength > 0, `invalid regionLength: ${regionLength}` );
-
-  const regions = [];
-  let maxX = container.right;
-  while ( maxX > container.right - container.widthRange.max ) {
-    const minX = maxX - regionLength;
-    let minY = container.bottom;
-    while ( minY < container.top ) {
-      const maxY = minY + regionLength;
-      const regionBounds = new Bounds2( minX, minY, maxX, maxY );
-      regions.push( new Region( regionBounds ) );
-      minY = minY + regionLength;
+function getMaxRadius( particleArrays ) {
+  assert && assert( Array.isArray( particleArrays ), `invalid particleArrays: ${particleArrays}` );
+
+  let maxRadius = 0;
+  for ( let i = particleArrays.length - 1; i >= 0; i-- ) {
+    const particles = particleArrays[ i ];
+    for ( let j = particles.length - 1; j >= 0; j-- ) {
+      maxRadius = Math.max( maxRadius, particles[ j ].radius );
     }
-    maxX = maxX - regionLength;
   }
-  phet.log && phet.log( `created ${regions.length} regions of ${regionLength} pm each` );
-  return regions;
+  return maxRadius;
 }
 
 /**
- * Assigns each particle to the Regions that it intersects, accounting for particle radius.
- * @param {Particle[]} particleArrays - collections of particles
- * @param {Region[]} regions
+ * Detects and handles particle-particle collisions. Particle-particle collision are based solely whether they
+ * intersect at their current positions. Is is possible (and acceptable) for two particles to pass through the
+ * same point on the way to those position and not collide. Particles can be in contact only if they are in the same
+ * region or adjacent regions. To test each pair of regions once, each region is paired with the adjacent regions
+ * that are to its left, above-left, above, and above-right. See ADJACENT_OFFSETS.
+ * @param {SpatialHash} spatialHash
+ * @param {number} e - coefficient of restitution
+ * @param {Object} mutableVectors - set of mutable vectors, see this.mutableVectors in CollisionDetector constructor
+ * @param {function(particle1:Particle, particle2:Particle)|null} listener - called after each collision response
+ * @returns {number} number of collisions
  */
-function assignParticlesToRegions( particleArrays, regions ) {
-  assert && assert( Array.isArray( particleArrays ), `invalid particleArrays: ${particleArrays}` );
-  assert && assert( Array.isArray( regions ) && regions.length > 0, `invalid regions: ${regions}` );
+function doParticleParticleCollisions( spatialHash, e, mutableVectors, listener ) {
+  assert && assert( spatialHash instanceof SpatialHash, `invalid spatialHash: ${spatialHash}` );
+  assert && assert( typeof e === 'number' && e >= 0 && e <= 1, `invalid e: ${e}` );
 
-  for ( let i = particleArrays.length - 1; i >= 0; i-- ) {
-    const particles = particleArrays[ i ];
-    for ( let j = particles.length - 1; j >= 0; j-- ) {
-      const particle = particles[ j ];
-      for ( let k = regions.length - 1; k >= 0; k-- ) {
-        const region = regions[ k ];
-        if ( particle.intersectsBounds( region.bounds ) ) {
-          region.addParticle( particle );
+  let numberOfCollisions = 0;
+
+  for ( let column = spatialHash.numberOfColumns - 1; column >= 0; column-- ) {
+    for ( let row = spatialHash.numberOfRows - 1; row >= 0; row-- ) {
+
+      const particles = spatialHash.getRegion( column, row ).particles;
+      if ( particles.length > 0 ) {
+
+        // pairs within this region
+        for ( let i = particles.length - 1; i >= 1; i-- ) {
+          for ( let j = i - 1; j >= 0; j-- ) {
+            if ( doParticleParticleCollision( particles[ i ], particles[ j ], e, mutableVectors, listener ) ) {
+              numberOfCollisions++;
+            }
+          }
+        }
+
+        // pairs between this region and adjacent regions
+        for ( let k = 0; k < ADJACENT_OFFSETS.length; k++ ) {
+          const offset = ADJACENT_OFFSETS[ k ];
+          const region = spatialHash.getRegion( column + offset.column, row + offset.row );
+          numberOfCollisions += doRegionRegionCollisions( particles, region, e, mutableVectors, listener );
         }
       }
     }
   }
+
+  return numberOfCollisions;
 }
 
 /**
- * Detects and handles particle-particle collisions. Particle-particle collision are based solely whether they
- * intersect at their current positions. Is is possible (and acceptable) for two particles to pass through the
- * same point on the way to those position and not collide.
- * @param {Particle[]} particles
+ * Detects and handles particle-particle collisions between the particles in 2 different regions.
+ * @param {Particle[]} particles - the particles in one region
+ * @param {Region|null} region - the other region, null if there is no region
+ * @param {number} e - coefficient of restitution
  * @param {Object} mutableVectors - set of mutable vectors, see this.mutableVectors in CollisionDetector constructor
+ * @param {function(particle1:Particle, particle2:Particle)|null} listener - called after each collision response
+ * @returns {number} number of collisions
  */
-function doParticleParticleCollisions( particles, mutableVectors ) {
-  assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
+function doRegionRegionCollisions( particles, region, e, mutableVectors, listener ) {
+  let numberOfCollisions = 0;
+  if ( region ) {
+    const otherParticles = region.particles;
+    for ( let i = particles.length - 1; i >= 0; i-- ) {
+      for ( let j = otherParticles.length - 1; j >= 0; j-- ) {
+        if ( doParticleParticleCollision( particles[ i ], otherParticles[ j ], e, mutableVectors, listener ) ) {
+          numberOfCollisions++;
+        }
+      }
+    }
+  }
+  return numberOfCollisions;
+}
 
-  for ( let i = particles.length - 1; i >= 1; i-- ) {
+/**
+ * Detects and handles a collision between 2 particles.
+ * @param {Particle} particle1
+ * @param {Particle} particle2
+ * @param {number} e - coefficient of restitution
+ * @param {Object} mutableVectors - set of mutable vectors, see this.mutableVectors in CollisionDetector constructor
+ * @param {function(particle1:Particle, particle2:Particle)|null} listener - called after the collision response
+ * @returns {boolean} true if the particles collided
+ */
+function doParticleParticleCollision( particle1, particle2, e, mutableVectors, listener ) {
+  assert && assert( particle1 !== particle2, 'particle cannot collide with itself' );
 
-    const particle1 = particles[ i ];
+  // Ignore collisions if the particles were in contact on the previous step. This results in more
+  // natural behavior where the particles enter the container, and was adapted from the Java version.
+  if ( !particle1.contactedParticle( particle2 ) && particle1.contactsParticle( particle2 ) ) {
 
-    for ( let j = i - 1; j >= 0; j-- ) {
+    //-----------------------------------------------------------------------------------------
+    // Determine where the particles made contact.
+    //-----------------------------------------------------------------------------------------
+
+    const dx = particle1.position.x - particle2.position.x;
+    const dy = particle1.position.y - particle2.position.y;
+    const contactRatio = particle1.radius / particle1.position.distance( particle2.position );
+    const contactPointX = particle1.position.x - dx * contactRatio;
+    const contactPointY = particle1.position.y - dy * contactRatio;
+
+    //-----------------------------------------------------------------------------------------
+    // Adjust particle positions by reflecting across the line of impact.
+    //-----------------------------------------------------------------------------------------
+
+    // Normal vector, aka 'line of impact'
+    mutableVectors.normal.setXY( dx, dy ).normalize();
+
+    // Tangent vector, perpendicular to the line of impact, aka 'plane of contact'
+    mutableVectors.tangent.setXY( dy, -dx );
+
+    // Angle of the plane of contact
+    const lineAngle = Math.atan2( mutableVectors.tangent.y, mutableVectors.tangent.x );
+
+    // Adjust positions
+    adjustParticlePosition( particle1, contactPointX, contactPointY, lineAngle,
+      mutableVectors.pointOnLine, mutableVectors.reflectedPoint );
+    adjustParticlePosition( particle2, contactPointX, contactPointY, lineAngle,
+      mutableVectors.pointOnLine, mutableVectors.reflectedPoint );
 
+    //-----------------------------------------------------------------------------------------
+    // Adjust particle velocities using impulse-based contact model.
+    // See https://en.wikipedia.org/wiki/Collision_response#Impulse-based_contact_model
+    //-----------------------------------------------------------------------------------------
+
+    // Compute the impulse, j.
+    // There is no angular velocity in our model, so the denominator involves only mass.
+    mutableVectors.relativeVelocity.set( particle1.velocity ).subtract( particle2.velocity );
+    const vr = mutableVectors.relativeVelocity.dot( mutableVectors.normal );
+    const numerator = -vr * ( 1 + e );
+    const denominator = ( 1 / particle1.mass + 1 / particle2.mass );
+    const j = numerator / denominator;
+
+    adjustParticleSpeed( particle1, j / particle1.mass, mutableVectors.normal );
+    adjustParticleSpeed( particle2, -j / particle2.mass, mutableVectors.normal );
+
+    listener && listener( particle1, particle2 );
+
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Counts the pairs of particles that passed through each other on the most recent time step. These are pairs that
+ * were not in contact at the beginning or end of the time step, but whose straight-line paths brought them into
+ * contact during the time step. This is O(N^2), so use it only for diagnostics.
+ * @param {Particle[][]} particleArrays - collections of particles
+ * @param {number} dt - time delta of the time step that moved the particles, in ps
+ * @returns {number}
+ */
+function countPassedThroughPairs( particleArrays, dt ) {
+  assert && assert( Array.isArray( particleArrays ), `invalid particleArrays: ${particleArrays}` );
+  assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+  const particles = _.flatten( particleArrays );
+  let count = 0;
+  for ( let i = particles.length - 1; i >= 1; i-- ) {
+    const particle1 = particles[ i ];
+    for ( let j = i - 1; j >= 0; j-- ) {
       const particle2 = particles[ j ];
-      assert && assert( particle1 !== particle2, 'particle cannot collide with itself' );
-
-      // Ignore collisions if the particles were in contact on the previous step. This results in more
-      // natural behavior where the particles enter the container, and was adapted from the Java version.
-      if ( !particle1.contactedParticle( particle2 ) && particle1.contactsParticle( particle2 ) ) {
-
-        //-----------------------------------------------------------------------------------------
-        // Determine where the particles made contact.
-        //-----------------------------------------------------------------------------------------
-
-        const dx = particle1.position.x - particle2.position.x;
-        const dy = particle1.position.y - particle2.position.y;
-        const contactRatio = particle1.radius / particle1.position.distance( particle2.position );
-        const contactPointX = particle1.position.x - dx * contactRatio;
-        const contactPointY = particle1.position.y - dy * contactRatio;
-
-        //-----------------------------------------------------------------------------------------
-        // Adjust particle positions by reflecting across the line of impact.
-        //-----------------------------------------------------------------------------------------
-
-        // Normal vector, aka 'line of impact'
-        mutableVectors.normal.setXY( dx, dy ).normalize();
-
-        // Tangent vector, perpendicular to the line of impact, aka 'plane of contact'
-        mutableVectors.tangent.setXY( dy, -dx );
-
-        // Angle of the plane of contact
-        const lineAngle = Math.atan2( mutableVectors.tangent.y, mutableVectors.tangent.x );
-
-        // Adjust positions
-        adjustParticlePosition( particle1, contactPointX, contactPointY, lineAngle,
-          mutableVectors.pointOnLine, mutableVectors.reflectedPoint );
-        adjustParticlePosition( particle2, contactPointX, contactPointY, lineAngle,
-          mutableVectors.pointOnLine, mutableVectors.reflectedPoint );
-
-        //-----------------------------------------------------------------------------------------
-        // Adjust particle velocities using impulse-based contact model.
-        // See https://en.wikipedia.org/wiki/Collision_response#Impulse-based_contact_model
-        //-----------------------------------------------------------------------------------------
-
-        // Compute the impulse, j.
-        // There is no angular velocity in our model, so the denominator involves only mass.
-        mutableVectors.relativeVelocity.set( particle1.velocity ).subtract( particle2.velocity );
-        const vr = mutableVectors.relativeVelocity.dot( mutableVectors.normal );
-        const numerator = -vr * ( 1 + e );
-        const denominator = ( 1 / particle1.mass + 1 / particle2.mass );
-        const j = numerator / denominator;
-
-        adjustParticleSpeed( particle1, j / particle1.mass, mutableVectors.normal );
-        adjustParticleSpeed( particle2, -j / particle2.mass, mutableVectors.normal );
+      if ( !particle1.contactsParticle( particle2 ) ) {
+
+        // relative position at the beginning of the time step, and relative velocity
+        const dvx = particle2.velocity.x - particle1.velocity.x;
+        const dvy = particle2.velocity.y - particle1.velocity.y;
+        const dx = ( particle2.position.x - particle1.position.x ) - dvx * dt;
+        const dy = ( particle2.position.y - particle1.position.y ) - dvy * dt;
+        if ( getContactTime( dx, dy, dvx, dvy, particle1.radius + particle2.radius ) <= dt ) {
+          count++;
+        }
       }
     }
   }
+  return count;
+}
+
+/**
+ * Computes the time at which 2 particles that are moving in straight lines will come into contact.
+ * Particles that are already in contact, or are moving apart, will not come into contact.
+ * @param {number} dx - x component of the position of particle 2 relative to particle 1, in pm
+ * @param {number} dy - y component of the position of particle 2 relative to particle 1, in pm
+ * @param {number} dvx - x component of the velocity of particle 2 relative to particle 1, in pm/ps
+ * @param {number} dvy - y component of the velocity of particle 2 relative to particle 1, in pm/ps
+ * @param {number} contactDistance - distance between particle centers when the particles are in contact, in pm
+ * @returns {number} time until contact in ps, Infinity if the particles will not come into contact
+ */
+function getContactTime( dx, dy, dvx, dvy, contactDistance ) {
+
+  // Solve |d + dv * t| = contactDistance for the smaller root t.
+  const b = dx * dvx + dy * dvy;
+  if ( b >= 0 ) {
+    return Infinity; // moving apart
+  }
+  const c = dx * dx + dy * dy - contactDistance * contactDistance;
+  if ( c <= 0 ) {
+    return Infinity; // already in contact
+  }
+  const a = dvx * dvx + dvy * dvy;
+  const discriminant = b * b - a * c;
+  if ( discriminant < 0 ) {
+    return Infinity; // paths do not come close enough
+  }
+
+  // Equivalent to (-b - sqrt(discriminant))/a, but numerically stable when a is small.
+  return c / ( -b + Math.sqrt( discriminant ) );
 }
 
 /**
@@ -319,12 +629,20 @@ function adjustParticleSpeed( particle, scale, normalVector ) {
  * @param {Particle[]} particles
  * @param {Bounds2} containerBounds
  * @param {Vector2} leftWallVelocity - velocity of the container's left (movable) wall
+ * @param {number} e - coefficient of restitution
+ * @param {{left:number, right:number, top:number, bottom:number}} wallImpulses - momentum transferred to each wall,
+ *   in AMU * pm / ps. The momentum transferred by these collisions is added to this object, so it will be MUTATED!
+ * @param {{left:number}} wallWork - work done on particles by the left wall, in AMU * pm^2 / ps^2. The work done by
+ *   these collisions is added to this object, so it will be MUTATED!
  * @returns {number} number of collisions
  */
-function doParticleContainerCollisions( particles, containerBounds, leftWallVelocity ) {
+function doParticleContainerCollisions( particles, containerBounds, leftWallVelocity, e, wallImpulses, wallWork ) {
   assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
   assert && assert( containerBounds instanceof Bounds2, `invalid containerBounds: ${containerBounds}` );
   assert && assert( leftWallVelocity instanceof Vector2, `invalid leftWallVelocity: ${leftWallVelocity}` );
+  assert && assert( typeof e === 'number' && e >= 0 && e <= 1, `invalid e: ${e}` );
+  assert && assert( wallImpulses && typeof wallImpulses.left === 'number', `invalid wallImpulses: ${wallImpulses}` );
+  assert && assert( wallWork && typeof wallWork.left === 'number', `invalid wallWork: ${wallWork}` );
 
   let numberOfCollisions = 0;
 
@@ -333,29 +651,38 @@ function doParticleContainerCollisions( particles, containerBounds, leftWallVelo
     const particle = particles[ i ];
     let collided = false;
 
+    // velocity before the collision
+    const vx = particle.velocity.x;
+    const vy = particle.velocity.y;
+
     // adjust x
     if ( particle.left <= containerBounds.minX ) {
       particle.left = containerBounds.minX;
 
       // If the left wall is moving, it will do work.
-      particle.setVelocityXY( -( particle.velocity.x - leftWallVelocity.x ), particle.velocity.y );
+      particle.setVelocityXY( -e * ( vx - leftWallVelocity.x ), vy );
+      wallImpulses.left += particle.mass * Math.abs( particle.velocity.x - vx );
+      wallWork.left += getLeftWallWork( particle.mass, vx, particle.velocity.x, e );
       collided = true;
     }
     else if ( particle.right >= containerBounds.maxX ) {
       particle.right = containerBounds.maxX;
-      particle.setVelocityXY( -particle.velocity.x, particle.velocity.y );
+      particle.setVelocityXY( -e * vx, vy );
+      wallImpulses.right += ( 1 + e ) * particle.mass * Math.abs( vx );
       collided = true;
     }
 
     // adjust y
     if ( particle.top >= containerBounds.maxY ) {
       particle.top = containerBounds.maxY;
-      particle.setVelocityXY( particle.velocity.x, -particle.velocity.y );
+      particle.setVelocityXY( particle.velocity.x, -e * vy );
+      wallImpulses.top += ( 1 + e ) * particle.mass * Math.abs( vy );
       collided = true;
     }
     else if ( particle.bottom <= containerBounds.minY ) {
       particle.bottom = containerBounds.minY;
-      particle.setVelocityXY( particle.velocity.x, -particle.velocity.y );
+      particle.setVelocityXY( particle.velocity.x, -e * vy );
+      wallImpulses.bottom += ( 1 + e ) * particle.mass * Math.abs( vy );
       collided = true;
     }
 
@@ -367,8 +694,23 @@ function doParticleContainerCollisions( particles, containerBounds, leftWallVelo
   return numberOfCollisions;
 }
 
+/**
+ * Gets the work done on a particle by a collision with the left wall. This is the change in kinetic energy, relative
+ * to a collision with a stationary wall, so that energy that is dissipated by an inelastic collision is not work.
+ * @param {number} mass - mass of the particle, in AMU
+ * @param {number} vx - x component of the particle's velocity before the collision, in pm/ps
+ * @param {number} vxAfter - x component of the particle's velocity after the collision, in pm/ps
+ * @param {number} e - coefficient of restitution
+ * @returns {number} in AMU * pm^2 / ps^2
+ */
+function getLeftWallWork( mass, vx, vxAfter, e ) {
+  return 0.5 * mass * ( vxAfter * vxAfter - e * e * vx * vx );
+}
+
 // @protected for use in subclasses
 CollisionDetector.doParticleContainerCollisions = doParticleContainerCollisions;
+CollisionDetector.getLeftWallWork = getLeftWallWork;
+CollisionDetector.getContactTime = getContactTime;
 
 gasProperties.register( 'CollisionDetector', CollisionDetector );
 export default CollisionDetector;
\ No newline at end of file
@@ -0,0 +1,129 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * CollisionDetectorBenchmark measures the time required to step a particle system and detect collisions, for various
+ * numbers of particles and each collision detection method. Results are written to the console via phet.log.
+ * Run with query parameters ?benchmark&log. See GasPropertiesQueryParameters.benchmark.
+ *
+ * Particles are placed at random positions in the container at its maximum width, with random directions and
+ * the speed that corresponds to room temperature. Particles have the minimum radius, so that the largest number of
+ * particles will fit in the container. Particles may overlap initially. If the seed query parameter is provided,
+ * every combination is benchmarked with the same initial positions and directions.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Random from '../../../../dot/js/Random.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
+import BaseContainer from './BaseContainer.js';
+import CollisionDetectionMethod from './CollisionDetectionMethod.js';
+import CollisionDetector from './CollisionDetector.js';
+import EventDrivenCollisionDetector from './EventDrivenCollisionDetector.js';
+import Particle from './Particle.js';
+import ParticleUtils from './ParticleUtils.js';
+
+// constants
+const MASS = 4; // AMU, same as light particles, see SpeciesDescriptors
+const RADIUS = GasPropertiesConstants.RADIUS_RANGE.min; // pm
+const TEMPERATURE = 300; // K
+
+const CollisionDetectorBenchmark = {
+
+  /**
+   * Runs the benchmark, and logs the mean time per step for each combination of number of particles and
+   * collision detection method.
+   * @param {Object} [options]
+   * @returns {Object[]} results, 1 per combination, with fields numberOfParticles, method, and meanStepTime (in ms)
+   * @public
+   */
+  run( options ) {
+
+    options = merge( {
+      particleCounts: [ 500, 1000, 5000 ], // number of particles to benchmark
+      numberOfWarmupSteps: 10, // steps that are not timed, so that the JIT compiler has a chance to optimize
+      numberOfSteps: 100, // steps that are timed
+      dt: 0.04 // time step, in ps, about 1 frame at normal speed, see TimeTransform.NORMAL
+    }, options );
+
+    assert && assert( Array.isArray( options.particleCounts ), `invalid particleCounts: ${options.particleCounts}` );
+
+    const results = [];
+    options.particleCounts.forEach( numberOfParticles => {
+      CollisionDetectionMethod.VALUES.forEach( method => {
+        const meanStepTime = benchmark( numberOfParticles, method, options );
+        results.push( {
+          numberOfParticles: numberOfParticles,
+          method: method.name,
+          meanStepTime: meanStepTime
+        } );
+        phet.log && phet.log( `CollisionDetectorBenchmark: N=${numberOfParticles} method=${method.name} ` +
+                              `mean step time=${meanStepTime.toFixed( 3 )} ms` );
+      } );
+    } );
+    return results;
+  }
+};
+
+/**
+ * Benchmarks one combination of number of particles and collision detection method.
+ * @param {number} numberOfParticles
+ * @param {CollisionDetectionMethod} method
+ * @param {Object} options - see CollisionDetectorBenchmark.run
+ * @returns {number} mean time per step, in ms
+ */
+function benchmark( numberOfParticles, method, options ) {
+
+  const container = new BaseContainer( {
+    widthRange: new RangeWithValue( 5000, 15000, 15000 ),
+    tandem: Tandem.OPT_OUT
+  } );
+  const bounds = container.boundsProperty.value;
+
+  const random = new Random( { seed: GasPropertiesQueryParameters.seed } );
+  const speed = Math.sqrt( 3 * GasPropertiesConstants.BOLTZMANN * TEMPERATURE / MASS );
+  const particles = [];
+  for ( let i = 0; i < numberOfParticles; i++ ) {
+    const particle = new Particle( {
+      mass: MASS,
+      radius: RADIUS
+    } );
+    particle.setPositionXY(
+      random.nextDoubleBetween( bounds.minX + RADIUS, bounds.maxX - RADIUS ),
+      random.nextDoubleBetween( bounds.minY + RADIUS, bounds.maxY - RADIUS )
+    );
+    particle.setVelocityPolar( speed, random.nextDouble() * 2 * Math.PI );
+    particles.push( particle );
+  }
+
+  const CollisionDetectorConstructor = ( method === CollisionDetectionMethod.EVENT_DRIVEN ) ?
+                                       EventDrivenCollisionDetector : CollisionDetector;
+  const collisionDetector = new CollisionDetectorConstructor( container, [ particles ], new BooleanProperty( true ) );
+
+  const step = () => {
+    ParticleUtils.stepParticles( particles, options.dt );
+    collisionDetector.update( options.dt );
+  };
+
+  for ( let i = 0; i < options.numberOfWarmupSteps; i++ ) {
+    step();
+  }
+
+  const startTime = window.performance.now();
+  for ( let i = 0; i < options.numberOfSteps; i++ ) {
+    step();
+  }
+  const elapsedTime = window.performance.now() - startTime;
+
+  particles.forEach( particle => particle.dispose() );
+
+  return elapsedTime / options.numberOfSteps;
+}
+
+gasProperties.register( 'CollisionDetectorBenchmark', CollisionDetectorBenchmark );
+export default CollisionDetectorBenchmark;
@@ -0,0 +1,15 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ContainerWall is an enumeration of the walls of the container.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import gasProperties from '../../gasProperties.js';
+
+const ContainerWall = Enumeration.byKeys( [ 'LEFT', 'RIGHT', 'TOP', 'BOTTOM' ] );
+
+gasProperties.register( 'ContainerWall', ContainerWall );
+export default ContainerWall;
@@ -0,0 +1,121 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DataRecorder is a sub-model of BaseModel. It records the model's measurements while the stopwatch is running, so that
+ * they can be exported, see DataSerializer. Each record is the measurements, plus the time on the stopwatch, in ps.
+ * A record is taken when the stopwatch is started, then at a fixed period of stopwatch time.
+ *
+ * What is measured depends on the model, see BaseModel.getMeasurements. Recording is independent of the view, so
+ * it also works with ModelRunner.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Stopwatch from '../../../../scenery-phet/js/Stopwatch.js';
+import gasProperties from '../../gasProperties.js';
+
+class DataRecorder {
+
+  /**
+   * @param {Stopwatch} stopwatch - provides the timestamps, recording happens only while the stopwatch is running
+   * @param {function():Object} getMeasurements - gets the measurements for 1 record
+   * @param {function():Object} getMeasurementUnits - gets the units of the measurements, see DataSerializer
+   * @param {Object} [options]
+   */
+  constructor( stopwatch, getMeasurements, getMeasurementUnits, options ) {
+    assert && assert( stopwatch instanceof Stopwatch, `invalid stopwatch: ${stopwatch}` );
+    assert && assert( typeof getMeasurements === 'function', `invalid getMeasurements: ${getMeasurements}` );
+    assert && assert( typeof getMeasurementUnits === 'function',
+      `invalid getMeasurementUnits: ${getMeasurementUnits}` );
+
+    options = merge( {
+      samplePeriod: 1 // time between records, in ps
+    }, options );
+
+    assert && assert( options.samplePeriod > 0, `invalid samplePeriod: ${options.samplePeriod}` );
+
+    // @private
+    this.stopwatch = stopwatch;
+    this.getMeasurements = getMeasurements;
+    this.getMeasurementUnits = getMeasurementUnits;
+    this.samplePeriod = options.samplePeriod;
+
+    // @public (read-only) {Object[]} records, oldest first. Each record has a time field, in ps.
+    this.records = [];
+
+    // @public (read-only) the number of records, for display
+    this.numberOfRecordsProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      isValidValue: value => ( value >= 0 )
+    } );
+
+    // @private {number} stopwatch time since the most recent record, in ps
+    this.dtAccumulator = 0;
+
+    // Take a record when the stopwatch is started.
+    stopwatch.isRunningProperty.lazyLink( isRunning => {
+      if ( isRunning ) {
+        this.dtAccumulator = 0;
+        this.record();
+      }
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.clear();
+  }
+
+  /**
+   * Discards all records.
+   * @public
+   */
+  clear() {
+    this.records.length = 0;
+    this.numberOfRecordsProperty.value = 0;
+    this.dtAccumulator = 0;
+  }
+
+  /**
+   * Takes a record if the stopwatch is running, and the sample period has elapsed. Call this after the model has been
+   * stepped, so that the measurements and the stopwatch are up to date.
+   * @param {number} dt - time step, in ps
+   * @public
+   */
+  step( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    if ( this.stopwatch.isRunningProperty.value ) {
+      this.dtAccumulator += dt;
+      if ( this.dtAccumulator >= this.samplePeriod ) {
+        this.dtAccumulator = this.dtAccumulator % this.samplePeriod;
+        this.record();
+      }
+    }
+  }
+
+  /**
+   * Gets the units of each record, including the time field.
+   * @returns {Object} see DataSerializer
+   * @public
+   */
+  getUnits() {
+    return merge( { time: 'ps' }, this.getMeasurementUnits() );
+  }
+
+  /**
+   * Takes a record of the current measurements.
+   * @private
+   */
+  record() {
+    this.records.push( merge( { time: this.stopwatch.timeProperty.value }, this.getMeasurements() ) );
+    this.numberOfRecordsProperty.value = this.records.length;
+  }
+}
+
+gasProperties.register( 'DataRecorder', DataRecorder );
+export default DataRecorder;
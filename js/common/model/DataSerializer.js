@@ -0,0 +1,136 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DataSerializer converts records of measurements to CSV or JSON, for export. It has no dependencies on the view or
+ * the DOM, so it can be used with ModelRunner, and tested in Node.
+ *
+ * A record is a plain object, whose values are numbers, strings, booleans, null, arrays, or nested records. For CSV,
+ * records are flattened so that there is 1 column per number, and nested keys are joined with '.', e.g.
+ * { averageSpeed: { heavy: 500 } } has column 'averageSpeed.heavy', and { speedBinCounts: [ 2, 5 ] } has columns
+ * 'speedBinCounts.0' and 'speedBinCounts.1'.
+ *
+ * Units are described by an object whose keys are flattened keys, or prefixes of flattened keys, e.g.
+ * { time: 'ps', averageSpeed: 'pm/ps' }. The units of a column are the units of its longest matching key.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import gasProperties from '../../gasProperties.js';
+
+const DataSerializer = {
+
+  /**
+   * Converts records to CSV. The first row is the column names, with units in parentheses. Columns are in the order
+   * that they first appear in the records. Values that are null or missing are empty.
+   * @param {Object[]} records
+   * @param {Object} units
+   * @returns {string}
+   * @public
+   */
+  toCSV( records, units ) {
+    assert && assert( Array.isArray( records ), `invalid records: ${records}` );
+    assert && assert( typeof units === 'object', `invalid units: ${units}` );
+
+    const flatRecords = records.map( record => flatten( record ) );
+
+    // Column names, in the order that they first appear
+    const keys = [];
+    flatRecords.forEach( flatRecord => {
+      Object.keys( flatRecord ).forEach( key => {
+        if ( keys.indexOf( key ) === -1 ) {
+          keys.push( key );
+        }
+      } );
+    } );
+
+    const header = keys.map( key => {
+      const keyUnits = getUnits( key, units );
+      return toCSVField( keyUnits ? `${key} (${keyUnits})` : key );
+    } );
+
+    const rows = flatRecords.map( flatRecord => keys.map( key => toCSVField( flatRecord[ key ] ) ) );
+
+    return [ header ].concat( rows ).map( row => row.join( ',' ) ).join( '\n' ) + '\n';
+  },
+
+  /**
+   * Converts records to JSON, as an object with the units and the records.
+   * @param {Object[]} records
+   * @param {Object} units
+   * @returns {string}
+   * @public
+   */
+  toJSON( records, units ) {
+    assert && assert( Array.isArray( records ), `invalid records: ${records}` );
+    assert && assert( typeof units === 'object', `invalid units: ${units}` );
+
+    return JSON.stringify( {
+      units: units,
+      records: records
+    }, null, 2 );
+  }
+};
+
+/**
+ * Flattens a record, so that it has no nested records or arrays.
+ * @param {Object} record
+ * @returns {Object} keys are flattened keys, values are numbers, strings, booleans or null
+ */
+function flatten( record ) {
+  const flatRecord = {};
+  addFlattenedValues( record, '', flatRecord );
+  return flatRecord;
+}
+
+/**
+ * Adds the values of a record or array to a flattened record, recursively.
+ * @param {Object|Array} value
+ * @param {string} prefix - prefix for the flattened keys
+ * @param {Object} flatRecord - the flattened record
+ */
+function addFlattenedValues( value, prefix, flatRecord ) {
+  Object.keys( value ).forEach( key => {
+    const flatKey = prefix + key;
+    const childValue = value[ key ];
+    if ( childValue !== null && typeof childValue === 'object' ) {
+      addFlattenedValues( childValue, `${flatKey}.`, flatRecord );
+    }
+    else {
+      flatRecord[ flatKey ] = childValue;
+    }
+  } );
+}
+
+/**
+ * Gets the units for a flattened key, from its longest matching key in units.
+ * @param {string} key - a flattened key
+ * @param {Object} units
+ * @returns {string|null} null if there are no units
+ */
+function getUnits( key, units ) {
+  let prefix = key;
+  while ( prefix.length > 0 ) {
+    if ( units.hasOwnProperty( prefix ) ) {
+      return units[ prefix ];
+    }
+    const index = prefix.lastIndexOf( '.' );
+    prefix = ( index === -1 ) ? '' : prefix.substring( 0, index );
+  }
+  return null;
+}
+
+/**
+ * Converts a value to a CSV field. Strings that contain a delimiter or quote are quoted, as specified by RFC 4180.
+ * @param {number|string|boolean|null|undefined} value
+ * @returns {string}
+ */
+function toCSVField( value ) {
+  if ( value === null || value === undefined ) {
+    return '';
+  }
+  const field = String( value );
+  return /[",\r\n]/.test( field ) ? `"${field.replace( /"/g, '""' )}"` : field;
+}
+
+gasProperties.register( 'DataSerializer', DataSerializer );
+export default DataSerializer;
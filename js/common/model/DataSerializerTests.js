@@ -0,0 +1,102 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DataSerializer tests
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DataSerializer from './DataSerializer.js';
+
+QUnit.module( 'DataSerializer' );
+
+/**
+ * Splits CSV into rows, for tests whose fields do not contain newlines.
+ * @param {string} csv
+ * @returns {string[]}
+ */
+function getRows( csv ) {
+  return csv.split( '\n' ).filter( row => row.length > 0 );
+}
+
+QUnit.test( 'nested objects and arrays are flattened', assert => {
+  const records = [
+    { time: 0, averageSpeed: { heavy: 500, light: 700 }, speedBinCounts: [ 2, 5 ] },
+    { time: 1, averageSpeed: { heavy: 510, light: 690 }, speedBinCounts: [ 3, 4 ] }
+  ];
+  const rows = getRows( DataSerializer.toCSV( records, {} ) );
+  assert.equal( rows.length, 3, 'header and 1 row per record' );
+  assert.equal( rows[ 0 ], 'time,averageSpeed.heavy,averageSpeed.light,speedBinCounts.0,speedBinCounts.1',
+    'nested keys are joined with \'.\', array elements are columns' );
+  assert.equal( rows[ 1 ], '0,500,700,2,5' );
+  assert.equal( rows[ 2 ], '1,510,690,3,4' );
+
+  const deepRows = getRows( DataSerializer.toCSV( [ { a: { b: [ { c: 1 } ] } } ], {} ) );
+  assert.equal( deepRows[ 0 ], 'a.b.0.c', 'objects in arrays are flattened' );
+  assert.equal( deepRows[ 1 ], '1' );
+} );
+
+QUnit.test( 'units are the units of the longest matching key', assert => {
+  const records = [ { time: 0, energy: { total: 1, heavy: { kinetic: 2, rotational: 3 } }, count: 4 } ];
+  const units = {
+    time: 'ps',
+    energy: 'zJ',
+    'energy.heavy': 'AMU*pm^2/ps^2',
+    'energy.heavy.rotational': 'J'
+  };
+  const header = getRows( DataSerializer.toCSV( records, units ) )[ 0 ];
+  assert.equal( header, [
+    'time (ps)',
+    'energy.total (zJ)',
+    'energy.heavy.kinetic (AMU*pm^2/ps^2)',
+    'energy.heavy.rotational (J)',
+    'count'
+  ].join( ',' ), 'exact key, prefixes, and no units' );
+
+  // A prefix matches only at '.' boundaries, so 'energy' does not match 'energyLoss'.
+  const boundaryHeader = getRows( DataSerializer.toCSV( [ { energyLoss: 1 } ], { energy: 'zJ' } ) )[ 0 ];
+  assert.equal( boundaryHeader, 'energyLoss', 'prefix must end at a \'.\'' );
+} );
+
+QUnit.test( 'fields are quoted as specified by RFC 4180', assert => {
+  const records = [ {
+    plain: 'abc',
+    comma: 'a,b',
+    quote: 'say "hi"',
+    newline: 'line1\nline2',
+    carriageReturn: 'a\rb'
+  } ];
+  const csv = DataSerializer.toCSV( records, {} );
+  assert.equal( csv, 'plain,comma,quote,newline,carriageReturn\n' +
+                     'abc,"a,b","say ""hi""","line1\nline2","a\rb"\n' );
+
+  // Column names are fields too.
+  const header = getRows( DataSerializer.toCSV( [ { x: 1 } ], { x: 'a,"b"' } ) )[ 0 ];
+  assert.equal( header, '"x (a,""b"")"', 'header is quoted' );
+} );
+
+QUnit.test( 'null and missing values are empty', assert => {
+  const records = [
+    { time: 0, temperature: null },
+    { time: 1 },
+    { time: 2, temperature: 300, pressure: 100 }
+  ];
+  const rows = getRows( DataSerializer.toCSV( records, {} ) );
+  assert.equal( rows[ 0 ], 'time,temperature,pressure', 'columns are in the order that they first appear' );
+  assert.equal( rows[ 1 ], '0,,', 'null and missing are empty' );
+  assert.equal( rows[ 2 ], '1,,', 'missing is empty' );
+  assert.equal( rows[ 3 ], '2,300,100' );
+
+  assert.equal( DataSerializer.toCSV( [ { a: 0, b: false } ], {} ), 'a,b\n0,false\n', '0 and false are not empty' );
+} );
+
+QUnit.test( 'toJSON', assert => {
+  const records = [ { time: 0, averageSpeed: { heavy: 500 }, temperature: null } ];
+  const units = { time: 'ps', averageSpeed: 'pm/ps' };
+  const json = DataSerializer.toJSON( records, units );
+  assert.deepEqual( JSON.parse( json ), { units: units, records: records },
+    'units and records, records are not flattened' );
+  assert.deepEqual( Object.keys( JSON.parse( json ) ), [ 'units', 'records' ], 'units first' );
+
+  assert.deepEqual( JSON.parse( DataSerializer.toJSON( [], {} ) ), { units: {}, records: [] }, 'no records' );
+} );
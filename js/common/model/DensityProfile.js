@@ -0,0 +1,221 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DensityProfile is a sub-model of IdealGasLawModel. It measures the vertical density profile of the particles in
+ * the container, and computes the profile that is predicted by the barometric formula, n(h) ∝ exp(-mgh/kT).
+ * The container is divided into horizontal slices of equal height, and the number of particles in each slice is
+ * averaged over a sample period.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import ArrayIO from '../../../../tandem/js/types/ArrayIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import IdealGasLawContainer from './IdealGasLawContainer.js';
+import ParticleSystem from './ParticleSystem.js';
+
+class DensityProfile {
+
+  /**
+   * @param {ParticleSystem} particleSystem
+   * @param {IdealGasLawContainer} container
+   * @param {Property.<number|null>} temperatureProperty
+   * @param {BooleanProperty} isPlayingProperty
+   * @param {number} samplePeriod - data is averaged over this period, in ps
+   * @param {Object} [options]
+   */
+  constructor( particleSystem, container, temperatureProperty, isPlayingProperty, samplePeriod, options ) {
+    assert && assert( particleSystem instanceof ParticleSystem, `invalid particleSystem: ${particleSystem}` );
+    assert && assert( container instanceof IdealGasLawContainer, `invalid container: ${container}` );
+    assert && assert( temperatureProperty instanceof Property, `invalid temperatureProperty: ${temperatureProperty}` );
+    assert && assert( isPlayingProperty instanceof BooleanProperty, `invalid isPlayingProperty: ${isPlayingProperty}` );
+    assert && assert( typeof samplePeriod === 'number' && samplePeriod > 0, `invalid samplePeriod: ${samplePeriod}` );
+
+    options = merge( {
+      numberOfBins: 10, // number of horizontal slices
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.particleSystem = particleSystem;
+    this.container = container;
+    this.temperatureProperty = temperatureProperty;
+    this.isPlayingProperty = isPlayingProperty;
+    this.samplePeriod = samplePeriod;
+
+    // @public (read-only)
+    this.numberOfBins = options.numberOfBins;
+    this.binHeight = container.height / this.numberOfBins; // in pm
+
+    // Initialize with 0 in all bins
+    const emptyBins = [];
+    for ( let i = this.numberOfBins - 1; i >= 0; i-- ) {
+      emptyBins[ i ] = 0;
+    }
+
+    const binCountsPropertyOptions = {
+      isValidValue: value => ( Array.isArray( value ) && value.length === this.numberOfBins ),
+      phetioType: PropertyIO( ArrayIO( NumberIO ) ),
+      phetioReadOnly: true // derived from the state of the particle system
+    };
+
+    // @public (read-only) average number of particles in each slice, ordered from bottom to top
+    this.binCountsProperty = new Property( emptyBins, merge( {}, binCountsPropertyOptions, {
+      tandem: options.tandem.createTandem( 'binCountsProperty' ),
+      phetioDocumentation: 'average number of particles in each horizontal slice of the container, bottom to top'
+    } ) );
+
+    // @public (read-only) number of particles in each slice predicted by the barometric formula, bottom to top
+    this.predictedBinCountsProperty = new Property( emptyBins, merge( {}, binCountsPropertyOptions, {
+      tandem: options.tandem.createTandem( 'predictedBinCountsProperty' ),
+      phetioDocumentation: 'number of particles in each horizontal slice of the container predicted by the ' +
+                           'barometric formula, bottom to top'
+    } ) );
+
+    // @private
+    this.binCountSums = emptyBins.slice(); // {number[]} sums of the bin counts for each sample
+    this.dtAccumulator = 0;
+    this.numberOfSamples = 0;
+
+    // Clear sample data when the play state changes, so that we can update immediately if manually stepping.
+    isPlayingProperty.link( () => {
+      this.clearSamples();
+    } );
+
+    // If the number of particles becomes zero, or changes while paused, update immediately.
+    particleSystem.numberOfParticlesProperty.link( numberOfParticles => {
+      if ( numberOfParticles === 0 || !isPlayingProperty.value ) {
+        this.clearSamples();
+        this.step( this.samplePeriod ); // using the sample period causes an immediate update
+      }
+    } );
+  }
+
+  /**
+   * Resets this model.
+   * @public
+   */
+  reset() {
+    this.clearSamples();
+  }
+
+  /**
+   * Clears the sample data.
+   * @private
+   */
+  clearSamples() {
+    this.dtAccumulator = 0;
+    this.numberOfSamples = 0;
+    for ( let i = this.binCountSums.length - 1; i >= 0; i-- ) {
+      this.binCountSums[ i ] = 0;
+    }
+  }
+
+  /**
+   * Steps the density profile.
+   * @param {number} dt - time delta, in ps
+   * @public
+   */
+  step( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    this.dtAccumulator += dt;
+    this.sample();
+
+    // Update now if we've reached the end of the sample period, or if we're manually stepping
+    if ( this.dtAccumulator >= this.samplePeriod || !this.isPlayingProperty.value ) {
+      this.update();
+    }
+  }
+
+  /**
+   * Takes a data sample, adding the number of particles in each slice to binCountSums.
+   * @private
+   */
+  sample() {
+    const bottom = this.container.bottom;
+    const particleArrays = this.particleSystem.insideParticleArrays;
+    for ( let i = particleArrays.length - 1; i >= 0; i-- ) {
+      const particles = particleArrays[ i ];
+      for ( let j = particles.length - 1; j >= 0; j-- ) {
+        const index = Math.floor( ( particles[ j ].position.y - bottom ) / this.binHeight );
+        this.binCountSums[ Math.min( Math.max( index, 0 ), this.numberOfBins - 1 ) ]++;
+      }
+    }
+    this.numberOfSamples++;
+  }
+
+  /**
+   * Updates the bin counts using the current sample data, and computes the predicted bin counts.
+   * @private
+   */
+  update() {
+    assert && assert( this.numberOfSamples > 0, 'update requires at least 1 sample' );
+
+    this.binCountsProperty.value = this.binCountSums.map( sum => sum / this.numberOfSamples );
+    this.predictedBinCountsProperty.value = this.computePredictedBinCounts();
+
+    // Clear sample data in preparation for the next sample period.
+    this.clearSamples();
+  }
+
+  /**
+   * Computes the bin counts predicted by the barometric formula, n(h) ∝ exp(-mgh/kT). For particles of mass m,
+   * integrating over the height H of the container gives the fraction of particles in slice [h0,h1] as
+   * (exp(-h0/λ) - exp(-h1/λ))/(1 - exp(-H/λ)), where λ = kT/mg is the scale height.
+   * @returns {number[]}
+   * @private
+   */
+  computePredictedBinCounts() {
+
+    const binCounts = [];
+    for ( let i = 0; i < this.numberOfBins; i++ ) {
+      binCounts[ i ] = 0;
+    }
+
+    const temperature = this.temperatureProperty.value;
+    const gDown = -this.particleSystem.gravityProperty.value.y; // vertical component of gravity, positive is down
+    const H = this.container.height;
+
+    // Count particles by mass, since the profile depends on mass.
+    const countsByMass = {};
+    const particleArrays = this.particleSystem.insideParticleArrays;
+    for ( let i = particleArrays.length - 1; i >= 0; i-- ) {
+      const particles = particleArrays[ i ];
+      for ( let j = particles.length - 1; j >= 0; j-- ) {
+        const mass = particles[ j ].mass;
+        countsByMass[ mass ] = ( countsByMass[ mass ] || 0 ) + 1;
+      }
+    }
+
+    for ( const mass in countsByMass ) {
+      const count = countsByMass[ mass ];
+
+      // x = H/λ = mgH/kT
+      const x = temperature ? ( mass * gDown * H ) / ( GasPropertiesConstants.BOLTZMANN * temperature ) : 0;
+
+      for ( let i = 0; i < this.numberOfBins; i++ ) {
+        let fraction = 1 / this.numberOfBins; // uniform distribution when there is no vertical gravity
+        if ( Math.abs( x ) > 1E-9 ) {
+          const x0 = x * i / this.numberOfBins;
+          const x1 = x * ( i + 1 ) / this.numberOfBins;
+          fraction = ( Math.exp( -x0 ) - Math.exp( -x1 ) ) / -Math.expm1( -x );
+        }
+        binCounts[ i ] += count * fraction;
+      }
+    }
+    return binCounts;
+  }
+}
+
+gasProperties.register( 'DensityProfile', DensityProfile );
+export default DensityProfile;
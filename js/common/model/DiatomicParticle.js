@@ -0,0 +1,114 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DiatomicParticle is a molecule that consists of 2 identical atoms, and that rotates in the plane of the container.
+ * In addition to the state of Particle, it has an orientation and an angular velocity. It is rendered as 2 atoms of
+ * radius r/2, whose centers are r/2 from the particle's center, where r is the particle's radius. So the molecule's
+ * moment of inertia is 2 * (m/2) * (r/2)^2 = m * r^2 / 4.
+ *
+ * For collision detection, a diatomic particle is still a disk with the particle's radius. Collisions exchange energy
+ * between translation and rotation, see RotationalEnergyExchange.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import gasProperties from '../../gasProperties.js';
+import Particle from './Particle.js';
+
+class DiatomicParticle extends Particle {
+
+  /**
+   * @param {Object} [options] - see Particle
+   */
+  constructor( options ) {
+
+    options = merge( {
+      orientation: 0, // angle of the molecule's axis, in radians
+      angularVelocity: 0 // rad/ps
+    }, options );
+
+    super( options );
+
+    // @public
+    this.orientation = options.orientation; // radians
+    this.angularVelocity = options.angularVelocity; // rad/ps
+  }
+
+  /**
+   * Gets the moment of inertia about the particle's center.
+   * @returns {number} AMU * pm^2
+   * @public
+   */
+  getMomentOfInertia() {
+    return this.mass * this.radius * this.radius / 4;
+  }
+
+  /**
+   * Gets the rotational kinetic energy.
+   * @returns {number} AMU * pm^2 / ps^2
+   * @public
+   */
+  getRotationalEnergy() {
+    return 0.5 * this.getMomentOfInertia() * this.angularVelocity * this.angularVelocity; // KE = (1/2) * I * w^2
+  }
+
+  /**
+   * Sets the rotational kinetic energy, while preserving the direction of rotation.
+   * @param {number} rotationalEnergy - AMU * pm^2 / ps^2
+   * @public
+   */
+  setRotationalEnergy( rotationalEnergy ) {
+    assert && assert( typeof rotationalEnergy === 'number' && rotationalEnergy >= 0,
+      `invalid rotationalEnergy: ${rotationalEnergy}` );
+    const sign = ( this.angularVelocity < 0 ) ? -1 : 1;
+    this.angularVelocity = sign * Math.sqrt( 2 * rotationalEnergy / this.getMomentOfInertia() );
+  }
+
+  /**
+   * Rotates this particle by one time step.
+   * @param {number} dt - time delta, in ps
+   * @public
+   */
+  rotate( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+    this.orientation = ( this.orientation + dt * this.angularVelocity ) % ( 2 * Math.PI );
+  }
+
+  /**
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  toStateObject() {
+    return merge( super.toStateObject(), {
+      orientation: this.orientation, // radians
+      angularVelocity: this.angularVelocity // rad/ps
+    } );
+  }
+
+  /**
+   * @param {Object} stateObject - see toStateObject
+   * @public
+   * @override
+   */
+  applyState( stateObject ) {
+    super.applyState( stateObject );
+    this.orientation = stateObject.orientation;
+    this.angularVelocity = stateObject.angularVelocity;
+  }
+
+  /**
+   * String representation of this particle. For debugging only, do not rely on format.
+   * @returns {string}
+   * @public
+   * @override
+   */
+  toString() {
+    return `DiatomicParticle[position:(${this.position.x},${this.position.y}) mass:${this.mass} ` +
+           `radius:${this.radius} orientation:${this.orientation} angularVelocity:${this.angularVelocity}]`;
+  }
+}
+
+gasProperties.register( 'DiatomicParticle', DiatomicParticle );
+export default DiatomicParticle;
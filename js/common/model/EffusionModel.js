@@ -0,0 +1,213 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * EffusionModel is a sub-model of IdealGasLawModel. It owns an Aperture in a wall of the container, and records the
+ * rate at which each species of particle escapes through it, as a function of time.
+ *
+ * Graham's law says that the rate of effusion is inversely proportional to the square root of mass, because it is
+ * proportional to mean speed. So for species 1 and 2 at the same temperature, r1/r2 = √(m2/m1). The rates that are
+ * compared are rates per particle in the container, so that the ratio does not depend on how many particles of each
+ * species there are, or on the light species being depleted faster than the heavy species. The ratio is for the first
+ * 2 species, and is accumulated for as long as the aperture has been open since the recording was cleared, because
+ * effusion through a pinhole is too slow for the ratio over a short time to be meaningful.
+ *
+ * Time is model time, and advances whenever the model is stepped, whether or not the stopwatch is running.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import DerivedPropertyIO from '../../../../axon/js/DerivedPropertyIO.js';
+import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import gasProperties from '../../gasProperties.js';
+import Aperture from './Aperture.js';
+import IdealGasLawContainer from './IdealGasLawContainer.js';
+import ParticleSystem from './ParticleSystem.js';
+
+// constants
+const PROPERTY_OPTIONS = {
+  isValidValue: value => ( value === null || ( typeof value === 'number' && value >= 0 ) ),
+  phetioType: PropertyIO( NullableIO( NumberIO ) ),
+  phetioReadOnly: true // derived from the state of the particle system
+};
+
+class EffusionModel {
+
+  /**
+   * @param {ParticleSystem} particleSystem
+   * @param {IdealGasLawContainer} container
+   * @param {Object} [options]
+   */
+  constructor( particleSystem, container, options ) {
+    assert && assert( particleSystem instanceof ParticleSystem, `invalid particleSystem: ${particleSystem}` );
+    assert && assert( container instanceof IdealGasLawContainer, `invalid container: ${container}` );
+
+    options = merge( {
+      samplePeriod: 10, // time between samples, in ps
+      maxDuration: 1000, // samples older than this are discarded, in ps
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( options.samplePeriod > 0, `invalid samplePeriod: ${options.samplePeriod}` );
+    assert && assert( options.maxDuration > options.samplePeriod, `invalid maxDuration: ${options.maxDuration}` );
+
+    // @private
+    this.particleSystem = particleSystem;
+    this.samplePeriod = options.samplePeriod;
+    this.maxDuration = options.maxDuration;
+
+    // @public (read-only)
+    this.aperture = new Aperture( container, {
+      tandem: options.tandem.createTandem( 'aperture' )
+    } );
+
+    // @public (read-only) {Property.<number|null>[]} number of particles of each species that escaped through the
+    // aperture per ps, during the most recent sample period, null until the first sample. In the same order as
+    // particleSystem.species.
+    this.escapeRateProperties = particleSystem.species.map( species =>
+      new Property( null, merge( {}, PROPERTY_OPTIONS, {
+        units: '1/ps',
+        tandem: options.tandem.createTandem( `${species.name}EscapeRateProperty` ),
+        phetioDocumentation: `number of ${species.name} particles that escaped through the aperture per ps`
+      } ) ) );
+
+    // @public (read-only) {Property.<number|null>} ratio of the escape rates per particle of the first 2 species,
+    // r1/r0, null if there are fewer than 2 species, or no particles of the first species have escaped
+    this.escapeRateRatioProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      tandem: options.tandem.createTandem( 'escapeRateRatioProperty' ),
+      phetioDocumentation: 'ratio of the escape rates per particle of the first 2 species, since the recording ' +
+                           'was cleared'
+    } ) );
+
+    // @public (read-only) {DerivedProperty.<number|null>} ratio predicted by Graham's law, √(m0/m1),
+    // null if there are fewer than 2 species
+    const massProperties = particleSystem.species.slice( 0, 2 ).map( species => species.massProperty );
+    this.theoreticalEscapeRateRatioProperty = new DerivedProperty( massProperties,
+      ( mass0, mass1 ) => ( massProperties.length === 2 ) ? Math.sqrt( mass0 / mass1 ) : null, {
+        tandem: options.tandem.createTandem( 'theoreticalEscapeRateRatioProperty' ),
+        phetioType: DerivedPropertyIO( NullableIO( NumberIO ) ),
+        phetioDocumentation: 'ratio of the escape rates of the first 2 species predicted by Graham\'s law, √(m0/m1)'
+      } );
+
+    // @public (read-only) {number} time since the recording was cleared, in ps
+    this.time = 0;
+
+    // @public (read-only) {{time:number, escapeRates:number[]}[]} samples, oldest first, in ps and 1/ps.
+    // escapeRates are in the same order as particleSystem.species.
+    this.samples = [];
+
+    // @public (read-only) {number[]} number of particles of each species that escaped since the recording was cleared
+    this.numberOfParticlesEscaped = particleSystem.species.map( () => 0 );
+
+    // @private {number[]} sum of N * dt for each species while the aperture was open, in ps
+    this.particleTimes = particleSystem.species.map( () => 0 );
+
+    // @private {number[]} number of particles of each species that escaped during the current sample period
+    this.sampleEscapes = particleSystem.species.map( () => 0 );
+
+    // @private {number} time since the most recent sample, in ps
+    this.dtAccumulator = 0;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.aperture.reset();
+    this.clear();
+  }
+
+  /**
+   * Clears the recording.
+   * @public
+   */
+  clear() {
+    this.time = 0;
+    this.dtAccumulator = 0;
+    this.samples.length = 0;
+    for ( let i = this.numberOfParticlesEscaped.length - 1; i >= 0; i-- ) {
+      this.numberOfParticlesEscaped[ i ] = 0;
+      this.particleTimes[ i ] = 0;
+      this.sampleEscapes[ i ] = 0;
+    }
+    this.escapeRateProperties.forEach( property => property.reset() );
+    this.escapeRateRatioProperty.reset();
+  }
+
+  /**
+   * Allows particles to escape through the aperture. Call this after particles have moved, and before collision
+   * detection, which would keep them inside the container.
+   * @public
+   */
+  effuseParticles() {
+    const numberOfParticlesEscaped = this.particleSystem.effuseParticles( this.aperture );
+    for ( let i = numberOfParticlesEscaped.length - 1; i >= 0; i-- ) {
+      this.numberOfParticlesEscaped[ i ] += numberOfParticlesEscaped[ i ];
+      this.sampleEscapes[ i ] += numberOfParticlesEscaped[ i ];
+    }
+  }
+
+  /**
+   * Accumulates the number of particles that could have escaped, and records a sample if the sample period has
+   * elapsed.
+   * @param {number} dt - time step, in ps
+   * @public
+   */
+  step( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    if ( this.aperture.isOpenProperty.value ) {
+      const species = this.particleSystem.species;
+      for ( let i = species.length - 1; i >= 0; i-- ) {
+        this.particleTimes[ i ] += species[ i ].numberOfParticlesProperty.value * dt;
+      }
+    }
+
+    this.time += dt;
+    this.dtAccumulator += dt;
+    if ( this.dtAccumulator >= this.samplePeriod ) {
+      this.dtAccumulator = this.dtAccumulator % this.samplePeriod;
+
+      // Discard samples that are older than the maximum duration.
+      while ( this.samples.length > 0 && this.time - this.samples[ 0 ].time > this.maxDuration ) {
+        this.samples.shift();
+      }
+      this.recordSample();
+    }
+  }
+
+  /**
+   * Records the escape rates for the sample period that just ended, and updates Properties.
+   * @private
+   */
+  recordSample() {
+    const escapeRates = this.sampleEscapes.map( escapes => escapes / this.samplePeriod );
+    for ( let i = escapeRates.length - 1; i >= 0; i-- ) {
+      this.escapeRateProperties[ i ].value = escapeRates[ i ];
+      this.sampleEscapes[ i ] = 0;
+    }
+
+    // Ratio of the escape rates per particle, since the recording was cleared
+    let escapeRateRatio = null;
+    if ( escapeRates.length >= 2 && this.numberOfParticlesEscaped[ 0 ] > 0 && this.particleTimes[ 1 ] > 0 ) {
+      escapeRateRatio = ( this.numberOfParticlesEscaped[ 1 ] / this.particleTimes[ 1 ] ) /
+                        ( this.numberOfParticlesEscaped[ 0 ] / this.particleTimes[ 0 ] );
+    }
+    this.escapeRateRatioProperty.value = escapeRateRatio;
+
+    this.samples.push( {
+      time: this.time, // ps
+      escapeRates: escapeRates // 1/ps
+    } );
+  }
+}
+
+gasProperties.register( 'EffusionModel', EffusionModel );
+export default EffusionModel;
@@ -0,0 +1,260 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * EnergyLedger is a sub-model of IdealGasLawModel. It accounts for the energy that is transferred to and from the gas
+ * in the container, so that the First Law of Thermodynamics can be checked:
+ *
+ *   ΔU = Q + W - Eescaped + Eparticles
+ *
+ * where U is the internal energy of the gas (translational plus rotational), Q is the heat added by the heater/cooler
+ * (and by holding temperature constant), W is the work done by the container's moving left wall, Eescaped is the
+ * energy carried away by particles that escape through the container's lid, and Eparticles is the energy of particles
+ * that the user adds to (or removes from) the container. All quantities are accumulated since the ledger was reset.
+ *
+ * Q, Eescaped and Eparticles are measured by comparing the internal energy before and after the operation that
+ * transfers them. W (and Q, when heat is added by a ThermalWall) is measured by the collision detector, one collision
+ * at a time. Anything else that changes the internal energy (inelastic collisions, gravity, attractions) is not
+ * accounted for, and appears as the difference between the 2 sides of the equation.
+ *
+ * The ledger also measures heat capacity as ΔQ/ΔT, where ΔT is the change in temperature since the ledger was reset.
+ * This is the heat capacity at constant volume, provided that no work is done and no particles are exchanged.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+
+// constants
+const ENERGY_PROPERTY_OPTIONS = {
+  units: 'AMU * pm^2 / ps^2',
+  phetioReadOnly: true // derived from the state of the particle system
+};
+
+// Heat capacity is not computed until the temperature has changed by this much, in K, because dividing by a small
+// change in temperature amplifies the noise in temperature.
+const MIN_TEMPERATURE_CHANGE = 10;
+
+class EnergyLedger {
+
+  /**
+   * @param {function:number} getInternalEnergy - gets the internal energy of the gas, in AMU * pm^2 / ps^2
+   * @param {NumberProperty} numberOfParticlesProperty - the number of particles in the container
+   * @param {Property.<number|null>} temperatureProperty - temperature in the container, in K, null if empty
+   * @param {Object} [options]
+   */
+  constructor( getInternalEnergy, numberOfParticlesProperty, temperatureProperty, options ) {
+    assert && assert( typeof getInternalEnergy === 'function', `invalid getInternalEnergy: ${getInternalEnergy}` );
+    assert && assert( numberOfParticlesProperty instanceof NumberProperty,
+      `invalid numberOfParticlesProperty: ${numberOfParticlesProperty}` );
+    assert && assert( temperatureProperty instanceof Property, `invalid temperatureProperty: ${temperatureProperty}` );
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.getInternalEnergy = getInternalEnergy;
+    this.numberOfParticlesProperty = numberOfParticlesProperty;
+    this.temperatureProperty = temperatureProperty;
+
+    // @public (read-only) heat added to the gas, Q
+    this.heatProperty = new NumberProperty( 0, merge( {}, ENERGY_PROPERTY_OPTIONS, {
+      tandem: options.tandem.createTandem( 'heatProperty' ),
+      phetioDocumentation: 'heat added to the gas since the ledger was reset'
+    } ) );
+
+    // @public (read-only) work done on the gas, W
+    this.workProperty = new NumberProperty( 0, merge( {}, ENERGY_PROPERTY_OPTIONS, {
+      tandem: options.tandem.createTandem( 'workProperty' ),
+      phetioDocumentation: 'work done on the gas by the container\'s left wall since the ledger was reset'
+    } ) );
+
+    // @public (read-only) energy carried away by particles that escaped from the container, net of particles that
+    // gravity returned to the container
+    this.escapedEnergyProperty = new NumberProperty( 0, merge( {}, ENERGY_PROPERTY_OPTIONS, {
+      tandem: options.tandem.createTandem( 'escapedEnergyProperty' ),
+      phetioDocumentation: 'energy carried away by particles that escaped from the container since the ledger was reset'
+    } ) );
+
+    // @public (read-only) energy of particles that were added to the container, net of particles that were removed
+    this.particlesEnergyProperty = new NumberProperty( 0, merge( {}, ENERGY_PROPERTY_OPTIONS, {
+      tandem: options.tandem.createTandem( 'particlesEnergyProperty' ),
+      phetioDocumentation: 'energy of particles that were added to the container since the ledger was reset'
+    } ) );
+
+    // @public (read-only) change in the internal energy of the gas, ΔU
+    this.internalEnergyChangeProperty = new NumberProperty( 0, merge( {}, ENERGY_PROPERTY_OPTIONS, {
+      tandem: options.tandem.createTandem( 'internalEnergyChangeProperty' ),
+      phetioDocumentation: 'change in the internal energy of the gas since the ledger was reset'
+    } ) );
+
+    // @public (read-only) energy that is not accounted for, ΔU - ( Q + W - Eescaped + Eparticles ). This is 0 when
+    // the First Law is satisfied by the quantities that the ledger measures.
+    this.unaccountedEnergyProperty = new NumberProperty( 0, merge( {}, ENERGY_PROPERTY_OPTIONS, {
+      tandem: options.tandem.createTandem( 'unaccountedEnergyProperty' ),
+      phetioDocumentation: 'change in internal energy that is not accounted for by heat, work and particles, ' +
+                           'e.g. due to inelastic collisions, gravity or attractions'
+    } ) );
+
+    // @public (read-only) {Property.<number|null>} heat capacity ΔQ/ΔT, in units of Nk, null if it cannot be computed
+    this.heatCapacityProperty = new Property( null, {
+      isValidValue: value => ( value === null || typeof value === 'number' ),
+      phetioType: PropertyIO( NullableIO( NumberIO ) ),
+      tandem: options.tandem.createTandem( 'heatCapacityProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'heat capacity of the gas in the container, measured as ΔQ/ΔT, in units of Nk'
+    } );
+
+    // @private accumulated quantities, in AMU * pm^2 / ps^2
+    this.heat = 0;
+    this.work = 0;
+    this.escapedEnergy = 0;
+    this.particlesEnergy = 0;
+
+    // @private internal energy when the ledger was reset, in AMU * pm^2 / ps^2
+    this.initialInternalEnergy = 0;
+
+    // @private internal energy when a transfer was last measured, in AMU * pm^2 / ps^2
+    this.measuredInternalEnergy = 0;
+
+    // @private temperature from which heat capacity is measured, in K, and the heat that had been added at that
+    // temperature. Temperature is null until the container has particles.
+    this.initialTemperature = null;
+    this.initialHeat = 0;
+
+    this.reset();
+  }
+
+  /**
+   * Resets the ledger, so that quantities are accumulated from the current state of the gas.
+   * @public
+   */
+  reset() {
+    this.heat = 0;
+    this.work = 0;
+    this.escapedEnergy = 0;
+    this.particlesEnergy = 0;
+    this.initialInternalEnergy = this.getInternalEnergy();
+    this.measuredInternalEnergy = this.initialInternalEnergy;
+    this.initialTemperature = this.temperatureProperty.value;
+    this.initialHeat = 0;
+    this.update();
+  }
+
+  /**
+   * Begins measuring a transfer of energy. Any change in internal energy since the previous measurement is not
+   * accounted for.
+   * @public
+   */
+  beginMeasurement() {
+    this.measuredInternalEnergy = this.getInternalEnergy();
+  }
+
+  /**
+   * Accounts for the change in internal energy since the previous measurement as heat.
+   * @public
+   */
+  addHeat() {
+    this.heat += this.measureInternalEnergyChange();
+  }
+
+  /**
+   * Accounts for the change in internal energy since the previous measurement as energy carried away by particles
+   * that escaped from the container.
+   * @public
+   */
+  addEscapedEnergy() {
+    this.escapedEnergy -= this.measureInternalEnergyChange();
+  }
+
+  /**
+   * Accounts for the change in internal energy since the previous measurement as energy of particles that were
+   * added to or removed from the container.
+   * @public
+   */
+  addParticlesEnergy() {
+    this.particlesEnergy += this.measureInternalEnergyChange();
+  }
+
+  /**
+   * Accounts for heat that was added by the walls of the container. This heat is measured by the collision detector,
+   * so this does not measure the internal energy. See ThermalWall.
+   * @param {number} heat - in AMU * pm^2 / ps^2
+   * @public
+   */
+  addWallHeat( heat ) {
+    assert && assert( typeof heat === 'number' && isFinite( heat ), `invalid heat: ${heat}` );
+    this.heat += heat;
+  }
+
+  /**
+   * Accounts for work done on the gas. Work is measured by the collision detector, so this does not measure
+   * the internal energy.
+   * @param {number} work - in AMU * pm^2 / ps^2
+   * @public
+   */
+  addWork( work ) {
+    assert && assert( typeof work === 'number' && isFinite( work ), `invalid work: ${work}` );
+    this.work += work;
+  }
+
+  /**
+   * Gets the change in internal energy since the previous measurement, and begins a new measurement.
+   * @returns {number} in AMU * pm^2 / ps^2
+   * @private
+   */
+  measureInternalEnergyChange() {
+    const internalEnergy = this.getInternalEnergy();
+    const internalEnergyChange = internalEnergy - this.measuredInternalEnergy;
+    this.measuredInternalEnergy = internalEnergy;
+    return internalEnergyChange;
+  }
+
+  /**
+   * Updates Properties to match the accumulated quantities. Call this after temperature has been updated.
+   * @public
+   */
+  update() {
+
+    const internalEnergyChange = this.getInternalEnergy() - this.initialInternalEnergy;
+    this.heatProperty.value = this.heat;
+    this.workProperty.value = this.work;
+    this.escapedEnergyProperty.value = this.escapedEnergy;
+    this.particlesEnergyProperty.value = this.particlesEnergy;
+    this.internalEnergyChangeProperty.value = internalEnergyChange;
+    this.unaccountedEnergyProperty.value =
+      internalEnergyChange - ( this.heat + this.work - this.escapedEnergy + this.particlesEnergy );
+
+    // If the container was empty when the ledger was reset, measure heat capacity from the first temperature.
+    const temperature = this.temperatureProperty.value;
+    if ( this.initialTemperature === null && temperature !== null ) {
+      this.initialTemperature = temperature;
+      this.initialHeat = this.heat;
+    }
+
+    // Cv = ΔQ / ΔT, in units of Nk
+    const numberOfParticles = this.numberOfParticlesProperty.value;
+    if ( temperature === null || this.initialTemperature === null || numberOfParticles === 0 ||
+         Math.abs( temperature - this.initialTemperature ) < MIN_TEMPERATURE_CHANGE ) {
+      this.heatCapacityProperty.value = null;
+    }
+    else {
+      this.heatCapacityProperty.value = ( this.heat - this.initialHeat ) /
+                                        ( numberOfParticles * GasPropertiesConstants.BOLTZMANN *
+                                          ( temperature - this.initialTemperature ) );
+    }
+  }
+}
+
+gasProperties.register( 'EnergyLedger', EnergyLedger );
+export default EnergyLedger;
@@ -0,0 +1,629 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * EventDrivenCollisionDetector is an alternative to CollisionDetector that computes the exact time of each collision
+ * within a time step, and handles collisions in the order that they occur. Particles therefore cannot pass through
+ * each other, and they do not tunnel through the walls of the container, regardless of how fast they are moving.
+ *
+ * Particles move in straight lines during a time step. Their positions at the beginning of the time step are
+ * reconstructed from their current positions and velocities. Each particle has a time at which its position is
+ * known, and it is moved to the time of each collision that it is involved in. A priority queue holds the predicted
+ * collisions (events), ordered by time. When a collision changes the velocity of a particle, events that were
+ * predicted for that particle are invalidated, and new events are predicted. See
+ * https://en.wikipedia.org/wiki/Event-driven_molecular_dynamics
+ *
+ * To avoid testing every pair of particles, each particle is added to the cells of the spatial hash that are
+ * overlapped by the area that it sweeps out between its known position and the end of the time step. Particles can
+ * collide only if they share a cell, so events are predicted only for particles that share a cell. When a collision
+ * changes the velocity of a particle, the particle is moved to the cells of its new swept area, so that re-predicting
+ * its events tests only nearby particles.
+ *
+ * Collision response (the change in velocity) is the same as CollisionDetector, so that the 2 implementations
+ * can be compared.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import gasProperties from '../../gasProperties.js';
+import CollisionDetector from './CollisionDetector.js';
+import ThermalWall from './ThermalWall.js';
+
+// constants
+
+// Event types. Values >= 0 are particle-particle collisions, and the value is the index of the other particle.
+const LEFT_WALL = -1;
+const RIGHT_WALL = -2;
+const TOP_WALL = -3;
+const BOTTOM_WALL = -4;
+
+// Limits the number of events per particle on each time step. Perfectly-inelastic collisions (e = 0) can result
+// in an unbounded number of collisions within a finite time, known as 'inelastic collapse'.
+const MAX_EVENTS_PER_PARTICLE = 20;
+
+class EventDrivenCollisionDetector extends CollisionDetector {
+
+  /**
+   * @param {BaseContainer} container - the container inside which collision occur
+   * @param {Particle[][]} particleArrays - collections of particles inside the container
+   * @param {BooleanProperty} particleParticleCollisionsEnabledProperty - whether particle-particle collisions occur
+   * @param {Object} [options] - see CollisionDetector
+   */
+  constructor( container, particleArrays, particleParticleCollisionsEnabledProperty, options ) {
+
+    options = merge( {
+
+      // {ThermalWall|null} if not null, the bottom wall of the container exchanges heat with particles.
+      // CollisionDetector does not support a thermal wall, because resolving overlaps at the end of each time step
+      // biases the temperature at which the gas equilibrates with the wall.
+      bottomThermalWall: null
+    }, options );
+
+    assert && assert( options.bottomThermalWall === null || options.bottomThermalWall instanceof ThermalWall,
+      `invalid bottomThermalWall: ${options.bottomThermalWall}` );
+
+    super( container, particleArrays, particleParticleCollisionsEnabledProperty, options );
+
+    // @public (read-only) {ThermalWall|null}
+    this.bottomThermalWall = options.bottomThermalWall;
+
+    // @private {Particle[]} all particles inside the container, reused on each time step
+    this.particles = [];
+
+    // @private state of each particle, indexed the same as this.particles, reused on each time step
+    this.x = []; // {number[]} x coordinate at time this.t[i], pm
+    this.y = []; // {number[]} y coordinate at time this.t[i], pm
+    this.t = []; // {number[]} time at which the position is known, ps
+    this.eventCounts = []; // {number[]} number of events involving the particle, for invalidating predicted events
+    this.lastWall = []; // {number[]} the wall that the particle most-recently collided with, 0 if none
+    this.bounds = []; // {Bounds2[]} the bounds that confine the particle, see getContainerBounds
+
+    // @private the cells of this.spatialHash that are overlapped by the area that each particle sweeps out between
+    // this.t[i] and the end of the time step, indexed the same as this.particles
+    this.minColumns = []; // {number[]}
+    this.maxColumns = []; // {number[]}
+    this.minRows = []; // {number[]}
+    this.maxRows = []; // {number[]}
+
+    // @private {number[][]} indices of the particles in each cell, indexed the same as this.spatialHash.regions
+    this.cells = [];
+
+    // @private {number[]} the value of this.stamp when each particle was last tested, so that a particle that shares
+    // more than 1 cell with another particle is tested once
+    this.stamps = [];
+    this.stamp = 0;
+
+    // @private
+    this.eventQueue = new EventQueue();
+  }
+
+  /**
+   * Detects and handles collisions for one time step, in the order that they occur.
+   * @param {number} dt - time delta, in ps
+   * @protected
+   * @override
+   */
+  updateCollisions( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    this.numberOfParticleParticleCollisions = 0;
+    this.numberOfParticleContainerCollisions = 0;
+
+    // Initialize the state of each particle, at the beginning of the time step.
+    const particles = this.particles;
+    particles.length = 0;
+    for ( let i = 0; i < this.particleArrays.length; i++ ) {
+      const bounds = this.getContainerBounds( i );
+      for ( let j = 0; j < this.particleArrays[ i ].length; j++ ) {
+        this.bounds[ particles.length ] = bounds;
+        particles.push( this.particleArrays[ i ][ j ] );
+      }
+    }
+    const n = particles.length;
+    let maxRadius = 0;
+    for ( let i = 0; i < n; i++ ) {
+      const particle = particles[ i ];
+      this.x[ i ] = particle.position.x - particle.velocity.x * dt;
+      this.y[ i ] = particle.position.y - particle.velocity.y * dt;
+      this.t[ i ] = 0;
+      this.eventCounts[ i ] = 0;
+      this.lastWall[ i ] = 0;
+      this.stamps[ i ] = 0;
+      maxRadius = Math.max( maxRadius, particle.radius );
+    }
+    this.stamp = 0;
+
+    // Put particles in the cells of the spatial hash. Cell size adapts to the largest particle, as in CollisionDetector.
+    const particleParticleCollisionsEnabled = ( this.particleParticleCollisionsEnabledProperty.value && maxRadius > 0 );
+    if ( particleParticleCollisionsEnabled ) {
+      this.spatialHash.setRegionLength( 2 * maxRadius );
+      const numberOfCells = this.spatialHash.regions.length;
+      for ( let i = 0; i < numberOfCells; i++ ) {
+        if ( this.cells[ i ] ) {
+          this.cells[ i ].length = 0;
+        }
+        else {
+          this.cells[ i ] = [];
+        }
+      }
+      for ( let i = 0; i < n; i++ ) {
+        this.addToCells( i, dt );
+      }
+    }
+
+    // Predict the initial events. Each pair of particles is tested once.
+    const queue = this.eventQueue;
+    queue.clear();
+    for ( let i = 0; i < n; i++ ) {
+      this.predictWallEvent( i, dt );
+      particleParticleCollisionsEnabled && this.predictParticleEvents( i, 0, dt, true );
+    }
+
+    // Handle events in order.
+    const maxEvents = MAX_EVENTS_PER_PARTICLE * n;
+    let numberOfEvents = 0;
+    while ( !queue.isEmpty() ) {
+      const event = queue.pop();
+      const time = event.time;
+      const i = event.i;
+      const j = event.j;
+
+      // Skip events that were invalidated by an earlier event.
+      if ( event.countI !== this.eventCounts[ i ] || ( j >= 0 && event.countJ !== this.eventCounts[ j ] ) ) {
+        continue;
+      }
+
+      // Limit the number of events. Collisions that are not handled are counted as missed.
+      if ( numberOfEvents >= maxEvents ) {
+        if ( j >= 0 ) {
+          this.numberOfMissedCollisions++;
+        }
+        continue;
+      }
+      numberOfEvents++;
+
+      this.moveParticle( i, time );
+      this.eventCounts[ i ]++;
+      if ( j >= 0 ) {
+        this.moveParticle( j, time );
+        this.eventCounts[ j ]++;
+        this.doParticleParticleCollision( i, j );
+        this.numberOfParticleParticleCollisions++;
+        this.lastWall[ i ] = 0;
+        this.lastWall[ j ] = 0;
+      }
+      else {
+        this.doParticleContainerCollision( i, j, dt );
+        this.numberOfParticleContainerCollisions++;
+        this.lastWall[ i ] = j;
+      }
+
+      // Predict new events for the particles whose velocities were changed. This reuses the event that was popped.
+      this.predictEvents( i, time, dt, particleParticleCollisionsEnabled );
+      ( j >= 0 ) && this.predictEvents( j, time, dt, particleParticleCollisionsEnabled );
+    }
+
+    if ( numberOfEvents >= maxEvents ) {
+      phet.log && phet.log( 'EventDrivenCollisionDetector: event limit reached, ' +
+                            `${this.numberOfMissedCollisions} collisions missed` );
+    }
+
+    // Move all particles to the end of the time step. Constrain them to the container, in case of floating-point
+    // error, or collisions that were not handled.
+    for ( let i = 0; i < n; i++ ) {
+      this.moveParticle( i, dt );
+      const particle = particles[ i ];
+      const bounds = this.bounds[ i ];
+      particle.setPositionXY(
+        Math.min( Math.max( this.x[ i ], bounds.minX + particle.radius ), bounds.maxX - particle.radius ),
+        Math.min( Math.max( this.y[ i ], bounds.minY + particle.radius ), bounds.maxY - particle.radius )
+      );
+    }
+  }
+
+  /**
+   * Gets the bounds that confine the particles in one of the particle arrays. The walls of the container are the
+   * edges of these bounds. Subclasses override this when the container is partitioned.
+   * @param {number} particleArrayIndex - index into this.particleArrays
+   * @returns {Bounds2}
+   * @protected
+   */
+  getContainerBounds( particleArrayIndex ) {
+    return this.container.bounds;
+  }
+
+  /**
+   * Moves a particle in a straight line to a specified time.
+   * @param {number} i - index of the particle
+   * @param {number} time - in ps
+   * @private
+   */
+  moveParticle( i, time ) {
+    const velocity = this.particles[ i ].velocity;
+    const deltaTime = time - this.t[ i ];
+    this.x[ i ] += velocity.x * deltaTime;
+    this.y[ i ] += velocity.y * deltaTime;
+    this.t[ i ] = time;
+  }
+
+  /**
+   * Predicts all events for a particle, after its velocity has changed.
+   * @param {number} i - index of the particle
+   * @param {number} time - the current time, in ps
+   * @param {number} dt - time delta, in ps
+   * @param {boolean} particleParticleCollisionsEnabled
+   * @private
+   */
+  predictEvents( i, time, dt, particleParticleCollisionsEnabled ) {
+    this.predictWallEvent( i, dt );
+    if ( particleParticleCollisionsEnabled ) {
+      this.removeFromCells( i );
+      this.addToCells( i, dt );
+      this.predictParticleEvents( i, time, dt, false );
+    }
+  }
+
+  /**
+   * Predicts the collisions between a particle and the particles that share a cell with it.
+   * @param {number} i - index of the particle
+   * @param {number} time - the current time, in ps
+   * @param {number} dt - time delta, in ps
+   * @param {boolean} higherIndicesOnly - whether to test only particles whose index is greater than i, so that
+   *   each pair of particles is tested once when predicting the initial events
+   * @private
+   */
+  predictParticleEvents( i, time, dt, higherIndicesOnly ) {
+    const stamp = ++this.stamp;
+    this.stamps[ i ] = stamp;
+    const numberOfRows = this.spatialHash.numberOfRows;
+    for ( let column = this.minColumns[ i ]; column <= this.maxColumns[ i ]; column++ ) {
+      for ( let row = this.minRows[ i ]; row <= this.maxRows[ i ]; row++ ) {
+        const cell = this.cells[ column * numberOfRows + row ];
+        for ( let k = cell.length - 1; k >= 0; k-- ) {
+          const j = cell[ k ];
+          if ( this.stamps[ j ] !== stamp && ( !higherIndicesOnly || j > i ) ) {
+            this.stamps[ j ] = stamp;
+            this.predictParticleEvent( i, j, time, dt );
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Adds a particle to the cells that are overlapped by the area that it sweeps out between its known position
+   * and the end of the time step.
+   * @param {number} i - index of the particle
+   * @param {number} dt - time delta, in ps
+   * @private
+   */
+  addToCells( i, dt ) {
+    const particle = this.particles[ i ];
+    const deltaTime = dt - this.t[ i ];
+    const x = this.x[ i ];
+    const y = this.y[ i ];
+    const endX = x + particle.velocity.x * deltaTime;
+    const endY = y + particle.velocity.y * deltaTime;
+    const r = particle.radius;
+
+    // Columns are numbered right-to-left, so the maximum x is in the minimum column. See SpatialHash.
+    const spatialHash = this.spatialHash;
+    this.minColumns[ i ] = spatialHash.getColumn( Math.max( x, endX ) + r );
+    this.maxColumns[ i ] = spatialHash.getColumn( Math.min( x, endX ) - r );
+    this.minRows[ i ] = spatialHash.getRow( Math.min( y, endY ) - r );
+    this.maxRows[ i ] = spatialHash.getRow( Math.max( y, endY ) + r );
+
+    const numberOfRows = spatialHash.numberOfRows;
+    for ( let column = this.minColumns[ i ]; column <= this.maxColumns[ i ]; column++ ) {
+      for ( let row = this.minRows[ i ]; row <= this.maxRows[ i ]; row++ ) {
+        this.cells[ column * numberOfRows + row ].push( i );
+      }
+    }
+  }
+
+  /**
+   * Removes a particle from the cells that it was added to by addToCells.
+   * @param {number} i - index of the particle
+   * @private
+   */
+  removeFromCells( i ) {
+    const numberOfRows = this.spatialHash.numberOfRows;
+    for ( let column = this.minColumns[ i ]; column <= this.maxColumns[ i ]; column++ ) {
+      for ( let row = this.minRows[ i ]; row <= this.maxRows[ i ]; row++ ) {
+        const cell = this.cells[ column * numberOfRows + row ];
+        const index = cell.indexOf( i );
+        assert && assert( index !== -1, 'particle is not in cell' );
+
+        // Order is not important, so replace with the last element.
+        cell[ index ] = cell[ cell.length - 1 ];
+        cell.length--;
+      }
+    }
+  }
+
+  /**
+   * Predicts the collision between 2 particles, and adds it to the event queue if it occurs during the time step.
+   * @param {number} i - index of particle 1
+   * @param {number} j - index of particle 2
+   * @param {number} time - the current time, in ps
+   * @param {number} dt - time delta, in ps
+   * @private
+   */
+  predictParticleEvent( i, j, time, dt ) {
+
+    const particle1 = this.particles[ i ];
+    const particle2 = this.particles[ j ];
+
+    // relative position at the current time, and relative velocity
+    const dvx = particle2.velocity.x - particle1.velocity.x;
+    const dvy = particle2.velocity.y - particle1.velocity.y;
+    const dx = ( this.x[ j ] + particle2.velocity.x * ( time - this.t[ j ] ) ) -
+               ( this.x[ i ] + particle1.velocity.x * ( time - this.t[ i ] ) );
+    const dy = ( this.y[ j ] + particle2.velocity.y * ( time - this.t[ j ] ) ) -
+               ( this.y[ i ] + particle1.velocity.y * ( time - this.t[ i ] ) );
+
+    // Particles that are already in contact are ignored, as in CollisionDetector.
+    const eventTime = time + CollisionDetector.getContactTime( dx, dy, dvx, dvy, particle1.radius + particle2.radius );
+    if ( eventTime <= dt ) {
+      this.eventQueue.push( eventTime, i, j, this.eventCounts[ i ], this.eventCounts[ j ] );
+    }
+  }
+
+  /**
+   * Predicts the next collision between a particle and the walls of the container, and adds it to the event queue
+   * if it occurs during the time step. The container's left wall may be moving, and it is at the position given by
+   * the container's bounds at the end of the time step.
+   * @param {number} i - index of the particle
+   * @param {number} dt - time delta, in ps
+   * @private
+   */
+  predictWallEvent( i, dt ) {
+
+    const particle = this.particles[ i ];
+    const bounds = this.bounds[ i ];
+    const leftWallVelocityX = this.container.leftWallVelocity.x;
+    const x = this.x[ i ];
+    const y = this.y[ i ];
+    const t = this.t[ i ];
+    const vx = particle.velocity.x;
+    const vy = particle.velocity.y;
+    const r = particle.radius;
+    const lastWall = this.lastWall[ i ];
+
+    // Time of collision with each wall that the particle is moving towards. Particles that are already beyond a wall
+    // collide immediately, unless that is the wall that they just collided with.
+    let xTime = Infinity;
+    let xWall = 0;
+    if ( vx < leftWallVelocityX && lastWall !== LEFT_WALL ) {
+      const leftWallX = bounds.minX - leftWallVelocityX * ( dt - t );
+      xTime = t + Math.max( 0, ( x - r - leftWallX ) / ( leftWallVelocityX - vx ) );
+      xWall = LEFT_WALL;
+    }
+    else if ( vx > 0 && lastWall !== RIGHT_WALL ) {
+      xTime = t + Math.max( 0, ( bounds.maxX - r - x ) / vx );
+      xWall = RIGHT_WALL;
+    }
+
+    let yTime = Infinity;
+    let yWall = 0;
+    if ( vy > 0 && lastWall !== TOP_WALL ) {
+      yTime = t + Math.max( 0, ( bounds.maxY - r - y ) / vy );
+      yWall = TOP_WALL;
+    }
+    else if ( vy < 0 && lastWall !== BOTTOM_WALL ) {
+      yTime = t + Math.max( 0, ( y - r - bounds.minY ) / -vy );
+      yWall = BOTTOM_WALL;
+    }
+
+    const eventTime = Math.min( xTime, yTime );
+    if ( eventTime <= dt ) {
+      this.eventQueue.push( eventTime, i, ( xTime <= yTime ) ? xWall : yWall, this.eventCounts[ i ], 0 );
+    }
+  }
+
+  /**
+   * Handles a collision between 2 particles that are in contact, using the impulse-based contact model.
+   * See CollisionDetector doParticleParticleCollisions.
+   * @param {number} i - index of particle 1
+   * @param {number} j - index of particle 2
+   * @private
+   */
+  doParticleParticleCollision( i, j ) {
+
+    const particle1 = this.particles[ i ];
+    const particle2 = this.particles[ j ];
+    const e = this.getParticleParticleRestitution();
+
+    // Normal vector, aka 'line of impact'
+    const normal = this.mutableVectors.normal.setXY( this.x[ i ] - this.x[ j ], this.y[ i ] - this.y[ j ] ).normalize();
+
+    // Compute the impulse, j.
+    const relativeVelocity = this.mutableVectors.relativeVelocity.set( particle1.velocity );
+    const vr = relativeVelocity.subtract( particle2.velocity ).dot( normal );
+    const impulse = -vr * ( 1 + e ) / ( 1 / particle1.mass + 1 / particle2.mass );
+
+    particle1.setVelocityXY( particle1.velocity.x + normal.x * impulse / particle1.mass,
+      particle1.velocity.y + normal.y * impulse / particle1.mass );
+    particle2.setVelocityXY( particle2.velocity.x - normal.x * impulse / particle2.mass,
+      particle2.velocity.y - normal.y * impulse / particle2.mass );
+
+    this.particleParticleCollisionListener && this.particleParticleCollisionListener( particle1, particle2 );
+  }
+
+  /**
+   * Clears the momentum transferred to the walls of the container, the work done by the left wall, and the heat
+   * added by the bottom thermal wall.
+   * @protected
+   * @override
+   */
+  clearWallImpulses() {
+    super.clearWallImpulses();
+    this.bottomThermalWall && this.bottomThermalWall.clearHeat();
+  }
+
+  /**
+   * Handles a collision between a particle and a wall of the container. See CollisionDetector
+   * doParticleContainerCollisions.
+   * @param {number} i - index of the particle
+   * @param {number} wall - LEFT_WALL, RIGHT_WALL, TOP_WALL or BOTTOM_WALL
+   * @param {number} dt - time delta, in ps
+   * @private
+   */
+  doParticleContainerCollision( i, wall, dt ) {
+
+    const particle = this.particles[ i ];
+    const bounds = this.bounds[ i ];
+    const e = this.getParticleContainerRestitution();
+    const vx = particle.velocity.x;
+    const vy = particle.velocity.y;
+    const r = particle.radius;
+
+    if ( wall === LEFT_WALL ) {
+
+      // If the left wall is moving, it will do work.
+      const leftWallVelocityX = this.container.leftWallVelocity.x;
+      this.x[ i ] = bounds.minX - leftWallVelocityX * ( dt - this.t[ i ] ) + r;
+      particle.setVelocityXY( -e * ( vx - leftWallVelocityX ), vy );
+      this.wallImpulses.left += particle.mass * Math.abs( particle.velocity.x - vx );
+      this.wallWork.left += CollisionDetector.getLeftWallWork( particle.mass, vx, particle.velocity.x, e );
+    }
+    else if ( wall === RIGHT_WALL ) {
+      this.x[ i ] = bounds.maxX - r;
+      particle.setVelocityXY( -e * vx, vy );
+      this.wallImpulses.right += ( 1 + e ) * particle.mass * Math.abs( vx );
+    }
+    else if ( wall === TOP_WALL ) {
+      this.y[ i ] = bounds.maxY - r;
+      particle.setVelocityXY( vx, -e * vy );
+      this.wallImpulses.top += ( 1 + e ) * particle.mass * Math.abs( vy );
+    }
+    else {
+      assert && assert( wall === BOTTOM_WALL, `invalid wall: ${wall}` );
+      this.y[ i ] = bounds.minY + r;
+      if ( this.bottomThermalWall && this.bottomThermalWall.isThermal() ) {
+
+        // The particle is re-emitted at the wall's temperature.
+        this.bottomThermalWall.emit( particle, 0, 1 );
+        this.wallImpulses.bottom += particle.mass * Math.abs( particle.velocity.y - vy );
+      }
+      else {
+        particle.setVelocityXY( vx, -e * vy );
+        this.wallImpulses.bottom += ( 1 + e ) * particle.mass * Math.abs( vy );
+      }
+    }
+  }
+}
+
+/**
+ * EventQueue is a priority queue of events, ordered by time, implemented as a binary min-heap.
+ * Event objects are pooled, to avoid allocating objects on each time step.
+ */
+class EventQueue {
+
+  constructor() {
+
+    // @private {Object[]} the heap
+    this.events = [];
+
+    // @private {number} number of events in the heap
+    this.size = 0;
+  }
+
+  /**
+   * Removes all events.
+   * @public
+   */
+  clear() {
+    this.size = 0;
+  }
+
+  /**
+   * @returns {boolean}
+   * @public
+   */
+  isEmpty() {
+    return this.size === 0;
+  }
+
+  /**
+   * Adds an event.
+   * @param {number} time - time of the event, in ps
+   * @param {number} i - index of particle 1
+   * @param {number} j - index of particle 2, or the wall type
+   * @param {number} countI - event count of particle 1 when the event was predicted
+   * @param {number} countJ - event count of particle 2 when the event was predicted
+   * @public
+   */
+  push( time, i, j, countI, countJ ) {
+
+    // Reuse a pooled event, or allocate a new one.
+    if ( this.size === this.events.length ) {
+      this.events.push( { time: 0, i: 0, j: 0, countI: 0, countJ: 0 } );
+    }
+    const event = this.events[ this.size ];
+    event.time = time;
+    event.i = i;
+    event.j = j;
+    event.countI = countI;
+    event.countJ = countJ;
+
+    // Sift up.
+    let index = this.size++;
+    while ( index > 0 ) {
+      const parentIndex = ( index - 1 ) >> 1;
+      if ( this.events[ parentIndex ].time <= time ) {
+        break;
+      }
+      this.swap( index, parentIndex );
+      index = parentIndex;
+    }
+  }
+
+  /**
+   * Removes the earliest event. The returned event is reused by subsequent calls to push, so use it before
+   * calling push.
+   * @returns {Object}
+   * @public
+   */
+  pop() {
+    assert && assert( this.size > 0, 'queue is empty' );
+
+    this.swap( 0, --this.size );
+    const event = this.events[ this.size ];
+
+    // Sift down.
+    let index = 0;
+    while ( true ) {
+      const leftIndex = 2 * index + 1;
+      const rightIndex = leftIndex + 1;
+      let smallestIndex = index;
+      if ( leftIndex < this.size && this.events[ leftIndex ].time < this.events[ smallestIndex ].time ) {
+        smallestIndex = leftIndex;
+      }
+      if ( rightIndex < this.size && this.events[ rightIndex ].time < this.events[ smallestIndex ].time ) {
+        smallestIndex = rightIndex;
+      }
+      if ( smallestIndex === index ) {
+        break;
+      }
+      this.swap( index, smallestIndex );
+      index = smallestIndex;
+    }
+    return event;
+  }
+
+  /**
+   * Swaps 2 events in the heap.
+   * @param {number} index1
+   * @param {number} index2
+   * @private
+   */
+  swap( index1, index2 ) {
+    const event = this.events[ index1 ];
+    this.events[ index1 ] = this.events[ index2 ];
+    this.events[ index2 ] = event;
+  }
+}
+
+gasProperties.register( 'EventDrivenCollisionDetector', EventDrivenCollisionDetector );
+export default EventDrivenCollisionDetector;
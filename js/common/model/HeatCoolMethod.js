@@ -0,0 +1,20 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * HeatCoolMethod is an enumeration of the methods used by the heater/cooler to add heat to or remove heat from
+ * the particles in the container.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import gasProperties from '../../gasProperties.js';
+
+const HeatCoolMethod = Enumeration.byKeys( [
+  'VELOCITY_SCALING', // the speed of every particle is scaled on each time step, see ParticleUtils.heatCoolParticles
+  'THERMAL_WALL'      // particles that hit the bottom wall are re-emitted at the wall's temperature, see ThermalWall.
+                      // Requires CollisionDetectionMethod.EVENT_DRIVEN.
+] );
+
+gasProperties.register( 'HeatCoolMethod', HeatCoolMethod );
+export default HeatCoolMethod;
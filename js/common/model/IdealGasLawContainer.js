@@ -110,6 +110,40 @@ class IdealGasLawContainer extends BaseContainer {
     this.desiredWidth = this.widthProperty.value;
   }
 
+  /**
+   * Gets the state of the container, including the state of the lid and the left wall. See BaseModel.getSnapshot.
+   * @returns {Object}
+   * @public
+   */
+  toStateObject() {
+    return {
+      width: this.widthProperty.value, // pm
+      desiredWidth: this.desiredWidth, // pm
+      previousLeft: this.previousLeft, // pm
+      leftWallVelocityX: this.leftWallVelocity.x, // pm/ps
+      lidIsOn: this.lidIsOnProperty.value,
+      lidWidth: this.lidWidthProperty.value // pm
+    };
+  }
+
+  /**
+   * Restores the state of the container. Width is restored before the lid, because the range of the lid's width
+   * depends on the container's width.
+   * @param {Object} stateObject - see toStateObject
+   * @public
+   */
+  applyState( stateObject ) {
+    assert && assert( this.widthRange.contains( stateObject.desiredWidth ),
+      `desiredWidth is out of range: ${stateObject.desiredWidth}` );
+
+    this.widthProperty.value = stateObject.width;
+    this.desiredWidth = stateObject.desiredWidth;
+    this.previousLeft = stateObject.previousLeft;
+    this.leftWallVelocity.setXY( stateObject.leftWallVelocityX, 0 );
+    this.lidIsOnProperty.value = stateObject.lidIsOn;
+    this.lidWidthProperty.value = stateObject.lidWidth;
+  }
+
   /**
    * Animates the container's width one step towards desiredWidth. Computes wall velocity if the wall does work.
    * @param {number} dt - time delta, in ps
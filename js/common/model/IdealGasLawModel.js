@@ -28,13 +28,35 @@ import GasPropertiesConstants from '../GasPropertiesConstants.js';
 import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
 import BaseModel from './BaseModel.js';
 import CollisionCounter from './CollisionCounter.js';
+import CollisionDetectionMethod from './CollisionDetectionMethod.js';
 import CollisionDetector from './CollisionDetector.js';
+import DensityProfile from './DensityProfile.js';
+import EffusionModel from './EffusionModel.js';
+import EnergyLedger from './EnergyLedger.js';
+import EventDrivenCollisionDetector from './EventDrivenCollisionDetector.js';
+import HeatCoolMethod from './HeatCoolMethod.js';
 import HoldConstant from './HoldConstant.js';
 import IdealGasLawContainer from './IdealGasLawContainer.js';
 import ParticleSystem from './ParticleSystem.js';
+import ParticleTracer from './ParticleTracer.js';
+import ParticleUtils from './ParticleUtils.js';
 import PressureGauge from './PressureGauge.js';
 import PressureModel from './PressureModel.js';
+import ProcessDriver from './ProcessDriver.js';
+import PVDiagram from './PVDiagram.js';
+import RotationalEnergyExchange from './RotationalEnergyExchange.js';
 import TemperatureModel from './TemperatureModel.js';
+import ThermalWall from './ThermalWall.js';
+import TimeSeriesModel from './TimeSeriesModel.js';
+
+// constants
+const RESTITUTION_RANGE = GasPropertiesConstants.RESTITUTION_RANGE;
+const DENSITY_PROFILE_SAMPLE_PERIOD = 1; // sample period for the density profile, in ps
+const PM3_PER_NM3 = 1E9; // volume conversion: pm^3 per 1 nm^3
+
+// For HeatCoolMethod.THERMAL_WALL, the ratio of the bottom wall's temperature to the temperature in the container
+// when the heater/cooler was turned on, at maximum heat. Maximum cool is the inverse of this ratio.
+const THERMAL_WALL_TEMPERATURE_RATIO = 2;
 
 class IdealGasLawModel extends BaseModel {
 
@@ -48,14 +70,39 @@ class IdealGasLawModel extends BaseModel {
     options = merge( {
 
       leftWallDoesWork: false, // {boolean} does the container's left wall do work on particles?
+      hasProcessDriver: false, // {boolean} can processes be carried out? Requires leftWallDoesWork
+      hasPVDiagram: false, // {boolean} is the state of the gas traced on a PV diagram?
+      hasAperture: false, // {boolean} is there an aperture in a wall, through which particles escape by effusion?
+
+      // {CollisionDetectionMethod} how collisions are detected
+      collisionDetectionMethod: ( GasPropertiesQueryParameters.collisionDetection === 'eventDriven' ) ?
+                                CollisionDetectionMethod.EVENT_DRIVEN : CollisionDetectionMethod.OVERLAP,
+
+      // {HeatCoolMethod} how the heater/cooler adds or removes heat
+      heatCoolMethod: ( GasPropertiesQueryParameters.heatCoolMethod === 'thermalWall' ) ?
+                      HeatCoolMethod.THERMAL_WALL : HeatCoolMethod.VELOCITY_SCALING,
 
       // superclass options
       holdConstant: HoldConstant.NOTHING,
-      hasCollisionCounter: true
+      hasCollisionCounter: true,
+      hasDensityProfile: true
     }, options );
 
+    assert && assert( CollisionDetectionMethod.includes( options.collisionDetectionMethod ),
+      `invalid collisionDetectionMethod: ${options.collisionDetectionMethod}` );
+    assert && assert( HeatCoolMethod.includes( options.heatCoolMethod ),
+      `invalid heatCoolMethod: ${options.heatCoolMethod}` );
+    assert && assert( !options.hasProcessDriver || options.leftWallDoesWork,
+      'hasProcessDriver requires leftWallDoesWork' );
+    assert && assert( options.heatCoolMethod !== HeatCoolMethod.THERMAL_WALL ||
+                      options.collisionDetectionMethod === CollisionDetectionMethod.EVENT_DRIVEN,
+      'HeatCoolMethod.THERMAL_WALL requires CollisionDetectionMethod.EVENT_DRIVEN' );
+
     super( tandem );
 
+    // @public (read-only) {CollisionDetectionMethod}
+    this.collisionDetectionMethod = options.collisionDetectionMethod;
+
     // @public the quantity to hold constant
     this.holdConstantProperty = new EnumerationProperty( HoldConstant, options.holdConstant, {
       tandem: tandem.createTandem( 'holdConstantProperty' ),
@@ -78,6 +125,21 @@ class IdealGasLawModel extends BaseModel {
       phetioDocumentation: 'determines whether collisions between particles are enabled'
     } );
 
+    // @public coefficient of restitution for particle-particle collisions, see CollisionDetector
+    this.particleParticleRestitutionProperty = new NumberProperty( RESTITUTION_RANGE.defaultValue, {
+      range: RESTITUTION_RANGE,
+      tandem: tandem.createTandem( 'particleParticleRestitutionProperty' ),
+      phetioDocumentation: 'coefficient of restitution for collisions between particles, 1 is perfectly elastic'
+    } );
+
+    // @public coefficient of restitution for particle-container collisions, see CollisionDetector
+    this.particleContainerRestitutionProperty = new NumberProperty( RESTITUTION_RANGE.defaultValue, {
+      range: RESTITUTION_RANGE,
+      tandem: tandem.createTandem( 'particleContainerRestitutionProperty' ),
+      phetioDocumentation: 'coefficient of restitution for collisions between particles and the container, ' +
+                           '1 is perfectly elastic'
+    } );
+
     // @public (read-only)
     this.container = new IdealGasLawContainer( {
       leftWallDoesWork: options.leftWallDoesWork,
@@ -88,17 +150,43 @@ class IdealGasLawModel extends BaseModel {
     this.particleSystem = new ParticleSystem(
       () => this.temperatureModel.getInitialTemperature(),
       this.particleParticleCollisionsEnabledProperty,
-      this.container.particleEntryPosition, {
+      this.container.particleEntryPosition,
+      this.random, {
         tandem: tandem.createTandem( 'particleSystem' )
       }
     );
 
+    // @public (read-only) {ThermalWall|null} the bottom wall of the container, if the heater/cooler heats it
+    this.bottomThermalWall = ( options.heatCoolMethod === HeatCoolMethod.THERMAL_WALL ) ?
+                             new ThermalWall( this.random ) : null;
+
+    // @private {number|null} For HeatCoolMethod.THERMAL_WALL, the temperature in the container when the heater/cooler
+    // was turned on, in K. null while the heater/cooler is off. See getBottomWallTemperature.
+    this.heatCoolReferenceTemperature = null;
+    this.heatCoolFactorProperty.link( heatCoolFactor => {
+      if ( heatCoolFactor === 0 ) {
+        this.heatCoolReferenceTemperature = null;
+      }
+    } );
+
+    const collisionDetectorOptions = {
+      particleParticleRestitutionProperty: this.particleParticleRestitutionProperty,
+      particleContainerRestitutionProperty: this.particleContainerRestitutionProperty,
+
+      // Collisions exchange energy between translation and rotation, if there are diatomic particles.
+      particleParticleCollisionListener: _.some( this.particleSystem.species, species => species.isDiatomic ) ?
+        ( particle1, particle2 ) => RotationalEnergyExchange.exchange( particle1, particle2, this.random ) :
+        null
+    };
+
     // @public (read-only)
-    this.collisionDetector = new CollisionDetector(
-      this.container,
-      this.particleSystem.insideParticleArrays,
-      this.particleParticleCollisionsEnabledProperty
-    );
+    this.collisionDetector = ( options.collisionDetectionMethod === CollisionDetectionMethod.EVENT_DRIVEN ) ?
+      new EventDrivenCollisionDetector( this.container, this.particleSystem.insideParticleArrays,
+        this.particleParticleCollisionsEnabledProperty, merge( {
+          bottomThermalWall: this.bottomThermalWall
+        }, collisionDetectorOptions ) ) :
+      new CollisionDetector( this.container, this.particleSystem.insideParticleArrays,
+        this.particleParticleCollisionsEnabledProperty, collisionDetectorOptions );
 
     // @public (read-only) sub-model responsible for temperature T
     this.temperatureModel = new TemperatureModel(
@@ -114,11 +202,35 @@ class IdealGasLawModel extends BaseModel {
       this.particleSystem.numberOfParticlesProperty, // N
       this.container.volumeProperty, // V
       this.temperatureModel.temperatureProperty, // T
-      () => { this.container.blowLidOff(); }, {
+      () => { this.container.blowLidOff(); },
+      this.random, {
+
+        // With gravity, the lid is pushed by the pressure at the top of the container, which is lower than average.
+        getTopPressureRatio: () => this.particleSystem.getTopPressureRatio(
+          this.temperatureModel.temperatureProperty.value, this.container.height ),
         tandem: tandem.createTandem( 'pressureModel' )
       }
     );
 
+    // @public (read-only) sub-model that accounts for heat, work and energy carried by particles
+    this.energyLedger = new EnergyLedger(
+      () => this.particleSystem.getInternalEnergy(),
+      this.particleSystem.numberOfParticlesProperty, // N
+      this.temperatureModel.temperatureProperty, { // T
+        tandem: tandem.createTandem( 'energyLedger' )
+      }
+    );
+
+    // @public (read-only) sub-model that records P, T, V and N as a function of stopwatch time
+    this.timeSeriesModel = new TimeSeriesModel(
+      this.stopwatch,
+      this.pressureModel.pressureProperty,
+      this.pressureModel.pressureGauge.pressureKilopascalsProperty,
+      this.temperatureModel.temperatureProperty,
+      this.container.volumeProperty,
+      this.particleSystem.numberOfParticlesProperty
+    );
+
     // @public (read-only)
     this.collisionCounter = null;
     if ( options.hasCollisionCounter ) {
@@ -128,6 +240,46 @@ class IdealGasLawModel extends BaseModel {
       } );
     }
 
+    // @public (read-only) sub-model responsible for the vertical density profile
+    this.densityProfile = null;
+    if ( options.hasDensityProfile ) {
+      this.densityProfile = new DensityProfile( this.particleSystem, this.container,
+        this.temperatureModel.temperatureProperty, this.isPlayingProperty, DENSITY_PROFILE_SAMPLE_PERIOD, {
+          tandem: tandem.createTandem( 'densityProfile' )
+        } );
+    }
+
+    // @public (read-only) sub-model that carries out thermodynamic processes by moving the left wall
+    this.processDriver = null;
+    if ( options.hasProcessDriver ) {
+      this.processDriver = new ProcessDriver( this.container, this.particleSystem,
+        this.pressureModel.pressureProperty, this.temperatureModel.temperatureProperty, {
+          tandem: tandem.createTandem( 'processDriver' )
+        } );
+    }
+
+    // @public (read-only) sub-model that traces the state of the gas on a PV diagram
+    this.pvDiagram = null;
+    if ( options.hasPVDiagram ) {
+      this.pvDiagram = new PVDiagram( this.pressureModel.pressureProperty, this.container, {
+        tandem: tandem.createTandem( 'pvDiagram' )
+      } );
+    }
+
+    // @public (read-only) sub-model that lets particles escape through an aperture, and records their escape rates
+    this.effusionModel = null;
+    if ( options.hasAperture ) {
+      this.effusionModel = new EffusionModel( this.particleSystem, this.container, {
+        tandem: tandem.createTandem( 'effusionModel' )
+      } );
+    }
+
+    // @public (read-only) follows the particle that the user has tagged, inside the container
+    this.particleTracer = new ParticleTracer( this.particleSystem.insideParticleArrays,
+      this.particleSystem.numberOfParticlesProperty, this.isPlayingProperty, {
+        tandem: tandem.createTandem( 'particleTracer' )
+      } );
+
     // If the container's width changes while the sim is paused, and it's not due to the user
     // resizing the container, then update immediately. See #125.
     Property.multilink(
@@ -138,6 +290,20 @@ class IdealGasLawModel extends BaseModel {
         }
       } );
 
+    // Update the mass and radius of existing particles when they are changed for a species. Changing mass preserves
+    // the kinetic energy of each particle, so neither T nor P changes. Particles outside the container are not
+    // constrained by the container's bounds.
+    this.particleSystem.species.forEach( species => {
+      species.massProperty.link( mass => {
+        ParticleUtils.updateMass( species.particles, mass );
+        ParticleUtils.updateMass( species.particlesOutside, mass );
+      } );
+      species.radiusProperty.link( radius => {
+        ParticleUtils.updateRadius( species.particles, radius, this.container.bounds, this.isPlayingProperty.value );
+        ParticleUtils.updateRadius( species.particlesOutside, radius, null, this.isPlayingProperty.value );
+      } );
+    } );
+
     // @public (read-only) Emitters for conditions related to the 'Hold Constant' feature.
     // When holding a quantity constant would break the model, the model switches to 'Nothing' mode, the model
     // notifies the view via an Emitter, and the view notifies the user via a dialog. This is called oopsEmitters
@@ -215,7 +381,11 @@ class IdealGasLawModel extends BaseModel {
         assert && assert( !this.temperatureModel.controlTemperatureEnabledProperty.value,
           'this feature is not compatible with user-controlled particle temperature' );
 
+        // The energy of the removed particles has already been accounted for, and the change in speed is heat.
+        this.energyLedger.addParticlesEnergy();
         this.particleSystem.setTemperature( this.temperatureModel.temperatureProperty.value );
+        this.energyLedger.addHeat();
+        this.energyLedger.update();
       }
     } );
 
@@ -257,6 +427,8 @@ class IdealGasLawModel extends BaseModel {
     this.holdConstantProperty.reset();
     this.heatCoolFactorProperty.reset();
     this.particleParticleCollisionsEnabledProperty.reset();
+    this.particleParticleRestitutionProperty.reset();
+    this.particleContainerRestitutionProperty.reset();
 
     // model elements
     this.container.reset();
@@ -264,6 +436,124 @@ class IdealGasLawModel extends BaseModel {
     this.temperatureModel.reset();
     this.pressureModel.reset();
     this.collisionCounter && this.collisionCounter.reset();
+    this.densityProfile && this.densityProfile.reset();
+    this.processDriver && this.processDriver.reset();
+    this.pvDiagram && this.pvDiagram.reset();
+    this.effusionModel && this.effusionModel.reset();
+    this.particleTracer.reset();
+
+    // Do these last, so that they start from the initial state of the particle system.
+    this.timeSeriesModel.reset();
+    this.energyLedger.reset();
+  }
+
+  /**
+   * Gets a snapshot of the model's microstate. See BaseModel.getSnapshot.
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getSnapshot() {
+    return merge( super.getSnapshot(), {
+      holdConstant: this.holdConstantProperty.value.name,
+      container: this.container.toStateObject(),
+      particleSystem: this.particleSystem.toStateObject(),
+      temperature: this.temperatureModel.temperatureProperty.value, // K
+      pressureModel: this.pressureModel.toStateObject()
+    } );
+  }
+
+  /**
+   * Restores a snapshot of the model's microstate. Order is very important here!
+   * @param {Object} snapshot - see getSnapshot
+   * @public
+   * @override
+   */
+  setSnapshot( snapshot ) {
+    super.setSnapshot( snapshot );
+
+    const holdConstant = HoldConstant[ snapshot.holdConstant ];
+    assert && assert( HoldConstant.includes( holdConstant ), `invalid holdConstant: ${snapshot.holdConstant}` );
+
+    // Hold nothing constant while particles are restored, so that changing the number of particles does not
+    // change the speed of the restored particles, or switch 'Hold Constant' mode and notify oopsEmitters.
+    if ( this.holdConstantProperty.value !== HoldConstant.NOTHING &&
+         this.holdConstantProperty.value !== HoldConstant.VOLUME ) {
+      this.holdConstantProperty.value = HoldConstant.NOTHING;
+    }
+
+    // Restore the container after the particles. If the sim is paused, changing the particles updates pressure,
+    // which may blow the lid off of the container.
+    this.particleSystem.applyState( snapshot.particleSystem );
+    this.container.applyState( snapshot.container );
+
+    // Restore temperature and pressure before 'Hold Constant' mode, because some modes are incompatible with
+    // a temperature or pressure of zero.
+    this.temperatureModel.temperatureProperty.value = snapshot.temperature;
+    this.pressureModel.applyState( snapshot.pressureModel );
+    this.holdConstantProperty.value = holdConstant;
+
+    // A process that was in progress is not part of the microstate.
+    this.processDriver && this.processDriver.stop();
+
+    // The trace on the PV diagram and the time series are the history of the gas, not part of the microstate.
+    this.pvDiagram && this.pvDiagram.clear();
+    this.timeSeriesModel.clear();
+
+    // Energy that was transferred before the snapshot was taken is not part of the microstate.
+    this.energyLedger.reset();
+  }
+
+  /**
+   * Gets the current values of the measurements that are recorded for export. See BaseModel.getMeasurements.
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getMeasurements() {
+    const numberOfSpeciesParticles = {};
+    this.particleSystem.species.forEach( species => {
+      numberOfSpeciesParticles[ species.name ] = species.numberOfParticlesProperty.value;
+    } );
+    const measurements = merge( super.getMeasurements(), {
+      pressure: this.pressureModel.pressureProperty.value,
+      gaugePressure: this.pressureModel.pressureGauge.pressureKilopascalsProperty.value,
+      temperature: this.temperatureModel.temperatureProperty.value,
+      volume: this.container.volumeProperty.value / PM3_PER_NM3,
+      numberOfParticles: this.particleSystem.numberOfParticlesProperty.value,
+      numberOfSpeciesParticles: numberOfSpeciesParticles
+    } );
+    if ( this.effusionModel ) {
+      const escapeRate = {};
+      this.particleSystem.species.forEach( ( species, i ) => {
+        escapeRate[ species.name ] = this.effusionModel.escapeRateProperties[ i ].value;
+      } );
+      merge( measurements, {
+        escapeRate: escapeRate,
+        escapeRateRatio: this.effusionModel.escapeRateRatioProperty.value,
+        theoreticalEscapeRateRatio: this.effusionModel.theoreticalEscapeRateRatioProperty.value
+      } );
+    }
+    return measurements;
+  }
+
+  /**
+   * Gets the units of the measurements. See BaseModel.getMeasurementUnits.
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getMeasurementUnits() {
+    const units = merge( super.getMeasurementUnits(), {
+      pressure: 'kPa',
+      gaugePressure: 'kPa',
+      temperature: 'K',
+      volume: 'nm^3'
+    } );
+    if ( this.effusionModel ) {
+      units.escapeRate = '1/ps';
+    }
+    return units;
   }
 
   /**
@@ -282,6 +572,24 @@ class IdealGasLawModel extends BaseModel {
 
     // update things that are dependent on the state of the system
     this.updateModel( dt, this.collisionDetector.numberOfParticleContainerCollisions );
+
+    // sample the trajectory of a process
+    this.processDriver && this.processDriver.sample();
+
+    // trace the state of the gas on the PV diagram
+    this.pvDiagram && this.pvDiagram.step();
+
+    // record P, T, V and N
+    this.timeSeriesModel.step( dt );
+
+    // record escape rates through the aperture
+    this.effusionModel && this.effusionModel.step( dt );
+
+    // sample the density profile
+    this.densityProfile && this.densityProfile.step( dt );
+
+    // extend the trail of the tagged particle
+    this.particleTracer.step( dt );
   }
 
   /**
@@ -293,20 +601,46 @@ class IdealGasLawModel extends BaseModel {
   stepSystem( dt ) {
     assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
 
-    // Apply heat/cool
-    this.particleSystem.heatCool( this.heatCoolFactorProperty.value );
+    // Account for particles that were added or removed since the previous step.
+    this.energyLedger.addParticlesEnergy();
+
+    // Apply heat/cool. With a thermal wall, heat is exchanged by collisions with the bottom wall. While a process
+    // is in progress, the process controls heat instead of the heater/cooler, see compensateForProcess.
+    const processIsRunning = !!this.processDriver && this.processDriver.isRunningProperty.value;
+    if ( this.bottomThermalWall ) {
+      this.bottomThermalWall.temperature = processIsRunning ? this.processDriver.getTargetTemperature() :
+                                           this.getBottomWallTemperature();
+    }
+    else if ( !processIsRunning ) {
+      this.particleSystem.heatCool( this.heatCoolFactorProperty.value );
+      this.energyLedger.addHeat();
+    }
 
     // Step particles
     this.particleSystem.step( dt );
 
-    // Allow particles to escape from the opening in the top of the container
+    // Allow particles to escape from the opening in the top of the container, and through the aperture
+    this.energyLedger.beginMeasurement();
     this.particleSystem.escapeParticles( this.container );
+    this.effusionModel && this.effusionModel.effuseParticles();
+    this.energyLedger.addEscapedEnergy();
+
+    // Move the left wall for a process. Do this before stepping the container.
+    this.processDriver && this.processDriver.step( dt );
 
     // Step container, to animate resizing of left wall and compute velocity of left wall.
     this.container.step( dt );
 
-    // Collision detection and response
-    this.collisionDetector.update();
+    // Collision detection and response. Work done by the left wall is measured one collision at a time, because
+    // collisions also exchange energy between particles.
+    this.collisionDetector.update( dt );
+    this.energyLedger.addWork( this.collisionDetector.wallWork.left );
+    this.bottomThermalWall && this.energyLedger.addWallHeat( this.bottomThermalWall.heat );
+    this.energyLedger.beginMeasurement();
+
+    // Do this after collision detection, so that the momentum transferred to the walls has been recorded.
+    this.pressureModel.sampleWallImpulse( dt, this.collisionDetector.getTotalWallImpulse(),
+      this.container.getWallArea() );
 
     // Remove particles that have left the model bounds
     this.particleSystem.removeParticlesOutOfBounds( this.modelBoundsProperty.value );
@@ -329,8 +663,14 @@ class IdealGasLawModel extends BaseModel {
     assert && assert( typeof numberOfCollisions === 'number' && numberOfCollisions >= 0,
       `invalid numberOfCollisions: ${numberOfCollisions}` );
 
-    // Adjust quantities to compensate for 'Hold Constant' mode. Do this before computing temperature or pressure.
+    // Account for particles that were added or removed while the sim was paused.
+    this.energyLedger.addParticlesEnergy();
+
+    // Adjust quantities to compensate for 'Hold Constant' mode and for a process that is in progress. Do this before
+    // computing temperature or pressure. Changing particle speeds to hold temperature or pressure constant is heat.
     this.compensateForHoldConstant();
+    this.processDriver && this.compensateForProcess();
+    this.energyLedger.addHeat();
 
     // Update temperature. Do this before pressure, because pressure depends on temperature.
     this.temperatureModel.update();
@@ -338,6 +678,9 @@ class IdealGasLawModel extends BaseModel {
     // Update pressure.
     this.pressureModel.update( dtPressureGauge, numberOfCollisions );
 
+    // Update the energy ledger. Do this after temperature, because heat capacity depends on temperature.
+    this.energyLedger.update();
+
     // Do this last.
     this.verifyModel();
   }
@@ -406,6 +749,50 @@ class IdealGasLawModel extends BaseModel {
 
       this.temperatureModel.temperatureProperty.value = desiredTemperature;
     }
+    else if ( this.holdConstantProperty.value === HoldConstant.TEMPERATURE && this.hasInelasticCollisions() ) {
+
+      // Inelastic collisions dissipate kinetic energy, so restore the temperature that is being held constant.
+      // temperatureProperty has not been updated yet, so it contains the temperature from the previous step.
+      this.particleSystem.setTemperature( this.temperatureModel.temperatureProperty.value );
+    }
+  }
+
+  /**
+   * Adjusts particle speeds to the temperature that is required by a process that is in progress.
+   * With a thermal wall, the process sets the wall's temperature instead, see stepSystem.
+   * @private
+   */
+  compensateForProcess() {
+    if ( !this.bottomThermalWall && this.particleSystem.numberOfParticlesProperty.value > 0 ) {
+      const targetTemperature = this.processDriver.getTargetTemperature();
+      ( targetTemperature !== null ) && this.particleSystem.setTemperature( targetTemperature );
+    }
+  }
+
+  /**
+   * Gets the temperature of the bottom wall, as set by the heater/cooler. The wall's temperature is relative to the
+   * temperature in the container when the heater/cooler was turned on, which is latched until the heater/cooler is
+   * turned off. So the wall's temperature changes only when the heater/cooler's setting changes, and the gas
+   * equilibrates with the wall while the setting is held.
+   * @returns {number|null} in K, null if the wall is insulating
+   * @private
+   */
+  getBottomWallTemperature() {
+    const heatCoolFactor = this.heatCoolFactorProperty.value;
+    if ( heatCoolFactor !== 0 && this.heatCoolReferenceTemperature === null ) {
+      this.heatCoolReferenceTemperature = this.temperatureModel.temperatureProperty.value; // null if empty
+    }
+    return ( this.heatCoolReferenceTemperature === null ) ? null :
+           this.heatCoolReferenceTemperature * Math.pow( THERMAL_WALL_TEMPERATURE_RATIO, heatCoolFactor );
+  }
+
+  /**
+   * Are collisions inelastic, so that kinetic energy is dissipated?
+   * @returns {boolean}
+   * @private
+   */
+  hasInelasticCollisions() {
+    return ( this.particleParticleRestitutionProperty.value < 1 || this.particleContainerRestitutionProperty.value < 1 );
   }
 
   /**
@@ -0,0 +1,207 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * PVDiagram is a sub-model of IdealGasLawModel. It traces the state of the gas on a pressure-volume (PV) diagram
+ * while the sim runs, and computes the work done by the gas along the trace, W = ∫P dV.
+ *
+ * When the trace returns to where the current cycle started, the cycle is closed. The net work done by the gas in
+ * that cycle is the area enclosed by the trace, ∮P dV, which is positive for a clockwise cycle (a heat engine) and
+ * negative for a counterclockwise cycle (a refrigerator). The next cycle starts where that cycle closed.
+ *
+ * Distances between points on the trace are relative, |ΔV|/V + |ΔP|/P, so that the trace does not depend on the
+ * scale of the diagram.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Emitter from '../../../../axon/js/Emitter.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import IdealGasLawContainer from './IdealGasLawContainer.js';
+
+// constants
+const MAX_POINTS = 5000; // maximum number of points in the trace, the oldest points are discarded
+const MIN_POINT_DISTANCE = 0.005; // a point is added to the trace when the state has moved this far from the last point
+const LEAVE_DISTANCE = 0.1; // a cycle can close after the state has moved this far from where the cycle started
+const CLOSE_DISTANCE = 0.02; // a cycle closes when the state comes back this close to where the cycle started
+
+class PVDiagram {
+
+  /**
+   * @param {NumberProperty} pressureProperty - pressure in the container, in kPa
+   * @param {IdealGasLawContainer} container
+   * @param {Object} [options]
+   */
+  constructor( pressureProperty, container, options ) {
+    assert && assert( pressureProperty instanceof NumberProperty, `invalid pressureProperty: ${pressureProperty}` );
+    assert && assert( container instanceof IdealGasLawContainer, `invalid container: ${container}` );
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.pressureProperty = pressureProperty;
+    this.volumeProperty = container.volumeProperty;
+
+    // @public (read-only) range of the container's volume, in pm^3. Only the width of the container changes.
+    const crossSectionArea = container.volumeProperty.value / container.widthProperty.value; // pm^2
+    this.volumeRange = new Range( crossSectionArea * container.widthRange.min,
+      crossSectionArea * container.widthRange.max );
+
+    // @public (read-only) {{volume:number, pressure:number}[]} points on the trace, oldest first, in pm^3 and kPa
+    this.trace = [];
+
+    // @public emits when trace changes
+    this.traceChangedEmitter = new Emitter();
+
+    // @public (read-only) work done by the gas along the trace, ∫P dV
+    this.workProperty = new NumberProperty( 0, {
+      units: 'AMU * pm^2 / ps^2',
+      tandem: options.tandem.createTandem( 'workProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'work done by the gas along the trace on the PV diagram, since the trace was cleared'
+    } );
+
+    // @public (read-only) {Property.<number|null>} net work done by the gas in the most recent closed cycle, ∮P dV,
+    // in AMU * pm^2 / ps^2. null if no cycle has closed since the trace was cleared.
+    this.cycleWorkProperty = new Property( null, {
+      isValidValue: value => ( value === null || typeof value === 'number' ),
+      phetioType: PropertyIO( NullableIO( NumberIO ) ),
+      tandem: options.tandem.createTandem( 'cycleWorkProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'net work done by the gas in the most recent closed cycle on the PV diagram, ' +
+                           'the area enclosed by the cycle, in AMU * pm^2 / ps^2'
+    } );
+
+    // @public (read-only) {number} index in trace of the point where the current cycle started
+    this.cycleStartIndex = 0;
+
+    // @private {boolean} whether the state has moved far enough from where the current cycle started to close a cycle
+    this.hasLeftCycleStart = false;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.clear();
+  }
+
+  /**
+   * Clears the trace, and the work done along the trace.
+   * @public
+   */
+  clear() {
+    this.trace.length = 0;
+    this.cycleStartIndex = 0;
+    this.hasLeftCycleStart = false;
+    this.workProperty.reset();
+    this.cycleWorkProperty.reset();
+    this.traceChangedEmitter.emit();
+  }
+
+  /**
+   * Adds the current state of the gas to the trace, if it has moved far enough from the last point. Call this after
+   * pressure has been updated. The trace is not extended when the container is empty.
+   * @public
+   */
+  step() {
+
+    const pressure = this.pressureProperty.value;
+    const volume = this.volumeProperty.value;
+    if ( pressure > 0 ) {
+
+      const lastPoint = ( this.trace.length > 0 ) ? this.trace[ this.trace.length - 1 ] : null;
+      if ( !lastPoint || getDistance( lastPoint, volume, pressure ) >= MIN_POINT_DISTANCE ) {
+
+        // Work done by the gas on this segment, using the trapezoidal rule. Pressure is converted from kPa to
+        // AMU/(pm * ps^2), so that work is in AMU * pm^2 / ps^2.
+        if ( lastPoint ) {
+          this.workProperty.value += ( ( lastPoint.pressure + pressure ) / 2 ) * ( volume - lastPoint.volume ) /
+                                     GasPropertiesConstants.PRESSURE_CONVERSION_SCALE;
+        }
+
+        this.trace.push( { volume: volume, pressure: pressure } );
+
+        // Discard the oldest point. If it was the start of the current cycle, start the cycle at the next point.
+        if ( this.trace.length > MAX_POINTS ) {
+          this.trace.shift();
+          if ( this.cycleStartIndex > 0 ) {
+            this.cycleStartIndex--;
+          }
+          else {
+            this.hasLeftCycleStart = false;
+          }
+        }
+
+        this.updateCycle();
+        this.traceChangedEmitter.emit();
+      }
+    }
+  }
+
+  /**
+   * Closes the current cycle if the last point on the trace has returned to where the cycle started.
+   * @private
+   */
+  updateCycle() {
+
+    const startPoint = this.trace[ this.cycleStartIndex ];
+    const lastIndex = this.trace.length - 1;
+    const distance = getDistance( startPoint, this.trace[ lastIndex ].volume, this.trace[ lastIndex ].pressure );
+
+    if ( !this.hasLeftCycleStart ) {
+      this.hasLeftCycleStart = ( distance >= LEAVE_DISTANCE );
+    }
+    else if ( distance <= CLOSE_DISTANCE ) {
+      this.cycleWorkProperty.value = this.getEnclosedArea( this.cycleStartIndex, lastIndex ) /
+                                     GasPropertiesConstants.PRESSURE_CONVERSION_SCALE;
+      this.cycleStartIndex = lastIndex;
+      this.hasLeftCycleStart = false;
+    }
+  }
+
+  /**
+   * Gets the area enclosed by the points of the trace from startIndex to endIndex, closed by a line segment from the
+   * last point to the first point, using the shoelace formula. The area is positive if the points are clockwise on a
+   * PV diagram (V on the x axis, P on the y axis), which is the same sign as the work done by the gas.
+   * @param {number} startIndex
+   * @param {number} endIndex
+   * @returns {number} in kPa * pm^3
+   * @private
+   */
+  getEnclosedArea( startIndex, endIndex ) {
+    let area = 0;
+    for ( let i = startIndex; i <= endIndex; i++ ) {
+      const point = this.trace[ i ];
+      const nextPoint = this.trace[ ( i === endIndex ) ? startIndex : i + 1 ];
+      area += ( nextPoint.volume - point.volume ) * ( nextPoint.pressure + point.pressure ) / 2;
+    }
+    return area;
+  }
+}
+
+/**
+ * Gets the relative distance between a point on the trace and a state, |ΔV|/V + |ΔP|/P.
+ * @param {{volume:number, pressure:number}} point
+ * @param {number} volume - in pm^3
+ * @param {number} pressure - in kPa
+ * @returns {number}
+ */
+function getDistance( point, volume, pressure ) {
+  return Math.abs( volume - point.volume ) / point.volume + Math.abs( pressure - point.pressure ) / point.pressure;
+}
+
+gasProperties.register( 'PVDiagram', PVDiagram );
+export default PVDiagram;
@@ -28,9 +28,13 @@ class Particle {
       mass: GasPropertiesConstants.MASS_RANGE.defaultValue, // AMU
       radius: GasPropertiesConstants.RADIUS_RANGE.defaultValue, // pm
       colorProperty: null, // {Property.<ColorDef>|null}
-      highlightColorProperty: null // {Property.<ColorDef>|null} color for specular highlight
+      highlightColorProperty: null, // {Property.<ColorDef>|null} color for specular highlight
+      species: null // {ParticleSpecies|null} the species that this particle belongs to, null if it has no species
     }, options );
 
+    // @public (read-only) {ParticleSpecies|null}
+    this.species = options.species;
+
     // @public (read-only)
     this.position = new Vector2( 0, 0 ); // center of the particle, pm, MUTATED!
     this.previousPosition = this.position.copy(); // position on previous time step, MUTATED!
@@ -44,6 +48,10 @@ class Particle {
     this.colorProperty = options.colorProperty || new Property( 'white' );
     this.highlightColorProperty = options.highlightColorProperty || new Property( 'white' );
 
+    // @public these are updated by CollisionDetector
+    this.numberOfCollisions = 0; // number of particle-particle collisions
+    this.freePathLength = 0; // distance traveled since the most recent particle-particle collision, in pm
+
     // @public (read-only)
     this.isDisposed = false;
   }
@@ -95,6 +103,15 @@ class Particle {
     return 0.5 * this.mass * this.velocity.magnitudeSquared; // KE = (1/2) * m * |v|^2
   }
 
+  /**
+   * Gets the speed of this particle.
+   * @returns {number} pm/ps
+   * @public
+   */
+  getSpeed() {
+    return this.velocity.magnitude;
+  }
+
   /**
    * Disposes this particle.
    * @public
@@ -215,6 +232,39 @@ class Particle {
     return ( maxX - minX ) >= 0 && ( maxY - minY >= 0 );
   }
 
+  /**
+   * Gets the state of this particle, as a plain object that can be serialized to JSON. Numbers survive a round trip
+   * through JSON exactly, so restoring this state reproduces the particle exactly. See BaseModel.getSnapshot.
+   * @returns {Object}
+   * @public
+   */
+  toStateObject() {
+    return {
+      x: this.position.x, // pm
+      y: this.position.y, // pm
+      previousX: this.previousPosition.x, // pm
+      previousY: this.previousPosition.y, // pm
+      vx: this.velocity.x, // pm/ps
+      vy: this.velocity.y, // pm/ps
+      mass: this.mass, // AMU
+      radius: this.radius // pm
+    };
+  }
+
+  /**
+   * Restores the state of this particle.
+   * @param {Object} stateObject - see toStateObject
+   * @public
+   */
+  applyState( stateObject ) {
+    assert && assert( !this.isDisposed, 'attempted to apply state to a disposed Particle' );
+    this.mass = stateObject.mass;
+    this.radius = stateObject.radius;
+    this.previousPosition.setXY( stateObject.previousX, stateObject.previousY );
+    this.position.setXY( stateObject.x, stateObject.y );
+    this.velocity.setXY( stateObject.vx, stateObject.vy );
+  }
+
   /**
    * String representation of this particle. For debugging only, do not rely on format.
    * @returns {string}
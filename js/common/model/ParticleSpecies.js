@@ -0,0 +1,113 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ParticleSpecies is one species of particle in the screens that are based on the Ideal Gas Law. It owns the
+ * particles of that species, inside and outside the container, and the number of particles inside the container.
+ * See SpeciesDescriptors for the species that are available, and for the default mass and radius of each species.
+ * The user can change mass and radius, directly or by choosing a gas from SpeciesLibrary. IdealGasLawModel updates
+ * existing particles when they change.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import AttractionSettings from './AttractionSettings.js';
+import DiatomicParticle from './DiatomicParticle.js';
+import Particle from './Particle.js';
+import SpeciesDescriptors from './SpeciesDescriptors.js';
+import SpeciesPresetProperty from './SpeciesPresetProperty.js';
+
+class ParticleSpecies {
+
+  /**
+   * @param {string} name - a key in SpeciesDescriptors
+   * @param {Object} [options]
+   */
+  constructor( name, options ) {
+    assert && assert( SpeciesDescriptors.hasOwnProperty( name ), `invalid name: ${name}` );
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const descriptor = SpeciesDescriptors[ name ];
+
+    // @public (read-only)
+    this.name = name;
+    this.colorProperty = descriptor.colorProperty;
+    this.highlightColorProperty = descriptor.highlightColorProperty;
+    this.isDiatomic = descriptor.isDiatomic; // {boolean} whether particles are DiatomicParticles
+
+    // @public (read-only) Separate arrays are kept to optimize performance.
+    this.particles = []; // {Particle[]} particles inside the container
+    this.particlesOutside = []; // {Particle[]} particles outside the container
+
+    // @public the number of particles of this species inside the container
+    this.numberOfParticlesProperty = new NumberProperty( GasPropertiesConstants.SPECIES_PARTICLES_RANGE.defaultValue, {
+      numberType: 'Integer',
+      range: GasPropertiesConstants.SPECIES_PARTICLES_RANGE,
+      tandem: options.tandem.createTandem( 'numberOfParticlesProperty' ),
+      phetioDocumentation: `the number of ${name} particles in the container`
+    } );
+
+    // @public mass of particles of this species, in AMU
+    this.massProperty = new NumberProperty( descriptor.mass, {
+      numberType: 'Integer',
+      range: GasPropertiesConstants.SPECIES_MASS_RANGE,
+      units: 'AMU',
+      tandem: options.tandem.createTandem( 'massProperty' ),
+      phetioDocumentation: `the mass of ${name} particles`
+    } );
+
+    // @public radius of particles of this species, in pm
+    this.radiusProperty = new NumberProperty( descriptor.radius, {
+      range: GasPropertiesConstants.SPECIES_RADIUS_RANGE,
+      units: 'pm',
+      tandem: options.tandem.createTandem( 'radiusProperty' ),
+      phetioDocumentation: `the radius of ${name} particles`
+    } );
+
+    // @public the gas from SpeciesLibrary that determines mass and radius
+    this.presetProperty = new SpeciesPresetProperty( this.massProperty, this.radiusProperty, {
+      massInterval: 1, // because massProperty is an integer
+      tandem: options.tandem.createTandem( 'presetProperty' )
+    } );
+
+    // @public (read-only) parameters of the attractive potential for this species
+    this.attractionSettings = new AttractionSettings( {
+      strengthRange: descriptor.attractionStrengthRange,
+      rangeRange: descriptor.attractionRangeRange,
+      tandem: options.tandem.createTandem( 'attractionSettings' )
+    } );
+
+    // @public (read-only) {function(options:*):Particle} creates a particle of this species, see Particle options
+    const ParticleConstructor = this.isDiatomic ? DiatomicParticle : Particle;
+    this.createParticle = options => new ParticleConstructor( merge( {
+      mass: this.massProperty.value,
+      radius: this.radiusProperty.value,
+      colorProperty: this.colorProperty,
+      highlightColorProperty: this.highlightColorProperty,
+      species: this
+    }, options ) );
+  }
+
+  /**
+   * Resets the settings of this species. Particles are removed by ParticleSystem.
+   * @public
+   */
+  reset() {
+    this.presetProperty.reset();
+    this.massProperty.reset();
+    this.radiusProperty.reset();
+    this.attractionSettings.reset();
+  }
+}
+
+gasProperties.register( 'ParticleSpecies', ParticleSpecies );
+export default ParticleSpecies;
@@ -13,16 +13,20 @@ import DerivedPropertyIO from '../../../../axon/js/DerivedPropertyIO.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Random from '../../../../dot/js/Random.js';
+import Range from '../../../../dot/js/Range.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import NumberIO from '../../../../tandem/js/types/NumberIO.js';
 import gasProperties from '../../gasProperties.js';
 import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
 import GasPropertiesUtils from '../GasPropertiesUtils.js';
-import HeavyParticle from './HeavyParticle.js';
+import Aperture from './Aperture.js';
+import DiatomicParticle from './DiatomicParticle.js';
 import IdealGasLawContainer from './IdealGasLawContainer.js';
-import LightParticle from './LightParticle.js';
+import ParticleSpecies from './ParticleSpecies.js';
 import ParticleUtils from './ParticleUtils.js';
 
 // constants
@@ -30,24 +34,34 @@ import ParticleUtils from './ParticleUtils.js';
 // used to compute the initial velocity angle for particles, in radians
 const PARTICLE_DISPERSION_ANGLE = Math.PI / 2;
 
+// For the Lennard-Jones potential, the distance at which the potential is minimum is 2^(1/6) * sigma.
+// Sigma is chosen so that the minimum occurs when particles are in contact.
+const SIGMA_SCALE = 1 / Math.pow( 2, 1 / 6 );
+
 class ParticleSystem {
 
   /**
    * @param {function:number} getInitialTemperature - gets the temperature used to compute initial velocity magnitude
    * @param {BooleanProperty} collisionsEnabledProperty - where particle-particle collisions are enabled
    * @param {Vector2} particleEntryPosition - point where the particles enter the container
+   * @param {Random} random - source of random numbers for the initial velocities of particles
    * @param {Object} [options]
    */
-  constructor( getInitialTemperature, collisionsEnabledProperty, particleEntryPosition, options ) {
+  constructor( getInitialTemperature, collisionsEnabledProperty, particleEntryPosition, random, options ) {
     assert && assert( typeof getInitialTemperature === 'function',
       `invalid getInitialTemperature: ${getInitialTemperature}` );
     assert && assert( collisionsEnabledProperty instanceof BooleanProperty,
       `invalid collisionsEnabledProperty: ${collisionsEnabledProperty}` );
     assert && assert( particleEntryPosition instanceof Vector2,
       `invalid particleEntryPosition: ${particleEntryPosition}` );
+    assert && assert( random instanceof Random, `invalid random: ${random}` );
 
     options = merge( {
 
+      // {string[]} names of the particle species, in the order that they appear in the user interface,
+      // see SpeciesDescriptors
+      speciesNames: GasPropertiesQueryParameters.species,
+
       // phet-io
       tandem: Tandem.REQUIRED
     }, options );
@@ -56,60 +70,74 @@ class ParticleSystem {
     this.getInitialTemperature = getInitialTemperature;
     this.collisionsEnabledProperty = collisionsEnabledProperty;
     this.particleEntryPosition = particleEntryPosition;
+    this.random = random;
+
+    assert && assert( Array.isArray( options.speciesNames ) && options.speciesNames.length > 0,
+      `invalid speciesNames: ${options.speciesNames}` );
+    assert && assert( _.uniq( options.speciesNames ).length === options.speciesNames.length,
+      `speciesNames must be unique: ${options.speciesNames}` );
 
-    // @public (read-only) together these arrays make up the 'particle system'
-    // Separate arrays are kept to optimize performance.
-    this.heavyParticles = []; // {HeavyParticle[]} heavy particles inside the container
-    this.lightParticles = []; // {LightParticle[]} light particles inside the container
-    this.heavyParticlesOutside = []; // {HeavyParticle[]} heavy particles outside the container
-    this.lightParticlesOutside = []; // {LightParticle[]} light particles outside the container
+    // @public (read-only) {ParticleSpecies[]} together the particles of these species make up the 'particle system'
+    this.species = options.speciesNames.map( name => new ParticleSpecies( name, {
+      tandem: options.tandem.createTandem( `${name}Species` )
+    } ) );
 
     // @public performance optimization, for iterating over all particles inside the container
-    this.insideParticleArrays = [ this.heavyParticles, this.lightParticles ];
-
-    // @public the number of heavy particles inside the container
-    this.numberOfHeavyParticlesProperty = new NumberProperty( GasPropertiesConstants.HEAVY_PARTICLES_RANGE.defaultValue, {
-      numberType: 'Integer',
-      range: GasPropertiesConstants.HEAVY_PARTICLES_RANGE,
-      tandem: options.tandem.createTandem( 'numberOfHeavyParticlesProperty' ),
-      phetioDocumentation: 'the number of heavy particles in the container'
+    this.insideParticleArrays = this.species.map( species => species.particles );
+
+    // @private performance optimization, for iterating over all particles outside the container
+    this.outsideParticleArrays = this.species.map( species => species.particlesOutside );
+
+    // @public whether particles attract each other, see attractParticles
+    this.attractionsEnabledProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'attractionsEnabledProperty' ),
+      phetioDocumentation: 'determines whether particles attract each other'
     } );
 
-    // @public the number of light particles inside the container
-    this.numberOfLightParticlesProperty = new NumberProperty( GasPropertiesConstants.LIGHT_PARTICLES_RANGE.defaultValue, {
-      numberType: 'Integer',
-      range: GasPropertiesConstants.LIGHT_PARTICLES_RANGE,
-      tandem: options.tandem.createTandem( 'numberOfLightParticlesProperty' ),
-      phetioDocumentation: 'the number of light particles in the container'
+    // @public magnitude of the uniform gravitational field that acts on all particles, in pm/ps^2
+    this.gravityMagnitudeProperty = new NumberProperty( GasPropertiesQueryParameters.gravity, {
+      range: GasPropertiesConstants.GRAVITY_RANGE,
+      units: 'pm/ps^2',
+      tandem: options.tandem.createTandem( 'gravityMagnitudeProperty' ),
+      phetioDocumentation: 'magnitude of the gravitational acceleration of particles, 0 is no gravity'
     } );
 
-    // Synchronize particle counts and arrays.
-    const createHeavyParticle = () => new HeavyParticle();
-    this.numberOfHeavyParticlesProperty.link( ( newValue, oldValue ) => {
-      this.updateNumberOfParticles( newValue, oldValue, this.heavyParticles, createHeavyParticle );
-      assert && assert( GasPropertiesUtils.isArrayOf( this.heavyParticles, HeavyParticle ),
-        'heavyParticles should contain only HeavyParticle' );
+    // @public direction of the uniform gravitational field, in radians. -PI/2 is down.
+    this.gravityDirectionProperty = new NumberProperty( -Math.PI / 2, {
+      range: new Range( -Math.PI, Math.PI ),
+      units: 'radians',
+      tandem: options.tandem.createTandem( 'gravityDirectionProperty' ),
+      phetioDocumentation: 'direction of the gravitational acceleration of particles, -PI/2 is down'
     } );
-    const createLightParticle = () => new LightParticle();
-    this.numberOfLightParticlesProperty.link( ( newValue, oldValue ) => {
-      this.updateNumberOfParticles( newValue, oldValue, this.lightParticles, createLightParticle );
-      assert && assert( GasPropertiesUtils.isArrayOf( this.lightParticles, LightParticle ),
-        'lightParticles should contain only LightParticle' );
+
+    // @public {DerivedProperty.<Vector2>} gravitational acceleration, in pm/ps^2
+    this.gravityProperty = new DerivedProperty(
+      [ this.gravityMagnitudeProperty, this.gravityDirectionProperty ],
+      ( magnitude, direction ) => Vector2.createPolar( magnitude, direction ), {
+        valueType: Vector2
+      } );
+
+    // @private {Particle[]} reused by attractParticles, to avoid allocating an array on each time step
+    this.sortedParticles = [];
+
+    // Synchronize particle counts and arrays.
+    this.species.forEach( species => {
+      species.numberOfParticlesProperty.link( ( newValue, oldValue ) => {
+        this.updateNumberOfParticles( newValue, oldValue, species.particles, species.createParticle );
+      } );
     } );
 
     // @public N, the total number of particles in the container.
     this.numberOfParticlesProperty = new DerivedProperty(
-      [ this.numberOfHeavyParticlesProperty, this.numberOfLightParticlesProperty ],
-      ( numberOfHeavyParticles, numberOfLightParticles ) => {
+      this.species.map( species => species.numberOfParticlesProperty ),
+      ( ...numbersOfParticles ) => {
 
         // Verify that particle arrays have been populated before numberOfParticlesProperty is updated.
-        // If you hit these assertions, then you need to add this listener later.  This is a trade-off
+        // If you hit this assertion, then you need to add this listener later.  This is a trade-off
         // for using plain old Arrays instead of ObservableArray.
-        assert && assert( this.heavyParticles.length === numberOfHeavyParticles,
-          'heavyParticles has not been populated yet' );
-        assert && assert( this.lightParticles.length === numberOfLightParticles,
-          'lightParticles has not been populated yet' );
-        return numberOfHeavyParticles + numberOfLightParticles;
+        assert && this.species.forEach( ( species, i ) => assert( species.particles.length === numbersOfParticles[ i ],
+          `${species.name} particles have not been populated yet` ) );
+        return _.sum( numbersOfParticles );
       }, {
         phetioType: DerivedPropertyIO( NumberIO ),
         valueType: 'number',
@@ -119,12 +147,14 @@ class ParticleSystem {
       }
     );
 
-    // Properties for the number of heavy and light particles need to notify listeners to update their associated
+    // Properties for the number of particles of each species need to notify listeners to update their associated
     // particle arrays. This occurs in the "notification" step when updateNumberOfParticles is called.
     // During PhET-iO restore state, this must occur before numberOfParticlesProperty is re-derived.
     // See https://github.com/phetsims/gas-properties/issues/178
-    Property.registerOrderDependency( this.numberOfHeavyParticlesProperty, Property.Phase.NOTIFY, this.numberOfParticlesProperty, Property.Phase.UNDEFER );
-    Property.registerOrderDependency( this.numberOfLightParticlesProperty, Property.Phase.NOTIFY, this.numberOfParticlesProperty, Property.Phase.UNDEFER );
+    this.species.forEach( species => {
+      Property.registerOrderDependency( species.numberOfParticlesProperty, Property.Phase.NOTIFY,
+        this.numberOfParticlesProperty, Property.Phase.UNDEFER );
+    } );
   }
 
   /**
@@ -133,6 +163,10 @@ class ParticleSystem {
    */
   reset() {
     this.removeAllParticles();
+    this.attractionsEnabledProperty.reset();
+    this.gravityMagnitudeProperty.reset();
+    this.gravityDirectionProperty.reset();
+    this.species.forEach( species => species.reset() );
   }
 
   /**
@@ -140,17 +174,61 @@ class ParticleSystem {
    * @public
    */
   removeAllParticles() {
-    this.numberOfHeavyParticlesProperty.reset();
-    assert && assert( this.heavyParticles.length === 0, 'there should be no heavyParticles' );
+    this.species.forEach( species => {
 
-    this.numberOfLightParticlesProperty.reset();
-    assert && assert( this.lightParticles.length === 0, 'there should be no lightParticles' );
+      species.numberOfParticlesProperty.reset();
+      assert && assert( species.particles.length === 0, `there should be no ${species.name} particles` );
 
-    ParticleUtils.removeAllParticles( this.heavyParticlesOutside );
-    assert && assert( this.heavyParticlesOutside.length === 0, 'there should be no heavyParticlesOutside' );
+      ParticleUtils.removeAllParticles( species.particlesOutside );
+      assert && assert( species.particlesOutside.length === 0,
+        `there should be no ${species.name} particles outside` );
+    } );
+  }
 
-    ParticleUtils.removeAllParticles( this.lightParticlesOutside );
-    assert && assert( this.lightParticlesOutside.length === 0, 'there should be no lightParticlesOutside' );
+  /**
+   * Gets the state of the particle system, including the mass and radius of each species, and every particle inside
+   * and outside the container, keyed by species name. See BaseModel.getSnapshot.
+   * @returns {Object}
+   * @public
+   */
+  toStateObject() {
+    const stateObject = {};
+    this.species.forEach( species => {
+      stateObject[ species.name ] = {
+        mass: species.massProperty.value, // AMU
+        radius: species.radiusProperty.value, // pm
+        particles: ParticleUtils.getStateObjects( species.particles ),
+        particlesOutside: ParticleUtils.getStateObjects( species.particlesOutside )
+      };
+    } );
+    return stateObject;
+  }
+
+  /**
+   * Restores the state of the particle system. Each particle count is set after its array has been populated,
+   * so that updateNumberOfParticles has nothing to do, and numberOfParticlesProperty is never out of sync.
+   * The state must have the same species as this particle system.
+   * @param {Object} stateObject - see toStateObject
+   * @public
+   */
+  applyState( stateObject ) {
+
+    const names = _.keys( stateObject );
+    if ( !_.isEqual( _.sortBy( names ), _.sortBy( this.species.map( species => species.name ) ) ) ) {
+      throw new Error( `state has species ${names}, expected ${this.species.map( species => species.name )}` );
+    }
+
+    this.species.forEach( species => {
+      const speciesState = stateObject[ species.name ];
+
+      // Set mass and radius before restoring particles, so that restored particles are not modified.
+      species.massProperty.value = speciesState.mass;
+      species.radiusProperty.value = speciesState.radius;
+      ParticleUtils.setStateObjects( speciesState.particles, species.particles, species.createParticle );
+      species.numberOfParticlesProperty.value = species.particles.length;
+      ParticleUtils.setStateObjects( speciesState.particlesOutside, species.particlesOutside,
+        species.createParticle );
+    } );
   }
 
   /**
@@ -161,10 +239,106 @@ class ParticleSystem {
   step( dt ) {
     assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
 
-    ParticleUtils.stepParticles( this.heavyParticles, dt );
-    ParticleUtils.stepParticles( this.lightParticles, dt );
-    ParticleUtils.stepParticles( this.heavyParticlesOutside, dt );
-    ParticleUtils.stepParticles( this.lightParticlesOutside, dt );
+    // Change velocities before moving particles, so that positions reflect the attractive forces.
+    if ( this.attractionsEnabledProperty.value ) {
+      this.attractParticles( dt );
+    }
+
+    // Gravity acts on all particles, inside and outside the container.
+    if ( this.gravityMagnitudeProperty.value > 0 ) {
+      const gravity = this.gravityProperty.value;
+      for ( let i = 0; i < this.species.length; i++ ) {
+        ParticleUtils.accelerateParticles( this.insideParticleArrays[ i ], gravity, dt );
+        ParticleUtils.accelerateParticles( this.outsideParticleArrays[ i ], gravity, dt );
+      }
+    }
+
+    for ( let i = 0; i < this.species.length; i++ ) {
+      ParticleUtils.stepParticles( this.insideParticleArrays[ i ], dt );
+      ParticleUtils.stepParticles( this.outsideParticleArrays[ i ], dt );
+    }
+
+    // Diatomic particles rotate, inside and outside the container.
+    for ( let i = 0; i < this.species.length; i++ ) {
+      if ( this.species[ i ].isDiatomic ) {
+        ParticleUtils.rotateParticles( this.insideParticleArrays[ i ], dt );
+        ParticleUtils.rotateParticles( this.outsideParticleArrays[ i ], dt );
+      }
+    }
+  }
+
+  /**
+   * Applies attractive forces between particles inside the container, for one time step. The interaction is
+   * the attractive part of a Lennard-Jones potential, U(r) = 4ε[(σ/r)^12 - (σ/r)^6], with σ chosen so that the
+   * potential is minimum when particles are in contact. The repulsive core is not needed, because overlapping
+   * particles are handled by CollisionDetector. The potential is truncated at the species' range.
+   * For pairs of different species, ε is the geometric mean and range is the arithmetic mean (Lorentz-Berthelot).
+   *
+   * To avoid testing all pairs, particles are sorted by x, and only particles whose x separation is within the
+   * largest range are tested.
+   * @param {number} dt - time delta, in ps
+   * @private
+   */
+  attractParticles( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    const k = GasPropertiesConstants.BOLTZMANN; // (pm^2 * AMU)/(ps^2 * K)
+    let maxRange = 0;
+    for ( let i = 0; i < this.species.length; i++ ) {
+      maxRange = Math.max( maxRange, this.species[ i ].attractionSettings.rangeProperty.value );
+    }
+
+    const particles = this.sortedParticles;
+    particles.length = 0;
+    for ( let i = 0; i < this.insideParticleArrays.length; i++ ) {
+      const insideParticles = this.insideParticleArrays[ i ];
+      for ( let j = 0; j < insideParticles.length; j++ ) {
+        particles.push( insideParticles[ j ] );
+      }
+    }
+    particles.sort( ( particle1, particle2 ) => particle1.position.x - particle2.position.x );
+
+    for ( let i = 0; i < particles.length; i++ ) {
+      const particle1 = particles[ i ];
+      const settings1 = particle1.species.attractionSettings;
+      const epsilon1 = settings1.strengthProperty.value * k; // AMU * pm^2 / ps^2
+      const range1 = settings1.rangeProperty.value; // pm
+
+      for ( let j = i + 1; j < particles.length; j++ ) {
+        const particle2 = particles[ j ];
+        const dx = particle2.position.x - particle1.position.x;
+        if ( dx >= maxRange ) {
+          break; // particles are sorted by x, so no remaining particle is within range
+        }
+        const dy = particle2.position.y - particle1.position.y;
+
+        const settings2 = particle2.species.attractionSettings;
+        const epsilon = Math.sqrt( epsilon1 * settings2.strengthProperty.value * k );
+        const range = ( range1 + settings2.rangeProperty.value ) / 2;
+        const contactDistance = particle1.radius + particle2.radius;
+        const distanceSquared = dx * dx + dy * dy;
+
+        // Only particles that are not in contact, and are within range, attract.
+        if ( epsilon > 0 && distanceSquared > contactDistance * contactDistance && distanceSquared < range * range ) {
+
+          // F(r) = -dU/dr = (24ε/r)[2(σ/r)^12 - (σ/r)^6], which is negative (attractive) beyond contact
+          const distance = Math.sqrt( distanceSquared );
+          const sigma = SIGMA_SCALE * contactDistance;
+          const s6 = Math.pow( sigma / distance, 6 );
+          const force = ( 24 * epsilon / distance ) * ( 2 * s6 * s6 - s6 ); // AMU * pm / ps^2
+
+          // Apply equal and opposite impulses along the line between the centers.
+          const impulseX = force * dt * dx / distance;
+          const impulseY = force * dt * dy / distance;
+          particle1.setVelocityXY(
+            particle1.velocity.x - impulseX / particle1.mass,
+            particle1.velocity.y - impulseY / particle1.mass );
+          particle2.setVelocityXY(
+            particle2.velocity.x + impulseX / particle2.mass,
+            particle2.velocity.y + impulseY / particle2.mass );
+        }
+      }
+    }
   }
 
   /**
@@ -177,8 +351,9 @@ class ParticleSystem {
       `invalid heatCoolFactor: ${heatCoolFactor}` );
 
     if ( heatCoolFactor !== 0 ) {
-      ParticleUtils.heatCoolParticles( this.heavyParticles, heatCoolFactor );
-      ParticleUtils.heatCoolParticles( this.lightParticles, heatCoolFactor );
+      for ( let i = 0; i < this.insideParticleArrays.length; i++ ) {
+        ParticleUtils.heatCoolParticles( this.insideParticleArrays[ i ], heatCoolFactor );
+      }
     }
   }
 
@@ -191,19 +366,34 @@ class ParticleSystem {
     assert && assert( container instanceof IdealGasLawContainer, `invalid container: ${container}` );
 
     if ( container.isOpenProperty.value ) {
+      this.species.forEach( species => {
+        ParticleUtils.escapeParticles( container, species.numberOfParticlesProperty,
+          species.particles, species.particlesOutside );
+      } );
+    }
 
-      ParticleUtils.escapeParticles( container, this.numberOfHeavyParticlesProperty,
-        this.heavyParticles, this.heavyParticlesOutside );
-      assert && assert( GasPropertiesUtils.isArrayOf( this.heavyParticlesOutside, HeavyParticle ),
-        'heavyParticlesOutside should contain only HeavyParticle' );
-
-      ParticleUtils.escapeParticles( container, this.numberOfLightParticlesProperty,
-        this.lightParticles, this.lightParticlesOutside );
-      assert && assert( GasPropertiesUtils.isArrayOf( this.lightParticlesOutside, LightParticle ),
-        'lightParticlesOutside should contain only LightParticle' );
+    // Gravity may pull particles that have escaped back down to the container.
+    if ( this.gravityMagnitudeProperty.value > 0 ) {
+      this.species.forEach( species => {
+        ParticleUtils.returnParticles( container, species.numberOfParticlesProperty,
+          species.particles, species.particlesOutside );
+      } );
     }
   }
 
+  /**
+   * Allows particles to escape through an aperture in a wall of the container.
+   * @param {Aperture} aperture
+   * @returns {number[]} the number of particles of each species that escaped, in the same order as species
+   * @public
+   */
+  effuseParticles( aperture ) {
+    assert && assert( aperture instanceof Aperture, `invalid aperture: ${aperture}` );
+
+    return this.species.map( species =>
+      ParticleUtils.effuseParticles( aperture, species.numberOfParticlesProperty, species.particles ) );
+  }
+
   /**
    * Removes particles that are outside the specified bounds. This is used to dispose of particles once they
    * are outside the visible bounds of the sim.
@@ -213,8 +403,9 @@ class ParticleSystem {
   removeParticlesOutOfBounds( bounds ) {
     assert && assert( bounds instanceof Bounds2, `invalid bounds: ${bounds}` );
 
-    ParticleUtils.removeParticlesOutOfBounds( this.heavyParticlesOutside, bounds );
-    ParticleUtils.removeParticlesOutOfBounds( this.lightParticlesOutside, bounds );
+    for ( let i = 0; i < this.outsideParticleArrays.length; i++ ) {
+      ParticleUtils.removeParticlesOutOfBounds( this.outsideParticleArrays[ i ], bounds );
+    }
   }
 
   /**
@@ -277,7 +468,8 @@ class ParticleSystem {
       // of particles look less wave-like. We do this for temperature instead of speed because temperature
       // in the container is T = (2/3)KE/k, and KE is a function of |v|^2, so deviation in speed would
       // change the desired temperature.
-      temperatures = GasPropertiesUtils.getGaussianValues( n, meanTemperature, 0.2 * meanTemperature, 1E-3 );
+      temperatures = GasPropertiesUtils.getGaussianValues( n, meanTemperature, 0.2 * meanTemperature, 1E-3,
+        this.random );
     }
 
     assert && assert( temperatures.length === n,
@@ -301,10 +493,18 @@ class ParticleSystem {
       const speed = Math.sqrt( 3 * GasPropertiesConstants.BOLTZMANN * temperatures[ i ] / particle.mass );
 
       // Angle is randomly chosen from pump's dispersion angle, perpendicular to right wall of container.
-      const angle = Math.PI - PARTICLE_DISPERSION_ANGLE / 2 + phet.joist.random.nextDouble() * PARTICLE_DISPERSION_ANGLE;
+      const angle = Math.PI - PARTICLE_DISPERSION_ANGLE / 2 + this.random.nextDouble() * PARTICLE_DISPERSION_ANGLE;
 
       particle.setVelocityPolar( speed, angle );
 
+      // Diatomic particles have a random orientation and direction of rotation, and rotational energy kT, which is
+      // their share of energy at equilibrium. See RotationalEnergyExchange.
+      if ( particle instanceof DiatomicParticle ) {
+        particle.orientation = this.random.nextDouble() * 2 * Math.PI;
+        particle.angularVelocity = ( this.random.nextDouble() < 0.5 ) ? -1 : 1;
+        particle.setRotationalEnergy( GasPropertiesConstants.BOLTZMANN * temperatures[ i ] );
+      }
+
       particles.push( particle );
     }
   }
@@ -318,13 +518,15 @@ class ParticleSystem {
   redistributeParticles( scaleX ) {
     assert && assert( typeof scaleX === 'number' && scaleX > 0, `invalid scaleX: ${scaleX}` );
 
-    ParticleUtils.redistributeParticles( this.heavyParticles, scaleX );
-    ParticleUtils.redistributeParticles( this.lightParticles, scaleX );
+    for ( let i = 0; i < this.insideParticleArrays.length; i++ ) {
+      ParticleUtils.redistributeParticles( this.insideParticleArrays[ i ], scaleX );
+    }
   }
 
   /**
    * Adjusts velocities of particle inside the container so that the resulting temperature matches
-   * a specified temperature.
+   * a specified temperature. Rotational energy is scaled by the same ratio as kinetic energy, so that the
+   * partitioning of energy between translation and rotation is unchanged.
    * @param {number} temperature - in K
    * @public
    */
@@ -343,10 +545,46 @@ class ParticleSystem {
         const desiredParticleKE = ratio * actualParticleKE;
         const desiredSpeed = Math.sqrt( 2 * desiredParticleKE / particle.mass ); // |v| = Math.sqrt( 2 * KE / m )
         particle.setVelocityMagnitude( desiredSpeed );
+        if ( particle instanceof DiatomicParticle ) {
+          particle.setRotationalEnergy( ratio * particle.getRotationalEnergy() );
+        }
       }
     }
   }
 
+  /**
+   * Gets the ratio of the pressure at the top of the container to the average pressure in the container.
+   * In a uniform gravitational field, an isothermal gas has the density profile given by the barometric formula,
+   * n(h) ∝ exp(-mgh/kT). Averaging this over the height H of the container gives a ratio of x/(e^x - 1) for each
+   * particle, where x = mgH/kT. This ratio is 1 when there is no gravity, and > 1 when gravity points up.
+   * @param {number|null} temperature - in K, null if the container is empty
+   * @param {number} height - height of the container, in pm
+   * @returns {number}
+   * @public
+   */
+  getTopPressureRatio( temperature, height ) {
+    assert && assert( temperature === null || ( typeof temperature === 'number' && temperature >= 0 ),
+      `invalid temperature: ${temperature}` );
+    assert && assert( typeof height === 'number' && height > 0, `invalid height: ${height}` );
+
+    const numberOfParticles = this.numberOfParticlesProperty.value;
+    const gDown = -this.gravityProperty.value.y; // vertical component of gravity, positive is down
+    if ( numberOfParticles === 0 || !temperature || gDown === 0 ) {
+      return 1;
+    }
+
+    const kT = GasPropertiesConstants.BOLTZMANN * temperature;
+    let sum = 0;
+    for ( let i = this.insideParticleArrays.length - 1; i >= 0; i-- ) {
+      const particles = this.insideParticleArrays[ i ];
+      for ( let j = particles.length - 1; j >= 0; j-- ) {
+        const x = particles[ j ].mass * gDown * height / kT;
+        sum += ( Math.abs( x ) < 1E-9 ) ? 1 : x / Math.expm1( x );
+      }
+    }
+    return sum / numberOfParticles;
+  }
+
   /**
    * Gets the average kinetic energy of the particles in the container.
    * @returns {number} in AMU * pm^2 / ps^2
@@ -362,8 +600,35 @@ class ParticleSystem {
    * @private
    */
   getTotalKineticEnergy() {
-    return ParticleUtils.getTotalKineticEnergy( this.heavyParticles ) +
-           ParticleUtils.getTotalKineticEnergy( this.lightParticles );
+    let totalKineticEnergy = 0;
+    for ( let i = 0; i < this.insideParticleArrays.length; i++ ) {
+      totalKineticEnergy += ParticleUtils.getTotalKineticEnergy( this.insideParticleArrays[ i ] );
+    }
+    return totalKineticEnergy;
+  }
+
+  /**
+   * Gets the total rotational energy of the particles in the container. Only diatomic particles rotate.
+   * @returns {number} in AMU * pm^2 / ps^2
+   * @public
+   */
+  getTotalRotationalEnergy() {
+    let totalRotationalEnergy = 0;
+    for ( let i = 0; i < this.insideParticleArrays.length; i++ ) {
+      if ( this.species[ i ].isDiatomic ) {
+        totalRotationalEnergy += ParticleUtils.getTotalRotationalEnergy( this.insideParticleArrays[ i ] );
+      }
+    }
+    return totalRotationalEnergy;
+  }
+
+  /**
+   * Gets the internal energy of the gas in the container, the sum of translational and rotational energy.
+   * @returns {number} in AMU * pm^2 / ps^2
+   * @public
+   */
+  getInternalEnergy() {
+    return this.getTotalKineticEnergy() + this.getTotalRotationalEnergy();
   }
 }
 
@@ -0,0 +1,209 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ParticleTracer follows one particle that the user has tagged. It records the particle's recent trajectory (its
+ * trail), and derives the particle's speed, kinetic energy, and the number of particle-particle collisions that it has
+ * had since it was tagged. Only particles in particleArrays can be tagged, and the particle is released when it is no
+ * longer in particleArrays, e.g. when it escapes from the container or is removed.
+ *
+ * Time is model time, not stopwatch time.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import gasProperties from '../../gasProperties.js';
+import Particle from './Particle.js';
+
+// constants
+const PROPERTY_OPTIONS = {
+  isValidValue: value => ( value === null || ( typeof value === 'number' && value >= 0 ) ),
+  phetioType: PropertyIO( NullableIO( NumberIO ) ),
+  phetioReadOnly: true // derived from the state of the tagged particle
+};
+
+class ParticleTracer {
+
+  /**
+   * @param {Particle[][]} particleArrays - the particles that can be tagged
+   * @param {Property.<number>} numberOfParticlesProperty - the number of particles in particleArrays
+   * @param {BooleanProperty} isPlayingProperty
+   * @param {Object} [options]
+   */
+  constructor( particleArrays, numberOfParticlesProperty, isPlayingProperty, options ) {
+    assert && assert( Array.isArray( particleArrays ), `invalid particleArrays: ${particleArrays}` );
+    assert && assert( numberOfParticlesProperty instanceof Property,
+      `invalid numberOfParticlesProperty: ${numberOfParticlesProperty}` );
+    assert && assert( isPlayingProperty instanceof Property, `invalid isPlayingProperty: ${isPlayingProperty}` );
+
+    options = merge( {
+      trailDuration: 5, // how far back in time the trail goes, in ps
+      pickTolerance: 100, // how far outside a particle it can be picked, in pm
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( options.trailDuration > 0, `invalid trailDuration: ${options.trailDuration}` );
+    assert && assert( options.pickTolerance >= 0, `invalid pickTolerance: ${options.pickTolerance}` );
+
+    // @private
+    this.particleArrays = particleArrays;
+    this.pickTolerance = options.pickTolerance;
+
+    // @public (read-only)
+    this.trailDuration = options.trailDuration;
+
+    // @public (read-only) {Property.<Particle|null>} the tagged particle, null if no particle is tagged
+    this.particleProperty = new Property( null, {
+      isValidValue: value => ( value === null || value instanceof Particle )
+    } );
+
+    // @public (read-only) {number} time since the particle was tagged, in ps
+    this.time = 0;
+
+    // @public (read-only) {{position:Vector2, time:number}[]} recent positions of the tagged particle, oldest first,
+    // in pm and ps
+    this.trail = [];
+
+    // @public (read-only) {Property.<number|null>} speed of the tagged particle, null if no particle is tagged
+    this.speedProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      units: 'pm/ps',
+      tandem: options.tandem.createTandem( 'speedProperty' ),
+      phetioDocumentation: 'speed of the tagged particle'
+    } ) );
+
+    // @public (read-only) {Property.<number|null>} kinetic energy of the tagged particle, null if no particle is tagged
+    this.kineticEnergyProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      units: 'AMU * pm^2 / ps^2',
+      tandem: options.tandem.createTandem( 'kineticEnergyProperty' ),
+      phetioDocumentation: 'translational kinetic energy of the tagged particle'
+    } ) );
+
+    // @public (read-only) {Property.<number|null>} number of particle-particle collisions since the particle was
+    // tagged, null if no particle is tagged
+    this.numberOfCollisionsProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      tandem: options.tandem.createTandem( 'numberOfCollisionsProperty' ),
+      phetioDocumentation: 'number of collisions that the tagged particle has had with other particles, since ' +
+                           'it was tagged'
+    } ) );
+
+    // @private {number} particle.numberOfCollisions when the particle was tagged
+    this.initialNumberOfCollisions = 0;
+
+    // If particles are removed while the sim is paused, release the tagged particle immediately.
+    numberOfParticlesProperty.link( () => {
+      if ( !isPlayingProperty.value ) {
+        this.update();
+      }
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.setParticle( null );
+  }
+
+  /**
+   * Tags a particle, and starts its trail.
+   * @param {Particle|null} particle - null releases the tagged particle
+   * @public
+   */
+  setParticle( particle ) {
+    assert && assert( particle === null || this.contains( particle ), `invalid particle: ${particle}` );
+
+    this.time = 0;
+    this.trail.length = 0;
+    if ( particle ) {
+      this.initialNumberOfCollisions = particle.numberOfCollisions;
+      this.trail.push( { position: new Vector2( particle.position.x, particle.position.y ), time: this.time } );
+    }
+    this.particleProperty.value = particle;
+    this.update();
+  }
+
+  /**
+   * Tags the particle that is closest to a position, if it is within the pick tolerance. Otherwise, releases the
+   * tagged particle.
+   * @param {Vector2} position - in pm
+   * @public
+   */
+  tagParticleAt( position ) {
+    assert && assert( position instanceof Vector2, `invalid position: ${position}` );
+
+    let closestParticle = null;
+    let closestDistance = Number.POSITIVE_INFINITY;
+    for ( let i = this.particleArrays.length - 1; i >= 0; i-- ) {
+      const particles = this.particleArrays[ i ];
+      for ( let j = particles.length - 1; j >= 0; j-- ) {
+        const distance = particles[ j ].position.distance( position );
+        if ( distance <= particles[ j ].radius + this.pickTolerance && distance < closestDistance ) {
+          closestParticle = particles[ j ];
+          closestDistance = distance;
+        }
+      }
+    }
+    this.setParticle( closestParticle );
+  }
+
+  /**
+   * Adds the tagged particle's position to its trail, and discards the part of the trail that is older than
+   * trailDuration. Call this after collision detection, so that the particle is where it will be drawn.
+   * @param {number} dt - time step, in ps
+   * @public
+   */
+  step( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    this.update();
+
+    const particle = this.particleProperty.value;
+    if ( particle ) {
+      this.time += dt;
+      this.trail.push( { position: new Vector2( particle.position.x, particle.position.y ), time: this.time } );
+      while ( this.time - this.trail[ 0 ].time > this.trailDuration ) {
+        this.trail.shift();
+      }
+    }
+  }
+
+  /**
+   * Releases the tagged particle if it is no longer in particleArrays, and updates the Properties that are derived
+   * from the tagged particle.
+   * @private
+   */
+  update() {
+    const particle = this.particleProperty.value;
+    if ( particle && !this.contains( particle ) ) {
+      this.setParticle( null ); // calls update
+    }
+    else {
+      this.speedProperty.value = particle ? particle.getSpeed() : null;
+      this.kineticEnergyProperty.value = particle ? particle.getKineticEnergy() : null;
+      this.numberOfCollisionsProperty.value = particle ?
+                                              ( particle.numberOfCollisions - this.initialNumberOfCollisions ) :
+                                              null;
+    }
+  }
+
+  /**
+   * Is a particle one that can be tagged?
+   * @param {Particle} particle
+   * @returns {boolean}
+   * @private
+   */
+  contains( particle ) {
+    return !particle.isDisposed && _.some( this.particleArrays, particles => particles.indexOf( particle ) !== -1 );
+  }
+}
+
+gasProperties.register( 'ParticleTracer', ParticleTracer );
+export default ParticleTracer;
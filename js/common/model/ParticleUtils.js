@@ -8,8 +8,11 @@
 
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
 import gasProperties from '../../gasProperties.js';
 import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
+import Aperture from './Aperture.js';
+import DiatomicParticle from './DiatomicParticle.js';
 import IdealGasLawContainer from './IdealGasLawContainer.js';
 import Particle from './Particle.js';
 
@@ -30,6 +33,41 @@ const ParticleUtils = {
     }
   },
 
+  /**
+   * Accelerates a collection of particles, by changing their velocities.
+   * @param {Particle[]} particles
+   * @param {Vector2} acceleration - in pm/ps^2
+   * @param {number} dt - time step in ps
+   * @public
+   */
+  accelerateParticles( particles, acceleration, dt ) {
+    assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
+    assert && assert( acceleration instanceof Vector2, `invalid acceleration: ${acceleration}` );
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    const dvx = acceleration.x * dt;
+    const dvy = acceleration.y * dt;
+    for ( let i = particles.length - 1; i >= 0; i-- ) {
+      const particle = particles[ i ];
+      particle.setVelocityXY( particle.velocity.x + dvx, particle.velocity.y + dvy );
+    }
+  },
+
+  /**
+   * Rotates a collection of diatomic particles.
+   * @param {DiatomicParticle[]} particles
+   * @param {number} dt - time step in ps
+   * @public
+   */
+  rotateParticles( particles, dt ) {
+    assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    for ( let i = particles.length - 1; i >= 0; i-- ) {
+      particles[ i ].rotate( dt );
+    }
+  },
+
   /**
    * Removes a particle from an array and disposes it.
    * @param {Particle} particle
@@ -124,9 +162,77 @@ const ParticleUtils = {
     }
   },
 
+  /**
+   * Changes the mass of a collection of particles. Speeds are scaled so that the kinetic energy of each particle,
+   * and therefore temperature, does not change.
+   * @param {Particle[]} particles
+   * @param {number} mass - in AMU
+   * @public
+   */
+  updateMass: function( particles, mass ) {
+    assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
+    assert && assert( typeof mass === 'number' && mass > 0, `invalid mass: ${mass}` );
+
+    for ( let i = particles.length - 1; i >= 0; i-- ) {
+      const particle = particles[ i ];
+
+      // KE = (1/2) * m * |v|^2, so |v| scales by sqrt( m / m' )
+      const velocityScale = Math.sqrt( particle.mass / mass );
+      const rotationalEnergy = getRotationalEnergy( particle );
+      particle.mass = mass;
+      particle.scaleVelocity( velocityScale );
+      setRotationalEnergy( particle, rotationalEnergy );
+    }
+  },
+
+  /**
+   * Changes the radius of a collection of particles.
+   * @param {Particle[]} particles
+   * @param {number} radius - in pm
+   * @param {Bounds2|null} bounds - particles should be inside these bounds, null if they are not constrained
+   * @param {boolean} isPlaying
+   * @public
+   */
+  updateRadius: function( particles, radius, bounds, isPlaying ) {
+    assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
+    assert && assert( typeof radius === 'number' && radius > 0, `invalid radius: ${radius}` );
+    assert && assert( bounds === null || bounds instanceof Bounds2, `invalid bounds: ${bounds}` );
+    assert && assert( typeof isPlaying === 'boolean', `invalid isPlaying: ${isPlaying}` );
+
+    for ( let i = particles.length - 1; i >= 0; i-- ) {
+
+      const particle = particles[ i ];
+      const rotationalEnergy = getRotationalEnergy( particle );
+      particle.radius = radius;
+      setRotationalEnergy( particle, rotationalEnergy );
+
+      // If the sim is paused, then adjust the position of any particles are not fully inside the bounds.
+      // While the sim is playing, this adjustment will be handled by collision detection.
+      if ( bounds && !isPlaying ) {
+
+        // constrain horizontally
+        if ( particle.left < bounds.minX ) {
+          particle.left = bounds.minX;
+        }
+        else if ( particle.right > bounds.maxX ) {
+          particle.right = bounds.maxX;
+        }
+
+        // constrain vertically
+        if ( particle.bottom < bounds.minY ) {
+          particle.bottom = bounds.minY;
+        }
+        else if ( particle.top > bounds.maxY ) {
+          particle.top = bounds.maxY;
+        }
+      }
+    }
+  },
+
   /**
    * Identifies particles that have escaped via the opening in the top of the container, and
-   * moves them from insideParticles to outsideParticles.
+   * moves them from insideParticles to outsideParticles. When there is gravity, escaped particles
+   * may fall back to the container, see returnParticles.
    * @param {IdealGasLawContainer} container
    * @param {NumberProperty} numberOfParticlesProperty - number of particles inside the container
    * @param {Particle[]} insideParticles - particles inside the container
@@ -154,6 +260,88 @@ const ParticleUtils = {
     }
   },
 
+  /**
+   * Identifies particles that have escaped through an aperture in a wall of the container, and removes them.
+   * Unlike particles that escape through the opening in the top of the container, these particles are not tracked
+   * after they escape.
+   * @param {Aperture} aperture
+   * @param {NumberProperty} numberOfParticlesProperty - number of particles inside the container
+   * @param {Particle[]} insideParticles - particles inside the container
+   * @returns {number} the number of particles that escaped
+   * @public
+   */
+  effuseParticles: function( aperture, numberOfParticlesProperty, insideParticles ) {
+    assert && assert( aperture instanceof Aperture, `invalid aperture: ${aperture}` );
+    assert && assert( numberOfParticlesProperty instanceof NumberProperty,
+      `invalid numberOfParticlesProperty: ${numberOfParticlesProperty}` );
+    assert && assert( Array.isArray( insideParticles ), `invalid insideParticles: ${insideParticles}` );
+
+    let numberOfParticlesEscaped = 0;
+
+    // Iterate backwards, since we're modifying the array, so we don't skip any particles.
+    for ( let i = insideParticles.length - 1; i >= 0; i-- ) {
+      const particle = insideParticles[ i ];
+      if ( aperture.isEscaping( particle ) ) {
+
+        // Remove the particle before changing numberOfParticlesProperty, so that listeners see arrays that are
+        // in sync with the number of particles.
+        ParticleUtils.removeParticle( particle, insideParticles );
+        numberOfParticlesProperty.value--;
+        numberOfParticlesEscaped++;
+      }
+    }
+    return numberOfParticlesEscaped;
+  },
+
+  /**
+   * Identifies particles outside the container that have fallen onto the top of the container, as happens when
+   * gravity pulls escaped particles back down. Particles that fall through the opening in the top of the container
+   * are moved from outsideParticles to insideParticles. Particles that land on the lid or the top of the walls are
+   * removed and disposed, the same as particles that float out of view.
+   * @param {IdealGasLawContainer} container
+   * @param {NumberProperty} numberOfParticlesProperty - number of particles inside the container
+   * @param {Particle[]} insideParticles - particles inside the container
+   * @param {Particle[]} outsideParticles - particles outside the container
+   * @public
+   */
+  returnParticles: function( container, numberOfParticlesProperty, insideParticles, outsideParticles ) {
+    assert && assert( container instanceof IdealGasLawContainer, `invalid container: ${container}` );
+    assert && assert( numberOfParticlesProperty instanceof NumberProperty,
+      `invalid numberOfParticlesProperty: ${numberOfParticlesProperty}` );
+    assert && assert( Array.isArray( insideParticles ), `invalid insideParticles: ${insideParticles}` );
+    assert && assert( Array.isArray( outsideParticles ), `invalid outsideParticles: ${outsideParticles}` );
+
+    // Iterate backwards, since we're modifying the array, so we don't skip any particles.
+    for ( let i = outsideParticles.length - 1; i >= 0; i-- ) {
+      const particle = outsideParticles[ i ];
+      assert && assert( particle instanceof Particle, `invalid particle: ${particle}` );
+
+      // Did the particle move down across the top of the container, somewhere between the outside edges of the walls?
+      if ( particle.top <= container.top &&
+           particle.previousPosition.y + particle.radius > container.top &&
+           particle.right > container.left - container.wallThickness &&
+           particle.left < container.right + container.wallThickness ) {
+
+        if ( container.isOpenProperty.value &&
+             particle.left > container.getOpeningLeft() &&
+             particle.right < container.getOpeningRight() &&
+             numberOfParticlesProperty.value < numberOfParticlesProperty.range.max ) {
+
+          // The particle fell through the opening. Add it to insideParticles before changing numberOfParticlesProperty,
+          // so that listeners see arrays that are in sync with the number of particles.
+          outsideParticles.splice( i, 1 );
+          insideParticles.push( particle );
+          numberOfParticlesProperty.value++;
+        }
+        else {
+
+          // The particle landed on the lid or a wall.
+          ParticleUtils.removeParticle( particle, outsideParticles );
+        }
+      }
+    }
+  },
+
   /**
    * Gets the total kinetic energy of a collection of particles.
    * @param {Particle[]} particles
@@ -170,6 +358,22 @@ const ParticleUtils = {
     return totalKineticEnergy;
   },
 
+  /**
+   * Gets the total rotational energy of a collection of particles. Only DiatomicParticles rotate.
+   * @param {Particle[]} particles
+   * @returns {number} in AMU * pm^2 / ps^2
+   * @public
+   */
+  getTotalRotationalEnergy: function( particles ) {
+    assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
+
+    let totalRotationalEnergy = 0;
+    for ( let i = particles.length - 1; i >= 0; i-- ) {
+      totalRotationalEnergy += getRotationalEnergy( particles[ i ] );
+    }
+    return totalRotationalEnergy;
+  },
+
   /**
    * Gets the centerX of mass for a collection of particles.
    * @param {Particle[]} particles
@@ -191,8 +395,61 @@ const ParticleUtils = {
       centerXOfMass = numerator / totalMass;
     }
     return centerXOfMass;
+  },
+
+  /**
+   * Gets the state of a collection of particles. See Particle.toStateObject.
+   * @param {Particle[]} particles
+   * @returns {Object[]}
+   * @public
+   */
+  getStateObjects: function( particles ) {
+    assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
+
+    return particles.map( particle => particle.toStateObject() );
+  },
+
+  /**
+   * Replaces a collection of particles with particles that are created from state objects. The existing particles
+   * are disposed. The caller is responsible for synchronizing any Property that counts the particles.
+   * @param {Object[]} stateObjects - see Particle.toStateObject
+   * @param {Particle[]} particles
+   * @param {function:Particle} createParticle - creates a Particle instance
+   * @public
+   */
+  setStateObjects: function( stateObjects, particles, createParticle ) {
+    assert && assert( Array.isArray( stateObjects ), `invalid stateObjects: ${stateObjects}` );
+    assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
+    assert && assert( typeof createParticle === 'function', `invalid createParticle: ${createParticle}` );
+
+    ParticleUtils.removeAllParticles( particles );
+    for ( let i = 0; i < stateObjects.length; i++ ) {
+      const particle = createParticle();
+      particle.applyState( stateObjects[ i ] );
+      particles.push( particle );
+    }
   }
 };
 
+/**
+ * Gets the rotational energy of a particle.
+ * @param {Particle} particle
+ * @returns {number} in AMU * pm^2 / ps^2, 0 if the particle is not a DiatomicParticle
+ */
+function getRotationalEnergy( particle ) {
+  return ( particle instanceof DiatomicParticle ) ? particle.getRotationalEnergy() : 0;
+}
+
+/**
+ * Sets the rotational energy of a particle. Used to preserve rotational energy when the moment of inertia changes.
+ * @param {Particle} particle
+ * @param {number} rotationalEnergy - in AMU * pm^2 / ps^2, ignored if the particle is not a DiatomicParticle
+ */
+function setRotationalEnergy( particle, rotationalEnergy ) {
+  if ( particle instanceof DiatomicParticle ) {
+    particle.setRotationalEnergy( rotationalEnergy );
+  }
+}
+
 gasProperties.register( 'ParticleUtils', ParticleUtils );
 export default ParticleUtils;
\ No newline at end of file
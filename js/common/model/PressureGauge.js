@@ -18,6 +18,7 @@ import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import LinearFunction from '../../../../dot/js/LinearFunction.js';
+import Random from '../../../../dot/js/Random.js';
 import Range from '../../../../dot/js/Range.js';
 import Enumeration from '../../../../phet-core/js/Enumeration.js';
 import merge from '../../../../phet-core/js/merge.js';
@@ -41,15 +42,17 @@ class PressureGauge {
    * @param {NumberProperty} pressureProperty - pressure in the container, in kPa
    * @param {Property.<number|null>} temperatureProperty - temperature in the container, in K, null if empty container
    * @param {EnumerationProperty} holdConstantProperty - quantity to be held constant, influences noise
+   * @param {Random} random - source of random numbers for noise
    * @param {Object} [options]
    */
-  constructor( pressureProperty, temperatureProperty, holdConstantProperty, options ) {
+  constructor( pressureProperty, temperatureProperty, holdConstantProperty, random, options ) {
     assert && assert( pressureProperty instanceof NumberProperty,
       `invalid pressureProperty: ${pressureProperty}` );
     assert && assert( temperatureProperty instanceof Property,
       `invalid temperatureProperty: ${temperatureProperty}` );
     assert && assert( holdConstantProperty instanceof EnumerationProperty,
       `invalid holdConstantProperty: ${holdConstantProperty}` );
+    assert && assert( random instanceof Random, `invalid random: ${random}` );
 
     options = merge( {
 
@@ -104,6 +107,7 @@ class PressureGauge {
     this.pressureProperty = pressureProperty;
     this.temperatureProperty = temperatureProperty;
     this.holdConstantProperty = holdConstantProperty;
+    this.random = random;
     this.dtAccumulator = 0;
   }
 
@@ -132,8 +136,10 @@ class PressureGauge {
       const constantPressure = ( this.holdConstantProperty.value === HoldConstant.PRESSURE_T ||
                                  this.holdConstantProperty.value === HoldConstant.PRESSURE_V );
 
-      // Disable noise when pressure is held constant, or via global options.
-      const noiseEnabled = ( !constantPressure && GasPropertiesGlobalOptions.pressureNoiseProperty.value );
+      // Disable noise when pressure is held constant, or via global options. Kinetic pressure is measured from
+      // particle-container collisions and is inherently noisy, so no additional noise is added.
+      const noiseEnabled = ( !constantPressure && GasPropertiesGlobalOptions.pressureNoiseProperty.value &&
+                             !GasPropertiesGlobalOptions.kineticPressureProperty.value );
 
       // Add noise (kPa) to the displayed value
       let noise = 0;
@@ -142,11 +148,11 @@ class PressureGauge {
         // compute noise
         noise = this.pressureNoiseFunction( this.pressureProperty.value ) *
                 this.scaleNoiseFunction( this.temperatureProperty.value ) *
-                phet.joist.random.nextDouble();
+                this.random.nextDouble();
 
         // randomly apply a sign if doing so doesn't make the pressure become <= 0
         if ( noise < this.pressureProperty.value ) {
-          noise *= ( phet.joist.random.nextBoolean() ? 1 : -1 );
+          noise *= ( this.random.nextBoolean() ? 1 : -1 );
         }
       }
 
@@ -10,16 +10,25 @@
 import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import Random from '../../../../dot/js/Random.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
 import gasProperties from '../../gasProperties.js';
 import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import GasPropertiesGlobalOptions from '../GasPropertiesGlobalOptions.js';
 import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
+import HoldConstant from './HoldConstant.js';
 import PressureGauge from './PressureGauge.js';
 
 // maximum pressure in kPa, when exceeded the lid blows off of the container
 const MAX_PRESSURE = GasPropertiesQueryParameters.maxPressure;
 
+// Kinetic pressure is averaged over a sliding window of this duration, in ps
+const KINETIC_PRESSURE_WINDOW = 5;
+
 class PressureModel {
 
   /**
@@ -28,9 +37,11 @@ class PressureModel {
    * @param {Property.<number>} volumeProperty
    * @param {Property.<number|null>} temperatureProperty
    * @param {function} blowLidOff
+   * @param {Random} random - source of random numbers
    * @param {Object} [options]
    */
-  constructor( holdConstantProperty, numberOfParticlesProperty, volumeProperty, temperatureProperty, blowLidOff, options ) {
+  constructor( holdConstantProperty, numberOfParticlesProperty, volumeProperty, temperatureProperty, blowLidOff,
+               random, options ) {
     assert && assert( holdConstantProperty instanceof EnumerationProperty,
       `invalid holdConstantProperty: ${holdConstantProperty}` );
     assert && assert( numberOfParticlesProperty instanceof Property,
@@ -38,19 +49,28 @@ class PressureModel {
     assert && assert( volumeProperty instanceof Property, `invalid volumeProperty: ${volumeProperty}` );
     assert && assert( temperatureProperty instanceof Property, `invalid temperatureProperty: ${temperatureProperty}` );
     assert && assert( typeof blowLidOff === 'function', `invalid blowLidOff: ${blowLidOff}` );
+    assert && assert( random instanceof Random, `invalid random: ${random}` );
 
     options = merge( {
 
+      // {function:number} gets the ratio of the pressure at the top of the container (where the lid is) to the
+      // average pressure in the container. This is not 1 when gravity acts on particles.
+      getTopPressureRatio: () => 1,
+
       // phet-io
       tandem: Tandem.REQUIRED
     }, options );
 
+    assert && assert( typeof options.getTopPressureRatio === 'function',
+      `invalid getTopPressureRatio: ${options.getTopPressureRatio}` );
+
     // @private
     this.holdConstantProperty = holdConstantProperty;
     this.numberOfParticlesProperty = numberOfParticlesProperty;
     this.volumeProperty = volumeProperty;
     this.temperatureProperty = temperatureProperty;
     this.blowLidOff = blowLidOff;
+    this.getTopPressureRatio = options.getTopPressureRatio;
 
     // @public P, pressure in the container, in kPa
     this.pressureProperty = new NumberProperty( 0, {
@@ -61,20 +81,36 @@ class PressureModel {
       phetioDocumentation: 'pressure in K, with no noise'
     } );
 
+    // @public {Property.<number|null>} Z = PV/NkT, the compressibility factor, null when it cannot be computed.
+    // P is always kinetic pressure, so that Z reveals deviations from the Ideal Gas Law. Z is 1 for an ideal gas.
+    this.compressibilityFactorProperty = new Property( null, {
+      isValidValue: value => ( value === null || ( typeof value === 'number' && value >= 0 ) ),
+      phetioType: PropertyIO( NullableIO( NumberIO ) ),
+      tandem: options.tandem.createTandem( 'compressibilityFactorProperty' ),
+      phetioReadOnly: true, // value is derived from state of particle system
+      phetioDocumentation: 'compressibility factor Z = PV/NkT, computed using kinetic pressure'
+    } );
+
     // @public (read-only) gauge that display pressureProperty with a choice of units
-    this.pressureGauge = new PressureGauge( this.pressureProperty, temperatureProperty, holdConstantProperty, {
+    this.pressureGauge = new PressureGauge( this.pressureProperty, temperatureProperty, holdConstantProperty, random, {
       tandem: options.tandem.createTandem( 'pressureGauge' )
     } );
 
     // @private whether to update pressure
     this.updatePressureEnabled = false;
 
+    // @private samples used to compute kinetic pressure, see sampleWallImpulse
+    this.impulsePerAreaSamples = []; // {number[]} momentum transferred to the walls per unit area, AMU/(pm * ps)
+    this.dts = []; // {number[]} dt values for each sample, in ps
+
     // If the container is empty, set pressure to zero and disable pressure updates.
     // Updates will be enabled when 1 particle has collided with the container.
     this.numberOfParticlesProperty.link( numberOfParticles => {
       if ( numberOfParticles === 0 ) {
         this.pressureProperty.value = 0;
+        this.compressibilityFactorProperty.value = null;
         this.updatePressureEnabled = false;
+        this.clearSamples();
       }
     } );
   }
@@ -85,8 +121,80 @@ class PressureModel {
    */
   reset() {
     this.pressureProperty.reset();
+    this.compressibilityFactorProperty.reset();
     this.pressureGauge.reset();
     this.updatePressureEnabled = false;
+    this.clearSamples();
+  }
+
+  /**
+   * Gets the state of this model, including the samples used to compute kinetic pressure. See BaseModel.getSnapshot.
+   * @returns {Object}
+   * @public
+   */
+  toStateObject() {
+    return {
+      pressure: this.pressureProperty.value, // kPa
+      compressibilityFactor: this.compressibilityFactorProperty.value,
+      updatePressureEnabled: this.updatePressureEnabled,
+      impulsePerAreaSamples: this.impulsePerAreaSamples.slice(),
+      dts: this.dts.slice()
+    };
+  }
+
+  /**
+   * Restores the state of this model.
+   * @param {Object} stateObject - see toStateObject
+   * @public
+   */
+  applyState( stateObject ) {
+    assert && assert( stateObject.impulsePerAreaSamples.length === stateObject.dts.length,
+      'all arrays should have the same length' );
+
+    this.pressureProperty.value = stateObject.pressure;
+    this.compressibilityFactorProperty.value = stateObject.compressibilityFactor;
+    this.updatePressureEnabled = stateObject.updatePressureEnabled;
+    this.impulsePerAreaSamples = stateObject.impulsePerAreaSamples.slice();
+    this.dts = stateObject.dts.slice();
+  }
+
+  /**
+   * Clears the samples used to compute kinetic pressure.
+   * @private
+   */
+  clearSamples() {
+    this.impulsePerAreaSamples.length = 0;
+    this.dts.length = 0;
+  }
+
+  /**
+   * Records the momentum that was transferred to the container walls by particle-container collisions. These
+   * samples are used to compute kinetic pressure, and are recorded regardless of which pressure is displayed,
+   * so that switching to kinetic pressure has data available immediately.
+   * @param {number} dt - time step, in ps
+   * @param {number} impulse - total magnitude of momentum transferred to the walls, in AMU * pm / ps
+   * @param {number} wallArea - area of the walls that particles collide with, in pm^2
+   * @public
+   */
+  sampleWallImpulse( dt, impulse, wallArea ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+    assert && assert( typeof impulse === 'number' && impulse >= 0, `invalid impulse: ${impulse}` );
+    assert && assert( typeof wallArea === 'number' && wallArea > 0, `invalid wallArea: ${wallArea}` );
+
+    this.impulsePerAreaSamples.push( impulse / wallArea );
+    this.dts.push( dt );
+
+    // Drop the oldest samples that are outside the window.
+    let dtSum = _.sum( this.dts );
+    while ( this.dts.length > 1 && dtSum - this.dts[ 0 ] >= KINETIC_PRESSURE_WINDOW ) {
+      dtSum -= this.dts[ 0 ];
+      this.impulsePerAreaSamples.shift();
+      this.dts.shift();
+    }
+
+    // All sample arrays should have the same length
+    assert && assert( this.impulsePerAreaSamples.length === this.dts.length,
+      'all arrays should have the same length' );
   }
 
   /**
@@ -107,23 +215,61 @@ class PressureModel {
 
       // Compute the actual pressure, based on the state of the particle system
       this.pressureProperty.value = this.computePressure();
+      this.compressibilityFactorProperty.value = this.computeCompressibilityFactor();
 
       // Step the gauge regardless of whether pressure has changed, since the gauge updates on a sample period.
       this.pressureGauge.step( dtPressureGauge );
 
-      // If pressure exceeds the maximum, blow the lid off of the container.
-      if ( this.pressureProperty.value > MAX_PRESSURE ) {
+      // If pressure on the lid exceeds the maximum, blow the lid off of the container. This uses the Ideal Gas Law
+      // regardless of which pressure is displayed, so that noise in kinetic pressure does not blow the lid off.
+      if ( this.computeIdealPressure() * this.getTopPressureRatio() > MAX_PRESSURE ) {
         this.blowLidOff();
       }
     }
   }
 
   /**
-   * Computes pressure using the Ideal Gas Law, P = NkT/V
+   * Computes pressure, using the method selected via GasPropertiesGlobalOptions.kineticPressureProperty.
+   * When pressure is being held constant, the Ideal Gas Law is always used, because the quantity that
+   * compensates (V or T) is computed using the Ideal Gas Law.
    * @returns {number} in kPa
    * @private
    */
   computePressure() {
+    const constantPressure = ( this.holdConstantProperty.value === HoldConstant.PRESSURE_T ||
+                               this.holdConstantProperty.value === HoldConstant.PRESSURE_V );
+    if ( GasPropertiesGlobalOptions.kineticPressureProperty.value && !constantPressure ) {
+      return this.computeKineticPressure();
+    }
+    else {
+      return this.computeIdealPressure();
+    }
+  }
+
+  /**
+   * Computes the compressibility factor, Z = PV/NkT, using kinetic pressure.
+   * @returns {number|null} null if the container is empty or temperature is zero
+   * @private
+   */
+  computeCompressibilityFactor() {
+    let Z = null;
+    const N = this.numberOfParticlesProperty.value;
+    const T = this.temperatureProperty.value; // in K, assumes temperatureProperty has been updated
+    if ( N > 0 && T ) {
+      const k = GasPropertiesConstants.BOLTZMANN; // (pm^2 * AMU)/(ps^2 * K)
+      const P = this.computeKineticPressure() / GasPropertiesConstants.PRESSURE_CONVERSION_SCALE;
+      const V = this.volumeProperty.value; // pm^3
+      Z = ( P * V ) / ( N * k * T );
+    }
+    return Z;
+  }
+
+  /**
+   * Computes pressure using the Ideal Gas Law, P = NkT/V
+   * @returns {number} in kPa
+   * @private
+   */
+  computeIdealPressure() {
 
     const N = this.numberOfParticlesProperty.value;
     const k = GasPropertiesConstants.BOLTZMANN; // (pm^2 * AMU)/(ps^2 * K)
@@ -135,6 +281,27 @@ class PressureModel {
     // converted to kPa
     return P * GasPropertiesConstants.PRESSURE_CONVERSION_SCALE;
   }
+
+  /**
+   * Computes pressure as the average force per unit wall area, over a sliding window. Force is the momentum
+   * transferred to the walls divided by elapsed time.
+   *
+   * Particles move in 2D, so kinetic energy is distributed between 2 degrees of freedom, and the momentum transferred
+   * to the walls corresponds to P = N<m|v|^2>/2V. But temperature is computed with the 3D relationship
+   * KE = (3/2)kT, which corresponds to P = N<m|v|^2>/3V. So the measured value is scaled by 2/3, in order
+   * to be consistent with the Ideal Gas Law for an ideal gas.
+   * @returns {number} in kPa
+   * @private
+   */
+  computeKineticPressure() {
+    let P = 0;
+    if ( this.dts.length > 0 ) {
+      P = ( 2 / 3 ) * _.sum( this.impulsePerAreaSamples ) / _.sum( this.dts ); // AMU/(pm * ps^2)
+    }
+
+    // converted to kPa
+    return P * GasPropertiesConstants.PRESSURE_CONVERSION_SCALE;
+  }
 }
 
 gasProperties.register( 'PressureModel', PressureModel );
@@ -0,0 +1,347 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ProcessDriver is a sub-model of IdealGasLawModel that carries out quasi-static thermodynamic processes. It moves the
+ * container's left wall, either at a prescribed speed to a target width, or along a scripted V(t). While the wall
+ * moves, it provides a target temperature to the heater/cooler (see IdealGasLawModel), so that the process is
+ * isothermal, adiabatic or isobaric. The state (P, V, T) of the gas is sampled on each time step, so that the actual
+ * trajectory can be compared to the theoretical curve for the process.
+ *
+ * The left wall does work only if the container's leftWallDoesWork is true, so this exists only in that case.
+ *
+ * The theoretical curves start from the state when the process was started:
+ *
+ *   isothermal:  T = T0,                   P = P0 * V0 / V
+ *   adiabatic:   T = T0 * (V0/V)^(γ-1),    P = P0 * (V0/V)^γ
+ *   isobaric:    T = T0 * V / V0,          P = P0
+ *
+ * Particles move in 2 dimensions, so the wall does work on a particle's translational energy as if the gas were
+ * 2-dimensional, while temperature is computed as if particles had 3 degrees of freedom. See TemperatureModel.
+ * For this sim, the adiabatic index is therefore γ = 2 for a monatomic gas, not 5/3. Rotational energy (see
+ * DiatomicParticle) is 2/3 of translational energy at equilibrium, so for a fraction x of diatomic particles,
+ * γ = 1 + 1 / ( 1 + 2x/3 ).
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Emitter from '../../../../axon/js/Emitter.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
+import IdealGasLawContainer from './IdealGasLawContainer.js';
+import ParticleSystem from './ParticleSystem.js';
+import ProcessType from './ProcessType.js';
+
+// constants
+const WALL_SPEED_RANGE = new Range( 1, GasPropertiesQueryParameters.wallSpeedLimit ); // pm/ps
+const DEFAULT_WALL_SPEED = Math.min( 50, WALL_SPEED_RANGE.max ); // pm/ps, slow compared to particle speeds
+
+class ProcessDriver {
+
+  /**
+   * @param {IdealGasLawContainer} container
+   * @param {ParticleSystem} particleSystem
+   * @param {NumberProperty} pressureProperty - pressure in the container, in kPa
+   * @param {Property.<number|null>} temperatureProperty - temperature in the container, in K, null if empty
+   * @param {Object} [options]
+   */
+  constructor( container, particleSystem, pressureProperty, temperatureProperty, options ) {
+    assert && assert( container instanceof IdealGasLawContainer, `invalid container: ${container}` );
+    assert && assert( container.leftWallDoesWork, 'ProcessDriver requires a left wall that does work' );
+    assert && assert( particleSystem instanceof ParticleSystem, `invalid particleSystem: ${particleSystem}` );
+    assert && assert( pressureProperty instanceof NumberProperty, `invalid pressureProperty: ${pressureProperty}` );
+    assert && assert( temperatureProperty instanceof Property, `invalid temperatureProperty: ${temperatureProperty}` );
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.container = container;
+    this.particleSystem = particleSystem;
+    this.pressureProperty = pressureProperty;
+    this.temperatureProperty = temperatureProperty;
+
+    // @public the process that is carried out by the next call to start or startScripted
+    this.processTypeProperty = new EnumerationProperty( ProcessType, ProcessType.ISOTHERMAL, {
+      tandem: options.tandem.createTandem( 'processTypeProperty' ),
+      phetioDocumentation: 'the thermodynamic process that is carried out when a process is started'
+    } );
+
+    // @public speed of the left wall when moving to a target width
+    this.wallSpeedProperty = new NumberProperty( DEFAULT_WALL_SPEED, {
+      range: WALL_SPEED_RANGE,
+      units: 'pm/ps',
+      tandem: options.tandem.createTandem( 'wallSpeedProperty' ),
+      phetioDocumentation: 'speed of the left wall during a process, when moving to a target width'
+    } );
+
+    // @public (read-only) whether a process is in progress
+    this.isRunningProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'isRunningProperty' ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'whether a process is in progress'
+    } );
+
+    // @public (read-only) whether a process can be started. The gas must have a temperature and a pressure.
+    this.canStartProperty = new DerivedProperty(
+      [ this.isRunningProperty, particleSystem.numberOfParticlesProperty, temperatureProperty, pressureProperty ],
+      ( isRunning, numberOfParticles, temperature, pressure ) =>
+        ( !isRunning && numberOfParticles > 0 && temperature !== null && pressure > 0 ) );
+
+    // @public (read-only) {{processType:ProcessType, pressure:number, volume:number, temperature:number,
+    // adiabaticIndex:number}|null} the most recent process, and the state of the gas when it was started,
+    // in kPa, pm^3 and K. null if no process was started.
+    this.initialState = null;
+
+    // @public (read-only) {{time:number, pressure:number, volume:number, temperature:number}[]} samples of the state of
+    // the gas during the most recent process, in ps, kPa, pm^3 and K. time is relative to the start of the process.
+    this.trajectory = [];
+
+    // @public emits when trajectory changes
+    this.trajectoryChangedEmitter = new Emitter();
+
+    // @private {number} time since the process was started, in ps
+    this.time = 0;
+
+    // @private {number} width that the left wall moves to, in pm
+    this.targetWidth = container.widthProperty.value;
+
+    // @private {function(time:number):number|null} scripted volume, in pm^3, as a function of time, in ps
+    this.getScriptedVolume = null;
+
+    // @private {number} duration of a scripted process, in ps
+    this.scriptedDuration = 0;
+
+    // The user takes control of the container by resizing it, so stop the process.
+    container.userIsAdjustingWidthProperty.link( userIsAdjustingWidth => {
+      userIsAdjustingWidth && this.stop();
+    } );
+
+    // A process cannot continue when the container is empty.
+    particleSystem.numberOfParticlesProperty.link( numberOfParticles => {
+      ( numberOfParticles === 0 ) && this.stop();
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.stop();
+    this.processTypeProperty.reset();
+    this.wallSpeedProperty.reset();
+    this.initialState = null;
+    this.trajectory.length = 0;
+    this.trajectoryChangedEmitter.emit();
+  }
+
+  /**
+   * Starts a process that moves the left wall to a target width, at the speed given by wallSpeedProperty.
+   * @param {number} targetWidth - in pm
+   * @public
+   */
+  start( targetWidth ) {
+    assert && assert( this.container.widthRange.contains( targetWidth ), `invalid targetWidth: ${targetWidth}` );
+    this.targetWidth = targetWidth;
+    this.getScriptedVolume = null;
+    this.begin();
+  }
+
+  /**
+   * Starts a process that moves the left wall so that the container has a scripted volume V(t). The volume is
+   * constrained to the container's range of volume, and the wall's speed is limited as when the user resizes
+   * the container.
+   * @param {function(time:number):number} getVolume - volume in pm^3, as a function of time in ps since the start
+   * @param {number} duration - in ps
+   * @public
+   */
+  startScripted( getVolume, duration ) {
+    assert && assert( typeof getVolume === 'function', `invalid getVolume: ${getVolume}` );
+    assert && assert( typeof duration === 'number' && duration > 0, `invalid duration: ${duration}` );
+    this.getScriptedVolume = getVolume;
+    this.scriptedDuration = duration;
+    this.begin();
+  }
+
+  /**
+   * Records the initial state and begins the process.
+   * @private
+   */
+  begin() {
+    assert && assert( this.canStartProperty.value, 'a process cannot be started' );
+
+    this.time = 0;
+    this.initialState = {
+      processType: this.processTypeProperty.value,
+      pressure: this.pressureProperty.value,
+      volume: this.container.volumeProperty.value,
+      temperature: this.temperatureProperty.value,
+      adiabaticIndex: this.computeAdiabaticIndex()
+    };
+    this.trajectory.length = 0;
+    this.isRunningProperty.value = true;
+    this.sample();
+  }
+
+  /**
+   * Stops the process that is in progress. The left wall stays where it is.
+   * @public
+   */
+  stop() {
+    if ( this.isRunningProperty.value ) {
+      this.container.desiredWidth = this.container.widthProperty.value;
+      this.isRunningProperty.value = false;
+    }
+  }
+
+  /**
+   * Computes the adiabatic index γ = Cp/Cv of the gas in the container. See the header comment.
+   * @returns {number}
+   * @private
+   */
+  computeAdiabaticIndex() {
+    const numberOfParticles = this.particleSystem.numberOfParticlesProperty.value;
+    assert && assert( numberOfParticles > 0, 'container is empty' );
+
+    let numberOfDiatomicParticles = 0;
+    this.particleSystem.species.forEach( species => {
+      if ( species.isDiatomic ) {
+        numberOfDiatomicParticles += species.numberOfParticlesProperty.value;
+      }
+    } );
+    return 1 + 1 / ( 1 + ( 2 / 3 ) * numberOfDiatomicParticles / numberOfParticles );
+  }
+
+  /**
+   * Moves the left wall by setting the container's desired width. Call this before stepping the container.
+   * @param {number} dt - time delta, in ps
+   * @public
+   */
+  step( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    if ( this.isRunningProperty.value ) {
+
+      this.time += dt;
+      const width = this.container.widthProperty.value;
+
+      if ( this.getScriptedVolume ) {
+        const volume = this.getScriptedVolume( Math.min( this.time, this.scriptedDuration ) );
+        const crossSectionArea = this.container.volumeProperty.value / width; // pm^2
+        this.container.desiredWidth = this.container.widthRange.constrainValue( volume / crossSectionArea );
+      }
+      else {
+        const widthStep = dt * this.wallSpeedProperty.value;
+        const widthDifference = this.targetWidth - width;
+        this.container.desiredWidth = ( Math.abs( widthDifference ) <= widthStep ) ? this.targetWidth :
+                                      width + Math.sign( widthDifference ) * widthStep;
+      }
+    }
+  }
+
+  /**
+   * Gets the temperature that the heater/cooler should maintain, so that the process has the desired type.
+   * @returns {number|null} in K, null if no heat should be exchanged, or if no process is in progress
+   * @public
+   */
+  getTargetTemperature() {
+    let targetTemperature = null;
+    if ( this.isRunningProperty.value ) {
+      const processType = this.initialState.processType;
+      if ( processType === ProcessType.ISOTHERMAL ) {
+        targetTemperature = this.initialState.temperature;
+      }
+      else if ( processType === ProcessType.ISOBARIC ) {
+        targetTemperature = this.getTheoreticalTemperature( this.container.volumeProperty.value );
+      }
+    }
+    return targetTemperature;
+  }
+
+  /**
+   * Samples the state of the gas, and stops the process if it is complete. Call this after pressure and temperature
+   * have been updated.
+   * @public
+   */
+  sample() {
+    if ( this.isRunningProperty.value && this.temperatureProperty.value !== null ) {
+
+      this.trajectory.push( {
+        time: this.time, // ps
+        pressure: this.pressureProperty.value, // kPa
+        volume: this.container.volumeProperty.value, // pm^3
+        temperature: this.temperatureProperty.value // K
+      } );
+      this.trajectoryChangedEmitter.emit();
+
+      const isComplete = this.getScriptedVolume ? ( this.time >= this.scriptedDuration ) :
+                         ( this.container.widthProperty.value === this.targetWidth );
+      isComplete && this.stop();
+    }
+  }
+
+  /**
+   * Gets the pressure predicted for the most recent process, see initialState.
+   * @param {number} volume - in pm^3
+   * @returns {number} in kPa
+   * @public
+   */
+  getTheoreticalPressure( volume ) {
+    assert && assert( this.initialState, 'no process has been started' );
+    assert && assert( typeof volume === 'number' && volume > 0, `invalid volume: ${volume}` );
+
+    const state = this.initialState;
+    const processType = state.processType;
+    let pressure;
+    if ( processType === ProcessType.ISOTHERMAL ) {
+      pressure = state.pressure * state.volume / volume;
+    }
+    else if ( processType === ProcessType.ADIABATIC ) {
+      pressure = state.pressure * Math.pow( state.volume / volume, state.adiabaticIndex );
+    }
+    else {
+      assert && assert( processType === ProcessType.ISOBARIC, `invalid processType: ${processType}` );
+      pressure = state.pressure;
+    }
+    return pressure;
+  }
+
+  /**
+   * Gets the temperature predicted for the most recent process, see initialState.
+   * @param {number} volume - in pm^3
+   * @returns {number} in K
+   * @public
+   */
+  getTheoreticalTemperature( volume ) {
+    assert && assert( this.initialState, 'no process has been started' );
+    assert && assert( typeof volume === 'number' && volume > 0, `invalid volume: ${volume}` );
+
+    const state = this.initialState;
+    const processType = state.processType;
+    let temperature;
+    if ( processType === ProcessType.ISOTHERMAL ) {
+      temperature = state.temperature;
+    }
+    else if ( processType === ProcessType.ADIABATIC ) {
+      temperature = state.temperature * Math.pow( state.volume / volume, state.adiabaticIndex - 1 );
+    }
+    else {
+      assert && assert( processType === ProcessType.ISOBARIC, `invalid processType: ${processType}` );
+      temperature = state.temperature * volume / state.volume;
+    }
+    return temperature;
+  }
+}
+
+gasProperties.register( 'ProcessDriver', ProcessDriver );
+export default ProcessDriver;
@@ -0,0 +1,19 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ProcessType is an enumeration of the thermodynamic processes that can be carried out by ProcessDriver.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import gasProperties from '../../gasProperties.js';
+
+const ProcessType = Enumeration.byKeys( [
+  'ISOTHERMAL', // temperature is constant, PV = constant
+  'ADIABATIC',  // no heat is exchanged, PV^gamma = constant
+  'ISOBARIC'    // pressure is constant, V/T = constant
+] );
+
+gasProperties.register( 'ProcessType', ProcessType );
+export default ProcessType;
@@ -5,9 +5,9 @@
  *
  * Spatial partitioning is a technique for improving the performance of collision detection. The collision detection
  * space is partitioned into a 2D grid of cells that we refer to as regions (the term used in the Java implementation).
- * Objects (particles and containers) are members of one or more regions based on whether they intersect the bounds
- * of the region. Rather than having to consider collisions between every object in the system, only objects within
- * the same region need to be considered.
+ * Each particle is a member of exactly one region, the region that contains the particle's center. Rather than having
+ * to consider collisions between every pair of particles, only particles within the same region or adjacent regions
+ * need to be considered. See SpatialHash.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -0,0 +1,134 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * RotationalEnergyExchange redistributes energy between translation and rotation when 2 particles collide, and at
+ * least one of them is a DiatomicParticle. It uses the Larsen-Borgnakke model, which is the standard model of
+ * rotational relaxation in direct simulation Monte Carlo. See C. Borgnakke and P. S. Larsen, "Statistical collision
+ * model for Monte Carlo simulation of polyatomic gas mixture", Journal of Computational Physics 18(4), 1975.
+ *
+ * After the collision response has changed the particles' velocities, the collision energy is the translational
+ * energy of the relative motion, plus the rotational energy of the diatomic particles. That energy is randomly
+ * redistributed, with probabilities that are proportional to the density of states of each share. The velocity of
+ * the center of mass and the direction of the relative velocity are preserved, so momentum and energy are conserved.
+ *
+ * The shapes of the distributions determine how energy is partitioned at equilibrium. The relative translational
+ * energy of colliding disks is gamma distributed with shape 3/2. The rotational energy of a diatomic particle is
+ * given shape 2/3, so that its mean is kT, where T is the temperature that the sim displays. See TemperatureModel.
+ * Each diatomic particle therefore has 5/2 kT of energy, and the heat capacity of a diatomic gas is Cv = 5/2 Nk.
+ *
+ * Energy is exchanged in every collision. Real diatomic gases require about 5 collisions to relax their rotation.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Random from '../../../../dot/js/Random.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesUtils from '../GasPropertiesUtils.js';
+import DiatomicParticle from './DiatomicParticle.js';
+import Particle from './Particle.js';
+
+const RotationalEnergyExchange = {
+
+  // shape of the distribution of the relative translational energy of 2 colliding particles
+  TRANSLATIONAL_SHAPE: 3 / 2,
+
+  // shape of the distribution of the rotational energy of 1 diatomic particle
+  ROTATIONAL_SHAPE: 2 / 3,
+
+  /**
+   * Redistributes energy between translation and rotation, after 2 particles have collided.
+   * This is a no-op if neither particle is a DiatomicParticle.
+   * @param {Particle} particle1
+   * @param {Particle} particle2
+   * @param {Random} random - source of random numbers
+   * @public
+   */
+  exchange( particle1, particle2, random ) {
+    assert && assert( particle1 instanceof Particle, `invalid particle1: ${particle1}` );
+    assert && assert( particle2 instanceof Particle, `invalid particle2: ${particle2}` );
+    assert && assert( random instanceof Random, `invalid random: ${random}` );
+
+    const isDiatomic1 = particle1 instanceof DiatomicParticle;
+    const isDiatomic2 = particle2 instanceof DiatomicParticle;
+    if ( !isDiatomic1 && !isDiatomic2 ) {
+      return;
+    }
+
+    const m1 = particle1.mass;
+    const m2 = particle2.mass;
+    const reducedMass = m1 * m2 / ( m1 + m2 );
+
+    // relative velocity
+    const gx = particle1.velocity.x - particle2.velocity.x;
+    const gy = particle1.velocity.y - particle2.velocity.y;
+    const gSquared = gx * gx + gy * gy;
+
+    // energy that is available to redistribute, AMU * pm^2 / ps^2
+    const translationalEnergy = 0.5 * reducedMass * gSquared;
+    const rotationalEnergy1 = isDiatomic1 ? particle1.getRotationalEnergy() : 0;
+    const rotationalEnergy2 = isDiatomic2 ? particle2.getRotationalEnergy() : 0;
+    const collisionEnergy = translationalEnergy + rotationalEnergy1 + rotationalEnergy2;
+    if ( collisionEnergy === 0 ) {
+      return;
+    }
+
+    // Choose the translational share.
+    const rotationalShape = ( isDiatomic1 && isDiatomic2 ) ?
+                            2 * RotationalEnergyExchange.ROTATIONAL_SHAPE :
+                            RotationalEnergyExchange.ROTATIONAL_SHAPE;
+    const newTranslationalEnergy = collisionEnergy *
+                                   GasPropertiesUtils.nextBeta( RotationalEnergyExchange.TRANSLATIONAL_SHAPE,
+                                     rotationalShape, random );
+    const newRotationalEnergy = collisionEnergy - newTranslationalEnergy;
+
+    // Choose the rotational share of each particle.
+    if ( isDiatomic1 && isDiatomic2 ) {
+      const fraction = GasPropertiesUtils.nextBeta( RotationalEnergyExchange.ROTATIONAL_SHAPE,
+        RotationalEnergyExchange.ROTATIONAL_SHAPE, random );
+      setRotationalEnergy( particle1, fraction * newRotationalEnergy, random );
+      setRotationalEnergy( particle2, ( 1 - fraction ) * newRotationalEnergy, random );
+    }
+    else {
+      setRotationalEnergy( isDiatomic1 ? particle1 : particle2, newRotationalEnergy, random );
+    }
+
+    // Scale the relative velocity, preserving the velocity of the center of mass. If the particles have no relative
+    // velocity, choose a random direction.
+    const newRelativeSpeed = Math.sqrt( 2 * newTranslationalEnergy / reducedMass );
+    let ux;
+    let uy;
+    if ( gSquared > 0 ) {
+      const g = Math.sqrt( gSquared );
+      ux = gx / g;
+      uy = gy / g;
+    }
+    else {
+      const angle = random.nextDouble() * 2 * Math.PI;
+      ux = Math.cos( angle );
+      uy = Math.sin( angle );
+    }
+    const vcmx = ( m1 * particle1.velocity.x + m2 * particle2.velocity.x ) / ( m1 + m2 );
+    const vcmy = ( m1 * particle1.velocity.y + m2 * particle2.velocity.y ) / ( m1 + m2 );
+    const scale1 = newRelativeSpeed * m2 / ( m1 + m2 );
+    const scale2 = newRelativeSpeed * m1 / ( m1 + m2 );
+    particle1.setVelocityXY( vcmx + scale1 * ux, vcmy + scale1 * uy );
+    particle2.setVelocityXY( vcmx - scale2 * ux, vcmy - scale2 * uy );
+  }
+};
+
+/**
+ * Sets the rotational energy of a diatomic particle. If the particle is not rotating, the direction of rotation
+ * is chosen randomly.
+ * @param {DiatomicParticle} particle
+ * @param {number} rotationalEnergy - AMU * pm^2 / ps^2
+ * @param {Random} random
+ */
+function setRotationalEnergy( particle, rotationalEnergy, random ) {
+  if ( particle.angularVelocity === 0 ) {
+    particle.angularVelocity = ( random.nextDouble() < 0.5 ) ? -1 : 1;
+  }
+  particle.setRotationalEnergy( rotationalEnergy );
+}
+
+gasProperties.register( 'RotationalEnergyExchange', RotationalEnergyExchange );
+export default RotationalEnergyExchange;
@@ -0,0 +1,151 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * SpatialHash partitions the collision detection space into a uniform 2D grid of square Regions, for the broad phase
+ * of collision detection. Each particle is a member of exactly 1 Region, the Region that contains its center, which
+ * is found in constant time from the particle's position. Rather than having to consider collisions between every
+ * pair of particles, only particles in the same or adjacent Regions need to be considered.
+ *
+ * For 2 particles in adjacent Regions to be able to contact each other, the length of a Region must be at least
+ * the largest possible distance between 2 particles that are in contact, which is twice the maximum particle radius.
+ * Since the radius of particles can change (in the Diffusion screen), the grid is rebuilt when the maximum radius
+ * changes. Smaller Regions result in fewer tests, so the grid uses the smallest Regions that are possible.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import gasProperties from '../../gasProperties.js';
+import Particle from './Particle.js';
+import Region from './Region.js';
+
+class SpatialHash {
+
+  /**
+   * @param {Bounds2} bounds - the collision detection space, in pm
+   */
+  constructor( bounds ) {
+    assert && assert( bounds instanceof Bounds2, `invalid bounds: ${bounds}` );
+
+    // @private
+    this.bounds = bounds;
+
+    // @public (read-only) length of one side of each Region, in pm. Set by setRegionLength.
+    this.regionLength = 0;
+
+    // @public (read-only) dimensions of the grid. Columns are numbered right-to-left, rows are numbered bottom-to-top,
+    // so that the grid is aligned with the right and bottom edges of the container.
+    this.numberOfColumns = 0;
+    this.numberOfRows = 0;
+
+    // @public (read-only) {Region[]} the grid, indexed by column * numberOfRows + row. This array is replaced when
+    // the grid is rebuilt.
+    this.regions = [];
+  }
+
+  /**
+   * Sets the length of one side of each Region, and rebuilds the grid if the length has changed.
+   * @param {number} regionLength - in pm
+   * @public
+   */
+  setRegionLength( regionLength ) {
+    assert && assert( typeof regionLength === 'number' && regionLength > 0, `invalid regionLength: ${regionLength}` );
+
+    if ( regionLength !== this.regionLength ) {
+      this.regionLength = regionLength;
+      this.numberOfColumns = Math.ceil( this.bounds.width / regionLength );
+      this.numberOfRows = Math.ceil( this.bounds.height / regionLength );
+
+      const regions = [];
+      for ( let column = 0; column < this.numberOfColumns; column++ ) {
+        const maxX = this.bounds.maxX - column * regionLength;
+        for ( let row = 0; row < this.numberOfRows; row++ ) {
+          const minY = this.bounds.minY + row * regionLength;
+          regions.push( new Region( new Bounds2( maxX - regionLength, minY, maxX, minY + regionLength ) ) );
+        }
+      }
+      this.regions = regions;
+      phet.log && phet.log( `created ${regions.length} regions of ${regionLength} pm each` );
+    }
+  }
+
+  /**
+   * Removes all particles from all Regions.
+   * @public
+   */
+  clear() {
+    for ( let i = this.regions.length - 1; i >= 0; i-- ) {
+      this.regions[ i ].clear();
+    }
+  }
+
+  /**
+   * Adds particles to the Regions that contain their centers. Particles outside the grid are added to the
+   * nearest Region.
+   * @param {Particle[][]} particleArrays - collections of particles
+   * @public
+   */
+  addParticles( particleArrays ) {
+    assert && assert( Array.isArray( particleArrays ), `invalid particleArrays: ${particleArrays}` );
+    assert && assert( this.regions.length > 0, 'setRegionLength must be called first' );
+
+    for ( let i = particleArrays.length - 1; i >= 0; i-- ) {
+      const particles = particleArrays[ i ];
+      for ( let j = particles.length - 1; j >= 0; j-- ) {
+        const particle = particles[ j ];
+        assert && assert( particle instanceof Particle, `invalid particle: ${particle}` );
+
+        const column = this.getColumn( particle.position.x );
+        const row = this.getRow( particle.position.y );
+        this.regions[ column * this.numberOfRows + row ].addParticle( particle );
+      }
+    }
+  }
+
+  /**
+   * Gets the column of the grid that contains an x coordinate. Coordinates outside the grid are in the nearest column.
+   * @param {number} x - in pm
+   * @returns {number}
+   * @public
+   */
+  getColumn( x ) {
+    return clamp( Math.floor( ( this.bounds.maxX - x ) / this.regionLength ), this.numberOfColumns - 1 );
+  }
+
+  /**
+   * Gets the row of the grid that contains a y coordinate. Coordinates outside the grid are in the nearest row.
+   * @param {number} y - in pm
+   * @returns {number}
+   * @public
+   */
+  getRow( y ) {
+    return clamp( Math.floor( ( y - this.bounds.minY ) / this.regionLength ), this.numberOfRows - 1 );
+  }
+
+  /**
+   * Gets the Region at a specified position in the grid.
+   * @param {number} column
+   * @param {number} row
+   * @returns {Region|null} null if the position is outside the grid
+   * @public
+   */
+  getRegion( column, row ) {
+    if ( column < 0 || column >= this.numberOfColumns || row < 0 || row >= this.numberOfRows ) {
+      return null;
+    }
+    return this.regions[ column * this.numberOfRows + row ];
+  }
+}
+
+/**
+ * Constrains an index to the range [0,max].
+ * @param {number} index
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp( index, max ) {
+  return Math.min( Math.max( index, 0 ), max );
+}
+
+gasProperties.register( 'SpatialHash', SpatialHash );
+export default SpatialHash;
@@ -0,0 +1,71 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * SpeciesDescriptors describes the particle species that are available in the screens that are based on the
+ * Ideal Gas Law, keyed by species name. The names are the valid values of the species query parameter, and are
+ * used to name the PhET-iO elements of each species. Each name is also the key of the species' label in
+ * gas-properties-strings_en.json. Particles of a species with isDiatomic are DiatomicParticles, which rotate.
+ * See ParticleSpecies.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+
+const SpeciesDescriptors = {
+
+  heavy: {
+    mass: 28, // equivalent to N2 (nitrogen), in AMU, rounded to the closest integer
+    radius: 125, // pm
+    isDiatomic: false,
+    colorProperty: GasPropertiesColorProfile.heavyParticleColorProperty,
+    highlightColorProperty: GasPropertiesColorProfile.heavyParticleHighlightColorProperty,
+    attractionStrengthRange: new RangeWithValue( 0, 500, 200 ), // K
+    attractionRangeRange: new RangeWithValue( 300, 1200, 600 ) // pm
+  },
+
+  light: {
+    mass: 4, // equivalent to He (helium), in AMU, rounded to the closest integer
+    radius: 87.5, // pm
+    isDiatomic: false,
+    colorProperty: GasPropertiesColorProfile.lightParticleColorProperty,
+    highlightColorProperty: GasPropertiesColorProfile.lightParticleHighlightColorProperty,
+    attractionStrengthRange: new RangeWithValue( 0, 500, 100 ), // K
+    attractionRangeRange: new RangeWithValue( 300, 1200, 450 ) // pm
+  },
+
+  medium: {
+    mass: 16, // equivalent to CH4 (methane), in AMU, rounded to the closest integer
+    radius: 105, // pm
+    isDiatomic: false,
+    colorProperty: GasPropertiesColorProfile.mediumParticleColorProperty,
+    highlightColorProperty: GasPropertiesColorProfile.mediumParticleHighlightColorProperty,
+    attractionStrengthRange: new RangeWithValue( 0, 500, 150 ), // K
+    attractionRangeRange: new RangeWithValue( 300, 1200, 500 ) // pm
+  },
+
+  veryHeavy: {
+    mass: 44, // equivalent to CO2 (carbon dioxide), in AMU, rounded to the closest integer
+    radius: 150, // pm
+    isDiatomic: false,
+    colorProperty: GasPropertiesColorProfile.veryHeavyParticleColorProperty,
+    highlightColorProperty: GasPropertiesColorProfile.veryHeavyParticleHighlightColorProperty,
+    attractionStrengthRange: new RangeWithValue( 0, 500, 250 ), // K
+    attractionRangeRange: new RangeWithValue( 300, 1200, 650 ) // pm
+  },
+
+  diatomic: {
+    mass: 28, // equivalent to N2 (nitrogen), in AMU, rounded to the closest integer
+    radius: 125, // pm, see DiatomicParticle for how this relates to the size of the 2 atoms
+    isDiatomic: true,
+    colorProperty: GasPropertiesColorProfile.diatomicParticleColorProperty,
+    highlightColorProperty: GasPropertiesColorProfile.diatomicParticleHighlightColorProperty,
+    attractionStrengthRange: new RangeWithValue( 0, 500, 200 ), // K
+    attractionRangeRange: new RangeWithValue( 300, 1200, 600 ) // pm
+  }
+};
+
+gasProperties.register( 'SpeciesDescriptors', SpeciesDescriptors );
+export default SpeciesDescriptors;
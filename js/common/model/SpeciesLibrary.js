@@ -0,0 +1,61 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * SpeciesLibrary describes real gases, keyed by name. Masses are atomic or molecular masses, in AMU. Sizes are
+ * kinetic diameters, in pm, from D. W. Breck, Zeolite Molecular Sieves (Wiley, 1974). Each name is also the key of
+ * the gas' label in gas-properties-strings_en.json. Choosing a gas sets the mass and radius of a particle species,
+ * see SpeciesPresetProperty.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+
+const SpeciesLibrary = {
+
+  helium: {
+    mass: 4.0026, // He, AMU
+    kineticDiameter: 260, // pm
+    colorProperty: GasPropertiesColorProfile.heliumColorProperty
+  },
+
+  neon: {
+    mass: 20.180, // Ne, AMU
+    kineticDiameter: 275, // pm
+    colorProperty: GasPropertiesColorProfile.neonColorProperty
+  },
+
+  argon: {
+    mass: 39.948, // Ar, AMU
+    kineticDiameter: 340, // pm
+    colorProperty: GasPropertiesColorProfile.argonColorProperty
+  },
+
+  nitrogen: {
+    mass: 28.014, // N2, AMU
+    kineticDiameter: 364, // pm
+    colorProperty: GasPropertiesColorProfile.nitrogenColorProperty
+  },
+
+  oxygen: {
+    mass: 31.998, // O2, AMU
+    kineticDiameter: 346, // pm
+    colorProperty: GasPropertiesColorProfile.oxygenColorProperty
+  },
+
+  carbonDioxide: {
+    mass: 44.009, // CO2, AMU
+    kineticDiameter: 330, // pm
+    colorProperty: GasPropertiesColorProfile.carbonDioxideColorProperty
+  },
+
+  xenon: {
+    mass: 131.29, // Xe, AMU
+    kineticDiameter: 396, // pm
+    colorProperty: GasPropertiesColorProfile.xenonColorProperty
+  }
+};
+
+gasProperties.register( 'SpeciesLibrary', SpeciesLibrary );
+export default SpeciesLibrary;
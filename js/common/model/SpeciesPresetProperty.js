@@ -0,0 +1,116 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * SpeciesPresetProperty is the gas from SpeciesLibrary that determines the mass and radius of a particle species.
+ * Setting it to a gas sets mass and radius. Changing mass or radius to values that differ from the gas sets it
+ * to SpeciesPresetProperty.CUSTOM.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import SpeciesLibrary from './SpeciesLibrary.js';
+
+// constants
+const CUSTOM = 'custom';
+
+class SpeciesPresetProperty extends StringProperty {
+
+  /**
+   * @param {NumberProperty} massProperty - in AMU
+   * @param {NumberProperty} radiusProperty - in pm
+   * @param {Object} [options]
+   */
+  constructor( massProperty, radiusProperty, options ) {
+    assert && assert( massProperty instanceof NumberProperty, `invalid massProperty: ${massProperty}` );
+    assert && assert( radiusProperty instanceof NumberProperty, `invalid radiusProperty: ${radiusProperty}` );
+
+    options = merge( {
+      massInterval: null, // {number|null} mass is rounded to a multiple of this interval, null for no rounding
+      radiusInterval: null, // {number|null} radius is rounded to a multiple of this interval, null for no rounding
+
+      // superclass options
+      validValues: [ CUSTOM ].concat( _.keys( SpeciesLibrary ) ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED,
+      phetioDocumentation: 'the gas that determines mass and radius, or "custom" if they have been changed'
+    }, options );
+
+    super( CUSTOM, options );
+
+    // @private
+    this.massProperty = massProperty;
+    this.radiusProperty = radiusProperty;
+    this.massInterval = options.massInterval;
+    this.radiusInterval = options.radiusInterval;
+
+    // true while mass and radius are being set to the values for a gas
+    let isApplyingPreset = false;
+
+    // When a gas is chosen, set mass and radius.
+    this.link( name => {
+      if ( name !== CUSTOM ) {
+        isApplyingPreset = true;
+        massProperty.value = this.getMass( name );
+        radiusProperty.value = this.getRadius( name );
+        isApplyingPreset = false;
+      }
+    } );
+
+    // When mass or radius is changed to values that differ from the chosen gas, the gas is custom.
+    Property.multilink( [ massProperty, radiusProperty ], ( mass, radius ) => {
+      if ( !isApplyingPreset && this.value !== CUSTOM &&
+           ( mass !== this.getMass( this.value ) || radius !== this.getRadius( this.value ) ) ) {
+        this.value = CUSTOM;
+      }
+    } );
+  }
+
+  /**
+   * Gets the mass for a gas, rounded and constrained to the range of massProperty.
+   * @param {string} name - a key in SpeciesLibrary
+   * @returns {number} in AMU
+   * @private
+   */
+  getMass( name ) {
+    return constrain( SpeciesLibrary[ name ].mass, this.massInterval, this.massProperty.range );
+  }
+
+  /**
+   * Gets the radius for a gas, rounded and constrained to the range of radiusProperty.
+   * The radius is half of the gas' kinetic diameter.
+   * @param {string} name - a key in SpeciesLibrary
+   * @returns {number} in pm
+   * @private
+   */
+  getRadius( name ) {
+    return constrain( SpeciesLibrary[ name ].kineticDiameter / 2, this.radiusInterval, this.radiusProperty.range );
+  }
+}
+
+/**
+ * Rounds a value to a multiple of an interval, and constrains it to a range.
+ * @param {number} value
+ * @param {number|null} interval - null for no rounding
+ * @param {Range} range
+ * @returns {number}
+ */
+function constrain( value, interval, range ) {
+  if ( interval !== null ) {
+    value = Utils.roundToInterval( value, interval );
+  }
+  return range.constrainValue( value );
+}
+
+// @public (read-only) value when mass and radius do not correspond to a gas in SpeciesLibrary
+SpeciesPresetProperty.CUSTOM = CUSTOM;
+
+gasProperties.register( 'SpeciesPresetProperty', SpeciesPresetProperty );
+export default SpeciesPresetProperty;
@@ -4,6 +4,10 @@
  * TemperatureModel is a sub-model of IdealGasModel. It is responsible for the T (temperature) component of
  * the Ideal Gas Law (PV = NkT) and for the thermometer.
  *
+ * Temperature is derived from translational kinetic energy only. Diatomic particles also have rotational energy,
+ * which is kT per particle at equilibrium (equipartition), so it does not need to be included. See
+ * RotationalEnergyExchange.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
@@ -112,14 +116,15 @@ class TemperatureModel {
       // User's setting
       initialTemperature = this.initialTemperatureProperty.value;
     }
-    else if ( this.temperatureProperty.value !== null ) {
+    else if ( this.temperatureProperty.value ) {
 
-      // Current temperature in the container
+      // Current temperature in the container. This may be 0 K if inelastic collisions have dissipated all kinetic
+      // energy, and particles cannot be added with 0 K, so in that case the default below is used.
       initialTemperature = this.temperatureProperty.value;
     }
     else {
 
-      // Default for empty container
+      // Default for empty container, or container at 0 K
       initialTemperature = INITIAL_TEMPERATURE_RANGE.defaultValue;
     }
 
@@ -0,0 +1,91 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ThermalWall is a wall of the container that has a temperature. A particle that collides with a thermal wall is
+ * re-emitted with a velocity drawn from a Maxwell distribution at the wall's temperature, so that heat flows
+ * between the wall and the gas one collision at a time. This is sometimes called a diffuse (or fully-accommodating)
+ * wall, and it is how heat is added or removed by the heater/cooler when HeatCoolMethod.THERMAL_WALL is used.
+ *
+ * The velocity components of the particles in this sim are 2D, but temperature is computed as if particles had
+ * 3 degrees of freedom, T = (2/3)KE/k. See TemperatureModel. So each velocity component of the Maxwell distribution
+ * has variance sigma^2 = (3/2)kT/m, which gives the gas a mean kinetic energy of (3/2)kT at equilibrium.
+ * The tangential component of the emitted velocity is normally distributed. The normal component is Rayleigh
+ * distributed, because faster particles hit the wall more often, and the gas would otherwise cool.
+ * Only translation is thermalized. The rotation of diatomic particles equilibrates via particle-particle collisions.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Random from '../../../../dot/js/Random.js';
+import Utils from '../../../../dot/js/Utils.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import Particle from './Particle.js';
+
+class ThermalWall {
+
+  /**
+   * @param {Random} random - source of random numbers
+   */
+  constructor( random ) {
+    assert && assert( random instanceof Random, `invalid random: ${random}` );
+
+    // @private
+    this.random = random;
+
+    // @public {number|null} temperature of the wall, in K. null means that the wall is insulating, and particles
+    // are reflected like any other wall.
+    this.temperature = null;
+
+    // @public (read-only) heat that was added to particles by the wall since clearHeat was called,
+    // in AMU * pm^2 / ps^2. Negative if heat was removed.
+    this.heat = 0;
+  }
+
+  /**
+   * Is this wall currently exchanging heat with particles?
+   * @returns {boolean}
+   * @public
+   */
+  isThermal() {
+    return ( this.temperature !== null );
+  }
+
+  /**
+   * Clears the heat that has been added to particles.
+   * @public
+   */
+  clearHeat() {
+    this.heat = 0;
+  }
+
+  /**
+   * Re-emits a particle that has collided with the wall. The velocity is drawn from a Maxwell distribution at the
+   * wall's temperature, and points away from the wall.
+   * @param {Particle} particle
+   * @param {number} normalX - x component of the wall's unit normal, pointing into the container
+   * @param {number} normalY - y component of the wall's unit normal, pointing into the container
+   * @public
+   */
+  emit( particle, normalX, normalY ) {
+    assert && assert( particle instanceof Particle, `invalid particle: ${particle}` );
+    assert && assert( this.isThermal(), 'wall is not thermal' );
+
+    const kineticEnergy = particle.getKineticEnergy();
+
+    // standard deviation of each velocity component, sigma = sqrt( (3/2)kT/m ), in pm/ps
+    const sigma = Math.sqrt( 1.5 * GasPropertiesConstants.BOLTZMANN * this.temperature / particle.mass );
+
+    // Rayleigh-distributed normal component, and Gaussian tangential component
+    const vNormal = sigma * Math.sqrt( -2 * Math.log( 1 - this.random.nextDouble() ) );
+    const vTangent = Utils.boxMullerTransform( 0, sigma, this.random );
+
+    // The tangent is the normal rotated by +90 degrees.
+    particle.setVelocityXY( vNormal * normalX - vTangent * normalY, vNormal * normalY + vTangent * normalX );
+
+    this.heat += particle.getKineticEnergy() - kineticEnergy;
+  }
+}
+
+gasProperties.register( 'ThermalWall', ThermalWall );
+export default ThermalWall;
@@ -0,0 +1,160 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * TimeSeriesModel is a sub-model of IdealGasLawModel. It records pressure, temperature, volume and number of particles
+ * as a function of stopwatch time, so that they can be plotted on a strip chart. Like DataRecorder, it records only
+ * while the stopwatch is running, and each sample is timestamped with the time on the stopwatch. So nothing is
+ * recorded while the stopwatch or the sim is paused. A sample is taken when the stopwatch is started, and resetting
+ * the stopwatch clears the recording.
+ *
+ * Samples are recorded at a fixed period of stopwatch time, and samples that are older than the maximum duration
+ * are discarded.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Emitter from '../../../../axon/js/Emitter.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Stopwatch from '../../../../scenery-phet/js/Stopwatch.js';
+import gasProperties from '../../gasProperties.js';
+
+class TimeSeriesModel {
+
+  /**
+   * @param {Stopwatch} stopwatch - provides the timestamps, recording happens only while the stopwatch is running
+   * @param {NumberProperty} pressureProperty - pressure in the container, in kPa
+   * @param {NumberProperty} gaugePressureProperty - pressure displayed by the pressure gauge, with noise, in kPa
+   * @param {Property.<number|null>} temperatureProperty - temperature in the container, in K, null if empty
+   * @param {Property.<number>} volumeProperty - volume of the container, in pm^3
+   * @param {NumberProperty} numberOfParticlesProperty - number of particles in the container
+   * @param {Object} [options]
+   */
+  constructor( stopwatch, pressureProperty, gaugePressureProperty, temperatureProperty, volumeProperty,
+               numberOfParticlesProperty, options ) {
+    assert && assert( stopwatch instanceof Stopwatch, `invalid stopwatch: ${stopwatch}` );
+    assert && assert( pressureProperty instanceof NumberProperty, `invalid pressureProperty: ${pressureProperty}` );
+    assert && assert( gaugePressureProperty instanceof NumberProperty,
+      `invalid gaugePressureProperty: ${gaugePressureProperty}` );
+    assert && assert( temperatureProperty instanceof Property, `invalid temperatureProperty: ${temperatureProperty}` );
+    assert && assert( volumeProperty instanceof Property, `invalid volumeProperty: ${volumeProperty}` );
+    assert && assert( numberOfParticlesProperty instanceof NumberProperty,
+      `invalid numberOfParticlesProperty: ${numberOfParticlesProperty}` );
+
+    options = merge( {
+      samplePeriod: 0.1, // stopwatch time between samples, in ps
+      maxDuration: 1000 // samples older than this are discarded, in ps of stopwatch time
+    }, options );
+
+    assert && assert( options.samplePeriod > 0, `invalid samplePeriod: ${options.samplePeriod}` );
+    assert && assert( options.maxDuration > options.samplePeriod, `invalid maxDuration: ${options.maxDuration}` );
+
+    // @private
+    this.stopwatch = stopwatch;
+    this.pressureProperty = pressureProperty;
+    this.gaugePressureProperty = gaugePressureProperty;
+    this.temperatureProperty = temperatureProperty;
+    this.volumeProperty = volumeProperty;
+    this.numberOfParticlesProperty = numberOfParticlesProperty;
+    this.samplePeriod = options.samplePeriod;
+    this.maxDuration = options.maxDuration;
+
+    // @public (read-only) {{time:number, pressure:number, gaugePressure:number, temperature:number|null,
+    // volume:number, numberOfParticles:number}[]} samples, oldest first, in ps, kPa, kPa, K and pm^3
+    this.samples = [];
+
+    // @public emits when samples changes
+    this.samplesChangedEmitter = new Emitter();
+
+    // @private {number} stopwatch time since the most recent sample, in ps
+    this.dtAccumulator = 0;
+
+    // Take a sample when the stopwatch is started.
+    stopwatch.isRunningProperty.lazyLink( isRunning => {
+      if ( isRunning ) {
+        this.dtAccumulator = 0;
+        this.recordSample();
+      }
+    } );
+
+    // The time on the stopwatch decreases only when the stopwatch is reset, which starts a new recording.
+    stopwatch.timeProperty.lazyLink( ( time, oldTime ) => {
+      ( time < oldTime ) && this.clear();
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.clear();
+  }
+
+  /**
+   * Discards all samples.
+   * @public
+   */
+  clear() {
+    this.samples.length = 0;
+    this.dtAccumulator = 0;
+    this.samplesChangedEmitter.emit();
+  }
+
+  /**
+   * Gets the time on the stopwatch.
+   * @returns {number} in ps
+   * @public
+   */
+  getTime() {
+    return this.stopwatch.timeProperty.value;
+  }
+
+  /**
+   * Records a sample if the stopwatch is running, and the sample period has elapsed. Call this after the model has
+   * been stepped, so that pressure, temperature and the stopwatch are up to date.
+   * @param {number} dt - time step, in ps
+   * @public
+   */
+  step( dt ) {
+    assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
+
+    if ( this.stopwatch.isRunningProperty.value ) {
+      this.dtAccumulator += dt;
+      if ( this.dtAccumulator >= this.samplePeriod ) {
+        this.dtAccumulator = this.dtAccumulator % this.samplePeriod;
+
+        // Nothing is recorded if the stopwatch has stopped advancing at its maximum time.
+        const time = this.getTime();
+        const samples = this.samples;
+        if ( samples.length === 0 || time > samples[ samples.length - 1 ].time ) {
+
+          // Discard samples that are older than the maximum duration.
+          while ( samples.length > 0 && time - samples[ 0 ].time > this.maxDuration ) {
+            samples.shift();
+          }
+          this.recordSample();
+        }
+      }
+    }
+  }
+
+  /**
+   * Records the current state as a sample.
+   * @private
+   */
+  recordSample() {
+    this.samples.push( {
+      time: this.getTime(), // ps
+      pressure: this.pressureProperty.value, // kPa
+      gaugePressure: this.gaugePressureProperty.value, // kPa
+      temperature: this.temperatureProperty.value, // K
+      volume: this.volumeProperty.value, // pm^3
+      numberOfParticles: this.numberOfParticlesProperty.value
+    } );
+    this.samplesChangedEmitter.emit();
+  }
+}
+
+gasProperties.register( 'TimeSeriesModel', TimeSeriesModel );
+export default TimeSeriesModel;
@@ -0,0 +1,74 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ApertureNode shows the aperture in a wall of the container, as a gap in the wall. See Aperture.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import Aperture from '../model/Aperture.js';
+import ContainerWall from '../model/ContainerWall.js';
+import IdealGasLawContainer from '../model/IdealGasLawContainer.js';
+
+class ApertureNode extends Rectangle {
+
+  /**
+   * @param {Aperture} aperture
+   * @param {IdealGasLawContainer} container
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( aperture, container, modelViewTransform, options ) {
+    assert && assert( aperture instanceof Aperture, `invalid aperture: ${aperture}` );
+    assert && assert( container instanceof IdealGasLawContainer, `invalid container: ${container}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2,
+      `invalid modelViewTransform: ${modelViewTransform}` );
+
+    options = merge( {
+
+      // superclass options
+      fill: GasPropertiesColorProfile.screenBackgroundColorProperty,
+      pickable: false
+    }, options );
+
+    super( 0, 0, 1, 1, options );
+
+    // The gap covers the wall's thickness (and the lid, if the aperture is in the top), in model coordinates.
+    // The walls are drawn outside the container's bounds.
+    const thickness = container.wallThickness + container.lidThickness;
+
+    Property.multilink( [ aperture.isOpenProperty, aperture.wallProperty, aperture.positionProperty,
+        aperture.widthProperty, container.boundsProperty ],
+      ( isOpen, wall, position, width, bounds ) => {
+        this.visible = isOpen;
+        if ( isOpen ) {
+          const min = aperture.getMin();
+          const max = aperture.getMax();
+          let modelBounds;
+          if ( wall === ContainerWall.LEFT ) {
+            modelBounds = new Bounds2( bounds.minX - thickness, min, bounds.minX, max );
+          }
+          else if ( wall === ContainerWall.RIGHT ) {
+            modelBounds = new Bounds2( bounds.maxX, min, bounds.maxX + thickness, max );
+          }
+          else if ( wall === ContainerWall.TOP ) {
+            modelBounds = new Bounds2( min, bounds.maxY, max, bounds.maxY + thickness );
+          }
+          else {
+            modelBounds = new Bounds2( min, bounds.minY - thickness, max, bounds.minY );
+          }
+          this.setRectBounds( modelViewTransform.modelToViewBounds( modelBounds ) );
+        }
+      } );
+  }
+}
+
+gasProperties.register( 'ApertureNode', ApertureNode );
+export default ApertureNode;
@@ -0,0 +1,217 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * AttractionsAccordionBox is the accordion box titled 'Attractions'. It contains controls for the attractive
+ * potential between particles, and displays the compressibility factor Z, which deviates from 1 when the gas
+ * is not ideal.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import NumberDisplay from '../../../../scenery-phet/js/NumberDisplay.js';
+import AlignBox from '../../../../scenery/js/nodes/AlignBox.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import AttractionSettings from '../model/AttractionSettings.js';
+import FixedWidthNode from './FixedWidthNode.js';
+import GasPropertiesCheckbox from './GasPropertiesCheckbox.js';
+import GasPropertiesIconFactory from './GasPropertiesIconFactory.js';
+import GasPropertiesSpinner from './GasPropertiesSpinner.js';
+
+// constants
+const ICON_SPACING = 6; // space between particle icon and spinner
+const SPINNERS_PER_ROW = 2; // number of species spinners in each row of a SpeciesControl
+const Z_RANGE = new Range( 0, 10 ); // determines the width of the Z display
+
+class AttractionsAccordionBox extends AccordionBox {
+
+  /**
+   * @param {BooleanProperty} attractionsEnabledProperty
+   * @param {ParticleSpecies[]} species - the particle species, each with its own AttractionSettings
+   * @param {Property.<number|null>} compressibilityFactorProperty
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( attractionsEnabledProperty, species, compressibilityFactorProperty, modelViewTransform, options ) {
+    assert && assert( attractionsEnabledProperty instanceof BooleanProperty,
+      `invalid attractionsEnabledProperty: ${attractionsEnabledProperty}` );
+    assert && assert( Array.isArray( species ) && species.length > 0, `invalid species: ${species}` );
+    assert && assert( compressibilityFactorProperty instanceof Property,
+      `invalid compressibilityFactorProperty: ${compressibilityFactorProperty}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2,
+      `invalid modelViewTransform: ${modelViewTransform}` );
+
+    options = merge( {
+      fixedWidth: 100,
+      contentXMargin: 0,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, GasPropertiesConstants.ACCORDION_BOX_OPTIONS, {
+
+      // superclass options
+      titleNode: new Text( gasPropertiesStrings.attractions, {
+        font: GasPropertiesConstants.TITLE_FONT,
+        fill: GasPropertiesColorProfile.textFillProperty
+      } )
+    }, options );
+
+    // Limit width of title
+    options.titleNode.maxWidth = 0.75 * options.fixedWidth;
+
+    const contentWidth = options.fixedWidth - ( 2 * options.contentXMargin );
+
+    // Attractions checkbox
+    const attractionsCheckbox = new GasPropertiesCheckbox( attractionsEnabledProperty, {
+      text: gasPropertiesStrings.attractions,
+      textMaxWidth: 175, // determined empirically
+      tandem: options.tandem.createTandem( 'attractionsCheckbox' )
+    } );
+
+    // To make all spinners have the same bounds width
+    const spinnersAlignGroup = new AlignGroup( {
+      matchHorizontal: true
+    } );
+
+    // Strength (K)
+    const strengthControl = new SpeciesControl( gasPropertiesStrings.strengthK, modelViewTransform, species,
+      species => species.attractionSettings.strengthProperty, spinnersAlignGroup, {
+        spinnerOptions: {
+          enabledProperty: attractionsEnabledProperty,
+          deltaValue: AttractionSettings.DELTAS.strength
+        },
+        tandem: options.tandem.createTandem( 'strengthControl' )
+      } );
+
+    // Range (pm)
+    const rangeControl = new SpeciesControl( gasPropertiesStrings.rangePm, modelViewTransform, species,
+      species => species.attractionSettings.rangeProperty, spinnersAlignGroup, {
+        spinnerOptions: {
+          enabledProperty: attractionsEnabledProperty,
+          deltaValue: AttractionSettings.DELTAS.range
+        },
+        tandem: options.tandem.createTandem( 'rangeControl' )
+      } );
+
+    // Z = value
+    const compressibilityFactorDisplay = new NumberDisplay( compressibilityFactorProperty, Z_RANGE, {
+      valuePattern: gasPropertiesStrings.compressibilityFactorZ,
+      noValuePattern: gasPropertiesStrings.compressibilityFactorZ,
+      decimalPlaces: 2,
+      align: 'left',
+      textOptions: {
+        font: GasPropertiesConstants.CONTROL_FONT
+      },
+      maxWidth: contentWidth,
+      tandem: options.tandem.createTandem( 'compressibilityFactorDisplay' )
+    } );
+
+    const content = new FixedWidthNode( contentWidth, new VBox( {
+      align: 'left',
+      spacing: 15,
+      children: [ attractionsCheckbox, strengthControl, rangeControl, compressibilityFactorDisplay ]
+    } ) );
+
+    super( content, options );
+  }
+}
+
+/**
+ * A label and a spinner for each species, for changing the same quantity for each species.
+ */
+class SpeciesControl extends VBox {
+
+  /**
+   * @param {string} label
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {ParticleSpecies[]} species
+   * @param {function(ParticleSpecies):NumberProperty} getProperty - gets the quantity for a species
+   * @param {AlignGroup} spinnersAlignGroup
+   * @param {Object} [options]
+   */
+  constructor( label, modelViewTransform, species, getProperty, spinnersAlignGroup, options ) {
+    assert && assert( typeof label === 'string', `invalid label: ${label}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+    assert && assert( Array.isArray( species ), `invalid species: ${species}` );
+    assert && assert( typeof getProperty === 'function', `invalid getProperty: ${getProperty}` );
+    assert && assert( spinnersAlignGroup instanceof AlignGroup, `invalid spinnersAlignGroup: ${spinnersAlignGroup}` );
+
+    options = merge( {
+      spinnerOptions: null, // {*} see NumberSpinner
+
+      // VBox options
+      spacing: 10,
+      align: 'left',
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // label
+    const labelNode = new Text( label, {
+      font: GasPropertiesConstants.CONTROL_FONT,
+      fill: GasPropertiesColorProfile.textFillProperty,
+      maxWidth: 175, // determined empirically
+      tandem: options.tandem.createTandem( 'labelNode' )
+    } );
+
+    // spinners, with uniform bounds width to facilitate layout
+    const alignBoxOptions = {
+      group: spinnersAlignGroup,
+      xAlign: 'left'
+    };
+    const iconsAndSpinners = species.map( species => {
+      const spinner = new AlignBox( new GasPropertiesSpinner( getProperty( species ), merge( {
+        decimalPlaces: 0,
+        tandem: options.tandem.createTandem( `${species.name}Spinner` )
+      }, options.spinnerOptions ) ), alignBoxOptions );
+      return createIconAndSpinner( GasPropertiesIconFactory.createSpeciesIcon( species.name, modelViewTransform ),
+        spinner );
+    } );
+
+    // icons and spinners, in rows
+    const rows = _.chunk( iconsAndSpinners, SPINNERS_PER_ROW ).map( children => new HBox( {
+      spacing: 12,
+      children: children
+    } ) );
+
+    assert && assert( !options.children, 'SpeciesControl sets children' );
+    options = merge( {
+      children: [ labelNode, ...rows ]
+    }, options );
+
+    super( options );
+  }
+}
+
+/**
+ * Puts a particle icon to the left of a spinner.
+ * @param {Node} icon
+ * @param {Node} spinner
+ * @returns {Node}
+ */
+function createIconAndSpinner( icon, spinner ) {
+  assert && assert( icon instanceof Node, `invalid icon: ${icon}` );
+  assert && assert( spinner instanceof Node, `invalid spinner: ${spinner}` );
+  return new HBox( {
+    spacing: ICON_SPACING,
+    children: [ icon, spinner ]
+  } );
+}
+
+gasProperties.register( 'AttractionsAccordionBox', AttractionsAccordionBox );
+export default AttractionsAccordionBox;
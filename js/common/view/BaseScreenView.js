@@ -15,6 +15,7 @@ import gasProperties from '../../gasProperties.js';
 import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
 import GasPropertiesConstants from '../GasPropertiesConstants.js';
 import BaseModel from '../model/BaseModel.js';
+import DataExportPanel from './DataExportPanel.js';
 
 class BaseScreenView extends ScreenView {
 
@@ -77,6 +78,11 @@ class BaseScreenView extends ScreenView {
     } );
     this.addChild( resetAllButton );
 
+    // @protected Data export panel - subclass is responsible for adding it to the scene graph, and positioning it
+    this.dataExportPanel = new DataExportPanel( model.dataRecorder, {
+      tandem: tandem.createTandem( 'dataExportPanel' )
+    } );
+
     // @protected
     this.model = model;
   }
@@ -0,0 +1,53 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ChartValueText is a value with units, rounded to an integer, that labels an axis of a chart, e.g. '500 kPa'.
+ * Used by PVDiagramNode and TimeSeriesNode.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+
+class ChartValueText extends Text {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // superclass options
+      fill: GasPropertiesColorProfile.textFillProperty,
+      font: new PhetFont( 10 )
+    }, options );
+
+    super( '', options );
+  }
+
+  /**
+   * Sets the value that is displayed.
+   * @param {number} value
+   * @param {string} units - units of the value, or the empty string if the value has no units
+   * @public
+   */
+  setValue( value, units ) {
+    assert && assert( typeof value === 'number' && isFinite( value ), `invalid value: ${value}` );
+    assert && assert( typeof units === 'string', `invalid units: ${units}` );
+
+    const valueString = Utils.toFixed( value, 0 );
+    this.text = ( units === '' ) ? valueString :
+                StringUtils.fillIn( gasPropertiesStrings.valueUnits, { value: valueString, units: units } );
+  }
+}
+
+gasProperties.register( 'ChartValueText', ChartValueText );
+export default ChartValueText;
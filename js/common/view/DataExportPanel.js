@@ -0,0 +1,126 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DataExportPanel shows how many records DataRecorder has taken while the stopwatch was running, and has buttons that
+ * download the records as CSV or JSON, and a button that clears the records.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import EraserButton from '../../../../scenery-phet/js/buttons/EraserButton.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import DataRecorder from '../model/DataRecorder.js';
+import DataSerializer from '../model/DataSerializer.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: GasPropertiesConstants.CONTROL_FONT,
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 150 // determined empirically
+};
+const BUTTON_TEXT_OPTIONS = {
+  font: GasPropertiesConstants.CONTROL_FONT,
+  fill: 'black',
+  maxWidth: 40 // determined empirically
+};
+const FILENAME = 'gas-properties-data'; // name of downloaded files, without extension
+
+class DataExportPanel extends Panel {
+
+  /**
+   * @param {DataRecorder} dataRecorder
+   * @param {Object} [options]
+   */
+  constructor( dataRecorder, options ) {
+    assert && assert( dataRecorder instanceof DataRecorder, `invalid dataRecorder: ${dataRecorder}` );
+
+    options = merge( {}, GasPropertiesConstants.PANEL_OPTIONS, {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const titleNode = new Text( gasPropertiesStrings.stopwatchData, merge( {}, TEXT_OPTIONS, {
+      font: GasPropertiesConstants.TITLE_FONT
+    } ) );
+
+    const numberOfRecordsNode = new Text( '', TEXT_OPTIONS );
+    dataRecorder.numberOfRecordsProperty.link( numberOfRecords => {
+      numberOfRecordsNode.text = StringUtils.fillIn( gasPropertiesStrings.numberOfRecords, {
+        number: numberOfRecords
+      } );
+    } );
+
+    const csvButton = new RectangularPushButton( {
+      content: new Text( gasPropertiesStrings.csv, BUTTON_TEXT_OPTIONS ),
+      listener: () => download( `${FILENAME}.csv`, 'text/csv',
+        DataSerializer.toCSV( dataRecorder.records, dataRecorder.getUnits() ) ),
+      tandem: options.tandem.createTandem( 'csvButton' )
+    } );
+
+    const jsonButton = new RectangularPushButton( {
+      content: new Text( gasPropertiesStrings.json, BUTTON_TEXT_OPTIONS ),
+      listener: () => download( `${FILENAME}.json`, 'application/json',
+        DataSerializer.toJSON( dataRecorder.records, dataRecorder.getUnits() ) ),
+      tandem: options.tandem.createTandem( 'jsonButton' )
+    } );
+
+    const clearButton = new EraserButton( {
+      listener: () => dataRecorder.clear(),
+      baseColor: GasPropertiesColorProfile.eraserButtonColorProperty,
+      tandem: options.tandem.createTandem( 'clearButton' )
+    } );
+
+    const content = new VBox( {
+      align: 'left',
+      spacing: 6,
+      children: [
+        titleNode,
+        numberOfRecordsNode,
+        new HBox( {
+          spacing: 8,
+          children: [ csvButton, jsonButton, clearButton ]
+        } )
+      ]
+    } );
+
+    super( content, options );
+
+    // There is nothing to download until a record has been taken.
+    dataRecorder.numberOfRecordsProperty.link( numberOfRecords => {
+      csvButton.enabled = ( numberOfRecords > 0 );
+      jsonButton.enabled = ( numberOfRecords > 0 );
+    } );
+  }
+}
+
+/**
+ * Downloads text as a file, by clicking a temporary link to a Blob.
+ * @param {string} filename
+ * @param {string} mimeType
+ * @param {string} text
+ */
+function download( filename, mimeType, text ) {
+  const url = window.URL.createObjectURL( new window.Blob( [ text ], { type: mimeType } ) );
+  const link = document.createElement( 'a' );
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild( link );
+  link.click();
+  document.body.removeChild( link );
+  window.URL.revokeObjectURL( url );
+}
+
+gasProperties.register( 'DataExportPanel', DataExportPanel );
+export default DataExportPanel;
@@ -0,0 +1,107 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DensityProfileNode shows the vertical density profile of the particles in the container. Bars are anchored to the
+ * inside of the container's right wall and grow to the left, one bar per horizontal slice of the container.
+ * A line shows the profile that is predicted by the barometric formula.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import gasProperties from '../../gasProperties.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import DensityProfile from '../model/DensityProfile.js';
+import IdealGasLawContainer from '../model/IdealGasLawContainer.js';
+
+class DensityProfileNode extends Node {
+
+  /**
+   * @param {DensityProfile} densityProfile
+   * @param {IdealGasLawContainer} container
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {BooleanProperty} visibleProperty
+   * @param {Object} [options]
+   */
+  constructor( densityProfile, container, modelViewTransform, visibleProperty, options ) {
+    assert && assert( densityProfile instanceof DensityProfile, `invalid densityProfile: ${densityProfile}` );
+    assert && assert( container instanceof IdealGasLawContainer, `invalid container: ${container}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2,
+      `invalid modelViewTransform: ${modelViewTransform}` );
+    assert && assert( visibleProperty instanceof BooleanProperty, `invalid visibleProperty: ${visibleProperty}` );
+
+    options = merge( {
+      maxBarWidth: 0.4, // maximum width of the bars, as a fraction of the container's minimum width
+
+      // superclass options
+      pickable: false
+    }, options );
+
+    const barsNode = new Path( null, {
+      fill: GasPropertiesColorProfile.densityProfileBarFillProperty
+    } );
+
+    const predictedNode = new Path( null, {
+      stroke: GasPropertiesColorProfile.densityProfilePredictedStrokeProperty,
+      lineWidth: 2
+    } );
+
+    assert && assert( !options.children, 'DensityProfileNode sets children' );
+    options = merge( {
+      children: [ barsNode, predictedNode ]
+    }, options );
+
+    super( options );
+
+    // All dimensions are in view coordinates.
+    const right = modelViewTransform.modelToViewX( container.right );
+    const maxBarWidth = options.maxBarWidth * modelViewTransform.modelToViewDeltaX( container.widthRange.min );
+    const binHeight = Math.abs( modelViewTransform.modelToViewDeltaY( densityProfile.binHeight ) );
+    const bottom = modelViewTransform.modelToViewY( container.bottom );
+
+    // Bars and predicted profile are scaled so that a uniform distribution fills half of maxBarWidth.
+    const update = () => {
+      if ( this.visible ) {
+        const binCounts = densityProfile.binCountsProperty.value;
+        const predictedBinCounts = densityProfile.predictedBinCountsProperty.value;
+        const numberOfParticles = binCounts.reduce( ( sum, count ) => sum + count, 0 );
+        const scale = ( numberOfParticles === 0 ) ? 0 : ( 0.5 * maxBarWidth * binCounts.length / numberOfParticles );
+
+        const barsShape = new Shape();
+        const predictedShape = new Shape();
+        for ( let i = 0; i < binCounts.length; i++ ) {
+          const binBottom = bottom - i * binHeight;
+          const binTop = binBottom - binHeight;
+
+          const barWidth = Math.min( binCounts[ i ] * scale, maxBarWidth );
+          if ( barWidth > 0 ) {
+            barsShape.rect( right - barWidth, binTop, barWidth, binHeight );
+          }
+
+          // The predicted profile is drawn through the vertical center of each slice.
+          const x = right - Math.min( predictedBinCounts[ i ] * scale, maxBarWidth );
+          const y = binBottom - binHeight / 2;
+          ( i === 0 ) ? predictedShape.moveTo( x, y ) : predictedShape.lineTo( x, y );
+        }
+        barsNode.shape = barsShape;
+        predictedNode.shape = ( numberOfParticles === 0 ) ? null : predictedShape;
+      }
+    };
+
+    Property.multilink( [ densityProfile.binCountsProperty, densityProfile.predictedBinCountsProperty ], update );
+
+    visibleProperty.link( visible => {
+      this.visible = visible;
+      update(); // because we don't update while invisible
+    } );
+  }
+}
+
+gasProperties.register( 'DensityProfileNode', DensityProfileNode );
+export default DensityProfileNode;
@@ -0,0 +1,48 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DiatomicParticleNode displays a diatomic particle as 2 shaded spheres. The molecule's axis is horizontal, which
+ * corresponds to an orientation of 0. See DiatomicParticle for the size and position of the atoms.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import ShadedSphereNode from '../../../../scenery-phet/js/ShadedSphereNode.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import gasProperties from '../../gasProperties.js';
+import DiatomicParticle from '../model/DiatomicParticle.js';
+
+class DiatomicParticleNode extends Node {
+
+  /**
+   * @param {DiatomicParticle} particle
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( particle, modelViewTransform, options ) {
+    assert && assert( particle instanceof DiatomicParticle, `invalid particle: ${particle}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2,
+      `invalid modelViewTransform: ${modelViewTransform}` );
+
+    // Each atom has half the radius of the particle, and its center is half the particle's radius from the center.
+    const atomDiameter = modelViewTransform.modelToViewDeltaX( particle.radius );
+    const atomOptions = {
+      mainColor: particle.colorProperty,
+      highlightColor: particle.highlightColorProperty
+    };
+    const leftAtomNode = new ShadedSphereNode( atomDiameter, merge( { centerX: -atomDiameter / 2 }, atomOptions ) );
+    const rightAtomNode = new ShadedSphereNode( atomDiameter, merge( { centerX: atomDiameter / 2 }, atomOptions ) );
+
+    assert && assert( !options || !options.children, 'DiatomicParticleNode sets children' );
+    options = merge( {
+      children: [ leftAtomNode, rightAtomNode ]
+    }, options );
+
+    super( options );
+  }
+}
+
+gasProperties.register( 'DiatomicParticleNode', DiatomicParticleNode );
+export default DiatomicParticleNode;
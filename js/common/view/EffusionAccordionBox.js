@@ -0,0 +1,195 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * EffusionAccordionBox contains the controls for the aperture in a wall of the container, and displays the rate at
+ * which each species escapes through the aperture. The ratio of the escape rates of the first 2 species is compared
+ * with Graham's law. See EffusionModel.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import EraserButton from '../../../../scenery-phet/js/buttons/EraserButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import ContainerWall from '../model/ContainerWall.js';
+import EffusionModel from '../model/EffusionModel.js';
+import ParticleSpecies from '../model/ParticleSpecies.js';
+import FixedWidthNode from './FixedWidthNode.js';
+import GasPropertiesCheckbox from './GasPropertiesCheckbox.js';
+import GasPropertiesIconFactory from './GasPropertiesIconFactory.js';
+import GasPropertiesSpinner from './GasPropertiesSpinner.js';
+import LabeledNumberDisplay from './LabeledNumberDisplay.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: GasPropertiesConstants.CONTROL_FONT,
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 100 // determined empirically
+};
+const DISPLAY_TEXT_OPTIONS = {
+  font: new PhetFont( 14 ),
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 100 // determined empirically
+};
+const ITEM_TEXT_OPTIONS = {
+  font: new PhetFont( 14 ),
+  fill: 'black', // the combo box and its list have a white background
+  maxWidth: 80 // determined empirically
+};
+const ESCAPE_RATE_RANGE = new Range( 0, 99 ); // 1/ps
+const RATIO_RANGE = new Range( 0, 99 );
+
+class EffusionAccordionBox extends AccordionBox {
+
+  /**
+   * @param {EffusionModel} effusionModel
+   * @param {ParticleSpecies[]} species
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Node} listParent - parent for the combo box list
+   * @param {Object} [options]
+   */
+  constructor( effusionModel, species, modelViewTransform, listParent, options ) {
+    assert && assert( effusionModel instanceof EffusionModel, `invalid effusionModel: ${effusionModel}` );
+    assert && assert( Array.isArray( species ) && _.every( species, species => species instanceof ParticleSpecies ),
+      `invalid species: ${species}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2,
+      `invalid modelViewTransform: ${modelViewTransform}` );
+    assert && assert( listParent instanceof Node, `invalid listParent: ${listParent}` );
+
+    options = merge( {
+      fixedWidth: 100,
+      contentXMargin: 0
+    }, GasPropertiesConstants.ACCORDION_BOX_OPTIONS, {
+
+      // superclass options
+      titleNode: new Text( gasPropertiesStrings.effusion, {
+        font: GasPropertiesConstants.TITLE_FONT,
+        fill: GasPropertiesColorProfile.textFillProperty
+      } ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+
+    }, options );
+
+    // Limit width of title
+    options.titleNode.maxWidth = 0.75 * options.fixedWidth; // determined empirically
+
+    const aperture = effusionModel.aperture;
+
+    // Opens and closes the aperture
+    const apertureCheckbox = new GasPropertiesCheckbox( aperture.isOpenProperty, {
+      text: gasPropertiesStrings.aperture,
+      textMaxWidth: 150, // determined empirically
+      tandem: options.tandem.createTandem( 'apertureCheckbox' )
+    } );
+
+    // Chooses the wall that the aperture is in
+    const wallComboBox = new ComboBox( [
+      new ComboBoxItem( new Text( gasPropertiesStrings.leftWall, ITEM_TEXT_OPTIONS ), ContainerWall.LEFT, {
+        tandemName: 'leftItem'
+      } ),
+      new ComboBoxItem( new Text( gasPropertiesStrings.rightWall, ITEM_TEXT_OPTIONS ), ContainerWall.RIGHT, {
+        tandemName: 'rightItem'
+      } ),
+      new ComboBoxItem( new Text( gasPropertiesStrings.topWall, ITEM_TEXT_OPTIONS ), ContainerWall.TOP, {
+        tandemName: 'topItem'
+      } ),
+      new ComboBoxItem( new Text( gasPropertiesStrings.bottomWall, ITEM_TEXT_OPTIONS ), ContainerWall.BOTTOM, {
+        tandemName: 'bottomItem'
+      } )
+    ], aperture.wallProperty, listParent, {
+      xMargin: 8,
+      yMargin: 4,
+      cornerRadius: 5,
+      tandem: options.tandem.createTandem( 'wallComboBox' )
+    } );
+
+    const positionSpinner = new GasPropertiesSpinner( aperture.positionProperty, {
+      deltaValue: 0.05,
+      decimalPlaces: 2,
+      tandem: options.tandem.createTandem( 'positionSpinner' )
+    } );
+
+    const widthSpinner = new GasPropertiesSpinner( aperture.widthProperty, {
+      deltaValue: 50,
+      decimalPlaces: 0,
+      tandem: options.tandem.createTandem( 'widthSpinner' )
+    } );
+
+    // Labels in the same group have the same width, so that the controls and displays are aligned.
+    const controlLabelsAlignGroup = new AlignGroup( { matchVertical: false } );
+    const displayLabelsAlignGroup = new AlignGroup( { matchVertical: false } );
+
+    const createControl = ( label, control ) => new HBox( {
+      spacing: 10,
+      children: [ controlLabelsAlignGroup.createBox( new Text( label, TEXT_OPTIONS ), { xAlign: 'left' } ), control ]
+    } );
+
+    // Escape rate of each species
+    const escapeRateDisplays = species.map( ( species, i ) => new LabeledNumberDisplay(
+      GasPropertiesIconFactory.createSpeciesIcon( species.name, modelViewTransform ),
+      effusionModel.escapeRateProperties[ i ], ESCAPE_RATE_RANGE, gasPropertiesStrings.perPicosecond,
+      displayLabelsAlignGroup ) );
+
+    // Ratio of the escape rates of the first 2 species, measured and predicted by Graham's law
+    const ratioDisplays = [];
+    if ( species.length >= 2 ) {
+      const ratioLabelNode = new HBox( {
+        spacing: 2,
+        children: [
+          GasPropertiesIconFactory.createSpeciesIcon( species[ 1 ].name, modelViewTransform ),
+          new Text( '/', DISPLAY_TEXT_OPTIONS ),
+          GasPropertiesIconFactory.createSpeciesIcon( species[ 0 ].name, modelViewTransform )
+        ]
+      } );
+      ratioDisplays.push(
+        new LabeledNumberDisplay( ratioLabelNode, effusionModel.escapeRateRatioProperty, RATIO_RANGE, '',
+          displayLabelsAlignGroup ),
+        new LabeledNumberDisplay( new Text( gasPropertiesStrings.grahamsLaw, DISPLAY_TEXT_OPTIONS ),
+          effusionModel.theoreticalEscapeRateRatioProperty, RATIO_RANGE, '', displayLabelsAlignGroup )
+      );
+    }
+
+    // Button that clears the recording
+    const clearButton = new EraserButton( {
+      listener: () => effusionModel.clear(),
+      baseColor: GasPropertiesColorProfile.eraserButtonColorProperty,
+      tandem: options.tandem.createTandem( 'clearButton' )
+    } );
+
+    const content = new FixedWidthNode( options.fixedWidth - ( 2 * options.contentXMargin ), new VBox( {
+      align: 'left',
+      spacing: 8,
+      children: [
+        apertureCheckbox,
+        createControl( gasPropertiesStrings.wall, wallComboBox ),
+        createControl( gasPropertiesStrings.position, positionSpinner ),
+        createControl( gasPropertiesStrings.widthPm, widthSpinner ),
+        ...escapeRateDisplays,
+        ...ratioDisplays,
+        clearButton
+      ]
+    } ) );
+
+    super( content, options );
+  }
+}
+
+gasProperties.register( 'EffusionAccordionBox', EffusionAccordionBox );
+export default EffusionAccordionBox;
@@ -0,0 +1,111 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * EnergyLedgerAccordionBox displays the quantities in the First Law of Thermodynamics, as accounted for by
+ * EnergyLedger: heat Q, work W, the energy of particles that escaped from and were added to the container, and
+ * the change in internal energy ΔU. It also displays the energy that is not accounted for, and the heat capacity
+ * measured as ΔQ/ΔT. The ledger can be reset, so that quantities are accumulated from the current state of the gas.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import ResetButton from '../../../../scenery-phet/js/buttons/ResetButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import EnergyLedger from '../model/EnergyLedger.js';
+import FixedWidthNode from './FixedWidthNode.js';
+import LabeledNumberDisplay from './LabeledNumberDisplay.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: new PhetFont( 14 ),
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 100
+};
+const ENERGY_RANGE = new Range( -99999, 99999 ); // zJ
+const HEAT_CAPACITY_RANGE = new Range( -99, 99 ); // Nk
+
+class EnergyLedgerAccordionBox extends AccordionBox {
+
+  /**
+   * @param {EnergyLedger} energyLedger
+   * @param {Object} [options]
+   */
+  constructor( energyLedger, options ) {
+    assert && assert( energyLedger instanceof EnergyLedger, `invalid energyLedger: ${energyLedger}` );
+
+    options = merge( {
+      fixedWidth: 100,
+      contentXMargin: 0
+    }, GasPropertiesConstants.ACCORDION_BOX_OPTIONS, {
+
+      // superclass options
+      contentYSpacing: 0,
+      titleNode: new Text( gasPropertiesStrings.firstLaw, {
+        font: GasPropertiesConstants.TITLE_FONT,
+        fill: GasPropertiesColorProfile.textFillProperty
+      } ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+
+    }, options );
+
+    // Limit width of title
+    options.titleNode.maxWidth = 0.75 * options.fixedWidth; // determined empirically
+
+    const labelsAlignGroup = new AlignGroup( { matchVertical: false } );
+
+    // The ledger's energies are in AMU * pm^2 / ps^2, and we want to display in zJ.
+    const createEnergyDisplay = ( label, energyProperty ) => new LabeledNumberDisplay(
+      new Text( label, TEXT_OPTIONS ),
+      new DerivedProperty( [ energyProperty ], energy => energy * GasPropertiesConstants.ZJ_PER_AMU_PM2_PER_PS2 ),
+      ENERGY_RANGE, gasPropertiesStrings.zeptojoules, labelsAlignGroup, {
+        decimalPlaces: 0
+      } );
+
+    // Button that resets the ledger
+    const resetButton = new ResetButton( {
+      listener: () => energyLedger.reset(),
+      radius: 12,
+      xMargin: 4,
+      yMargin: 4,
+      tandem: options.tandem.createTandem( 'resetButton' )
+    } );
+
+    const content = new FixedWidthNode( options.fixedWidth - ( 2 * options.contentXMargin ), new VBox( {
+      align: 'left',
+      spacing: 5,
+      children: [
+        createEnergyDisplay( gasPropertiesStrings.heatQ, energyLedger.heatProperty ),
+        createEnergyDisplay( gasPropertiesStrings.workW, energyLedger.workProperty ),
+        createEnergyDisplay( gasPropertiesStrings.escapedParticles, energyLedger.escapedEnergyProperty ),
+        createEnergyDisplay( gasPropertiesStrings.addedParticles, energyLedger.particlesEnergyProperty ),
+        createEnergyDisplay( gasPropertiesStrings.internalEnergyChange, energyLedger.internalEnergyChangeProperty ),
+        createEnergyDisplay( gasPropertiesStrings.unaccountedEnergy, energyLedger.unaccountedEnergyProperty ),
+        new LabeledNumberDisplay( new RichText( gasPropertiesStrings.heatCapacity, TEXT_OPTIONS ),
+          energyLedger.heatCapacityProperty, HEAT_CAPACITY_RANGE, gasPropertiesStrings.nk, labelsAlignGroup ),
+        resetButton
+      ]
+    } ), {
+      align: 'center'
+    } );
+
+    super( content, options );
+  }
+}
+
+gasProperties.register( 'EnergyLedgerAccordionBox', EnergyLedgerAccordionBox );
+export default EnergyLedgerAccordionBox;
@@ -30,6 +30,7 @@ class GasPropertiesGlobalOptionsNode extends VBox {
 
     options = merge( {
       hasPressureNoiseCheckbox: true, // whether to include the 'Pressure Noise' checkbox
+      hasKineticPressureCheckbox: true, // whether to include the 'Kinetic Pressure' checkbox
 
       // superclass options
       spacing: 12,
@@ -64,6 +65,21 @@ class GasPropertiesGlobalOptionsNode extends VBox {
       children.push( pressureNoiseCheckbox );
     }
 
+    // Kinetic Pressure checkbox
+    if ( options.hasKineticPressureCheckbox ) {
+      const kineticPressureCheckbox = new Checkbox(
+        new Text( gasPropertiesStrings.kineticPressure, {
+          font: GasPropertiesConstants.CONTROL_FONT,
+          maxWidth: CHECKBOX_TEXT_MAX_WIDTH
+        } ),
+        GasPropertiesGlobalOptions.kineticPressureProperty,
+        merge( {}, GasPropertiesConstants.CHECKBOX_OPTIONS, {
+          tandem: options.tandem.createTandem( 'kineticPressureCheckbox' )
+        } )
+      );
+      children.push( kineticPressureCheckbox );
+    }
+
     assert && assert( !options.children, 'GasPropertiesGlobalOptionsNode sets children' );
     options.children = children;
 
@@ -3,7 +3,8 @@
 /**
  * GasPropertiesHeaterCoolerNode is a specialization of HeaterCoolerNode for this sim.  Responsibilities include:
  *
- * - Disables the slider when the sim is paused, and hides the slider for some of the 'Hold Constant' modes.
+ * - Disables the slider when the sim is paused or a process is in progress, and hides the slider for some of the
+ *   'Hold Constant' modes.
  *
  * - When holding pressure constant by varying temperature (HoldConstant.PRESSURE_T mode), the flame/ice is
  *   animated to correspond to the amount of heating/cooling needed to vary the temperature.  This is a "Hollywood"
@@ -75,6 +76,10 @@ class GasPropertiesHeaterCoolerNode extends HeaterCoolerNode {
 
     options = merge( {
 
+      // {BooleanProperty|null} whether a process is in progress, see ProcessDriver. The process controls heat,
+      // so the slider is disabled.
+      processIsRunningProperty: null,
+
       // superclass options
       scale: 0.8,
 
@@ -185,10 +190,11 @@ class GasPropertiesHeaterCoolerNode extends HeaterCoolerNode {
       }
     } );
 
-    // Disable the slider when the sim is paused.
-    isPlayingProperty.link( isPlaying => {
+    // Disable the slider when the sim is paused, or when a process is in progress.
+    const processIsRunningProperty = options.processIsRunningProperty || new BooleanProperty( false );
+    Property.multilink( [ isPlayingProperty, processIsRunningProperty ], ( isPlaying, processIsRunning ) => {
       this.interruptSubtreeInput(); // cancel interaction
-      this.slider.enabled = isPlaying;
+      this.slider.enabled = ( isPlaying && !processIsRunning );
     } );
 
     // When the Hold Constant mode changes...
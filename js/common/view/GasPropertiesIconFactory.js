@@ -30,9 +30,10 @@ import DiffusionParticle1 from '../../diffusion/model/DiffusionParticle1.js';
 import DiffusionParticle2 from '../../diffusion/model/DiffusionParticle2.js';
 import gasProperties from '../../gasProperties.js';
 import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
-import HeavyParticle from '../model/HeavyParticle.js';
-import LightParticle from '../model/LightParticle.js';
+import DiatomicParticle from '../model/DiatomicParticle.js';
 import Particle from '../model/Particle.js';
+import SpeciesDescriptors from '../model/SpeciesDescriptors.js';
+import DiatomicParticleNode from './DiatomicParticleNode.js';
 import DimensionalArrowsNode from './DimensionalArrowsNode.js';
 import ParticleNode from './ParticleNode.js';
 import PressureGaugeNode from './PressureGaugeNode.js';
@@ -89,7 +90,7 @@ const GasPropertiesIconFactory = {
     const particlePositions = [ new Vector2( 0, 300 ), new Vector2( 250, 0 ), new Vector2( 575, 225 ) ];
     const particleNodes = [];
     for ( let i = 0; i < particlePositions.length; i++ ) {
-      particleNodes.push( GasPropertiesIconFactory.createHeavyParticleIcon( SCREEN_ICONS_TRANSFORM, {
+      particleNodes.push( GasPropertiesIconFactory.createSpeciesIcon( 'heavy', SCREEN_ICONS_TRANSFORM, {
         center: particlePositions[ i ]
       } ) );
     }
@@ -138,21 +139,21 @@ const GasPropertiesIconFactory = {
       children: [
 
         // 2 particles against the wall
-        GasPropertiesIconFactory.createHeavyParticleIcon( SCREEN_ICONS_TRANSFORM, {
+        GasPropertiesIconFactory.createSpeciesIcon( 'heavy', SCREEN_ICONS_TRANSFORM, {
           left: 0,
           bottom: 0
         } ),
-        GasPropertiesIconFactory.createHeavyParticleIcon( SCREEN_ICONS_TRANSFORM, {
+        GasPropertiesIconFactory.createSpeciesIcon( 'heavy', SCREEN_ICONS_TRANSFORM, {
           left: 0,
           top: 0
         } ),
 
         // 2 particles away from the wall
-        GasPropertiesIconFactory.createHeavyParticleIcon( SCREEN_ICONS_TRANSFORM, {
+        GasPropertiesIconFactory.createSpeciesIcon( 'heavy', SCREEN_ICONS_TRANSFORM, {
           left: 800,
           centerY: 340
         } ),
-        GasPropertiesIconFactory.createHeavyParticleIcon( SCREEN_ICONS_TRANSFORM, {
+        GasPropertiesIconFactory.createSpeciesIcon( 'heavy', SCREEN_ICONS_TRANSFORM, {
           left: 600,
           centerY: -200
         } )
@@ -284,12 +285,12 @@ const GasPropertiesIconFactory = {
     // Create particle icons
     const particleNodes = [];
     for ( let i = 0; i < heavyParticlePositions.length; i++ ) {
-      particleNodes.push( GasPropertiesIconFactory.createHeavyParticleIcon( SCREEN_ICONS_TRANSFORM, {
+      particleNodes.push( GasPropertiesIconFactory.createSpeciesIcon( 'heavy', SCREEN_ICONS_TRANSFORM, {
         center: heavyParticlePositions[ i ]
       } ) );
     }
     for ( let i = 0; i < lightParticlePositions.length; i++ ) {
-      particleNodes.push( GasPropertiesIconFactory.createLightParticleIcon( SCREEN_ICONS_TRANSFORM, {
+      particleNodes.push( GasPropertiesIconFactory.createSpeciesIcon( 'light', SCREEN_ICONS_TRANSFORM, {
         center: lightParticlePositions[ i ]
       } ) );
     }
@@ -312,29 +313,17 @@ const GasPropertiesIconFactory = {
   },
 
   /**
-   * Creates an icon for a heavy particle.
+   * Creates an icon for a particle species in the screens that are based on the Ideal Gas Law.
+   * @param {string} speciesName - see SpeciesDescriptors
    * @param {ModelViewTransform2} modelViewTransform
    * @param {Object} [options] - see ParticleNode options
    * @returns {Node}
    * @public
    */
-  createHeavyParticleIcon( modelViewTransform, options ) {
+  createSpeciesIcon( speciesName, modelViewTransform, options ) {
     assert && assert( modelViewTransform instanceof ModelViewTransform2,
       `invalid modelViewTransform: ${modelViewTransform}` );
-    return createParticleIcon( new HeavyParticle(), modelViewTransform, options );
-  },
-
-  /**
-   * Creates an icon for a light particle.
-   * @param {ModelViewTransform2} modelViewTransform
-   * @param {Object} [options] - see ParticleNode options
-   * @returns {Node}
-   * @public
-   */
-  createLightParticleIcon( modelViewTransform, options ) {
-    assert && assert( modelViewTransform instanceof ModelViewTransform2,
-      `invalid modelViewTransform: ${modelViewTransform}` );
-    return createParticleIcon( new LightParticle(), modelViewTransform, options );
+    return createParticleIcon( createSpeciesParticle( speciesName ), modelViewTransform, options );
   },
 
   /**
@@ -383,14 +372,15 @@ const GasPropertiesIconFactory = {
 
   /**
    * Creates the icon that represents the histogram for a species of particle.
-   * @param {Particle} particle - a prototypical particle
+   * @param {string} speciesName - see SpeciesDescriptors
    * @param {ModelViewTransform2} modelViewTransform
    * @returns {Node}
    * @public
    */
-  createSpeciesHistogramIcon( particle, modelViewTransform ) {
+  createSpeciesHistogramIcon( speciesName, modelViewTransform ) {
     assert && assert( modelViewTransform instanceof ModelViewTransform2,
       `invalid modelViewTransform: ${modelViewTransform}` );
+    const particle = createSpeciesParticle( speciesName );
     return new HBox( {
       spacing: 3,
       children: [
@@ -400,6 +390,17 @@ const GasPropertiesIconFactory = {
     } );
   },
 
+  /**
+   * Creates the icon used on the 'Maxwell-Boltzmann' checkbox, dashed like the curve in the histograms.
+   * @returns {Node}
+   * @public
+   */
+  createMaxwellBoltzmannIcon() {
+    const icon = createHistogramIcon( GasPropertiesColorProfile.maxwellBoltzmannCurveColorProperty );
+    icon.lineDash = [ 2, 1.5 ];
+    return icon;
+  },
+
   /**
    * Creates the icon used on the 'Width' checkbox.
    * @returns {Node}
@@ -489,14 +490,33 @@ const GasPropertiesIconFactory = {
  * Creates the icon for a particle.
  * @param {Particle} particle - a prototypical particle
  * @param {ModelViewTransform2} modelViewTransform
- * @param {Object} [options] - see ParticleNode options
+ * @param {Object} [options] - see ParticleNode and DiatomicParticleNode options
  * @returns {Node}
  */
 function createParticleIcon( particle, modelViewTransform, options ) {
   assert && assert( particle instanceof Particle, `invalid particle: ${particle}` );
   assert && assert( modelViewTransform instanceof ModelViewTransform2,
     `invalid modelViewTransform: ${modelViewTransform}` );
-  return new ParticleNode( particle, modelViewTransform, options );
+  return ( particle instanceof DiatomicParticle ) ?
+         new DiatomicParticleNode( particle, modelViewTransform, options ) :
+         new ParticleNode( particle, modelViewTransform, options );
+}
+
+/**
+ * Creates a prototypical particle for a species, for use in icons.
+ * @param {string} speciesName - see SpeciesDescriptors
+ * @returns {Particle}
+ */
+function createSpeciesParticle( speciesName ) {
+  assert && assert( SpeciesDescriptors.hasOwnProperty( speciesName ), `invalid speciesName: ${speciesName}` );
+  const descriptor = SpeciesDescriptors[ speciesName ];
+  const ParticleConstructor = descriptor.isDiatomic ? DiatomicParticle : Particle;
+  return new ParticleConstructor( {
+    mass: descriptor.mass,
+    radius: descriptor.radius,
+    colorProperty: descriptor.colorProperty,
+    highlightColorProperty: descriptor.highlightColorProperty
+  } );
 }
 
 /**
@@ -10,8 +10,8 @@ import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import merge from '../../../../phet-core/js/merge.js';
 import NumberSpinner from '../../../../sun/js/NumberSpinner.js';
-import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
 import gasProperties from '../../gasProperties.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
 
 class GasPropertiesSpinner extends NumberSpinner {
 
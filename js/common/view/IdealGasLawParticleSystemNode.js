@@ -10,16 +10,13 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
-import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import gasProperties from '../../gasProperties.js';
-import GasPropertiesConstants from '../GasPropertiesConstants.js';
-import HeavyParticle from '../model/HeavyParticle.js';
-import LightParticle from '../model/LightParticle.js';
 import ParticleSystem from '../model/ParticleSystem.js';
+import ParticleTracer from '../model/ParticleTracer.js';
 import ParticleImageProperty from './ParticleImageProperty.js';
 import ParticlesNode from './ParticlesNode.js';
 
@@ -34,34 +31,31 @@ class IdealGasLawParticleSystemNode extends Node {
    * @param {ModelViewTransform2} modelViewTransform
    * @param {Property.<Bounds2>} modelBoundsProperty
    * @param {Bounds2} containerMaxBounds
+   * @param {ParticleTracer} particleTracer - follows a tagged particle inside the container
    */
-  constructor( particleSystem, modelViewTransform, modelBoundsProperty, containerMaxBounds ) {
+  constructor( particleSystem, modelViewTransform, modelBoundsProperty, containerMaxBounds, particleTracer ) {
     assert && assert( particleSystem instanceof ParticleSystem, `invalid particleSystem: ${particleSystem}` );
     assert && assert( modelViewTransform instanceof ModelViewTransform2,
       `invalid modelViewTransform: ${modelViewTransform}` );
     assert && assert( modelBoundsProperty instanceof Property, `invalid modelBoundsProperty: ${modelBoundsProperty}` );
     assert && assert( containerMaxBounds instanceof Bounds2, `invalid containerMaxBounds: ${containerMaxBounds}` );
+    assert && assert( particleTracer instanceof ParticleTracer, `invalid particleTracer: ${particleTracer}` );
 
-    // generated image for HeavyParticle species
-    const heavyParticleImageProperty = new ParticleImageProperty(
-      options => new HeavyParticle( options ),
+    // generated image for each species
+    const particleImageProperties = particleSystem.species.map( species => new ParticleImageProperty(
+      options => species.createParticle( options ),
       modelViewTransform,
-      new NumberProperty( GasPropertiesConstants.HEAVY_PARTICLES_RADIUS )
-    );
-
-    // generated image for LightParticle species
-    const lightParticleImageProperty = new ParticleImageProperty(
-      options => new LightParticle( options ),
-      modelViewTransform,
-      new NumberProperty( GasPropertiesConstants.LIGHT_PARTICLES_RADIUS )
-    );
+      species.radiusProperty
+    ) );
 
-    // particles inside the container
+    // particles inside the container, and the trail of the tagged particle
     const insideParticlesNode = new ParticlesNode(
-      [ particleSystem.heavyParticles, particleSystem.lightParticles ],
-      [ heavyParticleImageProperty, lightParticleImageProperty ],
+      particleSystem.insideParticleArrays,
+      particleImageProperties,
       modelViewTransform,
-      INSIDE_DEBUG_FILL
+      INSIDE_DEBUG_FILL, {
+        particleTracer: particleTracer
+      }
     );
 
     // Size the inside canvas to the maximum bounds for the container.
@@ -69,8 +63,8 @@ class IdealGasLawParticleSystemNode extends Node {
 
     // particles outside the container
     const outsideParticlesNode = new ParticlesNode(
-      [ particleSystem.heavyParticlesOutside, particleSystem.lightParticlesOutside ],
-      [ heavyParticleImageProperty, lightParticleImageProperty ],
+      particleSystem.species.map( species => species.particlesOutside ),
+      particleImageProperties,
       modelViewTransform,
       OUTSIDE_DEBUG_FILL
     );
@@ -11,6 +11,8 @@
  *   Pressure Gauge
  *   HeaterCooler
  *   Bicycle Pump + radio buttons
+ *   Density Profile (optional)
+ *   Tagged particle readout
  *   Time controls (play/pause, step buttons)
  *   Reset All button
  *
@@ -37,10 +39,11 @@ import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
 import GasPropertiesConstants from '../GasPropertiesConstants.js';
 import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
 import IdealGasLawModel from '../model/IdealGasLawModel.js';
-import ParticleType from '../model/ParticleType.js';
+import ApertureNode from './ApertureNode.js';
 import BaseScreenView from './BaseScreenView.js';
 import CollisionCounterNode from './CollisionCounterNode.js';
 import ContainerWidthNode from './ContainerWidthNode.js';
+import DensityProfileNode from './DensityProfileNode.js';
 import EraseParticlesButton from './EraseParticlesButton.js';
 import GasPropertiesBicyclePumpNode from './GasPropertiesBicyclePumpNode.js';
 import GasPropertiesHeaterCoolerNode from './GasPropertiesHeaterCoolerNode.js';
@@ -49,6 +52,8 @@ import GasPropertiesStopwatchNode from './GasPropertiesStopwatchNode.js';
 import GasPropertiesThermometerNode from './GasPropertiesThermometerNode.js';
 import IdealGasLawContainerNode from './IdealGasLawContainerNode.js';
 import IdealGasLawParticleSystemNode from './IdealGasLawParticleSystemNode.js';
+import ParticlePickerNode from './ParticlePickerNode.js';
+import ParticleTracerPanel from './ParticleTracerPanel.js';
 import ParticleTypeRadioButtonGroup from './ParticleTypeRadioButtonGroup.js';
 import PressureGaugeNode from './PressureGaugeNode.js';
 import RegionsNode from './RegionsNode.js';
@@ -58,7 +63,7 @@ class IdealGasLawScreenView extends BaseScreenView {
 
   /**
    * @param {IdealGasLawModel} model
-   * @param {Property.<ParticleType>} particleTypeProperty
+   * @param {Property.<string>} particleTypeProperty - name of the species that is dispensed by the bicycle pump
    * @param {BooleanProperty} widthVisibleProperty
    * @param {Tandem} tandem
    * @param {Object} [options]
@@ -72,9 +77,15 @@ class IdealGasLawScreenView extends BaseScreenView {
     assert && assert( tandem instanceof Tandem, `invalid tandem: ${tandem}` );
 
     options = merge( {
-      resizeGripColor: GasPropertiesColorProfile.resizeGripColorProperty
+      resizeGripColor: GasPropertiesColorProfile.resizeGripColorProperty,
+
+      // {BooleanProperty|null} whether the density profile is visible, null if there is no density profile
+      densityProfileVisibleProperty: null
     }, options );
 
+    assert && assert( !options.densityProfileVisibleProperty || model.densityProfile,
+      'densityProfileVisibleProperty requires a model with a density profile' );
+
     super( model, tandem, options );
 
     const containerViewPosition = model.modelViewTransform.modelToViewPosition( model.container.position );
@@ -159,7 +170,7 @@ class IdealGasLawScreenView extends BaseScreenView {
 
     // Radio buttons for selecting particle type
     const particleTypeRadioButtonGroup = new ParticleTypeRadioButtonGroup( particleTypeProperty,
-      model.modelViewTransform, {
+      model.particleSystem.species, model.modelViewTransform, {
         left: containerNode.right + 20,
         bottom: this.layoutBounds.bottom - GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN,
         tandem: tandem.createTandem( 'particleTypeRadioButtonGroup' )
@@ -179,26 +190,19 @@ class IdealGasLawScreenView extends BaseScreenView {
       handleTouchAreaYDilation: 35
     };
 
-    // Bicycle pump for heavy particles
-    const heavyBicyclePumpNode = new GasPropertiesBicyclePumpNode( model.particleSystem.numberOfHeavyParticlesProperty,
-      merge( {}, bicyclePumpOptions, {
-        bodyFill: GasPropertiesColorProfile.heavyParticleColorProperty,
-        tandem: tandem.createTandem( 'heavyBicyclePumpNode' )
-      } ) );
-
-    // Bicycle pump for light particles
-    const lightBicyclePumpNode = new GasPropertiesBicyclePumpNode( model.particleSystem.numberOfLightParticlesProperty,
-      merge( {}, bicyclePumpOptions, {
-        bodyFill: GasPropertiesColorProfile.lightParticleColorProperty,
-        tandem: tandem.createTandem( 'lightBicyclePumpNode' )
+    // Bicycle pumps, one for each species
+    const bicyclePumpNodes = model.particleSystem.species.map( species =>
+      new GasPropertiesBicyclePumpNode( species.numberOfParticlesProperty, merge( {}, bicyclePumpOptions, {
+        bodyFill: species.colorProperty,
+        tandem: tandem.createTandem( `${species.name}BicyclePumpNode` )
+      } ) ) );
+
+    // Toggle button for switching between bicycle pumps
+    const bicyclePumpsToggleNode = new ToggleNode( particleTypeProperty,
+      model.particleSystem.species.map( ( species, i ) => {
+        return { value: species.name, node: bicyclePumpNodes[ i ] };
       } ) );
 
-    // Toggle button for switching between heavy and light bicycle pumps
-    const bicyclePumpsToggleNode = new ToggleNode( particleTypeProperty, [
-      { value: ParticleType.HEAVY, node: heavyBicyclePumpNode },
-      { value: ParticleType.LIGHT, node: lightBicyclePumpNode }
-    ] );
-
     // Cancel interaction with the pump when particle type changes.
     particleTypeProperty.link( () => {
       bicyclePumpsToggleNode.interruptSubtreeInput();
@@ -226,7 +230,33 @@ class IdealGasLawScreenView extends BaseScreenView {
 
     // The complete system of particles, inside and outside the container
     const particleSystemNode = new IdealGasLawParticleSystemNode( model.particleSystem, model.modelViewTransform,
-      model.modelBoundsProperty, model.container.maxBounds );
+      model.modelBoundsProperty, model.container.maxBounds, model.particleTracer );
+
+    // Aperture in a wall of the container
+    let apertureNode = null;
+    if ( model.effusionModel ) {
+      apertureNode = new ApertureNode( model.effusionModel.aperture, model.container, model.modelViewTransform );
+    }
+
+    // Pressing inside the container tags a particle
+    const particlePickerNode = new ParticlePickerNode( model.particleTracer, model.container,
+      model.modelViewTransform, {
+        tandem: tandem.createTandem( 'particlePickerNode' )
+      } );
+
+    // Readout for the tagged particle, at upper left
+    const particleTracerPanel = new ParticleTracerPanel( model.particleTracer, {
+      left: this.layoutBounds.left + GasPropertiesConstants.SCREEN_VIEW_X_MARGIN,
+      top: this.layoutBounds.top + GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN,
+      tandem: tandem.createTandem( 'particleTracerPanel' )
+    } );
+
+    // Vertical density profile, inside the container
+    let densityProfileNode = null;
+    if ( options.densityProfileVisibleProperty ) {
+      densityProfileNode = new DensityProfileNode( model.densityProfile, model.container, model.modelViewTransform,
+        options.densityProfileVisibleProperty );
+    }
 
     // If the number of particles changes while the sim is paused, redraw the particle system.
     model.particleSystem.numberOfParticlesProperty.link( () => {
@@ -244,6 +274,7 @@ class IdealGasLawScreenView extends BaseScreenView {
       model.isPlayingProperty,
       model.particleSystem.numberOfParticlesProperty,
       model.temperatureModel.temperatureProperty, {
+        processIsRunningProperty: model.processDriver ? model.processDriver.isRunningProperty : null,
         left: heaterCoolerNodeLeft,
         bottom: this.layoutBounds.bottom - GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN,
         tandem: tandem.createTandem( 'heaterCoolerNode' )
@@ -277,7 +308,7 @@ class IdealGasLawScreenView extends BaseScreenView {
     // Show how the collision detection space is partitioned into regions
     let regionsNode = null;
     if ( GasPropertiesQueryParameters.regions ) {
-      regionsNode = new RegionsNode( model.collisionDetector.regions, model.modelViewTransform );
+      regionsNode = new RegionsNode( model.collisionDetector.spatialHash, model.modelViewTransform );
     }
 
     // model and view coordinates for pointer position
@@ -296,13 +327,17 @@ class IdealGasLawScreenView extends BaseScreenView {
     this.addChild( pressureGaugeNode );
     this.addChild( pressureGaugeListboxParent );
     this.addChild( containerNode );
+    apertureNode && this.addChild( apertureNode );
+    this.addChild( particlePickerNode );
     this.addChild( eraseParticlesButton );
     this.addChild( thermometerNode );
     this.addChild( thermometerListboxParent );
     this.addChild( containerWidthNode );
+    densityProfileNode && this.addChild( densityProfileNode );
     this.addChild( particleSystemNode );
     this.addChild( returnLidButton );
     this.addChild( heaterCoolerNode );
+    this.addChild( particleTracerPanel );
     this.addChild( toolsParent );
     pointerCoordinatesNode && this.addChild( pointerCoordinatesNode );
 
@@ -321,8 +356,7 @@ class IdealGasLawScreenView extends BaseScreenView {
     this.containerNode = containerNode;
     this.particleSystemNode = particleSystemNode;
     this.regionsNode = regionsNode;
-    this.heavyBicyclePumpNode = heavyBicyclePumpNode;
-    this.lightBicyclePumpNode = lightBicyclePumpNode;
+    this.bicyclePumpNodes = bicyclePumpNodes;
     this.heaterCoolerNode = heaterCoolerNode;
   }
 
@@ -333,8 +367,7 @@ class IdealGasLawScreenView extends BaseScreenView {
    */
   reset() {
     super.reset();
-    this.heavyBicyclePumpNode.reset();
-    this.lightBicyclePumpNode.reset();
+    this.bicyclePumpNodes.forEach( bicyclePumpNode => bicyclePumpNode.reset() );
   }
 
   /**
@@ -9,8 +9,12 @@
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
 import gasProperties from '../../gasProperties.js';
-import ParticleType from '../model/ParticleType.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
+import TimeSeriesQuantity from './TimeSeriesQuantity.js';
 
 class IdealGasLawViewProperties {
 
@@ -31,10 +35,32 @@ class IdealGasLawViewProperties {
       phetioDocumentation: 'whether the Particles accordion box is expanded'
     } );
 
-    // @public
-    this.particleTypeProperty = new EnumerationProperty( ParticleType, ParticleType.HEAVY, {
+    // @public {StringProperty} name of the particle species that will be dispensed by the bicycle pump,
+    // see ParticleSystem.species
+    this.particleTypeProperty = new StringProperty( GasPropertiesQueryParameters.species[ 0 ], {
+      validValues: GasPropertiesQueryParameters.species,
       tandem: tandem.createTandem( 'particleTypeProperty' ),
-      phetioDocumentation: 'the particle type that will be dispensed by the bicycle pump'
+      phetioDocumentation: 'name of the particle species that will be dispensed by the bicycle pump'
+    } );
+
+    // @public
+    this.timeSeriesExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'timeSeriesExpandedProperty' ),
+      phetioDocumentation: 'whether the Time Series accordion box is expanded'
+    } );
+
+    // @public quantity that is plotted on the Time Series chart
+    this.timeSeriesQuantityProperty = new EnumerationProperty( TimeSeriesQuantity, TimeSeriesQuantity.PRESSURE, {
+      tandem: tandem.createTandem( 'timeSeriesQuantityProperty' ),
+      phetioDocumentation: 'quantity that is plotted on the Time Series chart'
+    } );
+
+    // @public duration that is shown on the Time Series chart
+    this.timeWindowProperty = new NumberProperty( GasPropertiesConstants.TIME_WINDOWS[ 1 ], {
+      validValues: GasPropertiesConstants.TIME_WINDOWS,
+      units: 'ps',
+      tandem: tandem.createTandem( 'timeWindowProperty' ),
+      phetioDocumentation: 'duration that is shown on the Time Series chart'
     } );
   }
 
@@ -43,6 +69,9 @@ class IdealGasLawViewProperties {
     this.widthVisibleProperty.reset();
     this.particlesExpandedProperty.reset();
     this.particleTypeProperty.reset();
+    this.timeSeriesExpandedProperty.reset();
+    this.timeSeriesQuantityProperty.reset();
+    this.timeWindowProperty.reset();
   }
 }
 
@@ -0,0 +1,74 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * LabeledNumberDisplay is a label and a NumberDisplay with units, used for rows of quantities in accordion boxes.
+ * Labels in the same AlignGroup have the same effective width, so that the NumberDisplays are aligned.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberDisplay from '../../../../scenery-phet/js/NumberDisplay.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import AlignBox from '../../../../scenery/js/nodes/AlignBox.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import SunConstants from '../../../../sun/js/SunConstants.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+
+class LabeledNumberDisplay extends HBox {
+
+  /**
+   * @param {Node} labelNode
+   * @param {Property.<number|null>} valueProperty
+   * @param {Range} range
+   * @param {string} units
+   * @param {AlignGroup} labelsAlignGroup
+   * @param {Object} [options]
+   */
+  constructor( labelNode, valueProperty, range, units, labelsAlignGroup, options ) {
+    assert && assert( labelNode instanceof Node, `invalid labelNode: ${labelNode}` );
+    assert && assert( valueProperty instanceof Property, `invalid valueProperty: ${valueProperty}` );
+    assert && assert( range instanceof Range, `invalid range: ${range}` );
+    assert && assert( typeof units === 'string', `invalid units: ${units}` );
+    assert && assert( labelsAlignGroup instanceof AlignGroup, `invalid labelsAlignGroup: ${labelsAlignGroup}` );
+
+    options = merge( {
+      decimalPlaces: 2,
+
+      // superclass options
+      spacing: 10
+    }, options );
+
+    const numberDisplay = new NumberDisplay( valueProperty, range, {
+      valuePattern: StringUtils.fillIn( gasPropertiesStrings.valueUnits, { units: units } ),
+      noValuePattern: SunConstants.VALUE_NAMED_PLACEHOLDER,
+      decimalPlaces: options.decimalPlaces,
+      align: 'right',
+      noValueAlign: 'left',
+      textOptions: {
+        font: new PhetFont( 14 ),
+        fill: GasPropertiesColorProfile.textFillProperty
+      },
+      backgroundFill: null,
+      backgroundStroke: null,
+      maxWidth: 100
+    } );
+
+    assert && assert( !options.children, 'LabeledNumberDisplay sets children' );
+    options = merge( {
+      children: [ new AlignBox( labelNode, { group: labelsAlignGroup, xAlign: 'left' } ), numberDisplay ]
+    }, options );
+
+    super( options );
+  }
+}
+
+gasProperties.register( 'LabeledNumberDisplay', LabeledNumberDisplay );
+export default LabeledNumberDisplay;
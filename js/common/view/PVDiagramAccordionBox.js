@@ -0,0 +1,123 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * PVDiagramAccordionBox contains the PV diagram, the work done by the gas along the trace (∫P dV) and in the most
+ * recent closed cycle (∮P dV), and a button that clears the trace.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import EraserButton from '../../../../scenery-phet/js/buttons/EraserButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import PVDiagram from '../model/PVDiagram.js';
+import FixedWidthNode from './FixedWidthNode.js';
+import LabeledNumberDisplay from './LabeledNumberDisplay.js';
+import PVDiagramNode from './PVDiagramNode.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: new PhetFont( 14 ),
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 100
+};
+const WORK_RANGE = new Range( -99999, 99999 ); // zJ
+
+class PVDiagramAccordionBox extends AccordionBox {
+
+  /**
+   * @param {PVDiagram} pvDiagram
+   * @param {NumberProperty} numberOfParticlesProperty - number of particles in the container
+   * @param {Object} [options]
+   */
+  constructor( pvDiagram, numberOfParticlesProperty, options ) {
+    assert && assert( pvDiagram instanceof PVDiagram, `invalid pvDiagram: ${pvDiagram}` );
+    assert && assert( numberOfParticlesProperty instanceof NumberProperty,
+      `invalid numberOfParticlesProperty: ${numberOfParticlesProperty}` );
+
+    options = merge( {
+      fixedWidth: 100,
+      contentXMargin: 0
+    }, GasPropertiesConstants.ACCORDION_BOX_OPTIONS, {
+
+      // superclass options
+      contentYSpacing: 0,
+      titleNode: new Text( gasPropertiesStrings.pvDiagram, {
+        font: GasPropertiesConstants.TITLE_FONT,
+        fill: GasPropertiesColorProfile.textFillProperty
+      } ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+
+    }, options );
+
+    // Limit width of title
+    options.titleNode.maxWidth = 0.75 * options.fixedWidth; // determined empirically
+
+    // The y-axis label is to the left of the diagram, so the diagram is narrower than the accordion box.
+    const diagramNode = new PVDiagramNode( pvDiagram, numberOfParticlesProperty, {
+      chartSize: new Dimension2( 0.8 * ( options.fixedWidth - 2 * options.contentXMargin ), 130 )
+    } );
+
+    const labelsAlignGroup = new AlignGroup( { matchVertical: false } );
+
+    // Work is in AMU * pm^2 / ps^2, and we want to display in zJ.
+    const createWorkDisplay = ( label, workProperty ) => new LabeledNumberDisplay(
+      new Text( label, TEXT_OPTIONS ),
+      new DerivedProperty( [ workProperty ],
+        work => ( work === null ) ? null : work * GasPropertiesConstants.ZJ_PER_AMU_PM2_PER_PS2 ),
+      WORK_RANGE, gasPropertiesStrings.zeptojoules, labelsAlignGroup, {
+        decimalPlaces: 0
+      } );
+
+    // Button that clears the trace
+    const clearButton = new EraserButton( {
+      listener: () => pvDiagram.clear(),
+      baseColor: GasPropertiesColorProfile.eraserButtonColorProperty,
+      tandem: options.tandem.createTandem( 'clearButton' )
+    } );
+
+    const content = new FixedWidthNode( options.fixedWidth - ( 2 * options.contentXMargin ), new VBox( {
+      align: 'center',
+      spacing: 10,
+      children: [
+        diagramNode,
+        new VBox( {
+          align: 'left',
+          spacing: 5,
+          children: [
+            createWorkDisplay( gasPropertiesStrings.workAlongTrace, pvDiagram.workProperty ),
+            createWorkDisplay( gasPropertiesStrings.workInCycle, pvDiagram.cycleWorkProperty )
+          ]
+        } ),
+        clearButton
+      ]
+    } ), {
+      align: 'center'
+    } );
+
+    super( content, options );
+
+    // Update the diagram only while it is visible.
+    this.expandedProperty.link( expanded => {
+      diagramNode.updateEnabledProperty.value = expanded;
+    } );
+  }
+}
+
+gasProperties.register( 'PVDiagramAccordionBox', PVDiagramAccordionBox );
+export default PVDiagramAccordionBox;
@@ -0,0 +1,231 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * PVDiagramNode plots the trace of PVDiagram, with pressure on the y axis and volume on the x axis. The x axis spans
+ * the container's range of volume. The y axis is scaled to fit the trace. Isotherms, P = NkT/V, are drawn behind the
+ * trace for the current number of particles N, at evenly-spaced temperatures.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import GasPropertiesUtils from '../GasPropertiesUtils.js';
+import PVDiagram from '../model/PVDiagram.js';
+import ChartValueText from './ChartValueText.js';
+
+// constants
+const AXIS_LABEL_OPTIONS = {
+  fill: GasPropertiesColorProfile.textFillProperty,
+  font: new PhetFont( 14 )
+};
+
+// Maximum values for the y axis, in kPa. The smallest value that fits the trace is used.
+const PRESSURE_MAXIMA = [ 500, 1000, 2000, 5000, 10000, 20000, 50000 ];
+
+const MAX_ISOTHERMS = 5; // maximum number of isotherms
+const ISOTHERM_SEGMENTS = 40; // number of line segments used to draw each isotherm
+const PM3_PER_NM3 = 1E9; // volume conversion: pm^3 per 1 nm^3
+
+class PVDiagramNode extends Node {
+
+  /**
+   * @param {PVDiagram} pvDiagram
+   * @param {NumberProperty} numberOfParticlesProperty - number of particles in the container
+   * @param {Object} [options]
+   */
+  constructor( pvDiagram, numberOfParticlesProperty, options ) {
+    assert && assert( pvDiagram instanceof PVDiagram, `invalid pvDiagram: ${pvDiagram}` );
+    assert && assert( numberOfParticlesProperty instanceof NumberProperty,
+      `invalid numberOfParticlesProperty: ${numberOfParticlesProperty}` );
+
+    options = merge( {
+      chartSize: new Dimension2( 150, 130 ) // size of the Rectangle that is the diagram background
+    }, options );
+
+    const chartWidth = options.chartSize.width;
+    const chartHeight = options.chartSize.height;
+
+    // Background appears behind plotted data
+    const background = new Rectangle( 0, 0, chartWidth, chartHeight, {
+      fill: GasPropertiesColorProfile.chartBackgroundFillProperty
+    } );
+
+    // Outside border appears on top of plotted data
+    const border = new Rectangle( 0, 0, chartWidth, chartHeight, {
+      stroke: GasPropertiesColorProfile.panelStrokeProperty
+    } );
+
+    const isothermsNode = new Path( null, {
+      stroke: GasPropertiesColorProfile.pvDiagramIsothermStrokeProperty,
+      lineWidth: 1
+    } );
+    const isothermLabelsParent = new Node();
+
+    const traceNode = new Path( null, {
+      stroke: GasPropertiesColorProfile.chartPlotStrokeProperty,
+      lineWidth: 2,
+      lineJoin: 'round'
+    } );
+
+    // the current state of the gas, the last point on the trace
+    const stateNode = new Circle( 4, {
+      fill: GasPropertiesColorProfile.chartPlotStrokeProperty
+    } );
+
+    // Plotted data is clipped to the background.
+    const plotNodesParent = new Node( {
+      children: [ isothermsNode, isothermLabelsParent, traceNode, stateNode ],
+      clipArea: Shape.rect( 0, 0, chartWidth, chartHeight )
+    } );
+
+    // x-axis label, and the range of volume
+    const volumeRange = pvDiagram.volumeRange;
+    const xAxisLabelNode = new Text( gasPropertiesStrings.volume, merge( {}, AXIS_LABEL_OPTIONS, {
+      maxWidth: 0.5 * chartWidth,
+      centerX: background.centerX,
+      top: background.bottom + 5
+    } ) );
+    const xMinNode = new ChartValueText( { maxWidth: 0.25 * chartWidth } );
+    xMinNode.setValue( volumeRange.min / PM3_PER_NM3, gasPropertiesStrings.cubicNanometers );
+    xMinNode.left = background.left;
+    xMinNode.top = background.bottom + 2;
+    const xMaxNode = new ChartValueText( { maxWidth: 0.25 * chartWidth } );
+    xMaxNode.setValue( volumeRange.max / PM3_PER_NM3, gasPropertiesStrings.cubicNanometers );
+    xMaxNode.right = background.right;
+    xMaxNode.top = background.bottom + 2;
+
+    // y-axis label, and the maximum pressure
+    const yAxisLabelNode = new Text( gasPropertiesStrings.pressure, merge( {}, AXIS_LABEL_OPTIONS, {
+      rotation: -Math.PI / 2,
+      maxWidth: 0.5 * chartHeight,
+      right: background.left - 8,
+      centerY: background.centerY
+    } ) );
+    const yMaxNode = new ChartValueText( { maxWidth: 0.4 * chartWidth } );
+
+    assert && assert( !options.children, 'PVDiagramNode sets children' );
+    options = merge( {
+      children: [ background, plotNodesParent, border, xAxisLabelNode, xMinNode, xMaxNode, yAxisLabelNode, yMaxNode ]
+    }, options );
+
+    super( options );
+
+    // Maximum of the y axis, in kPa
+    let maxPressure = PRESSURE_MAXIMA[ 0 ];
+
+    // Transforms from model to view coordinates
+    const volumeToX = volume => chartWidth * ( volume - volumeRange.min ) / volumeRange.getLength();
+    const pressureToY = pressure => chartHeight * ( 1 - pressure / maxPressure );
+
+    // Updates the isotherms, P = NkT/V, for the current number of particles and scale.
+    const updateIsotherms = () => {
+
+      const isothermsShape = new Shape();
+      isothermLabelsParent.removeAllChildren();
+
+      const numberOfParticles = numberOfParticlesProperty.value;
+      if ( numberOfParticles > 0 ) {
+
+        // Pressure at temperature T and volume V, in kPa
+        const Nk = numberOfParticles * GasPropertiesConstants.BOLTZMANN;
+        const getPressure = ( T, V ) => Nk * T / V * GasPropertiesConstants.PRESSURE_CONVERSION_SCALE;
+
+        // The hottest isotherm that is visible passes through the upper-right corner of the diagram.
+        const maxTemperature = maxPressure * volumeRange.max /
+                               ( Nk * GasPropertiesConstants.PRESSURE_CONVERSION_SCALE );
+        const temperatureStep = GasPropertiesUtils.getNiceCeiling( maxTemperature / MAX_ISOTHERMS );
+
+        for ( let T = temperatureStep; T <= maxTemperature; T += temperatureStep ) {
+          for ( let i = 0; i <= ISOTHERM_SEGMENTS; i++ ) {
+            const V = volumeRange.min + i * volumeRange.getLength() / ISOTHERM_SEGMENTS;
+            const x = volumeToX( V );
+            const y = pressureToY( getPressure( T, V ) );
+            ( i === 0 ) ? isothermsShape.moveTo( x, y ) : isothermsShape.lineTo( x, y );
+          }
+
+          // Label where the isotherm meets the right edge of the diagram.
+          const isothermLabelNode = new ChartValueText( {
+            fill: GasPropertiesColorProfile.pvDiagramIsothermStrokeProperty
+          } );
+          isothermLabelNode.setValue( T, gasPropertiesStrings.kelvin );
+          isothermLabelNode.right = chartWidth - 2;
+          isothermLabelNode.bottom = pressureToY( getPressure( T, volumeRange.max ) ) - 1;
+          isothermLabelsParent.addChild( isothermLabelNode );
+        }
+      }
+      isothermsNode.shape = isothermsShape;
+    };
+
+    // Updates the trace. If the scale changes, the isotherms are also updated.
+    const updateTrace = () => {
+
+      const trace = pvDiagram.trace;
+      const tracePressure = trace.reduce( ( max, point ) => Math.max( max, point.pressure ), 0 );
+      const newMaxPressure = _.find( PRESSURE_MAXIMA, pressure => pressure >= tracePressure ) ||
+                             PRESSURE_MAXIMA[ PRESSURE_MAXIMA.length - 1 ];
+      if ( newMaxPressure !== maxPressure ) {
+        maxPressure = newMaxPressure;
+        updateIsotherms();
+      }
+      yMaxNode.setValue( maxPressure, gasPropertiesStrings.kilopascals );
+      yMaxNode.left = background.left + 2;
+      yMaxNode.top = background.top + 2;
+
+      const traceShape = new Shape();
+      for ( let i = 0; i < trace.length; i++ ) {
+        const x = volumeToX( trace[ i ].volume );
+        const y = pressureToY( trace[ i ].pressure );
+        ( i === 0 ) ? traceShape.moveTo( x, y ) : traceShape.lineTo( x, y );
+      }
+      traceNode.shape = traceShape;
+
+      stateNode.visible = ( trace.length > 0 );
+      if ( stateNode.visible ) {
+        const lastPoint = trace[ trace.length - 1 ];
+        stateNode.center = background.bounds.closestPointTo(
+          new Vector2( volumeToX( lastPoint.volume ), pressureToY( lastPoint.pressure ) ) );
+      }
+    };
+
+    // Update everything
+    const update = () => {
+      updateTrace();
+      updateIsotherms();
+    };
+
+    // @public whether updates are enabled. This is used to prevent updates when the accordion box containing
+    // the diagram is collapsed.
+    this.updateEnabledProperty = new BooleanProperty( true );
+    this.updateEnabledProperty.lazyLink( updateEnabled => {
+      updateEnabled && update();
+    } );
+
+    pvDiagram.traceChangedEmitter.addListener( () => {
+      this.updateEnabledProperty.value && updateTrace();
+    } );
+
+    numberOfParticlesProperty.link( () => {
+      this.updateEnabledProperty.value && updateIsotherms();
+    } );
+
+    update();
+  }
+}
+
+gasProperties.register( 'PVDiagramNode', PVDiagramNode );
+export default PVDiagramNode;
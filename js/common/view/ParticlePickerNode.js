@@ -0,0 +1,62 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ParticlePickerNode covers the inside of the container. Pressing on it tags the particle that is closest to the
+ * pointer, or releases the tagged particle if there is no particle near the pointer. See ParticleTracer.
+ * It is invisible, and is sized to the container's current bounds, so that it does not cover the container's walls,
+ * lid, or resize handle.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import PressListener from '../../../../scenery/js/listeners/PressListener.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import BaseContainer from '../model/BaseContainer.js';
+import ParticleTracer from '../model/ParticleTracer.js';
+
+class ParticlePickerNode extends Rectangle {
+
+  /**
+   * @param {ParticleTracer} particleTracer
+   * @param {BaseContainer} container
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( particleTracer, container, modelViewTransform, options ) {
+    assert && assert( particleTracer instanceof ParticleTracer, `invalid particleTracer: ${particleTracer}` );
+    assert && assert( container instanceof BaseContainer, `invalid container: ${container}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2,
+      `invalid modelViewTransform: ${modelViewTransform}` );
+
+    options = merge( {
+
+      // superclass options
+      fill: 'transparent', // so that it can be picked
+      cursor: 'pointer',
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    super( 0, 0, 1, 1, options );
+
+    container.boundsProperty.link( bounds => {
+      this.setRectBounds( modelViewTransform.modelToViewBounds( bounds ) );
+    } );
+
+    this.addInputListener( new PressListener( {
+      press: event => {
+        const viewPosition = this.globalToParentPoint( event.pointer.point );
+        particleTracer.tagParticleAt( modelViewTransform.viewToModelPosition( viewPosition ) );
+      },
+      tandem: options.tandem.createTandem( 'pressListener' )
+    } ) );
+  }
+}
+
+gasProperties.register( 'ParticlePickerNode', ParticlePickerNode );
+export default ParticlePickerNode;
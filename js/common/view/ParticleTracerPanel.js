@@ -0,0 +1,94 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ParticleTracerPanel displays the speed, kinetic energy and number of collisions of the tagged particle.
+ * It is visible only while a particle is tagged. See ParticleTracer.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import ParticleTracer from '../model/ParticleTracer.js';
+import LabeledNumberDisplay from './LabeledNumberDisplay.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: new PhetFont( 14 ),
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 100 // determined empirically
+};
+const SPEED_RANGE = new Range( 0, 99999 ); // m/s
+const KINETIC_ENERGY_RANGE = new Range( 0, 999 ); // zJ
+const NUMBER_OF_COLLISIONS_RANGE = new Range( 0, 99999 );
+
+class ParticleTracerPanel extends Panel {
+
+  /**
+   * @param {ParticleTracer} particleTracer
+   * @param {Object} [options]
+   */
+  constructor( particleTracer, options ) {
+    assert && assert( particleTracer instanceof ParticleTracer, `invalid particleTracer: ${particleTracer}` );
+
+    options = merge( {}, GasPropertiesConstants.PANEL_OPTIONS, {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const titleNode = new Text( gasPropertiesStrings.taggedParticle, merge( {}, TEXT_OPTIONS, {
+      font: GasPropertiesConstants.TITLE_FONT,
+      maxWidth: 200 // determined empirically
+    } ) );
+
+    const labelsAlignGroup = new AlignGroup( { matchVertical: false } );
+
+    // The model's speed is in pm/ps, which is the same as m/s.
+    const speedDisplay = new LabeledNumberDisplay( new Text( gasPropertiesStrings.speed, TEXT_OPTIONS ),
+      particleTracer.speedProperty, SPEED_RANGE, gasPropertiesStrings.metersPerSecond, labelsAlignGroup, {
+        decimalPlaces: 0
+      } );
+
+    // The model's kinetic energy is in AMU * pm^2 / ps^2, and we want to display in zJ.
+    const kineticEnergyDisplay = new LabeledNumberDisplay(
+      new Text( gasPropertiesStrings.kineticEnergy, TEXT_OPTIONS ),
+      new DerivedProperty( [ particleTracer.kineticEnergyProperty ], kineticEnergy =>
+        ( kineticEnergy === null ) ? null : kineticEnergy * GasPropertiesConstants.ZJ_PER_AMU_PM2_PER_PS2 ),
+      KINETIC_ENERGY_RANGE, gasPropertiesStrings.zeptojoules, labelsAlignGroup, {
+        decimalPlaces: 1
+      } );
+
+    const numberOfCollisionsDisplay = new LabeledNumberDisplay(
+      new Text( gasPropertiesStrings.collisions, TEXT_OPTIONS ),
+      particleTracer.numberOfCollisionsProperty, NUMBER_OF_COLLISIONS_RANGE, '', labelsAlignGroup, {
+        decimalPlaces: 0
+      } );
+
+    const content = new VBox( {
+      align: 'left',
+      spacing: 5,
+      children: [ titleNode, speedDisplay, kineticEnergyDisplay, numberOfCollisionsDisplay ]
+    } );
+
+    super( content, options );
+
+    particleTracer.particleProperty.link( particle => {
+      this.visible = ( particle !== null );
+    } );
+  }
+}
+
+gasProperties.register( 'ParticleTracerPanel', ParticleTracerPanel );
+export default ParticleTracerPanel;
@@ -1,30 +1,31 @@
 // Copyright 2018-2020, University of Colorado Boulder
 
 /**
- * ParticleTypeRadioButtonGroup is a pair of radio buttons for selecting between heavy and light particle types.
+ * ParticleTypeRadioButtonGroup is a group of radio buttons for selecting a particle species, one button per species.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
-import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import StringProperty from '../../../../axon/js/StringProperty.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import RadioButtonGroup from '../../../../sun/js/buttons/RadioButtonGroup.js';
 import gasProperties from '../../gasProperties.js';
 import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
-import ParticleType from '../model/ParticleType.js';
 import GasPropertiesIconFactory from './GasPropertiesIconFactory.js';
 
 class ParticleTypeRadioButtonGroup extends RadioButtonGroup {
 
   /**
-   * @param {EnumerationProperty} particleTypeProperty
+   * @param {StringProperty} particleTypeProperty - name of the selected species
+   * @param {ParticleSpecies[]} species - the particle species
    * @param {ModelViewTransform2} modelViewTransform
    * @param {Object} [options]
    */
-  constructor( particleTypeProperty, modelViewTransform, options ) {
-    assert && assert( particleTypeProperty instanceof EnumerationProperty,
+  constructor( particleTypeProperty, species, modelViewTransform, options ) {
+    assert && assert( particleTypeProperty instanceof StringProperty,
       `invalid particleTypeProperty: ${particleTypeProperty}` );
+    assert && assert( Array.isArray( species ) && species.length > 0, `invalid species: ${species}` );
     assert && assert( modelViewTransform instanceof ModelViewTransform2,
       `invalid modelViewTransform: ${modelViewTransform}` );
 
@@ -43,18 +44,13 @@ class ParticleTypeRadioButtonGroup extends RadioButtonGroup {
       buttonContentYMargin: 12
     }, options );
 
-    const content = [
-      {
-        value: ParticleType.HEAVY,
-        node: GasPropertiesIconFactory.createHeavyParticleIcon( modelViewTransform ),
-        tandemName: 'heavyParticles'
-      },
-      {
-        value: ParticleType.LIGHT,
-        node: GasPropertiesIconFactory.createLightParticleIcon( modelViewTransform ),
-        tandemName: 'lightParticles'
-      }
-    ];
+    const content = species.map( species => {
+      return {
+        value: species.name,
+        node: GasPropertiesIconFactory.createSpeciesIcon( species.name, modelViewTransform ),
+        tandemName: `${species.name}Particles`
+      };
+    } );
 
     super( particleTypeProperty, content, options );
   }
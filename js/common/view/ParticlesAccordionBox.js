@@ -2,7 +2,8 @@
 
 /**
  * ParticlesAccordionBox is the accordion box titled 'Particles'.  It contains controls for setting the number
- * of particles.
+ * of particles, and the mass and radius of particles, for each species. Mass and radius can also be set by choosing
+ * a gas from SpeciesLibrary.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -10,6 +11,10 @@
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import AlignBox from '../../../../scenery/js/nodes/AlignBox.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
 import AccordionBox from '../../../../sun/js/AccordionBox.js';
@@ -21,23 +26,27 @@ import GasPropertiesConstants from '../GasPropertiesConstants.js';
 import FixedWidthNode from './FixedWidthNode.js';
 import GasPropertiesCheckbox from './GasPropertiesCheckbox.js';
 import GasPropertiesIconFactory from './GasPropertiesIconFactory.js';
+import GasPropertiesSpinner from './GasPropertiesSpinner.js';
 import NumberOfParticlesControl from './NumberOfParticlesControl.js';
+import SpeciesPresetComboBox from './SpeciesPresetComboBox.js';
+
+// constants
+const MASS_DELTA = 1; // AMU
+const RADIUS_DELTA = 5; // pm
 
 class ParticlesAccordionBox extends AccordionBox {
 
   /**
-   * @param {NumberProperty} numberOfHeavyParticlesProperty
-   * @param {NumberProperty} numberOfLightParticlesProperty
+   * @param {ParticleSpecies[]} species - the particle species
    * @param {ModelViewTransform2} modelViewTransform
+   * @param {Node} listParent - parent for the combo box lists
    * @param {Object} [options]
    */
-  constructor( numberOfHeavyParticlesProperty, numberOfLightParticlesProperty, modelViewTransform, options ) {
-    assert && assert( numberOfHeavyParticlesProperty instanceof NumberProperty,
-      `invalid numberOfHeavyParticlesProperty: ${numberOfHeavyParticlesProperty}` );
-    assert && assert( numberOfLightParticlesProperty instanceof NumberProperty,
-      `invalid numberOfLightParticlesProperty: ${numberOfLightParticlesProperty}` );
+  constructor( species, modelViewTransform, listParent, options ) {
+    assert && assert( Array.isArray( species ) && species.length > 0, `invalid species: ${species}` );
     assert && assert( modelViewTransform instanceof ModelViewTransform2,
       `invalid modelViewTransform: ${modelViewTransform}` );
+    assert && assert( listParent instanceof Node, `invalid listParent: ${listParent}` );
 
     options = merge( {
       fixedWidth: 100,
@@ -60,20 +69,39 @@ class ParticlesAccordionBox extends AccordionBox {
 
     const contentWidth = options.fixedWidth - ( 2 * options.contentXMargin );
 
-    const children = [
+    // To make all mass and radius spinners have the same bounds width
+    const spinnersAlignGroup = new AlignGroup( {
+      matchHorizontal: true
+    } );
 
-      // Heavy
-      new NumberOfParticlesControl( GasPropertiesIconFactory.createHeavyParticleIcon( modelViewTransform ),
-        gasPropertiesStrings.heavy, numberOfHeavyParticlesProperty, {
-          tandem: options.tandem.createTandem( 'numberOfHeavyParticlesControl' )
+    // Controls for each species. The label for a species is the string whose key is the species name.
+    const children = species.map( species => new VBox( {
+      align: 'left',
+      spacing: 8,
+      children: [
+        new NumberOfParticlesControl( GasPropertiesIconFactory.createSpeciesIcon( species.name, modelViewTransform ),
+          gasPropertiesStrings[ species.name ], species.numberOfParticlesProperty, {
+            tandem: options.tandem.createTandem( `${species.name}NumberOfParticlesControl` )
+          } ),
+        new SpeciesPresetComboBox( species.presetProperty, listParent, {
+          tandem: options.tandem.createTandem( `${species.name}PresetComboBox` )
         } ),
-
-      // Light
-      new NumberOfParticlesControl( GasPropertiesIconFactory.createLightParticleIcon( modelViewTransform ),
-        gasPropertiesStrings.light, numberOfLightParticlesProperty, {
-          tandem: options.tandem.createTandem( 'numberOfLightParticlesControl' )
+        new QuantityControl( gasPropertiesStrings.massAMU, species.massProperty, spinnersAlignGroup, {
+          spinnerOptions: {
+            deltaValue: MASS_DELTA,
+            decimalPlaces: 0
+          },
+          tandem: options.tandem.createTandem( `${species.name}MassControl` )
+        } ),
+        new QuantityControl( gasPropertiesStrings.radiusPm, species.radiusProperty, spinnersAlignGroup, {
+          spinnerOptions: {
+            deltaValue: RADIUS_DELTA,
+            decimalPlaces: 1 // because some default radii are not integers
+          },
+          tandem: options.tandem.createTandem( `${species.name}RadiusControl` )
         } )
-    ];
+      ]
+    } ) );
 
     if ( options.collisionsEnabledProperty ) {
 
@@ -96,4 +124,55 @@ class ParticlesAccordionBox extends AccordionBox {
 }
 
 gasProperties.register( 'ParticlesAccordionBox', ParticlesAccordionBox );
+
+/**
+ * A label and spinner, for changing the mass or radius of one species.
+ */
+class QuantityControl extends HBox {
+
+  /**
+   * @param {string} label
+   * @param {NumberProperty} numberProperty
+   * @param {AlignGroup} spinnersAlignGroup
+   * @param {Object} [options]
+   */
+  constructor( label, numberProperty, spinnersAlignGroup, options ) {
+    assert && assert( typeof label === 'string', `invalid label: ${label}` );
+    assert && assert( numberProperty instanceof NumberProperty, `invalid numberProperty: ${numberProperty}` );
+    assert && assert( spinnersAlignGroup instanceof AlignGroup, `invalid spinnersAlignGroup: ${spinnersAlignGroup}` );
+
+    options = merge( {
+      spinnerOptions: null, // {*} see NumberSpinner
+
+      // HBox options
+      spacing: 10,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const labelNode = new Text( label, {
+      font: GasPropertiesConstants.CONTROL_FONT,
+      fill: GasPropertiesColorProfile.textFillProperty,
+      maxWidth: 100, // determined empirically
+      tandem: options.tandem.createTandem( 'labelNode' )
+    } );
+
+    // spinner, with uniform bounds width to facilitate layout
+    const spinner = new AlignBox( new GasPropertiesSpinner( numberProperty, merge( {
+      tandem: options.tandem.createTandem( 'spinner' )
+    }, options.spinnerOptions ) ), {
+      group: spinnersAlignGroup,
+      xAlign: 'right'
+    } );
+
+    assert && assert( !options.children, 'QuantityControl sets children' );
+    options = merge( {
+      children: [ labelNode, spinner ]
+    }, options );
+
+    super( options );
+  }
+}
+
 export default ParticlesAccordionBox;
\ No newline at end of file
@@ -8,17 +8,25 @@
  */
 
 import Property from '../../../../axon/js/Property.js';
+import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import CanvasNode from '../../../../scenery/js/nodes/CanvasNode.js';
 import ColorDef from '../../../../scenery/js/util/ColorDef.js';
 import gasProperties from '../../gasProperties.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
 import GasPropertiesQueryParameters from '../GasPropertiesQueryParameters.js';
+import DiatomicParticle from '../model/DiatomicParticle.js';
 import Particle from '../model/Particle.js';
+import ParticleTracer from '../model/ParticleTracer.js';
+import DiatomicParticleNode from './DiatomicParticleNode.js';
 import ParticleNode from './ParticleNode.js';
 
 // constants
 const IMAGE_SCALE = 2; // scale images to improve quality, see https://github.com/phetsims/gas-properties/issues/55
 const IMAGE_PADDING = 2;
+const TRAIL_LINE_WIDTH = 2;
+const RING_LINE_WIDTH = 2;
+const RING_SPACING = 3; // space between the tagged particle and the ring that marks it
 
 class ParticlesNode extends CanvasNode {
 
@@ -27,8 +35,9 @@ class ParticlesNode extends CanvasNode {
    * @param {Property.<HTMLCanvasElement>[]} imageProperties - an image for each array in particleArrays
    * @param {ModelViewTransform2} modelViewTransform
    * @param {ColorDef} debugFill - fill the canvas when ?canvasBounds, for debugging
+   * @param {Object} [options]
    */
-  constructor( particleArrays, imageProperties, modelViewTransform, debugFill ) {
+  constructor( particleArrays, imageProperties, modelViewTransform, debugFill, options ) {
 
     assert && assert( Array.isArray( particleArrays ) && particleArrays.length > 0,
       `invalid particleArrays: ${particleArrays}` );
@@ -38,6 +47,13 @@ class ParticlesNode extends CanvasNode {
       `invalid modelViewTransform: ${modelViewTransform}` );
     assert && assert( ColorDef.isColorDef( debugFill ), `invalid debugFill: ${debugFill}` );
 
+    options = merge( {
+      particleTracer: null // {ParticleTracer|null} the tagged particle, if it is in particleArrays, and its trail
+    }, options );
+
+    assert && assert( !options.particleTracer || options.particleTracer instanceof ParticleTracer,
+      `invalid particleTracer: ${options.particleTracer}` );
+
     super();
 
     // If any image changes while the sim is paused, redraw the particle system.
@@ -49,6 +65,14 @@ class ParticlesNode extends CanvasNode {
     this.imageProperties = imageProperties;
     this.debugFill = debugFill;
     this.previousNumberOfParticles = 0;
+    this.particleTracer = options.particleTracer;
+
+    // If a particle is tagged or released, or the trail's color changes, while the sim is paused, redraw.
+    if ( this.particleTracer ) {
+      Property.multilink(
+        [ this.particleTracer.particleProperty, GasPropertiesColorProfile.particleTracerStrokeProperty ],
+        () => { this.update(); } );
+    }
   }
 
   /**
@@ -80,10 +104,30 @@ class ParticlesNode extends CanvasNode {
       context.fillRect( canvasBounds.x, canvasBounds.y, canvasBounds.width, canvasBounds.height );
     }
 
+    // Draw the trail of the tagged particle behind the particles.
+    const particleTracer = this.particleTracer;
+    const tracerStroke = GasPropertiesColorProfile.particleTracerStrokeProperty.value.toCSS();
+    const taggedParticle = particleTracer ? particleTracer.particleProperty.value : null;
+    if ( taggedParticle ) {
+      drawTrail( context, this.modelViewTransform, particleTracer, tracerStroke );
+    }
+
     // Draw the particles
     for ( let i = this.particleArrays.length - 1; i >= 0; i-- ) {
       drawParticles( context, this.modelViewTransform, this.particleArrays[ i ], this.imageProperties[ i ].value );
     }
+
+    // Mark the tagged particle with a ring, in front of the particles.
+    if ( taggedParticle ) {
+      context.strokeStyle = tracerStroke;
+      context.lineWidth = RING_LINE_WIDTH;
+      context.beginPath();
+      context.arc( this.modelViewTransform.modelToViewX( taggedParticle.position.x ),
+        this.modelViewTransform.modelToViewY( taggedParticle.position.y ),
+        this.modelViewTransform.modelToViewDeltaX( taggedParticle.radius ) + RING_SPACING,
+        0, 2 * Math.PI );
+      context.stroke();
+    }
   }
 
   /**
@@ -101,7 +145,9 @@ class ParticlesNode extends CanvasNode {
       `invalid particleImageProperty: ${particleImageProperty}` );
 
     // Create a particle Node, scaled up to improve quality.
-    const particleNode = new ParticleNode( particle, modelViewTransform );
+    const particleNode = ( particle instanceof DiatomicParticle ) ?
+                         new DiatomicParticleNode( particle, modelViewTransform ) :
+                         new ParticleNode( particle, modelViewTransform );
     particleNode.setScaleMagnitude( IMAGE_SCALE, IMAGE_SCALE );
 
     // Provide our own integer width and height, so that we can reliably center the image
@@ -115,7 +161,8 @@ class ParticlesNode extends CanvasNode {
 }
 
 /**
- * Draws a collection of particles.
+ * Draws a collection of particles. The particles in a collection are all of the same species, so if the first
+ * particle is a DiatomicParticle, they all are, and the image is rotated to match each particle's orientation.
  * @param {CanvasRenderingContext2D} context
  * @param {ModelViewTransform2} modelViewTransform
  * @param {Particle[]} particles
@@ -133,6 +180,18 @@ function drawParticles( context, modelViewTransform, particles, image ) {
   const dWidth = image.width / IMAGE_SCALE;
   const dHeight = image.height / IMAGE_SCALE;
 
+  if ( particles.length > 0 && particles[ 0 ] instanceof DiatomicParticle ) {
+    for ( let i = particles.length - 1; i >= 0; i-- ) {
+      context.save();
+      context.translate( modelViewTransform.modelToViewX( particles[ i ].position.x ),
+        modelViewTransform.modelToViewY( particles[ i ].position.y ) );
+      context.rotate( -particles[ i ].orientation ); // the y axis is inverted in the view
+      context.drawImage( image, -xOffset, -yOffset, dWidth, dHeight );
+      context.restore();
+    }
+    return;
+  }
+
   for ( let i = particles.length - 1; i >= 0; i-- ) {
     context.drawImage( image,
 
@@ -146,5 +205,38 @@ function drawParticles( context, modelViewTransform, particles, image ) {
   }
 }
 
+/**
+ * Draws the trail of the tagged particle, as a polyline that fades as it gets older. Each segment is stroked
+ * separately, so that it can have its own opacity.
+ * @param {CanvasRenderingContext2D} context
+ * @param {ModelViewTransform2} modelViewTransform
+ * @param {ParticleTracer} particleTracer
+ * @param {string} stroke - CSS color
+ */
+function drawTrail( context, modelViewTransform, particleTracer, stroke ) {
+  assert && assert( context instanceof CanvasRenderingContext2D, `invalid context: ${context}` );
+  assert && assert( modelViewTransform instanceof ModelViewTransform2,
+    `invalid modelViewTransform: ${modelViewTransform}` );
+  assert && assert( particleTracer instanceof ParticleTracer, `invalid particleTracer: ${particleTracer}` );
+  assert && assert( typeof stroke === 'string', `invalid stroke: ${stroke}` );
+
+  const trail = particleTracer.trail;
+
+  context.save();
+  context.strokeStyle = stroke;
+  context.lineWidth = TRAIL_LINE_WIDTH;
+  context.lineCap = 'round';
+  for ( let i = 1; i < trail.length; i++ ) {
+    context.globalAlpha = 1 - ( particleTracer.time - trail[ i ].time ) / particleTracer.trailDuration;
+    context.beginPath();
+    context.moveTo( modelViewTransform.modelToViewX( trail[ i - 1 ].position.x ),
+      modelViewTransform.modelToViewY( trail[ i - 1 ].position.y ) );
+    context.lineTo( modelViewTransform.modelToViewX( trail[ i ].position.x ),
+      modelViewTransform.modelToViewY( trail[ i ].position.y ) );
+    context.stroke();
+  }
+  context.restore();
+}
+
 gasProperties.register( 'ParticlesNode', ParticlesNode );
 export default ParticlesNode;
\ No newline at end of file
@@ -0,0 +1,145 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ProcessAccordionBox contains the controls for ProcessDriver. The user chooses a process (isothermal, adiabatic or
+ * isobaric), then compresses or expands the gas by moving the container's left wall to its minimum or maximum width.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import ProcessDriver from '../model/ProcessDriver.js';
+import ProcessType from '../model/ProcessType.js';
+import FixedWidthNode from './FixedWidthNode.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: GasPropertiesConstants.CONTROL_FONT,
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 175 // determined empirically
+};
+const BUTTON_TEXT_OPTIONS = {
+  font: GasPropertiesConstants.CONTROL_FONT,
+  fill: 'black',
+  maxWidth: 60 // determined empirically
+};
+
+class ProcessAccordionBox extends AccordionBox {
+
+  /**
+   * @param {ProcessDriver} processDriver
+   * @param {Range} widthRange - range of the container's width, in pm
+   * @param {BooleanProperty} isPlayingProperty
+   * @param {Object} [options]
+   */
+  constructor( processDriver, widthRange, isPlayingProperty, options ) {
+    assert && assert( processDriver instanceof ProcessDriver, `invalid processDriver: ${processDriver}` );
+    assert && assert( widthRange instanceof Range, `invalid widthRange: ${widthRange}` );
+    assert && assert( isPlayingProperty instanceof BooleanProperty, `invalid isPlayingProperty: ${isPlayingProperty}` );
+
+    options = merge( {
+      fixedWidth: 100,
+      contentXMargin: 0
+    }, GasPropertiesConstants.ACCORDION_BOX_OPTIONS, {
+
+      // superclass options
+      titleNode: new Text( gasPropertiesStrings.process, {
+        font: GasPropertiesConstants.TITLE_FONT,
+        fill: GasPropertiesColorProfile.textFillProperty
+      } ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+
+    }, options );
+
+    // Limit width of title
+    options.titleNode.maxWidth = 0.75 * options.fixedWidth; // determined empirically
+
+    // Radio buttons for choosing the process
+    const radioButtonGroup = new VerticalAquaRadioButtonGroup( processDriver.processTypeProperty, [
+      {
+        value: ProcessType.ISOTHERMAL,
+        node: new Text( gasPropertiesStrings.isothermal, TEXT_OPTIONS ),
+        tandemName: 'isothermalRadioButton'
+      },
+      {
+        value: ProcessType.ADIABATIC,
+        node: new Text( gasPropertiesStrings.adiabatic, TEXT_OPTIONS ),
+        tandemName: 'adiabaticRadioButton'
+      },
+      {
+        value: ProcessType.ISOBARIC,
+        node: new Text( gasPropertiesStrings.isobaric, TEXT_OPTIONS ),
+        tandemName: 'isobaricRadioButton'
+      }
+    ], {
+      spacing: 12,
+      radioButtonOptions: GasPropertiesConstants.AQUA_RADIO_BUTTON_OPTIONS,
+      tandem: options.tandem.createTandem( 'radioButtonGroup' )
+    } );
+
+    // Starts a process that moves the left wall to the specified width. The wall only moves while the sim is playing.
+    const start = targetWidth => {
+      isPlayingProperty.value = true;
+      processDriver.start( targetWidth );
+    };
+
+    const compressButton = new RectangularPushButton( {
+      content: new Text( gasPropertiesStrings.compress, BUTTON_TEXT_OPTIONS ),
+      listener: () => start( widthRange.min ),
+      tandem: options.tandem.createTandem( 'compressButton' )
+    } );
+
+    const expandButton = new RectangularPushButton( {
+      content: new Text( gasPropertiesStrings.expand, BUTTON_TEXT_OPTIONS ),
+      listener: () => start( widthRange.max ),
+      tandem: options.tandem.createTandem( 'expandButton' )
+    } );
+
+    const stopButton = new RectangularPushButton( {
+      content: new Text( gasPropertiesStrings.stop, BUTTON_TEXT_OPTIONS ),
+      listener: () => processDriver.stop(),
+      tandem: options.tandem.createTandem( 'stopButton' )
+    } );
+
+    const content = new FixedWidthNode( options.fixedWidth - ( 2 * options.contentXMargin ), new VBox( {
+      align: 'left',
+      spacing: 12,
+      children: [
+        radioButtonGroup,
+        new HBox( {
+          spacing: 5,
+          children: [ compressButton, expandButton, stopButton ]
+        } )
+      ]
+    } ) );
+
+    super( content, options );
+
+    // Enable buttons to match the state of the process driver.
+    processDriver.canStartProperty.link( canStart => {
+      compressButton.enabled = canStart;
+      expandButton.enabled = canStart;
+    } );
+    processDriver.isRunningProperty.link( isRunning => {
+      stopButton.enabled = isRunning;
+    } );
+  }
+}
+
+gasProperties.register( 'ProcessAccordionBox', ProcessAccordionBox );
+export default ProcessAccordionBox;
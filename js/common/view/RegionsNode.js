@@ -3,6 +3,7 @@
 /**
  * RegionsNode shows how the collision detection space is partitioned into a 2D grid of Regions.
  * A number in the center of each region indicates how many particles are in that region.
+ * The grid is rebuilt when the spatial hash changes its region length.
  * This is used for debugging, and is not visible to the user. See GasPropertiesQueryParameters.regions.
  *
  * @author Chris Malley (PixelZoom, Inc.)
@@ -12,17 +13,18 @@ import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import gasProperties from '../../gasProperties.js';
+import SpatialHash from '../model/SpatialHash.js';
 import RegionNode from './RegionNode.js';
 
 class RegionsNode extends Node {
 
   /**
-   * @param {Region[]} regions
+   * @param {SpatialHash} spatialHash
    * @param {ModelViewTransform2} modelViewTransform
    * @param {Object} [options]
    */
-  constructor( regions, modelViewTransform, options ) {
-    assert && assert( Array.isArray( regions ) && regions.length > 0, `invalid regions: ${regions}` );
+  constructor( spatialHash, modelViewTransform, options ) {
+    assert && assert( spatialHash instanceof SpatialHash, `invalid spatialHash: ${spatialHash}` );
     assert && assert( modelViewTransform instanceof ModelViewTransform2,
       `invalid modelViewTransform: ${modelViewTransform}` );
 
@@ -32,29 +34,31 @@ class RegionsNode extends Node {
       pickable: false
     }, options );
 
-    // {RegionNode[]}
-    const regionNodes = [];
-    for ( let i = regions.length - 1; i >= 0; i-- ) {
-      const regionNode = new RegionNode( regions[ i ], modelViewTransform );
-      regionNodes.push( regionNode );
-    }
-
-    assert && assert( !options.children, 'RegionsNode sets children' );
-    options = merge( {
-      children: regionNodes
-    }, options );
-
     super( options );
 
     // @private
-    this.regionNodes = regionNodes;
+    this.spatialHash = spatialHash;
+    this.modelViewTransform = modelViewTransform;
+    this.regions = null; // {Region[]|null} the regions that regionNodes depict
+    this.regionNodes = []; // {RegionNode[]}
+
+    this.update();
   }
 
   /**
-   * Updates each RegionNode.
+   * Updates each RegionNode, first rebuilding the RegionNodes if the grid has been rebuilt.
    * @public
    */
   update() {
+    if ( this.regions !== this.spatialHash.regions ) {
+      this.regions = this.spatialHash.regions;
+      this.regionNodes = [];
+      for ( let i = this.regions.length - 1; i >= 0; i-- ) {
+        this.regionNodes.push( new RegionNode( this.regions[ i ], this.modelViewTransform ) );
+      }
+      this.children = this.regionNodes;
+    }
+
     for ( let i = this.regionNodes.length - 1; i >= 0; i-- ) {
       this.regionNodes[ i ].update();
     }
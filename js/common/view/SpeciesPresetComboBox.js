@@ -0,0 +1,87 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * SpeciesPresetComboBox is a combo box for choosing a gas from SpeciesLibrary, which sets the mass and radius of
+ * a particle species. It also has an item for 'Custom', which is selected when mass or radius has been changed.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import SpeciesLibrary from '../model/SpeciesLibrary.js';
+import SpeciesPresetProperty from '../model/SpeciesPresetProperty.js';
+
+// constants
+const ITEM_FONT = new PhetFont( 14 );
+const ICON_RADIUS = 6;
+
+class SpeciesPresetComboBox extends ComboBox {
+
+  /**
+   * @param {SpeciesPresetProperty} presetProperty
+   * @param {Node} listParent - parent for the combo box list
+   * @param {Object} [options]
+   */
+  constructor( presetProperty, listParent, options ) {
+    assert && assert( presetProperty instanceof SpeciesPresetProperty, `invalid presetProperty: ${presetProperty}` );
+    assert && assert( listParent instanceof Node, `invalid listParent: ${listParent}` );
+
+    options = merge( {
+      textMaxWidth: 120, // {number} maxWidth for the label of each item
+
+      // superclass options
+      xMargin: 8,
+      yMargin: 4,
+      cornerRadius: 5,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // The label for each gas is the string whose key is the gas' name.
+    const items = [ SpeciesPresetProperty.CUSTOM ].concat( _.keys( SpeciesLibrary ) ).map( name =>
+      new ComboBoxItem( createItemNode( name, options.textMaxWidth ), name, {
+        tandemName: `${name}Item`
+      } ) );
+
+    super( items, presetProperty, listParent, options );
+  }
+}
+
+/**
+ * Creates the Node for an item, a colored circle and a label. 'Custom' has an uncolored circle.
+ * @param {string} name - SpeciesPresetProperty.CUSTOM or a key in SpeciesLibrary
+ * @param {number} textMaxWidth
+ * @returns {Node}
+ */
+function createItemNode( name, textMaxWidth ) {
+  const icon = new Circle( ICON_RADIUS, {
+    fill: ( name === SpeciesPresetProperty.CUSTOM ) ? null : SpeciesLibrary[ name ].colorProperty,
+    stroke: 'black',
+    lineWidth: 0.5
+  } );
+  return new HBox( {
+    spacing: 6,
+    children: [
+      icon,
+      new Text( gasPropertiesStrings[ name ], {
+        font: ITEM_FONT,
+        fill: 'black', // the combo box and its list have a white background
+        maxWidth: textMaxWidth
+      } )
+    ]
+  } );
+}
+
+gasProperties.register( 'SpeciesPresetComboBox', SpeciesPresetComboBox );
+export default SpeciesPresetComboBox;
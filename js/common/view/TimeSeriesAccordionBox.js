@@ -0,0 +1,149 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * TimeSeriesAccordionBox contains the time series chart, radio buttons for choosing the quantity that is plotted
+ * (P, T, V or N) and the time window that is shown, and a button that clears the recording.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import EraserButton from '../../../../scenery-phet/js/buttons/EraserButton.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import HorizontalAquaRadioButtonGroup from '../../../../sun/js/HorizontalAquaRadioButtonGroup.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../GasPropertiesConstants.js';
+import TimeSeriesModel from '../model/TimeSeriesModel.js';
+import FixedWidthNode from './FixedWidthNode.js';
+import TimeSeriesNode from './TimeSeriesNode.js';
+import TimeSeriesQuantity from './TimeSeriesQuantity.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: GasPropertiesConstants.CONTROL_FONT,
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 30 // determined empirically
+};
+
+class TimeSeriesAccordionBox extends AccordionBox {
+
+  /**
+   * @param {TimeSeriesModel} timeSeriesModel
+   * @param {EnumerationProperty.<TimeSeriesQuantity>} quantityProperty - the quantity that is plotted
+   * @param {NumberProperty} timeWindowProperty - the duration that is shown, in ps
+   * @param {Object} [options]
+   */
+  constructor( timeSeriesModel, quantityProperty, timeWindowProperty, options ) {
+    assert && assert( timeSeriesModel instanceof TimeSeriesModel, `invalid timeSeriesModel: ${timeSeriesModel}` );
+    assert && assert( quantityProperty instanceof EnumerationProperty,
+      `invalid quantityProperty: ${quantityProperty}` );
+    assert && assert( timeWindowProperty instanceof NumberProperty,
+      `invalid timeWindowProperty: ${timeWindowProperty}` );
+
+    options = merge( {
+      fixedWidth: 100,
+      contentXMargin: 0
+    }, GasPropertiesConstants.ACCORDION_BOX_OPTIONS, {
+
+      // superclass options
+      contentYSpacing: 0,
+      titleNode: new Text( gasPropertiesStrings.timeSeries, {
+        font: GasPropertiesConstants.TITLE_FONT,
+        fill: GasPropertiesColorProfile.textFillProperty
+      } ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+
+    }, options );
+
+    // Limit width of title
+    options.titleNode.maxWidth = 0.75 * options.fixedWidth; // determined empirically
+
+    // The y-axis label is to the left of the chart, so the chart is narrower than the accordion box.
+    const chartNode = new TimeSeriesNode( timeSeriesModel, quantityProperty, timeWindowProperty, {
+      chartSize: new Dimension2( 0.8 * ( options.fixedWidth - 2 * options.contentXMargin ), 100 )
+    } );
+
+    // Radio buttons for choosing the quantity that is plotted
+    const quantityRadioButtonGroup = new HorizontalAquaRadioButtonGroup( quantityProperty, [
+      {
+        value: TimeSeriesQuantity.PRESSURE,
+        node: new Text( gasPropertiesStrings.pressureSymbol, TEXT_OPTIONS ),
+        tandemName: 'pressureRadioButton'
+      },
+      {
+        value: TimeSeriesQuantity.TEMPERATURE,
+        node: new Text( gasPropertiesStrings.temperatureSymbol, TEXT_OPTIONS ),
+        tandemName: 'temperatureRadioButton'
+      },
+      {
+        value: TimeSeriesQuantity.VOLUME,
+        node: new Text( gasPropertiesStrings.volumeSymbol, TEXT_OPTIONS ),
+        tandemName: 'volumeRadioButton'
+      },
+      {
+        value: TimeSeriesQuantity.NUMBER_OF_PARTICLES,
+        node: new Text( gasPropertiesStrings.numberOfParticlesSymbol, TEXT_OPTIONS ),
+        tandemName: 'numberOfParticlesRadioButton'
+      }
+    ], {
+      spacing: 15,
+      radioButtonOptions: GasPropertiesConstants.AQUA_RADIO_BUTTON_OPTIONS,
+      tandem: options.tandem.createTandem( 'quantityRadioButtonGroup' )
+    } );
+
+    // Radio buttons for choosing the time window
+    const timeWindowRadioButtonGroup = new HorizontalAquaRadioButtonGroup( timeWindowProperty,
+      GasPropertiesConstants.TIME_WINDOWS.map( timeWindow => {
+        return {
+          value: timeWindow,
+          node: new Text( StringUtils.fillIn( gasPropertiesStrings.valueUnits, {
+            value: timeWindow,
+            units: gasPropertiesStrings.picoseconds
+          } ), TEXT_OPTIONS ),
+          tandemName: `timeWindow${timeWindow}RadioButton`
+        };
+      } ), {
+        spacing: 8,
+        radioButtonOptions: merge( {}, GasPropertiesConstants.AQUA_RADIO_BUTTON_OPTIONS, {
+          xSpacing: 4
+        } ),
+        tandem: options.tandem.createTandem( 'timeWindowRadioButtonGroup' )
+      } );
+
+    // Button that clears the recording
+    const clearButton = new EraserButton( {
+      listener: () => timeSeriesModel.clear(),
+      baseColor: GasPropertiesColorProfile.eraserButtonColorProperty,
+      tandem: options.tandem.createTandem( 'clearButton' )
+    } );
+
+    const content = new FixedWidthNode( options.fixedWidth - ( 2 * options.contentXMargin ), new VBox( {
+      align: 'center',
+      spacing: 10,
+      children: [ chartNode, quantityRadioButtonGroup, timeWindowRadioButtonGroup, clearButton ]
+    } ), {
+      align: 'center'
+    } );
+
+    super( content, options );
+
+    // Update the chart only while it is visible.
+    this.expandedProperty.link( expanded => {
+      chartNode.updateEnabledProperty.value = expanded;
+    } );
+  }
+}
+
+gasProperties.register( 'TimeSeriesAccordionBox', TimeSeriesAccordionBox );
+export default TimeSeriesAccordionBox;
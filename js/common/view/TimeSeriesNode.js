@@ -0,0 +1,209 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * TimeSeriesNode is a strip chart that plots one of the quantities recorded by TimeSeriesModel as a function of time.
+ * The x axis shows the most recent time window of stopwatch time, and scrolls as time advances. The y axis starts at
+ * zero, and is scaled to fit the values that are in the time window. Until the stopwatch is started, the chart is empty
+ * and shows a hint.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import GasPropertiesColorProfile from '../GasPropertiesColorProfile.js';
+import GasPropertiesUtils from '../GasPropertiesUtils.js';
+import TimeSeriesModel from '../model/TimeSeriesModel.js';
+import ChartValueText from './ChartValueText.js';
+import TimeSeriesQuantity from './TimeSeriesQuantity.js';
+
+// constants
+const AXIS_LABEL_OPTIONS = {
+  fill: GasPropertiesColorProfile.textFillProperty,
+  font: new PhetFont( 14 )
+};
+const PM3_PER_NM3 = 1E9; // volume conversion: pm^3 per 1 nm^3
+
+// How each quantity is plotted. getValue gets the value from a sample of TimeSeriesModel, in the units that are
+// displayed. Values are null when there is no value, e.g. the temperature of an empty container.
+const PLOT_DESCRIPTIONS = new Map( [
+  [ TimeSeriesQuantity.PRESSURE, {
+    label: gasPropertiesStrings.pressure,
+    units: gasPropertiesStrings.kilopascals,
+    getValue: sample => sample.pressure
+  } ],
+  [ TimeSeriesQuantity.TEMPERATURE, {
+    label: gasPropertiesStrings.temperature,
+    units: gasPropertiesStrings.kelvin,
+    getValue: sample => sample.temperature
+  } ],
+  [ TimeSeriesQuantity.VOLUME, {
+    label: gasPropertiesStrings.volume,
+    units: gasPropertiesStrings.cubicNanometers,
+    getValue: sample => sample.volume / PM3_PER_NM3
+  } ],
+  [ TimeSeriesQuantity.NUMBER_OF_PARTICLES, {
+    label: gasPropertiesStrings.numberOfParticles,
+    units: '',
+    getValue: sample => sample.numberOfParticles
+  } ]
+] );
+
+class TimeSeriesNode extends Node {
+
+  /**
+   * @param {TimeSeriesModel} timeSeriesModel
+   * @param {EnumerationProperty.<TimeSeriesQuantity>} quantityProperty - the quantity that is plotted
+   * @param {NumberProperty} timeWindowProperty - the duration that is shown, in ps
+   * @param {Object} [options]
+   */
+  constructor( timeSeriesModel, quantityProperty, timeWindowProperty, options ) {
+    assert && assert( timeSeriesModel instanceof TimeSeriesModel, `invalid timeSeriesModel: ${timeSeriesModel}` );
+    assert && assert( quantityProperty instanceof EnumerationProperty,
+      `invalid quantityProperty: ${quantityProperty}` );
+    assert && assert( timeWindowProperty instanceof NumberProperty,
+      `invalid timeWindowProperty: ${timeWindowProperty}` );
+
+    options = merge( {
+      chartSize: new Dimension2( 150, 100 ) // size of the Rectangle that is the chart background
+    }, options );
+
+    const chartWidth = options.chartSize.width;
+    const chartHeight = options.chartSize.height;
+
+    // Background appears behind plotted data
+    const background = new Rectangle( 0, 0, chartWidth, chartHeight, {
+      fill: GasPropertiesColorProfile.chartBackgroundFillProperty
+    } );
+
+    // Outside border appears on top of plotted data
+    const border = new Rectangle( 0, 0, chartWidth, chartHeight, {
+      stroke: GasPropertiesColorProfile.panelStrokeProperty
+    } );
+
+    // Plotted data is clipped to the background.
+    const plotNode = new Path( null, {
+      stroke: GasPropertiesColorProfile.chartPlotStrokeProperty,
+      lineWidth: 2,
+      lineJoin: 'round',
+      clipArea: Shape.rect( 0, 0, chartWidth, chartHeight )
+    } );
+
+    // x-axis label, and the times at the ends of the time window
+    const xAxisLabelNode = new Text( gasPropertiesStrings.time, merge( {}, AXIS_LABEL_OPTIONS, {
+      maxWidth: 0.5 * chartWidth,
+      centerX: background.centerX,
+      top: background.bottom + 5
+    } ) );
+    const xMinNode = new ChartValueText( { maxWidth: 0.25 * chartWidth } );
+    const xMaxNode = new ChartValueText( { maxWidth: 0.25 * chartWidth } );
+
+    // y-axis label, and the maximum of the y axis
+    const yAxisLabelNode = new Text( '', merge( {}, AXIS_LABEL_OPTIONS, {
+      rotation: -Math.PI / 2,
+      maxWidth: 0.9 * chartHeight
+    } ) );
+    const yMaxNode = new ChartValueText( { maxWidth: 0.4 * chartWidth } );
+
+    // Hint that is shown while there are no samples, because samples are recorded only while the stopwatch is running.
+    const hintNode = new Text( gasPropertiesStrings.startTheStopwatchToRecord, merge( {}, AXIS_LABEL_OPTIONS, {
+      font: new PhetFont( 12 ),
+      maxWidth: 0.9 * chartWidth,
+      center: background.center
+    } ) );
+
+    assert && assert( !options.children, 'TimeSeriesNode sets children' );
+    options = merge( {
+      children: [ background, plotNode, hintNode, border, xAxisLabelNode, xMinNode, xMaxNode, yAxisLabelNode, yMaxNode ]
+    }, options );
+
+    super( options );
+
+    // Updates the plot and the labels on the axes.
+    const update = () => {
+
+      const plotDescription = PLOT_DESCRIPTIONS.get( quantityProperty.value );
+      const samples = timeSeriesModel.samples;
+
+      // The time window ends at the current time, and does not start before the recording started.
+      const timeWindow = timeWindowProperty.value;
+      const maxTime = Math.max( timeWindow, timeSeriesModel.getTime() );
+      const minTime = maxTime - timeWindow;
+
+      // Find the samples that are in the time window, and the maximum value.
+      let firstIndex = samples.length;
+      let maxValue = 0;
+      while ( firstIndex > 0 && samples[ firstIndex - 1 ].time >= minTime ) {
+        firstIndex--;
+        const value = plotDescription.getValue( samples[ firstIndex ] );
+        if ( value !== null ) {
+          maxValue = Math.max( maxValue, value );
+        }
+      }
+
+      // The y axis starts at zero.
+      const maxY = ( maxValue > 0 ) ? GasPropertiesUtils.getNiceCeiling( maxValue ) : 1;
+
+      // Plot the samples. There is a gap in the plot where a value is null.
+      const plotShape = new Shape();
+      let isDrawing = false;
+      for ( let i = firstIndex; i < samples.length; i++ ) {
+        const value = plotDescription.getValue( samples[ i ] );
+        if ( value === null ) {
+          isDrawing = false;
+        }
+        else {
+          const x = chartWidth * ( samples[ i ].time - minTime ) / timeWindow;
+          const y = chartHeight * ( 1 - value / maxY );
+          isDrawing ? plotShape.lineTo( x, y ) : plotShape.moveTo( x, y );
+          isDrawing = true;
+        }
+      }
+      plotNode.shape = plotShape;
+      hintNode.visible = ( samples.length === 0 );
+
+      xMinNode.setValue( minTime, gasPropertiesStrings.picoseconds );
+      xMinNode.left = background.left;
+      xMinNode.top = background.bottom + 2;
+
+      xMaxNode.setValue( maxTime, gasPropertiesStrings.picoseconds );
+      xMaxNode.right = background.right;
+      xMaxNode.top = background.bottom + 2;
+
+      yAxisLabelNode.text = plotDescription.label;
+      yAxisLabelNode.right = background.left - 8;
+      yAxisLabelNode.centerY = background.centerY;
+
+      yMaxNode.setValue( maxY, plotDescription.units );
+      yMaxNode.left = background.left + 2;
+      yMaxNode.top = background.top + 2;
+    };
+
+    // @public whether updates are enabled. This is used to prevent updates when the accordion box containing
+    // the chart is collapsed.
+    this.updateEnabledProperty = new BooleanProperty( true );
+
+    timeSeriesModel.samplesChangedEmitter.addListener( () => {
+      this.updateEnabledProperty.value && update();
+    } );
+
+    Property.multilink( [ this.updateEnabledProperty, quantityProperty, timeWindowProperty ], updateEnabled => {
+      updateEnabled && update();
+    } );
+  }
+}
+
+gasProperties.register( 'TimeSeriesNode', TimeSeriesNode );
+export default TimeSeriesNode;
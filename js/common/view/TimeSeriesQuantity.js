@@ -0,0 +1,21 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * TimeSeriesQuantity is an enumeration of the quantities that can be plotted by TimeSeriesNode.
+ * Each quantity is recorded by TimeSeriesModel.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import gasProperties from '../../gasProperties.js';
+
+const TimeSeriesQuantity = Enumeration.byKeys( [
+  'PRESSURE',           // P
+  'TEMPERATURE',        // T
+  'VOLUME',             // V
+  'NUMBER_OF_PARTICLES' // N
+] );
+
+gasProperties.register( 'TimeSeriesQuantity', TimeSeriesQuantity );
+export default TimeSeriesQuantity;
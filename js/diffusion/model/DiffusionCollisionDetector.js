@@ -48,10 +48,11 @@ class DiffusionCollisionDetector extends CollisionDetector {
 
       // If the divider is in place, treat the 2 sides of the container as 2 separate containers.
       const leftWallVelocity = Vector2.ZERO;
+      const e = this.getParticleContainerRestitution();
       numberOfParticleContainerCollisions += CollisionDetector.doParticleContainerCollisions(
-        this.particleArrays[ 0 ], this.container.leftBounds, leftWallVelocity );
+        this.particleArrays[ 0 ], this.container.leftBounds, leftWallVelocity, e, this.wallImpulses, this.wallWork );
       numberOfParticleContainerCollisions += CollisionDetector.doParticleContainerCollisions(
-        this.particleArrays[ 1 ], this.container.rightBounds, leftWallVelocity );
+        this.particleArrays[ 1 ], this.container.rightBounds, leftWallVelocity, e, this.wallImpulses, this.wallWork );
     }
     else {
 
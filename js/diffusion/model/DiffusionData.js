@@ -123,6 +123,19 @@ class DiffusionData {
       this.averageTemperatureProperty.value = ( 2 / 3 ) * averageKE / GasPropertiesConstants.BOLTZMANN; // K
     }
   }
+
+  /**
+   * Gets the current values of the measurements that are recorded for export. See BaseModel.getMeasurements.
+   * @returns {{numberOfParticles1:number, numberOfParticles2:number, averageTemperature:number|null}}
+   * @public
+   */
+  getMeasurements() {
+    return {
+      numberOfParticles1: this.numberOfParticles1Property.value,
+      numberOfParticles2: this.numberOfParticles2Property.value,
+      averageTemperature: this.averageTemperatureProperty.value // K
+    };
+  }
 }
 
 gasProperties.register( 'DiffusionData', DiffusionData );
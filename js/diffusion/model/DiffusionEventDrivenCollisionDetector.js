@@ -0,0 +1,56 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DiffusionEventDrivenCollisionDetector is a specialization of EventDrivenCollisionDetector that handles collisions
+ * between particles and a vertical divider in a DiffusionContainer. Like DiffusionCollisionDetector, when the divider
+ * is present, it treats the 2 sides of the container as 2 separate containers.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import GasPropertiesUtils from '../../common/GasPropertiesUtils.js';
+import EventDrivenCollisionDetector from '../../common/model/EventDrivenCollisionDetector.js';
+import gasProperties from '../../gasProperties.js';
+import DiffusionContainer from './DiffusionContainer.js';
+import DiffusionParticle1 from './DiffusionParticle1.js';
+import DiffusionParticle2 from './DiffusionParticle2.js';
+
+class DiffusionEventDrivenCollisionDetector extends EventDrivenCollisionDetector {
+
+  /**
+   * @param {DiffusionContainer} container
+   * @param {DiffusionParticle1[]} particles1
+   * @param {DiffusionParticle2[]} particles2
+   * @param {Object} [options]
+   */
+  constructor( container, particles1, particles2, options ) {
+    assert && assert( container instanceof DiffusionContainer, `invalid container: ${container}` );
+    assert && assert( GasPropertiesUtils.isArrayOf( particles1, DiffusionParticle1 ),
+      `invalid particles1: ${particles1}` );
+    assert && assert( GasPropertiesUtils.isArrayOf( particles2, DiffusionParticle2 ),
+      `invalid particles2: ${particles2}` );
+
+    super( container, [ particles1, particles2 ], new BooleanProperty( true ), options );
+  }
+
+  /**
+   * If the divider is in place, particles1 are confined to the left side of the container, and particles2 are
+   * confined to the right side.
+   * @param {number} particleArrayIndex - index into this.particleArrays
+   * @returns {Bounds2}
+   * @protected
+   * @override
+   */
+  getContainerBounds( particleArrayIndex ) {
+    if ( this.container.hasDividerProperty.value ) {
+      return ( particleArrayIndex === 0 ) ? this.container.leftBounds : this.container.rightBounds;
+    }
+    else {
+      return super.getContainerBounds( particleArrayIndex );
+    }
+  }
+}
+
+gasProperties.register( 'DiffusionEventDrivenCollisionDetector', DiffusionEventDrivenCollisionDetector );
+export default DiffusionEventDrivenCollisionDetector;
@@ -8,28 +8,35 @@
 
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import DerivedPropertyIO from '../../../../axon/js/DerivedPropertyIO.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import PropertyIO from '../../../../axon/js/PropertyIO.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Random from '../../../../dot/js/Random.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import NullableIO from '../../../../tandem/js/types/NullableIO.js';
 import NumberIO from '../../../../tandem/js/types/NumberIO.js';
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
+import GasPropertiesQueryParameters from '../../common/GasPropertiesQueryParameters.js';
 import GasPropertiesUtils from '../../common/GasPropertiesUtils.js';
 import BaseModel from '../../common/model/BaseModel.js';
+import CollisionDetectionMethod from '../../common/model/CollisionDetectionMethod.js';
+import ParticleTracer from '../../common/model/ParticleTracer.js';
 import ParticleUtils from '../../common/model/ParticleUtils.js';
 import gasProperties from '../../gasProperties.js';
 import DiffusionCollisionDetector from './DiffusionCollisionDetector.js';
 import DiffusionContainer from './DiffusionContainer.js';
 import DiffusionData from './DiffusionData.js';
+import DiffusionEventDrivenCollisionDetector from './DiffusionEventDrivenCollisionDetector.js';
 import DiffusionParticle1 from './DiffusionParticle1.js';
 import DiffusionParticle2 from './DiffusionParticle2.js';
 import DiffusionSettings from './DiffusionSettings.js';
 import ParticleFlowRate from './ParticleFlowRate.js';
 
 // constants
+const RESTITUTION_RANGE = GasPropertiesConstants.RESTITUTION_RANGE;
 const CENTER_OF_MASS_PROPERTY_OPTIONS = {
   units: 'pm',
   valueType: [ 'number', null ],
@@ -41,10 +48,21 @@ class DiffusionModel extends BaseModel {
 
   /**
    * @param {Tandem} tandem
+   * @param {Object} [options]
    */
-  constructor( tandem ) {
+  constructor( tandem, options ) {
     assert && assert( tandem instanceof Tandem, `invalid tandem: ${tandem}` );
 
+    options = merge( {
+
+      // {CollisionDetectionMethod} how collisions are detected
+      collisionDetectionMethod: ( GasPropertiesQueryParameters.collisionDetection === 'eventDriven' ) ?
+                                CollisionDetectionMethod.EVENT_DRIVEN : CollisionDetectionMethod.OVERLAP
+    }, options );
+
+    assert && assert( CollisionDetectionMethod.includes( options.collisionDetectionMethod ),
+      `invalid collisionDetectionMethod: ${options.collisionDetectionMethod}` );
+
     super( tandem, {
 
       // Offset of the model's origin, in view coordinates. Determines where the container's bottom-right corner is.
@@ -98,16 +116,12 @@ class DiffusionModel extends BaseModel {
       [ this.leftSettings.numberOfParticlesProperty, this.rightSettings.numberOfParticlesProperty ],
       ( leftNumberOfParticles, rightNumberOfParticles ) => {
 
-        // Skip these assertions when PhET-iO state is being restored, because at least one of the arrays will
-        // definitely not be populated. See https://github.com/phetsims/gas-properties/issues/178
-        if ( !phet.joist.sim.isSettingPhetioStateProperty.value ) {
-
-          // Verify that particle arrays have been populated before numberOfParticlesProperty is updated.
-          // If you hit these assertions, then you need to add this listener later.  This is a trade-off
-          // for using plain old Arrays instead of ObservableArray.
-          assert && assert( this.particles1.length === leftNumberOfParticles, 'particles1 has not been populated yet' );
-          assert && assert( this.particles2.length === rightNumberOfParticles, 'particles2 has not been populated yet' );
-        }
+        // Verify that particle arrays have been populated before numberOfParticlesProperty is updated.
+        // If you hit these assertions, then you need to add this listener later.  This is a trade-off
+        // for using plain old Arrays instead of ObservableArray. When PhET-iO state is restored, the arrays
+        // are populated by setSnapshot, see BaseModelIO.
+        assert && assert( this.particles1.length === leftNumberOfParticles, 'particles1 has not been populated yet' );
+        assert && assert( this.particles2.length === rightNumberOfParticles, 'particles2 has not been populated yet' );
         return leftNumberOfParticles + rightNumberOfParticles;
       }, {
         numberType: 'Integer',
@@ -145,8 +159,35 @@ class DiffusionModel extends BaseModel {
       tandem: tandem.createTandem( 'particleFlowRate2' )
     } );
 
+    // @public coefficient of restitution for particle-particle collisions, see CollisionDetector
+    this.particleParticleRestitutionProperty = new NumberProperty( RESTITUTION_RANGE.defaultValue, {
+      range: RESTITUTION_RANGE,
+      tandem: tandem.createTandem( 'particleParticleRestitutionProperty' ),
+      phetioDocumentation: 'coefficient of restitution for collisions between particles, 1 is perfectly elastic'
+    } );
+
+    // @public coefficient of restitution for particle-container collisions, see CollisionDetector
+    this.particleContainerRestitutionProperty = new NumberProperty( RESTITUTION_RANGE.defaultValue, {
+      range: RESTITUTION_RANGE,
+      tandem: tandem.createTandem( 'particleContainerRestitutionProperty' ),
+      phetioDocumentation: 'coefficient of restitution for collisions between particles and the container ' +
+                           'and divider, 1 is perfectly elastic'
+    } );
+
     // @public (read-only)
-    this.collisionDetector = new DiffusionCollisionDetector( this.container, this.particles1, this.particles2 );
+    const CollisionDetectorConstructor =
+      ( options.collisionDetectionMethod === CollisionDetectionMethod.EVENT_DRIVEN ) ?
+      DiffusionEventDrivenCollisionDetector : DiffusionCollisionDetector;
+    this.collisionDetector = new CollisionDetectorConstructor( this.container, this.particles1, this.particles2, {
+      particleParticleRestitutionProperty: this.particleParticleRestitutionProperty,
+      particleContainerRestitutionProperty: this.particleContainerRestitutionProperty
+    } );
+
+    // @public (read-only) follows the particle that the user has tagged
+    this.particleTracer = new ParticleTracer( [ this.particles1, this.particles2 ], this.numberOfParticlesProperty,
+      this.isPlayingProperty, {
+        tandem: tandem.createTandem( 'particleTracer' )
+      } );
 
     // Update mass and temperature of existing particles. This adjusts speed of the particles.
     Property.multilink(
@@ -171,10 +212,10 @@ class DiffusionModel extends BaseModel {
 
     // Update radii of existing particles.
     this.leftSettings.radiusProperty.link( radius => {
-      updateRadius( radius, this.particles1, this.container.leftBounds, this.isPlayingProperty.value );
+      ParticleUtils.updateRadius( this.particles1, radius, this.container.leftBounds, this.isPlayingProperty.value );
     } );
     this.rightSettings.radiusProperty.link( radius => {
-      updateRadius( radius, this.particles2, this.container.rightBounds, this.isPlayingProperty.value );
+      ParticleUtils.updateRadius( this.particles2, radius, this.container.rightBounds, this.isPlayingProperty.value );
     } );
 
     // When the divider is restored, create a new initial state with same numbers of particles.
@@ -204,15 +245,85 @@ class DiffusionModel extends BaseModel {
     this.container.reset();
     this.leftSettings.reset();
     this.rightSettings.reset();
+    this.particleParticleRestitutionProperty.reset();
+    this.particleContainerRestitutionProperty.reset();
     this.centerOfMass1Property.reset();
     this.centerOfMass2Property.reset();
     this.particleFlowRate1.reset();
     this.particleFlowRate2.reset();
+    this.particleTracer.reset();
 
     assert && assert( this.particles1.length === 0, 'there should be no DiffusionParticle1 particles' );
     assert && assert( this.particles2.length === 0, 'there should be no DiffusionParticle2 particles' );
   }
 
+  /**
+   * Gets a snapshot of the model's microstate. See BaseModel.getSnapshot.
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getSnapshot() {
+    return merge( super.getSnapshot(), {
+      hasDivider: this.container.hasDividerProperty.value,
+      particles1: ParticleUtils.getStateObjects( this.particles1 ),
+      particles2: ParticleUtils.getStateObjects( this.particles2 )
+    } );
+  }
+
+  /**
+   * Restores a snapshot of the model's microstate.
+   * @param {Object} snapshot - see getSnapshot
+   * @public
+   * @override
+   */
+  setSnapshot( snapshot ) {
+    super.setSnapshot( snapshot );
+
+    // Restore the divider before the particles, because restoring the divider restarts the experiment.
+    this.container.hasDividerProperty.value = snapshot.hasDivider;
+
+    // Set each particle count after its array has been populated, so that updateNumberOfParticles has nothing to do.
+    ParticleUtils.setStateObjects( snapshot.particles1, this.particles1, () => new DiffusionParticle1() );
+    this.leftSettings.numberOfParticlesProperty.value = this.particles1.length;
+    ParticleUtils.setStateObjects( snapshot.particles2, this.particles2, () => new DiffusionParticle2() );
+    this.rightSettings.numberOfParticlesProperty.value = this.particles2.length;
+
+    this.updateCenterOfMass();
+    this.updateData();
+  }
+
+  /**
+   * Gets the current values of the measurements that are recorded for export. See BaseModel.getMeasurements.
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getMeasurements() {
+    return merge( super.getMeasurements(), {
+      numberOfParticles: this.numberOfParticlesProperty.value,
+      leftData: this.leftData.getMeasurements(),
+      rightData: this.rightData.getMeasurements(),
+      flowRate1: this.particleFlowRate1.getMeasurements(),
+      flowRate2: this.particleFlowRate2.getMeasurements()
+    } );
+  }
+
+  /**
+   * Gets the units of the measurements. See BaseModel.getMeasurementUnits.
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getMeasurementUnits() {
+    return merge( super.getMeasurementUnits(), {
+      'leftData.averageTemperature': 'K',
+      'rightData.averageTemperature': 'K',
+      flowRate1: 'particles/ps',
+      flowRate2: 'particles/ps'
+    } );
+  }
+
   /**
    * Steps the model using model time units. Order is very important here!
    * @param {number} dt - time delta, in ps
@@ -235,11 +346,14 @@ class DiffusionModel extends BaseModel {
     }
 
     // Collision detection and response
-    this.collisionDetector.update();
+    this.collisionDetector.update( dt );
 
     // Update other things that are based on the current state of the particle system.
     this.updateCenterOfMass();
     this.updateData();
+
+    // extend the trail of the tagged particle
+    this.particleTracer.step( dt );
   }
 
   /**
@@ -261,7 +375,7 @@ class DiffusionModel extends BaseModel {
     const delta = numberOfParticles - particles.length;
     if ( delta !== 0 ) {
       if ( delta > 0 ) {
-        addParticles( delta, positionBounds, settings, particles, createParticle );
+        addParticles( delta, positionBounds, settings, particles, createParticle, this.random );
       }
       else {
         ParticleUtils.removeLastParticles( -delta, particles );
@@ -301,13 +415,15 @@ class DiffusionModel extends BaseModel {
  * @param {DiffusionSettings} settings
  * @param {Particle[]} particles
  * @param {function(options:*):Particle} createParticle - creates a Particle instance
+ * @param {Random} random - source of random numbers for initial positions and velocities
  */
-function addParticles( n, positionBounds, settings, particles, createParticle ) {
+function addParticles( n, positionBounds, settings, particles, createParticle, random ) {
   assert && assert( typeof n === 'number' && n > 0, `invalid n: ${n}` );
   assert && assert( positionBounds instanceof Bounds2, `invalid positionBounds: ${positionBounds}` );
   assert && assert( settings instanceof DiffusionSettings, `invalid settings: ${settings}` );
   assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
   assert && assert( typeof createParticle === 'function', `invalid createParticle: ${createParticle}` );
+  assert && assert( random instanceof Random, `invalid random: ${random}` );
 
   // Create n particles
   for ( let i = 0; i < n; i++ ) {
@@ -318,8 +434,8 @@ function addParticles( n, positionBounds, settings, particles, createParticle )
     } );
 
     // Position the particle at a random position within positionBounds, accounting for particle radius.
-    const x = phet.joist.random.nextDoubleBetween( positionBounds.minX + particle.radius, positionBounds.maxX - particle.radius );
-    const y = phet.joist.random.nextDoubleBetween( positionBounds.minY + particle.radius, positionBounds.maxY - particle.radius );
+    const x = random.nextDoubleBetween( positionBounds.minX + particle.radius, positionBounds.maxX - particle.radius );
+    const y = random.nextDoubleBetween( positionBounds.minY + particle.radius, positionBounds.maxY - particle.radius );
     particle.setPositionXY( x, y );
     assert && assert( positionBounds.containsPoint( particle.position ), 'particle is outside of positionBounds' );
 
@@ -329,7 +445,7 @@ function addParticles( n, positionBounds, settings, particles, createParticle )
       Math.sqrt( 3 * GasPropertiesConstants.BOLTZMANN * settings.initialTemperatureProperty.value / particle.mass ),
 
       // Random angle
-      phet.joist.random.nextDouble() * 2 * Math.PI
+      random.nextDouble() * 2 * Math.PI
     );
 
     particles.push( particle );
@@ -355,46 +471,5 @@ function updateMassAndTemperature( mass, temperature, particles ) {
   }
 }
 
-/**
- * Updates the radius for a set of particles.
- * @param {number} radius
- * @param {Particle[]} particles
- * @param {Bounds2} bounds - particles should be inside these bounds
- * @param {boolean} isPlaying
- */
-function updateRadius( radius, particles, bounds, isPlaying ) {
-  assert && assert( typeof radius === 'number' && radius > 0, `invalid radius: ${radius}` );
-  assert && assert( Array.isArray( particles ), `invalid particles: ${particles}` );
-  assert && assert( bounds instanceof Bounds2, `invalid bounds: ${bounds}` );
-  assert && assert( typeof isPlaying === 'boolean', `invalid isPlaying: ${isPlaying}` );
-
-  for ( let i = particles.length - 1; i >= 0; i-- ) {
-
-    const particle = particles[ i ];
-    particle.radius = radius;
-
-    // If the sim is paused, then adjust the position of any particles are not fully inside the bounds.
-    // While the sim is playing, this adjustment will be handled by collision detection.
-    if ( !isPlaying ) {
-
-      // constrain horizontally
-      if ( particle.left < bounds.minX ) {
-        particle.left = bounds.minX;
-      }
-      else if ( particle.right > bounds.maxX ) {
-        particle.right = bounds.maxX;
-      }
-
-      // constrain vertically
-      if ( particle.bottom < bounds.minY ) {
-        particle.bottom = bounds.minY;
-      }
-      else if ( particle.top > bounds.maxY ) {
-        particle.top = bounds.maxY;
-      }
-    }
-  }
-}
-
 gasProperties.register( 'DiffusionModel', DiffusionModel );
 export default DiffusionModel;
\ No newline at end of file
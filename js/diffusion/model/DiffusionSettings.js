@@ -10,6 +10,7 @@ import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
+import SpeciesPresetProperty from '../../common/model/SpeciesPresetProperty.js';
 import gasProperties from '../../gasProperties.js';
 
 class DiffusionSettings {
@@ -55,6 +56,13 @@ class DiffusionSettings {
       phetioStudioControl: false // because value must be a multiple of delta
     } );
 
+    // @public the gas from SpeciesLibrary that determines mass and radius, rounded to the deltas
+    this.presetProperty = new SpeciesPresetProperty( this.massProperty, this.radiusProperty, {
+      massInterval: DiffusionSettings.DELTAS.mass,
+      radiusInterval: DiffusionSettings.DELTAS.radius,
+      tandem: options.tandem.createTandem( 'presetProperty' )
+    } );
+
     // @public initial temperature, in K, used to compute initial velocity
     this.initialTemperatureProperty =
       new NumberProperty( GasPropertiesConstants.INITIAL_TEMPERATURE_RANGE.defaultValue, {
@@ -74,6 +82,7 @@ class DiffusionSettings {
    */
   reset() {
     this.numberOfParticlesProperty.reset();
+    this.presetProperty.reset();
     this.massProperty.reset();
     this.radiusProperty.reset();
     this.initialTemperatureProperty.reset();
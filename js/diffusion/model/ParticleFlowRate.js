@@ -73,6 +73,18 @@ class ParticleFlowRate {
     this.dts.length = 0;
   }
 
+  /**
+   * Gets the current values of the measurements that are recorded for export. See BaseModel.getMeasurements.
+   * @returns {{left:number, right:number}}
+   * @public
+   */
+  getMeasurements() {
+    return {
+      left: this.leftFlowRateProperty.value, // particles/ps
+      right: this.rightFlowRateProperty.value // particles/ps
+    };
+  }
+
   /**
    * @param {number} dt - time delta , in ps
    * @public
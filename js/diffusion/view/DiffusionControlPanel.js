@@ -9,6 +9,7 @@
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import merge from '../../../../phet-core/js/merge.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
 import HSeparator from '../../../../sun/js/HSeparator.js';
 import Panel from '../../../../sun/js/Panel.js';
@@ -36,10 +37,11 @@ class DiffusionControlPanel extends Panel {
    * @param {Property.<number>} numberOfParticlesProperty
    * @param {BooleanProperty} stopwatchVisibleProperty
    * @param {DiffusionViewProperties} viewProperties
+   * @param {Node} listParent - parent for the combo box lists
    * @param {Object} [options]
    */
   constructor( leftSettings, rightSettings, modelViewTransform, hasDividerProperty,
-               numberOfParticlesProperty, stopwatchVisibleProperty, viewProperties, options ) {
+               numberOfParticlesProperty, stopwatchVisibleProperty, viewProperties, listParent, options ) {
     assert && assert( leftSettings instanceof DiffusionSettings,
       `invalid leftSettings: ${leftSettings}` );
     assert && assert( rightSettings instanceof DiffusionSettings,
@@ -52,6 +54,7 @@ class DiffusionControlPanel extends Panel {
       `invalid stopwatchVisibleProperty: ${stopwatchVisibleProperty}` );
     assert && assert( viewProperties instanceof DiffusionViewProperties,
       `invalid viewProperties: ${viewProperties}` );
+    assert && assert( listParent instanceof Node, `invalid listParent: ${listParent}` );
 
     options = merge( {
       fixedWidth: 100,
@@ -76,8 +79,8 @@ class DiffusionControlPanel extends Panel {
       spacing: 18,
       children: [
 
-        // spinners
-        new DiffusionSettingsNode( leftSettings, rightSettings, modelViewTransform, hasDividerProperty, {
+        // combo boxes and spinners
+        new DiffusionSettingsNode( leftSettings, rightSettings, modelViewTransform, hasDividerProperty, listParent, {
           tandem: options.tandem.createTandem( 'settingsNode' )
         } ),
 
@@ -47,7 +47,9 @@ class DiffusionParticleSystemNode extends ParticlesNode {
     // {Property.<HTMLCanvasElement>[]} images for each particle species in particleArrays
     const imageProperties = [ particle1ImageProperty, particle2ImageProperty ];
 
-    super( particleArrays, imageProperties, model.modelViewTransform, DEBUG_FILL );
+    super( particleArrays, imageProperties, model.modelViewTransform, DEBUG_FILL, {
+      particleTracer: model.particleTracer
+    } );
 
     // Size the canvas to match the container bounds. See https://github.com/phetsims/gas-properties/issues/38
     this.setCanvasBounds( model.modelViewTransform.modelToViewBounds( model.container.bounds ) );
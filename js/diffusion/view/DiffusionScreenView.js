@@ -7,12 +7,15 @@
  */
 
 import merge from '../../../../phet-core/js/merge.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import GasPropertiesColorProfile from '../../common/GasPropertiesColorProfile.js';
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
 import GasPropertiesQueryParameters from '../../common/GasPropertiesQueryParameters.js';
 import BaseScreenView from '../../common/view/BaseScreenView.js';
 import GasPropertiesStopwatchNode from '../../common/view/GasPropertiesStopwatchNode.js';
+import ParticlePickerNode from '../../common/view/ParticlePickerNode.js';
+import ParticleTracerPanel from '../../common/view/ParticleTracerPanel.js';
 import RegionsNode from '../../common/view/RegionsNode.js';
 import gasProperties from '../../gasProperties.js';
 import DiffusionModel from '../model/DiffusionModel.js';
@@ -60,7 +63,7 @@ class DiffusionScreenView extends BaseScreenView {
     // Show how the collision detection space is partitioned into regions
     let regionsNode = null;
     if ( GasPropertiesQueryParameters.regions ) {
-      regionsNode = new RegionsNode( model.collisionDetector.regions, model.modelViewTransform );
+      regionsNode = new RegionsNode( model.collisionDetector.spatialHash, model.modelViewTransform );
     }
 
     // Center of Mass indicators
@@ -110,18 +113,26 @@ class DiffusionScreenView extends BaseScreenView {
     } );
 
     // Control panel at right side of screen
+    const controlPanelListboxParent = new Node();
     const controlPanel = new DiffusionControlPanel( model.leftSettings, model.rightSettings,
       model.modelViewTransform,
       model.container.hasDividerProperty,
       model.numberOfParticlesProperty,
       model.stopwatch.isVisibleProperty,
-      viewProperties, {
+      viewProperties,
+      controlPanelListboxParent, {
         fixedWidth: 300,
         right: this.layoutBounds.right - GasPropertiesConstants.SCREEN_VIEW_X_MARGIN,
         top: this.layoutBounds.top + GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN,
         tandem: tandem.createTandem( 'controlPanel' )
       } );
 
+    // Data export panel, between the Data accordion box and the control panel
+    this.dataExportPanel.mutate( {
+      right: controlPanel.left - 15,
+      top: this.layoutBounds.top + GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN
+    } );
+
     // The complete system of particles
     const particleSystemNode = new DiffusionParticleSystemNode( model );
 
@@ -132,6 +143,21 @@ class DiffusionScreenView extends BaseScreenView {
       }
     } );
 
+    // Pressing inside the container tags a particle
+    const particlePickerNode = new ParticlePickerNode( model.particleTracer, model.container,
+      model.modelViewTransform, {
+        tandem: tandem.createTandem( 'particlePickerNode' )
+      } );
+
+    // Readout for the tagged particle, at upper left. Limit its width, so that it does not overlap the Data
+    // accordion box.
+    const particleTracerPanel = new ParticleTracerPanel( model.particleTracer, {
+      maxWidth: dataAccordionBox.left - this.layoutBounds.left - ( 2 * GasPropertiesConstants.SCREEN_VIEW_X_MARGIN ),
+      left: this.layoutBounds.left + GasPropertiesConstants.SCREEN_VIEW_X_MARGIN,
+      top: this.layoutBounds.top + GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN,
+      tandem: tandem.createTandem( 'particleTracerPanel' )
+    } );
+
     // Stopwatch
     const stopwatchNode = new GasPropertiesStopwatchNode( model.stopwatch, {
       visibleBoundsProperty: this.visibleBoundsProperty,
@@ -141,15 +167,19 @@ class DiffusionScreenView extends BaseScreenView {
     // Rendering order
     regionsNode && this.addChild( regionsNode );
     this.addChild( dataAccordionBox );
+    this.addChild( this.dataExportPanel );
     this.addChild( controlPanel );
     this.addChild( scaleNode );
     this.addChild( containerNode );
+    this.addChild( particlePickerNode );
     this.addChild( particleSystemNode );
     this.addChild( centerOfMassNode1 );
     this.addChild( centerOfMassNode2 );
     this.addChild( particleFlowRateNode1 );
     this.addChild( particleFlowRateNode2 );
+    this.addChild( particleTracerPanel );
     this.addChild( stopwatchNode );
+    this.addChild( controlPanelListboxParent );
 
     // Position the time controls
     this.timeControlNode.mutate( {
@@ -14,16 +14,18 @@ import AlignBox from '../../../../scenery/js/nodes/AlignBox.js';
 import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
 import HBox from '../../../../scenery/js/nodes/HBox.js';
 import HStrut from '../../../../scenery/js/nodes/HStrut.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import GasPropertiesColorProfile from '../../common/GasPropertiesColorProfile.js';
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
 import GasPropertiesIconFactory from '../../common/view/GasPropertiesIconFactory.js';
+import GasPropertiesSpinner from '../../common/view/GasPropertiesSpinner.js';
+import SpeciesPresetComboBox from '../../common/view/SpeciesPresetComboBox.js';
 import gasProperties from '../../gasProperties.js';
 import gasPropertiesStrings from '../../gasPropertiesStrings.js';
 import DiffusionSettings from '../model/DiffusionSettings.js';
-import GasPropertiesSpinner from './GasPropertiesSpinner.js';
 
 // constants
 const ICON_SPACING = 10; // space between particle icon and spinner
@@ -35,13 +37,15 @@ class DiffusionSettingsNode extends VBox {
    * @param {DiffusionSettings} rightSettings - setting for the right side of the container
    * @param {ModelViewTransform2} modelViewTransform
    * @param {BooleanProperty} enabledProperty
+   * @param {Node} listParent - parent for the combo box lists
    * @param {Object} [options]
    */
-  constructor( leftSettings, rightSettings, modelViewTransform, enabledProperty, options ) {
+  constructor( leftSettings, rightSettings, modelViewTransform, enabledProperty, listParent, options ) {
     assert && assert( leftSettings instanceof DiffusionSettings, `invalid leftSettings: ${leftSettings}` );
     assert && assert( rightSettings instanceof DiffusionSettings, `invalid rightSettings: ${rightSettings}` );
     assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
     assert && assert( enabledProperty instanceof BooleanProperty, `invalid enabledProperty: ${enabledProperty}` );
+    assert && assert( listParent instanceof Node, `invalid listParent: ${listParent}` );
 
     options = merge( {
 
@@ -69,14 +73,22 @@ class DiffusionSettingsNode extends VBox {
         tandem: options.tandem.createTandem( 'numberOfParticlesControl' )
       } );
 
+    // Gas, sets mass and radius
+    const presetControl = new PresetControl( gasPropertiesStrings.gas, modelViewTransform,
+      leftSettings.presetProperty, rightSettings.presetProperty, listParent, {
+        comboBoxOptions: {
+          enabledProperty: enabledProperty
+        },
+        tandem: options.tandem.createTandem( 'presetControl' )
+      } );
+
     // Mass (AMU)
     const massControl = new QuantityControl( gasPropertiesStrings.massAMU, modelViewTransform,
       leftSettings.massProperty, rightSettings.massProperty, spinnersAlignGroup, {
         spinnerOptions: {
           enabledProperty: enabledProperty,
           deltaValue: DiffusionSettings.DELTAS.mass,
-          decimalPlaces: 0,
-          xMargin: 12.45 // mass spinners are narrower because they have fewer digits, compensate empirically
+          decimalPlaces: 0
         },
         tandem: options.tandem.createTandem( 'massControl' )
       } );
@@ -107,6 +119,7 @@ class DiffusionSettingsNode extends VBox {
     options = merge( {
       children: [
         numberOfParticlesControl,
+        presetControl,
         massControl,
         radiusControl,
         initialTemperatureControl
@@ -202,4 +215,84 @@ class QuantityControl extends VBox {
   }
 }
 
+/**
+ * A label and two combo boxes, for choosing the gas for the left and right sides of the container.
+ * The combo boxes are stacked vertically, because they are too wide to fit side by side.
+ */
+class PresetControl extends VBox {
+
+  /**
+   * @param {string} label
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {SpeciesPresetProperty} leftProperty - gas for the left side of the container
+   * @param {SpeciesPresetProperty} rightProperty - gas for the right side of the container
+   * @param {Node} listParent - parent for the combo box lists
+   * @param {Object} [options]
+   */
+  constructor( label, modelViewTransform, leftProperty, rightProperty, listParent, options ) {
+    assert && assert( typeof label === 'string', `invalid label: ${label}` );
+    assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
+    assert && assert( listParent instanceof Node, `invalid listParent: ${listParent}` );
+
+    options = merge( {
+      comboBoxOptions: null, // {*} see ComboBox
+
+      // VBox options
+      spacing: 12,
+      align: 'left',
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // label
+    const labelNode = new Text( label, {
+      font: GasPropertiesConstants.CONTROL_FONT,
+      fill: GasPropertiesColorProfile.textFillProperty,
+      maxWidth: 200, // determined empirically
+      tandem: options.tandem.createTandem( 'labelNode' )
+    } );
+
+    // left icon and combo box
+    const leftBox = new HBox( {
+      spacing: ICON_SPACING,
+      children: [
+        GasPropertiesIconFactory.createDiffusionParticle1Icon( modelViewTransform ),
+        new SpeciesPresetComboBox( leftProperty, listParent, merge( {
+          tandem: options.tandem.createTandem( 'leftComboBox' )
+        }, options.comboBoxOptions ) )
+      ]
+    } );
+
+    // right icon and combo box
+    const rightBox = new HBox( {
+      spacing: ICON_SPACING,
+      children: [
+        GasPropertiesIconFactory.createDiffusionParticle2Icon( modelViewTransform ),
+        new SpeciesPresetComboBox( rightProperty, listParent, merge( {
+          tandem: options.tandem.createTandem( 'rightComboBox' )
+        }, options.comboBoxOptions ) )
+      ]
+    } );
+
+    // both controls, indented
+    const hBox = new HBox( {
+      spacing: 30,
+      children: [ new HStrut( 1 ), new VBox( {
+        spacing: 8,
+        align: 'left',
+        children: [ leftBox, rightBox ]
+      } ) ]
+    } );
+
+    // label and controls
+    assert && assert( !options.children, 'PresetControl sets children' );
+    options = merge( {
+      children: [ labelNode, hBox ]
+    }, options );
+
+    super( options );
+  }
+}
+
 export default DiffusionSettingsNode;
\ No newline at end of file
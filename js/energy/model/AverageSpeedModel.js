@@ -50,22 +50,18 @@ class AverageSpeedModel {
     this.isPlayingProperty = isPlayingProperty;
     this.samplePeriod = samplePeriod;
 
-    // @public (read-only) {Property.<number|null>}
-    // average speed of particle species in the container, in pm/ps, null when the container is empty
-    this.heavyAverageSpeedProperty = new Property( null, merge( {}, AVERAGE_SPEED_PROPERTY_OPTIONS, {
-      tandem: options.tandem.createTandem( 'heavyAverageSpeedProperty' ),
-      phetioDocumentation: 'average speed of heavy particles in the container'
-    } ) );
-    this.lightAverageSpeedProperty = new Property( null, merge( {}, AVERAGE_SPEED_PROPERTY_OPTIONS, {
-      tandem: options.tandem.createTandem( 'lightAverageSpeedProperty' ),
-      phetioDocumentation: 'average speed of light particles in the container'
-    } ) );
+    // @public (read-only) {Property.<number|null>[]} average speed of each particle species in the container,
+    // in pm/ps, null when the container has no particles of that species. In the same order as particleSystem.species.
+    this.averageSpeedProperties = particleSystem.species.map( species =>
+      new Property( null, merge( {}, AVERAGE_SPEED_PROPERTY_OPTIONS, {
+        tandem: options.tandem.createTandem( `${species.name}AverageSpeedProperty` ),
+        phetioDocumentation: `average speed of ${species.name} particles in the container`
+      } ) ) );
 
     // @private used internally to smooth the average speed computation
     this.dtAccumulator = 0; // accumulated dts while samples were taken
     this.numberOfSamples = 0; // number of samples we've taken
-    this.heavyAverageSpeedSum = 0; // sum of samples for heavy particles
-    this.lightAverageSpeedSum = 0; // sum of samples for light particles
+    this.averageSpeedSums = particleSystem.species.map( () => 0 ); // sum of samples for each species
 
     // Reset sample data when the play state changes, so that we can update immediately if manually stepping.
     isPlayingProperty.link( () => {
@@ -84,8 +80,7 @@ class AverageSpeedModel {
    * @public
    */
   reset() {
-    this.heavyAverageSpeedProperty.reset();
-    this.lightAverageSpeedProperty.reset();
+    this.averageSpeedProperties.forEach( property => property.reset() );
     this.clearSamples();
   }
 
@@ -96,8 +91,9 @@ class AverageSpeedModel {
   clearSamples() {
     this.dtAccumulator = 0;
     this.numberOfSamples = 0;
-    this.heavyAverageSpeedSum = 0;
-    this.lightAverageSpeedSum = 0;
+    for ( let i = this.averageSpeedSums.length - 1; i >= 0; i-- ) {
+      this.averageSpeedSums[ i ] = 0;
+    }
   }
 
   /**
@@ -127,8 +123,10 @@ class AverageSpeedModel {
     assert && assert( !( this.numberOfSamples !== 0 && !this.isPlayingProperty.value ),
       'numberOfSamples should be 0 if called while the sim is paused' );
 
-    this.heavyAverageSpeedSum += getAverageSpeed( this.particleSystem.heavyParticles );
-    this.lightAverageSpeedSum += getAverageSpeed( this.particleSystem.lightParticles );
+    const insideParticleArrays = this.particleSystem.insideParticleArrays;
+    for ( let i = insideParticleArrays.length - 1; i >= 0; i-- ) {
+      this.averageSpeedSums[ i ] += getAverageSpeed( insideParticleArrays[ i ] );
+    }
     this.numberOfSamples++;
   }
 
@@ -140,20 +138,14 @@ class AverageSpeedModel {
     assert && assert( !( this.numberOfSamples !== 1 && !this.isPlayingProperty.value ),
       'numberOfSamples should be 1 if called while the sim is paused' );
 
-    // heavy particles
-    if ( this.particleSystem.heavyParticles.length === 0 ) {
-      this.heavyAverageSpeedProperty.value = null;
-    }
-    else {
-      this.heavyAverageSpeedProperty.value = this.heavyAverageSpeedSum / this.numberOfSamples;
-    }
-
-    // light particles
-    if ( this.particleSystem.lightParticles.length === 0 ) {
-      this.lightAverageSpeedProperty.value = null;
-    }
-    else {
-      this.lightAverageSpeedProperty.value = this.lightAverageSpeedSum / this.numberOfSamples;
+    const insideParticleArrays = this.particleSystem.insideParticleArrays;
+    for ( let i = insideParticleArrays.length - 1; i >= 0; i-- ) {
+      if ( insideParticleArrays[ i ].length === 0 ) {
+        this.averageSpeedProperties[ i ].value = null;
+      }
+      else {
+        this.averageSpeedProperties[ i ].value = this.averageSpeedSums[ i ] / this.numberOfSamples;
+      }
     }
 
     // Clear sample data in preparation for the next sample period.
@@ -173,7 +165,7 @@ function getAverageSpeed( particles ) {
   if ( particles.length > 0 ) {
     let totalSpeed = 0;
     for ( let i = particles.length - 1; i >= 0; i-- ) {
-      totalSpeed += particles[ i ].velocity.magnitude;
+      totalSpeed += particles[ i ].getSpeed();
     }
     averageSpeed = totalSpeed / particles.length;
   }
@@ -6,15 +6,19 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
+import CollisionDetectionMethod from '../../common/model/CollisionDetectionMethod.js';
 import HoldConstant from '../../common/model/HoldConstant.js';
 import IdealGasLawModel from '../../common/model/IdealGasLawModel.js';
 import gasProperties from '../../gasProperties.js';
 import AverageSpeedModel from './AverageSpeedModel.js';
+import EquipartitionModel from './EquipartitionModel.js';
 import HistogramsModel from './HistogramsModel.js';
+import MeanFreePathModel from './MeanFreePathModel.js';
 
 // constants
-const SAMPLE_PERIOD = 1; // sample period for Average Speed and histograms, in ps
+const SAMPLE_PERIOD = 1; // sample period for Average Speed, Equipartition, Mean Free Path and histograms, in ps
 
 class EnergyModel extends IdealGasLawModel {
 
@@ -26,7 +30,8 @@ class EnergyModel extends IdealGasLawModel {
 
     super( tandem, {
       holdConstant: HoldConstant.VOLUME,
-      hasCollisionCounter: false
+      hasCollisionCounter: false,
+      hasDensityProfile: false
     } );
 
     // In case clients attempt to use this feature of the base class
@@ -40,14 +45,33 @@ class EnergyModel extends IdealGasLawModel {
     } );
 
     // @public (read-only)
-    this.histogramsModel = new HistogramsModel( this.particleSystem, this.isPlayingProperty, SAMPLE_PERIOD, {
-      tandem: tandem.createTandem( 'histogramsModel' )
-    } );
+    this.histogramsModel = new HistogramsModel( this.particleSystem, this.temperatureModel.temperatureProperty,
+      this.isPlayingProperty, SAMPLE_PERIOD, {
+
+        // The overlap collision detector distorts the distribution of speeds, so that it does not fit the
+        // Maxwell-Boltzmann distribution, even at equilibrium. See doc/model.md.
+        hasChiSquared: ( this.collisionDetectionMethod === CollisionDetectionMethod.EVENT_DRIVEN ),
+        tandem: tandem.createTandem( 'histogramsModel' )
+      } );
 
     // @public
     this.averageSpeedModel = new AverageSpeedModel( this.particleSystem, this.isPlayingProperty, SAMPLE_PERIOD, {
       tandem: tandem.createTandem( 'averageSpeedModel' )
     } );
+
+    // @public (read-only) {EquipartitionModel|null} null if there are no diatomic species
+    this.equipartitionModel = null;
+    if ( _.some( this.particleSystem.species, species => species.isDiatomic ) ) {
+      this.equipartitionModel = new EquipartitionModel( this.particleSystem, this.isPlayingProperty, SAMPLE_PERIOD, {
+        tandem: tandem.createTandem( 'equipartitionModel' )
+      } );
+    }
+
+    // @public (read-only)
+    this.meanFreePathModel = new MeanFreePathModel( this.particleSystem, this.container, this.collisionDetector,
+      this.isPlayingProperty, SAMPLE_PERIOD, {
+        tandem: tandem.createTandem( 'meanFreePathModel' )
+      } );
   }
 
   /**
@@ -59,6 +83,61 @@ class EnergyModel extends IdealGasLawModel {
     super.reset();
     this.averageSpeedModel.reset();
     this.histogramsModel.reset();
+    this.equipartitionModel && this.equipartitionModel.reset();
+    this.meanFreePathModel.reset();
+  }
+
+  /**
+   * Gets the current values of the measurements that are recorded for export. See BaseModel.getMeasurements.
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getMeasurements() {
+    const histogramsModel = this.histogramsModel;
+    const averageSpeed = {};
+    const speedBinCounts = { all: histogramsModel.allSpeedBinCountsProperty.value.slice() };
+    const kineticEnergyBinCounts = { all: histogramsModel.allKineticEnergyBinCountsProperty.value.slice() };
+    this.particleSystem.species.forEach( ( species, i ) => {
+      averageSpeed[ species.name ] = this.averageSpeedModel.averageSpeedProperties[ i ].value;
+      speedBinCounts[ species.name ] = histogramsModel.speciesSpeedBinCountsProperties[ i ].value.slice();
+      kineticEnergyBinCounts[ species.name ] =
+        histogramsModel.speciesKineticEnergyBinCountsProperties[ i ].value.slice();
+    } );
+    return merge( super.getMeasurements(), {
+      averageSpeed: averageSpeed,
+      speedBinCounts: speedBinCounts,
+      kineticEnergyBinCounts: kineticEnergyBinCounts,
+      speedBinWidth: histogramsModel.speedBinning.binWidthProperty.value,
+      kineticEnergyBinWidth: histogramsModel.kineticEnergyBinning.binWidthProperty.value,
+      speedChiSquared: histogramsModel.hasChiSquared ? histogramsModel.speedChiSquaredProperty.value : null,
+      kineticEnergyChiSquared: histogramsModel.hasChiSquared ?
+                               histogramsModel.kineticEnergyChiSquaredProperty.value : null,
+      meanFreePath: this.meanFreePathModel.meanFreePathProperty.value,
+      theoreticalMeanFreePath: this.meanFreePathModel.theoreticalMeanFreePathProperty.value,
+      collisionFrequency: this.meanFreePathModel.collisionFrequencyProperty.value,
+      theoreticalCollisionFrequency: this.meanFreePathModel.theoreticalCollisionFrequencyProperty.value
+    } );
+  }
+
+  /**
+   * Gets the units of the measurements. See BaseModel.getMeasurementUnits.
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  getMeasurementUnits() {
+    return merge( super.getMeasurementUnits(), {
+      averageSpeed: 'pm/ps',
+      speedBinCounts: 'particles',
+      kineticEnergyBinCounts: 'particles',
+      speedBinWidth: 'pm/ps',
+      kineticEnergyBinWidth: 'AMU*pm^2/ps^2',
+      meanFreePath: 'pm',
+      theoreticalMeanFreePath: 'pm',
+      collisionFrequency: '1/ps',
+      theoreticalCollisionFrequency: '1/ps'
+    } );
   }
 
   /**
@@ -73,6 +152,8 @@ class EnergyModel extends IdealGasLawModel {
     super.stepModelTime( dt );
     this.averageSpeedModel.step( dt );
     this.histogramsModel.step( dt );
+    this.equipartitionModel && this.equipartitionModel.step( dt );
+    this.meanFreePathModel.step( dt );
   }
 }
 
@@ -0,0 +1,196 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * EquipartitionModel is a sub-model in the Energy screen, responsible for data that is displayed in the
+ * Equipartition accordion box. It exists only if there is a diatomic species, see DiatomicParticle.
+ *
+ * At equilibrium, each particle has (1/2)kT of energy per degree of freedom. In this sim, a particle has 3 translational
+ * degrees of freedom, so translational energy per particle is (3/2)kT, see TemperatureModel. A diatomic particle has
+ * 2 additional rotational degrees of freedom, so rotational energy per diatomic particle is kT. The heat capacity at
+ * constant volume is the total energy divided by T, and is measured here in units of Nk:
+ *
+ *   Cv / Nk = E / NkT = (3/2) * ( 1 + Erotational / Etranslational )
+ *
+ * which is 3/2 for a monatomic gas, and 5/2 for a diatomic gas.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import ParticleSystem from '../../common/model/ParticleSystem.js';
+import ParticleUtils from '../../common/model/ParticleUtils.js';
+import gasProperties from '../../gasProperties.js';
+
+// constants
+const PROPERTY_OPTIONS = {
+  isValidValue: value => ( value === null || ( typeof value === 'number' && value >= 0 ) ),
+  phetioType: PropertyIO( NullableIO( NumberIO ) ),
+  phetioReadOnly: true // derived from the state of the particle system
+};
+
+class EquipartitionModel {
+
+  /**
+   * @param {ParticleSystem} particleSystem
+   * @param {BooleanProperty} isPlayingProperty
+   * @param {number} samplePeriod - data is averaged over this period, in ps
+   * @param {Object} [options]
+   */
+  constructor( particleSystem, isPlayingProperty, samplePeriod, options ) {
+    assert && assert( particleSystem instanceof ParticleSystem, `invalid particleSystem: ${particleSystem}` );
+    assert && assert( isPlayingProperty instanceof BooleanProperty, `invalid isPlayingProperty: ${isPlayingProperty}` );
+    assert && assert( typeof samplePeriod === 'number' && samplePeriod > 0,
+      `invalid samplePeriod: ${samplePeriod}` );
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.particleSystem = particleSystem;
+    this.isPlayingProperty = isPlayingProperty;
+    this.samplePeriod = samplePeriod;
+
+    // @public (read-only) {Property.<number|null>} average translational kinetic energy per particle in the
+    // container, in AMU * pm^2 / ps^2, null when the container is empty
+    this.translationalEnergyProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      units: 'AMU * pm^2 / ps^2',
+      tandem: options.tandem.createTandem( 'translationalEnergyProperty' ),
+      phetioDocumentation: 'average translational kinetic energy per particle in the container'
+    } ) );
+
+    // @public (read-only) {Property.<number|null>} average rotational energy per diatomic particle in the container,
+    // in AMU * pm^2 / ps^2, null when the container has no diatomic particles
+    this.rotationalEnergyProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      units: 'AMU * pm^2 / ps^2',
+      tandem: options.tandem.createTandem( 'rotationalEnergyProperty' ),
+      phetioDocumentation: 'average rotational energy per diatomic particle in the container'
+    } ) );
+
+    // @public (read-only) {Property.<number|null>} heat capacity at constant volume, in units of Nk,
+    // null when the container is empty
+    this.heatCapacityProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      tandem: options.tandem.createTandem( 'heatCapacityProperty' ),
+      phetioDocumentation: 'heat capacity at constant volume of the gas in the container, in units of Nk'
+    } ) );
+
+    // @private used internally to smooth the computation
+    this.dtAccumulator = 0; // accumulated dts while samples were taken
+    this.numberOfSamples = 0; // number of samples we've taken
+    this.numberOfParticlesSum = 0; // sum of samples of the number of particles
+    this.numberOfDiatomicParticlesSum = 0; // sum of samples of the number of diatomic particles
+    this.translationalEnergySum = 0; // sum of samples of the total translational kinetic energy
+    this.rotationalEnergySum = 0; // sum of samples of the total rotational energy
+
+    // Reset sample data when the play state changes, so that we can update immediately if manually stepping.
+    isPlayingProperty.link( () => {
+      this.clearSamples();
+    } );
+
+    // If the number of particles changes while paused, sample the current state and update immediately.
+    particleSystem.numberOfParticlesProperty.link( numberOfParticles => {
+      if ( numberOfParticles === 0 || !isPlayingProperty.value ) {
+        this.step( this.samplePeriod ); // using the sample period causes an immediate update
+      }
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.translationalEnergyProperty.reset();
+    this.rotationalEnergyProperty.reset();
+    this.heatCapacityProperty.reset();
+    this.clearSamples();
+  }
+
+  /**
+   * Clears the sample data.
+   * @private
+   */
+  clearSamples() {
+    this.dtAccumulator = 0;
+    this.numberOfSamples = 0;
+    this.numberOfParticlesSum = 0;
+    this.numberOfDiatomicParticlesSum = 0;
+    this.translationalEnergySum = 0;
+    this.rotationalEnergySum = 0;
+  }
+
+  /**
+   * Computes the energies and heat capacity, smoothed over an interval.
+   * @param {number} dt - time delta, in ps
+   * @public
+   */
+  step( dt ) {
+
+    // Accumulate dt
+    this.dtAccumulator += dt;
+
+    // Takes data samples
+    this.sample();
+
+    // Update now if we've reached the end of the sample period, or if we're manually stepping
+    if ( this.dtAccumulator >= this.samplePeriod || !this.isPlayingProperty.value ) {
+      this.update();
+    }
+  }
+
+  /**
+   * Takes a data sample.
+   * @private
+   */
+  sample() {
+    assert && assert( !( this.numberOfSamples !== 0 && !this.isPlayingProperty.value ),
+      'numberOfSamples should be 0 if called while the sim is paused' );
+
+    const species = this.particleSystem.species;
+    const insideParticleArrays = this.particleSystem.insideParticleArrays;
+    for ( let i = insideParticleArrays.length - 1; i >= 0; i-- ) {
+      const particles = insideParticleArrays[ i ];
+      this.numberOfParticlesSum += particles.length;
+      this.translationalEnergySum += ParticleUtils.getTotalKineticEnergy( particles );
+      if ( species[ i ].isDiatomic ) {
+        this.numberOfDiatomicParticlesSum += particles.length;
+        this.rotationalEnergySum += ParticleUtils.getTotalRotationalEnergy( particles );
+      }
+    }
+    this.numberOfSamples++;
+  }
+
+  /**
+   * Updates Properties using the current sample data.
+   * @private
+   */
+  update() {
+    assert && assert( !( this.numberOfSamples !== 1 && !this.isPlayingProperty.value ),
+      'numberOfSamples should be 1 if called while the sim is paused' );
+
+    if ( this.numberOfParticlesSum === 0 || this.translationalEnergySum === 0 ) {
+      this.translationalEnergyProperty.value = null;
+      this.heatCapacityProperty.value = null;
+    }
+    else {
+      this.translationalEnergyProperty.value = this.translationalEnergySum / this.numberOfParticlesSum;
+      this.heatCapacityProperty.value = ( 3 / 2 ) * ( 1 + this.rotationalEnergySum / this.translationalEnergySum );
+    }
+
+    this.rotationalEnergyProperty.value = ( this.numberOfDiatomicParticlesSum === 0 ) ? null :
+                                          this.rotationalEnergySum / this.numberOfDiatomicParticlesSum;
+
+    // Clear sample data in preparation for the next sample period.
+    this.clearSamples();
+  }
+}
+
+gasProperties.register( 'EquipartitionModel', EquipartitionModel );
+export default EquipartitionModel;
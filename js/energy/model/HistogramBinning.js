@@ -0,0 +1,156 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * HistogramBinning defines the bins of one histogram: how many bins there are, and how wide they are. The last bin is
+ * an overflow bin, which counts all values that are beyond the other bins, so that no values are dropped.
+ *
+ * In auto-range mode, the bin width is chosen to fit the values that are being binned, see autoRange. Bin widths that
+ * are chosen automatically are round numbers (1, 2, 2.5 or 5 times a power of 10) of binWidthUnit, so that the tick
+ * labels on the histogram are easy to read.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import gasProperties from '../../gasProperties.js';
+
+// constants
+const NUMBER_OF_BINS_RANGE = new RangeWithValue( 10, 40, 19 );
+
+// Fraction of values that auto-range fits in the bins before the overflow bin. The largest values are ignored, so that
+// a few fast particles don't squeeze the rest of the distribution into a few bins.
+const AUTO_RANGE_QUANTILE = 0.99;
+
+// Round numbers for auto-ranged bin widths, times a power of 10
+const ROUND_NUMBERS = [ 1, 2, 2.5, 5 ];
+
+// Auto-range keeps the current bin width until it's this many times the width that is needed, so that the bin width
+// doesn't change every time that the histogram is updated.
+const AUTO_RANGE_HYSTERESIS = 2.5;
+
+class HistogramBinning {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+      binWidthRange: new RangeWithValue( 1, 100, 10 ), // in the units of the values that are binned
+      binWidthUnit: 1, // auto-ranged bin widths are round numbers of this unit
+      binWidthUnits: null, // {string|null} units of binWidthRange, for PhET-iO
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( options.binWidthRange instanceof RangeWithValue,
+      `invalid binWidthRange: ${options.binWidthRange}` );
+    assert && assert( typeof options.binWidthUnit === 'number' && options.binWidthUnit > 0,
+      `invalid binWidthUnit: ${options.binWidthUnit}` );
+
+    // @public the number of bins, including the overflow bin
+    this.numberOfBinsProperty = new NumberProperty( NUMBER_OF_BINS_RANGE.defaultValue, {
+      numberType: 'Integer',
+      range: NUMBER_OF_BINS_RANGE,
+      tandem: options.tandem.createTandem( 'numberOfBinsProperty' ),
+      phetioDocumentation: 'number of bins in the histogram, including the overflow bin'
+    } );
+
+    // @public the width of each bin, except the overflow bin, which has no upper limit
+    this.binWidthProperty = new NumberProperty( options.binWidthRange.defaultValue, {
+      range: options.binWidthRange,
+      units: options.binWidthUnits,
+      tandem: options.tandem.createTandem( 'binWidthProperty' ),
+      phetioDocumentation: 'width of the bins in the histogram. Set automatically in auto-range mode.'
+    } );
+
+    // @public whether the bin width is chosen automatically to fit the values that are binned
+    this.autoRangeProperty = new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'autoRangeProperty' ),
+      phetioDocumentation: 'whether the bin width is chosen automatically to fit the data'
+    } );
+
+    // @private
+    this.binWidthUnit = options.binWidthUnit;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.numberOfBinsProperty.reset();
+    this.binWidthProperty.reset();
+    this.autoRangeProperty.reset();
+  }
+
+  /**
+   * Gets the value where the overflow bin starts. Values >= this are counted in the overflow bin.
+   * @returns {number}
+   * @public
+   */
+  getOverflowValue() {
+    return ( this.numberOfBinsProperty.value - 1 ) * this.binWidthProperty.value;
+  }
+
+  /**
+   * Gets the index of the bin that counts a value.
+   * @param {number} value
+   * @returns {number} -1 if the value is negative
+   * @public
+   */
+  getBinIndex( value ) {
+    return ( value < 0 ) ? -1 :
+           Math.min( Math.floor( value / this.binWidthProperty.value ), this.numberOfBinsProperty.value - 1 );
+  }
+
+  /**
+   * If auto-range mode is on, chooses a bin width that fits values in the bins before the overflow bin.
+   * @param {number[][]} valueArrays
+   * @public
+   */
+  autoRange( valueArrays ) {
+    assert && assert( Array.isArray( valueArrays ), `invalid valueArrays: ${valueArrays}` );
+
+    if ( this.autoRangeProperty.value ) {
+
+      const values = _.flatten( valueArrays );
+      if ( values.length > 0 ) {
+
+        // The width that fits the values, ignoring the largest values
+        values.sort( ( a, b ) => a - b );
+        const maxValue = values[ Math.floor( AUTO_RANGE_QUANTILE * ( values.length - 1 ) ) ];
+        const neededBinWidth = maxValue / ( this.numberOfBinsProperty.value - 1 );
+
+        const binWidth = this.binWidthProperty.value;
+        if ( binWidth < neededBinWidth || binWidth > AUTO_RANGE_HYSTERESIS * neededBinWidth ) {
+          this.binWidthProperty.value =
+            this.binWidthProperty.range.constrainValue( roundUp( neededBinWidth, this.binWidthUnit ) );
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Rounds a value up to a round number of some unit, i.e. 1, 2, 2.5 or 5 times a power of 10.
+ * @param {number} value
+ * @param {number} unit
+ * @returns {number}
+ */
+function roundUp( value, unit ) {
+  const units = value / unit;
+  if ( units <= 0 ) {
+    return 0;
+  }
+  const powerOf10 = Math.pow( 10, Math.floor( Math.log10( units ) ) );
+  const roundNumber = _.find( ROUND_NUMBERS, roundNumber => roundNumber * powerOf10 >= units ) || 10;
+  return roundNumber * powerOf10 * unit;
+}
+
+gasProperties.register( 'HistogramBinning', HistogramBinning );
+export default HistogramBinning;
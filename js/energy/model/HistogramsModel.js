@@ -11,83 +11,160 @@ import Emitter from '../../../../axon/js/Emitter.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import ArrayIO from '../../../../tandem/js/types/ArrayIO.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
 import NumberIO from '../../../../tandem/js/types/NumberIO.js';
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
 import ParticleSystem from '../../common/model/ParticleSystem.js';
 import gasProperties from '../../gasProperties.js';
+import HistogramBinning from './HistogramBinning.js';
+import MaxwellBoltzmann from './MaxwellBoltzmann.js';
+
+// constants
+const ZJ_PER_AMU_PM2_PER_PS2 = GasPropertiesConstants.ZJ_PER_AMU_PM2_PER_PS2;
 
 class HistogramsModel {
 
   /**
    * @param {ParticleSystem} particleSystem
+   * @param {Property.<number|null>} temperatureProperty - in K, null if there are no particles in the container
    * @param {BooleanProperty} isPlayingProperty
    * @param {number} samplePeriod - data is averaged over this period, in ps
    * @param {Object} [options]
    */
-  constructor( particleSystem, isPlayingProperty, samplePeriod, options ) {
+  constructor( particleSystem, temperatureProperty, isPlayingProperty, samplePeriod, options ) {
     assert && assert( particleSystem instanceof ParticleSystem, `invalid particleSystem: ${particleSystem}` );
+    assert && assert( temperatureProperty instanceof Property,
+      `invalid temperatureProperty: ${temperatureProperty}` );
     assert && assert( isPlayingProperty instanceof BooleanProperty, `invalid isPlayingProperty: ${isPlayingProperty}` );
     assert && assert( typeof samplePeriod === 'number' && samplePeriod > 0,
       `invalid samplePeriod: ${samplePeriod}` );
 
     options = merge( {
 
+      // {boolean} whether to measure how well the histograms fit the Maxwell-Boltzmann distribution
+      hasChiSquared: true,
+
       // phet-io
       tandem: Tandem.REQUIRED
     }, options );
 
+    // @public (read-only)
+    this.hasChiSquared = options.hasChiSquared;
+
     // @private
     this.particleSystem = particleSystem;
+    this.temperatureProperty = temperatureProperty;
     this.isPlayingProperty = isPlayingProperty;
     this.samplePeriod = samplePeriod;
 
-    // @public (read-only) values chosen in https://github.com/phetsims/gas-properties/issues/52
-    this.numberOfBins = 19;  // number of bins, common to both histograms
-    this.speedBinWidth = 170; // bin width for the Speed histogram, in pm/ps
-    this.kineticEnergyBinWidth = 8E5; // bin width for the Kinetic Energy histogram, in AMU * pm^2 / ps^2;
+    // @public (read-only) {ParticleSpecies[]}
+    this.species = particleSystem.species;
 
-    // Initialize histograms with 0 in all bins
-    const emptyBins = [];
-    for ( let i = this.numberOfBins - 1; i >= 0; i-- ) {
-      emptyBins[ i ] = 0;
-    }
+    // @public (read-only) bins for the Speed histogram. Default values chosen in
+    // https://github.com/phetsims/gas-properties/issues/52
+    this.speedBinning = new HistogramBinning( {
+      binWidthRange: new RangeWithValue( 10, 1000, 170 ), // pm/ps
+      binWidthUnits: 'pm/ps',
+      tandem: options.tandem.createTandem( 'speedBinning' )
+    } );
+
+    // @public (read-only) bins for the Kinetic Energy histogram. Auto-ranged bin widths are round numbers of zJ,
+    // because that's how kinetic energy is labeled on the histogram.
+    this.kineticEnergyBinning = new HistogramBinning( {
+      binWidthRange: new RangeWithValue( 0.1 / ZJ_PER_AMU_PM2_PER_PS2, 10 / ZJ_PER_AMU_PM2_PER_PS2, 8E5 ),
+      binWidthUnit: 1 / ZJ_PER_AMU_PM2_PER_PS2,
+      binWidthUnits: 'AMU * pm^2 / ps^2',
+      tandem: options.tandem.createTandem( 'kineticEnergyBinning' )
+    } );
 
+    // The number of bins can be changed, so the length of bin counts is not validated.
     const binCountsPropertyOptions = {
-      isValidValue: value => ( Array.isArray( value ) && value.length === this.numberOfBins ),
+      isValidValue: value => Array.isArray( value ),
       phetioType: PropertyIO( ArrayIO( NumberIO ) ),
       phetioReadOnly: true // derived from the state of the particle system
     };
 
-    // @public (read-only) Speed bin counts
-    this.heavySpeedBinCountsProperty = new Property( emptyBins, merge( {}, binCountsPropertyOptions, {
-      tandem: options.tandem.createTandem( 'heavySpeedBinCountsProperty' ),
-      phetioDocumentation: 'Speed histogram bin counts for heavy particles'
-    } ) );
-    this.lightSpeedBinCountsProperty = new Property( emptyBins, merge( {}, binCountsPropertyOptions, {
-      tandem: options.tandem.createTandem( 'lightSpeedBinCountsProperty' ),
-      phetioDocumentation: 'Speed histogram bin counts for light particles'
-    } ) );
-    this.allSpeedBinCountsProperty = new Property( emptyBins, merge( {}, binCountsPropertyOptions, {
+    // Initialize histograms with 0 in all bins
+    const emptySpeedBins = getEmptyBinCounts( this.speedBinning.numberOfBinsProperty.value );
+    const emptyKineticEnergyBins = getEmptyBinCounts( this.kineticEnergyBinning.numberOfBinsProperty.value );
+
+    // @public (read-only) {Property.<number[]>[]} Speed bin counts for each species, in the same order as
+    // particleSystem.species
+    this.speciesSpeedBinCountsProperties = particleSystem.species.map( species =>
+      new Property( emptySpeedBins, merge( {}, binCountsPropertyOptions, {
+        tandem: options.tandem.createTandem( `${species.name}SpeedBinCountsProperty` ),
+        phetioDocumentation: `Speed histogram bin counts for ${species.name} particles`
+      } ) ) );
+
+    // @public (read-only) Speed bin counts for all particles
+    this.allSpeedBinCountsProperty = new Property( emptySpeedBins, merge( {}, binCountsPropertyOptions, {
       tandem: options.tandem.createTandem( 'allSpeedBinCountsProperty' ),
       phetioDocumentation: 'Speed histogram bin counts for all particles'
     } ) );
 
-    // @public (read-only) Kinetic Energy bin counts
-    this.heavyKineticEnergyBinCountsProperty = new Property( emptyBins, merge( {}, binCountsPropertyOptions, {
-      tandem: options.tandem.createTandem( 'heavyKineticEnergyBinCountsProperty' ),
-      phetioDocumentation: 'Kinetic Energy histogram bin counts for heavy particles'
-    } ) );
-    this.lightKineticEnergyBinCountsProperty = new Property( emptyBins, merge( {}, binCountsPropertyOptions, {
-      tandem: options.tandem.createTandem( 'lightKineticEnergyBinCountsProperty' ),
-      phetioDocumentation: 'Kinetic Energy histogram bin counts for light particles'
-    } ) );
-    this.allKineticEnergyBinCountsProperty = new Property( emptyBins, merge( {}, binCountsPropertyOptions, {
-      tandem: options.tandem.createTandem( 'allKineticEnergyBinCountsProperty' ),
-      phetioDocumentation: 'Kinetic Energy histogram bin counts for all particles'
-    } ) );
+    // @public (read-only) {Property.<number[]>[]} Kinetic Energy bin counts for each species, in the same order as
+    // particleSystem.species
+    this.speciesKineticEnergyBinCountsProperties = particleSystem.species.map( species =>
+      new Property( emptyKineticEnergyBins, merge( {}, binCountsPropertyOptions, {
+        tandem: options.tandem.createTandem( `${species.name}KineticEnergyBinCountsProperty` ),
+        phetioDocumentation: `Kinetic Energy histogram bin counts for ${species.name} particles`
+      } ) ) );
+
+    // @public (read-only) Kinetic Energy bin counts for all particles
+    this.allKineticEnergyBinCountsProperty = new Property( emptyKineticEnergyBins,
+      merge( {}, binCountsPropertyOptions, {
+        tandem: options.tandem.createTandem( 'allKineticEnergyBinCountsProperty' ),
+        phetioDocumentation: 'Kinetic Energy histogram bin counts for all particles'
+      } ) );
+
+    // @public (read-only) {number[][]} Maxwell-Boltzmann Speed bin counts for each species, in the same order as
+    // particleSystem.species. These are the bin counts that are expected at equilibrium, see MaxwellBoltzmann.
+    this.speciesTheoreticalSpeedBinCounts = particleSystem.species.map( () => emptySpeedBins );
+
+    // @public (read-only) {number[]} Maxwell-Boltzmann Speed bin counts for all particles
+    this.allTheoreticalSpeedBinCounts = emptySpeedBins;
+
+    // @public (read-only) {number[][]} Maxwell-Boltzmann Kinetic Energy bin counts for each species, in the same order
+    // as particleSystem.species
+    this.speciesTheoreticalKineticEnergyBinCounts = particleSystem.species.map( () => emptyKineticEnergyBins );
+
+    // @public (read-only) {number[]} Maxwell-Boltzmann Kinetic Energy bin counts for all particles
+    this.allTheoreticalKineticEnergyBinCounts = emptyKineticEnergyBins;
+
+    const chiSquaredPropertyOptions = {
+      isValidValue: value => ( value === null || ( typeof value === 'number' && value >= 0 ) ),
+      phetioType: PropertyIO( NullableIO( NumberIO ) ),
+      phetioReadOnly: true // derived from the state of the particle system
+    };
+
+    // @public (read-only) {Property.<number|null>|null} how well the Speed bin counts for all particles fit the
+    // Maxwell-Boltzmann distribution, see MaxwellBoltzmann.getReducedChiSquared. null if there is too little data.
+    // null if !options.hasChiSquared.
+    this.speedChiSquaredProperty = null;
+
+    // @public (read-only) {Property.<number|null>|null} how well the Kinetic Energy bin counts for all particles fit
+    // the Maxwell-Boltzmann distribution, see MaxwellBoltzmann.getReducedChiSquared. null if there is too little data.
+    // null if !options.hasChiSquared.
+    this.kineticEnergyChiSquaredProperty = null;
+
+    if ( options.hasChiSquared ) {
+
+      this.speedChiSquaredProperty = new Property( null, merge( {}, chiSquaredPropertyOptions, {
+        tandem: options.tandem.createTandem( 'speedChiSquaredProperty' ),
+        phetioDocumentation: 'reduced chi-squared of the Speed histogram for all particles, compared to the ' +
+                             'Maxwell-Boltzmann distribution. null if there is too little data.'
+      } ) );
+
+      this.kineticEnergyChiSquaredProperty = new Property( null, merge( {}, chiSquaredPropertyOptions, {
+        tandem: options.tandem.createTandem( 'kineticEnergyChiSquaredProperty' ),
+        phetioDocumentation: 'reduced chi-squared of the Kinetic Energy histogram for all particles, compared to ' +
+                             'the Maxwell-Boltzmann distribution. null if there is too little data.'
+      } ) );
+    }
 
     // @public (read-only) the y-axis scale for all histograms
     this.yScaleProperty = new NumberProperty( GasPropertiesConstants.HISTOGRAM_LINE_SPACING, {
@@ -100,13 +177,11 @@ class HistogramsModel {
     // @public emits when the bin counts have been updated
     this.binCountsUpdatedEmitter = new Emitter();
 
-    // @private Speed samples
-    this.heavySpeedSamples = []; // {number[][]} Speed samples for heavy particles
-    this.lightSpeedSamples = []; // {number[][]} Speed samples for light particles
+    // @private {number[][][]} Speed samples for each species
+    this.speciesSpeedSamples = particleSystem.species.map( () => [] );
 
-    // @private Kinetic Energy samples
-    this.heavyKineticEnergySamples = []; // {number[][]} Kinetic Energy samples for heavy particles
-    this.lightKineticEnergySamples = []; // {number[][]} Kinetic Energy samples for light particles
+    // @private {number[][][]} Kinetic Energy samples for each species
+    this.speciesKineticEnergySamples = particleSystem.species.map( () => [] );
 
     // @private for measuring sample period
     this.dtAccumulator = 0;
@@ -124,6 +199,21 @@ class HistogramsModel {
         this.step( this.samplePeriod ); // using the sample period causes an immediate update
       }
     } );
+
+    // @private whether update is in progress, during which auto-range may change the bin width
+    this.isUpdating = false;
+
+    // If the bins change while paused, update immediately.
+    Property.lazyMultilink( [
+      this.speedBinning.numberOfBinsProperty, this.speedBinning.binWidthProperty, this.speedBinning.autoRangeProperty,
+      this.kineticEnergyBinning.numberOfBinsProperty, this.kineticEnergyBinning.binWidthProperty,
+      this.kineticEnergyBinning.autoRangeProperty
+    ], () => {
+      if ( !isPlayingProperty.value && !this.isUpdating ) {
+        this.clearSamples();
+        this.step( this.samplePeriod ); // using the sample period causes an immediate update
+      }
+    } );
   }
 
   /**
@@ -131,6 +221,8 @@ class HistogramsModel {
    * @public
    */
   reset() {
+    this.speedBinning.reset();
+    this.kineticEnergyBinning.reset();
     this.clearSamples();
   }
 
@@ -143,13 +235,11 @@ class HistogramsModel {
     this.dtAccumulator = 0;
     this.numberOfSamples = 0;
 
-    // clear Speed samples
-    this.heavySpeedSamples.length = 0;
-    this.lightSpeedSamples.length = 0;
-
-    // clear Kinetic Energy samples
-    this.heavyKineticEnergySamples.length = 0;
-    this.lightKineticEnergySamples.length = 0;
+    // clear Speed and Kinetic Energy samples
+    for ( let i = this.speciesSpeedSamples.length - 1; i >= 0; i-- ) {
+      this.speciesSpeedSamples[ i ].length = 0;
+      this.speciesKineticEnergySamples[ i ].length = 0;
+    }
   }
 
   /**
@@ -180,13 +270,12 @@ class HistogramsModel {
     assert && assert( !( this.numberOfSamples !== 0 && !this.isPlayingProperty.value ),
       'numberOfSamples should be 0 if called while the sim is paused' );
 
-    // take a Speed sample
-    this.heavySpeedSamples.push( getSpeedValues( this.particleSystem.heavyParticles ) );
-    this.lightSpeedSamples.push( getSpeedValues( this.particleSystem.lightParticles ) );
-
-    // take a Kinetic Energy sample
-    this.heavyKineticEnergySamples.push( getKineticEnergyValues( this.particleSystem.heavyParticles ) );
-    this.lightKineticEnergySamples.push( getKineticEnergyValues( this.particleSystem.lightParticles ) );
+    // take a Speed sample and a Kinetic Energy sample for each species
+    const insideParticleArrays = this.particleSystem.insideParticleArrays;
+    for ( let i = insideParticleArrays.length - 1; i >= 0; i-- ) {
+      this.speciesSpeedSamples[ i ].push( getSpeedValues( insideParticleArrays[ i ] ) );
+      this.speciesKineticEnergySamples[ i ].push( getKineticEnergyValues( insideParticleArrays[ i ] ) );
+    }
 
     this.numberOfSamples++;
   }
@@ -199,27 +288,39 @@ class HistogramsModel {
     assert && assert( !( this.numberOfSamples !== 1 && !this.isPlayingProperty.value ),
       'numberOfSamples should be 1 if called while the sim is paused' );
 
+    this.isUpdating = true;
+
+    // In auto-range mode, choose bin widths that fit the samples.
+    this.speedBinning.autoRange( _.flatten( this.speciesSpeedSamples ) );
+    this.kineticEnergyBinning.autoRange( _.flatten( this.speciesKineticEnergySamples ) );
+
     // update Speed bin counts
-    this.heavySpeedBinCountsProperty.value =
-      samplesToBinCounts( this.heavySpeedSamples, this.numberOfBins, this.speedBinWidth );
-    this.lightSpeedBinCountsProperty.value =
-      samplesToBinCounts( this.lightSpeedSamples, this.numberOfBins, this.speedBinWidth );
+    for ( let i = this.speciesSpeedBinCountsProperties.length - 1; i >= 0; i-- ) {
+      this.speciesSpeedBinCountsProperties[ i ].value =
+        samplesToBinCounts( this.speciesSpeedSamples[ i ], this.speedBinning );
+    }
     this.allSpeedBinCountsProperty.value =
-      sumBinCounts( this.heavySpeedBinCountsProperty.value, this.lightSpeedBinCountsProperty.value );
+      sumBinCounts( this.speciesSpeedBinCountsProperties.map( property => property.value ) );
 
     // update Kinetic Energy bin counts
-    this.heavyKineticEnergyBinCountsProperty.value =
-      samplesToBinCounts( this.heavyKineticEnergySamples, this.numberOfBins, this.kineticEnergyBinWidth );
-    this.lightKineticEnergyBinCountsProperty.value =
-      samplesToBinCounts( this.lightKineticEnergySamples, this.numberOfBins, this.kineticEnergyBinWidth );
+    for ( let i = this.speciesKineticEnergyBinCountsProperties.length - 1; i >= 0; i-- ) {
+      this.speciesKineticEnergyBinCountsProperties[ i ].value =
+        samplesToBinCounts( this.speciesKineticEnergySamples[ i ], this.kineticEnergyBinning );
+    }
     this.allKineticEnergyBinCountsProperty.value =
-      sumBinCounts( this.heavyKineticEnergyBinCountsProperty.value, this.lightKineticEnergyBinCountsProperty.value );
+      sumBinCounts( this.speciesKineticEnergyBinCountsProperties.map( property => property.value ) );
+
+    // update the Maxwell-Boltzmann bin counts, and how well the bin counts fit them
+    this.updateTheoreticalBinCounts();
 
     // Find the maximum bin count for all histograms. It's sufficient to look at the 'all' histograms.
     // This is used to determine the y-axis scale, which must be the same for both histograms.
+    // The Maxwell-Boltzmann bin counts are included, so that the curves fit in the histograms.
     const maxBinCount = Math.max(
       _.max( this.allSpeedBinCountsProperty.value ),
-      _.max( this.allKineticEnergyBinCountsProperty.value ) );
+      _.max( this.allKineticEnergyBinCountsProperty.value ),
+      _.max( this.allTheoreticalSpeedBinCounts ),
+      _.max( this.allTheoreticalKineticEnergyBinCounts ) );
 
     // Adjust the y-axis scale to accommodate the maximum bin count.
     // Increase the y scale a bit so that there's always a little space above maxBinCount.
@@ -231,9 +332,71 @@ class HistogramsModel {
     // Notify listeners that the bin counts have been updated.
     this.binCountsUpdatedEmitter.emit();
 
+    this.isUpdating = false;
+
     // Clear sample data in preparation for the next sample period.
     this.clearSamples();
   }
+
+  /**
+   * Updates the Maxwell-Boltzmann bin counts for the current temperature, species masses and numbers of particles,
+   * and the chi-squared of the bin counts for all particles. The temperature is the temperature at the end of the
+   * sample period, while the displayed bin counts are averaged over the sample period, so the curve fits best at
+   * equilibrium.
+   *
+   * Chi-squared is computed from the bin counts of the last sample alone, which was taken at the same time as the
+   * temperature. Averaging the samples in a sample period (about 25 at the default time step) reduces the variance of
+   * the bin counts, so chi-squared of the averaged bin counts would be well below 1, even for a poor fit. Consecutive
+   * samples are also correlated, so the variance is not reduced by a known factor that could be corrected for.
+   * @private
+   */
+  updateTheoreticalBinCounts() {
+
+    const temperature = this.temperatureProperty.value;
+    const insideParticleArrays = this.particleSystem.insideParticleArrays;
+
+    const speedNumberOfBins = this.speedBinning.numberOfBinsProperty.value;
+    const speedBinWidth = this.speedBinning.binWidthProperty.value;
+    const kineticEnergyNumberOfBins = this.kineticEnergyBinning.numberOfBinsProperty.value;
+    const kineticEnergyBinWidth = this.kineticEnergyBinning.binWidthProperty.value;
+
+    for ( let i = this.species.length - 1; i >= 0; i-- ) {
+      const numberOfParticles = insideParticleArrays[ i ].length;
+      if ( temperature === null || temperature === 0 || numberOfParticles === 0 ) {
+        this.speciesTheoreticalSpeedBinCounts[ i ] = getEmptyBinCounts( speedNumberOfBins );
+        this.speciesTheoreticalKineticEnergyBinCounts[ i ] = getEmptyBinCounts( kineticEnergyNumberOfBins );
+      }
+      else {
+        this.speciesTheoreticalSpeedBinCounts[ i ] = MaxwellBoltzmann.getSpeedBinCounts( numberOfParticles,
+          this.species[ i ].massProperty.value, temperature, speedNumberOfBins, speedBinWidth );
+        this.speciesTheoreticalKineticEnergyBinCounts[ i ] = MaxwellBoltzmann.getKineticEnergyBinCounts(
+          numberOfParticles, temperature, kineticEnergyNumberOfBins, kineticEnergyBinWidth );
+      }
+    }
+    this.allTheoreticalSpeedBinCounts = sumBinCounts( this.speciesTheoreticalSpeedBinCounts );
+    this.allTheoreticalKineticEnergyBinCounts = sumBinCounts( this.speciesTheoreticalKineticEnergyBinCounts );
+
+    if ( this.hasChiSquared ) {
+      this.speedChiSquaredProperty.value = MaxwellBoltzmann.getReducedChiSquared(
+        getLastSampleBinCounts( this.speciesSpeedSamples, this.speedBinning ), this.allTheoreticalSpeedBinCounts );
+      this.kineticEnergyChiSquaredProperty.value = MaxwellBoltzmann.getReducedChiSquared(
+        getLastSampleBinCounts( this.speciesKineticEnergySamples, this.kineticEnergyBinning ),
+        this.allTheoreticalKineticEnergyBinCounts );
+    }
+  }
+}
+
+/**
+ * Gets bin counts that are all 0.
+ * @param {number} numberOfBins
+ * @returns {number[]}
+ */
+function getEmptyBinCounts( numberOfBins ) {
+  const binCounts = [];
+  for ( let i = 0; i < numberOfBins; i++ ) {
+    binCounts[ i ] = 0;
+  }
+  return binCounts;
 }
 
 /**
@@ -246,7 +409,7 @@ function getSpeedValues( particles ) {
 
   const values = [];
   for ( let i = particles.length - 1; i >= 0; i-- ) {
-    values.push( particles[ i ].velocity.magnitude );
+    values.push( particles[ i ].getSpeed() );
   }
   return values;
 }
@@ -267,29 +430,25 @@ function getKineticEnergyValues( particles ) {
 }
 
 /**
- * Converts a collection of samples to bin counts.
+ * Converts a collection of samples to bin counts. Values beyond the last bin are counted in the overflow bin.
  * @param {number[][]} sampleArrays
- * @param {number} numberOfBins
- * @param {number} binWidth
+ * @param {HistogramBinning} binning
  * @returns {number[]}
  */
-function samplesToBinCounts( sampleArrays, numberOfBins, binWidth ) {
+function samplesToBinCounts( sampleArrays, binning ) {
   assert && assert( Array.isArray( sampleArrays ), `invalid sampleArrays: ${sampleArrays}` );
-  assert && assert( typeof numberOfBins === 'number' && numberOfBins > 0, `invalid numberOfBins: ${numberOfBins}` );
-  assert && assert( typeof binWidth === 'number' && binWidth > 0, `invalid binWidth: ${binWidth}` );
+  assert && assert( binning instanceof HistogramBinning, `invalid binning: ${binning}` );
 
   // Initialize the bins with 0 counts
-  const binCounts = [];
-  for ( let i = 0; i < numberOfBins; i++ ) {
-    binCounts[ i ] = 0;
-  }
+  const numberOfBins = binning.numberOfBinsProperty.value;
+  const binCounts = getEmptyBinCounts( numberOfBins );
 
   // Bin all of the sample data, for total binCounts
   for ( let i = sampleArrays.length - 1; i >= 0; i-- ) {
     const values = sampleArrays[ i ];
     for ( let j = values.length - 1; j >= 0; j-- ) {
-      const index = Math.floor( values[ j ] / binWidth ); // bin range is [min,max)
-      if ( index >= 0 && index < binCounts.length ) {
+      const index = binning.getBinIndex( values[ j ] ); // bin range is [min,max)
+      if ( index >= 0 ) {
         binCounts[ index ]++;
       }
     }
@@ -307,19 +466,34 @@ function samplesToBinCounts( sampleArrays, numberOfBins, binWidth ) {
 }
 
 /**
- * Sums the heavy and light bin counts to produce the bin counts for all particles.
- * @param {number[]} heavyBinCounts
- * @param {number[]} lightBinCounts
+ * Gets the bin counts for all particles from the most recent sample of each species, without averaging.
+ * @param {number[][][]} speciesSamples - samples for each species
+ * @param {HistogramBinning} binning
+ * @returns {number[]}
+ */
+function getLastSampleBinCounts( speciesSamples, binning ) {
+  assert && assert( _.every( speciesSamples, samples => samples.length > 0 ), 'there are no samples' );
+  return sumBinCounts( speciesSamples.map( samples => samplesToBinCounts( samples.slice( -1 ), binning ) ) );
+}
+
+/**
+ * Sums the bin counts for each species to produce the bin counts for all particles.
+ * @param {number[][]} speciesBinCounts - bin counts for each species
  * @returns {number[]}
  */
-function sumBinCounts( heavyBinCounts, lightBinCounts ) {
-  assert && assert( Array.isArray( heavyBinCounts ), `invalid heavyBinCounts: ${heavyBinCounts}` );
-  assert && assert( Array.isArray( lightBinCounts ), `invalid heavyBinCounts: ${lightBinCounts}` );
-  assert && assert( heavyBinCounts.length === lightBinCounts.length, 'lengths should be the same' );
+function sumBinCounts( speciesBinCounts ) {
+  assert && assert( Array.isArray( speciesBinCounts ) && speciesBinCounts.length > 0,
+    `invalid speciesBinCounts: ${speciesBinCounts}` );
+  assert && assert( _.every( speciesBinCounts, binCounts => binCounts.length === speciesBinCounts[ 0 ].length ),
+    'lengths should be the same' );
 
   const sumBinCounts = [];
-  for ( let i = heavyBinCounts.length - 1; i >= 0; i-- ) {
-    sumBinCounts[ i ] = heavyBinCounts[ i ] + lightBinCounts[ i ];
+  for ( let i = speciesBinCounts[ 0 ].length - 1; i >= 0; i-- ) {
+    let sum = 0;
+    for ( let j = speciesBinCounts.length - 1; j >= 0; j-- ) {
+      sum += speciesBinCounts[ j ][ i ];
+    }
+    sumBinCounts[ i ] = sum;
   }
   return sumBinCounts;
 }
@@ -0,0 +1,123 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * MaxwellBoltzmann computes the bin counts that are expected for the Speed and Kinetic Energy histograms when the gas
+ * is at equilibrium, and how well measured bin counts fit them.
+ *
+ * Particles in this sim move in 2 dimensions, so the distributions are the 2D Maxwell-Boltzmann distributions.
+ * Temperature is defined as if there were 3 degrees of freedom, T = (2/3)KE/k, so the distributions are for a
+ * mean kinetic energy of θ = (3/2)kT:
+ *
+ * speed:          f(v) = (mv/θ) exp(-mv²/2θ), cumulative F(v) = 1 - exp(-mv²/2θ)
+ * kinetic energy: f(E) = (1/θ) exp(-E/θ),      cumulative F(E) = 1 - exp(-E/θ)
+ *
+ * Note that the distribution of kinetic energy does not depend on mass.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
+import gasProperties from '../../gasProperties.js';
+
+// Bins whose expected count is less than this are not included in chi-squared, because the approximation that
+// chi-squared is based on is poor for small expected counts.
+const MIN_EXPECTED_COUNT = 5;
+
+const MaxwellBoltzmann = {
+
+  /**
+   * Gets the expected bin counts for the Speed histogram.
+   * @param {number} numberOfParticles
+   * @param {number} mass - mass of 1 particle, in AMU
+   * @param {number} temperature - in K
+   * @param {number} numberOfBins
+   * @param {number} binWidth - in pm/ps
+   * @returns {number[]}
+   * @public
+   */
+  getSpeedBinCounts( numberOfParticles, mass, temperature, numberOfBins, binWidth ) {
+    assert && assert( typeof mass === 'number' && mass > 0, `invalid mass: ${mass}` );
+
+    const theta = getTheta( temperature );
+    return getBinCounts( numberOfParticles, numberOfBins, binWidth,
+      speed => 1 - Math.exp( -mass * speed * speed / ( 2 * theta ) ) );
+  },
+
+  /**
+   * Gets the expected bin counts for the Kinetic Energy histogram.
+   * @param {number} numberOfParticles
+   * @param {number} temperature - in K
+   * @param {number} numberOfBins
+   * @param {number} binWidth - in AMU * pm^2 / ps^2
+   * @returns {number[]}
+   * @public
+   */
+  getKineticEnergyBinCounts( numberOfParticles, temperature, numberOfBins, binWidth ) {
+    const theta = getTheta( temperature );
+    return getBinCounts( numberOfParticles, numberOfBins, binWidth,
+      kineticEnergy => 1 - Math.exp( -kineticEnergy / theta ) );
+  },
+
+  /**
+   * Gets the reduced chi-squared of measured bin counts, χ²/(n - 1), where χ² = Σ (O - E)²/E for the n bins whose
+   * expected count E is large enough. Values near or below 1 indicate that the measured counts fit the expected
+   * counts, and larger values indicate a poor fit.
+   * @param {number[]} binCounts - measured bin counts
+   * @param {number[]} expectedBinCounts
+   * @returns {number|null} null if there are too few bins whose expected count is large enough
+   * @public
+   */
+  getReducedChiSquared( binCounts, expectedBinCounts ) {
+    assert && assert( binCounts.length === expectedBinCounts.length, 'bin counts must have the same length' );
+
+    let chiSquared = 0;
+    let numberOfBins = 0;
+    for ( let i = 0; i < binCounts.length; i++ ) {
+      const expectedBinCount = expectedBinCounts[ i ];
+      if ( expectedBinCount >= MIN_EXPECTED_COUNT ) {
+        const difference = binCounts[ i ] - expectedBinCount;
+        chiSquared += difference * difference / expectedBinCount;
+        numberOfBins++;
+      }
+    }
+    return ( numberOfBins > 1 ) ? chiSquared / ( numberOfBins - 1 ) : null;
+  }
+};
+
+/**
+ * Gets the mean kinetic energy of a particle, θ = (3/2)kT, in AMU * pm^2 / ps^2.
+ * @param {number} temperature - in K
+ * @returns {number}
+ */
+function getTheta( temperature ) {
+  assert && assert( typeof temperature === 'number' && temperature > 0, `invalid temperature: ${temperature}` );
+  return 1.5 * GasPropertiesConstants.BOLTZMANN * temperature;
+}
+
+/**
+ * Gets the expected bin counts from a cumulative distribution function. The last bin is an overflow bin, which counts
+ * all values beyond the other bins, see HistogramBinning.
+ * @param {number} numberOfParticles
+ * @param {number} numberOfBins
+ * @param {number} binWidth
+ * @param {function(number):number} cumulativeDistribution - F(x), the fraction of particles whose value is < x
+ * @returns {number[]}
+ */
+function getBinCounts( numberOfParticles, numberOfBins, binWidth, cumulativeDistribution ) {
+  assert && assert( Number.isInteger( numberOfParticles ) && numberOfParticles >= 0,
+    `invalid numberOfParticles: ${numberOfParticles}` );
+  assert && assert( Number.isInteger( numberOfBins ) && numberOfBins > 0, `invalid numberOfBins: ${numberOfBins}` );
+  assert && assert( typeof binWidth === 'number' && binWidth > 0, `invalid binWidth: ${binWidth}` );
+
+  const binCounts = [];
+  let previousFraction = 0;
+  for ( let i = 0; i < numberOfBins; i++ ) {
+    const fraction = ( i === numberOfBins - 1 ) ? 1 : cumulativeDistribution( ( i + 1 ) * binWidth );
+    binCounts.push( numberOfParticles * ( fraction - previousFraction ) );
+    previousFraction = fraction;
+  }
+  return binCounts;
+}
+
+gasProperties.register( 'MaxwellBoltzmann', MaxwellBoltzmann );
+export default MaxwellBoltzmann;
@@ -0,0 +1,226 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * MeanFreePathModel is a sub-model in the Energy screen, responsible for data that is displayed in the
+ * Mean Free Path accordion box. A free path is the distance that a particle travels between particle-particle
+ * collisions. The free paths are measured by CollisionDetector.
+ *
+ * The measured values are compared with kinetic theory for a dilute gas. Particles in this sim move in 2 dimensions,
+ * so the number density n is particles per area, and the collision cross section σ is a length, the distance between
+ * the centers of 2 particles that touch:
+ *
+ * mean free path:      λ = 1 / (√2 n σ)
+ * collision frequency: z = v̄ / λ, where v̄ is the mean speed
+ *
+ * For a mixture of species, σ is averaged over all pairs of particles, weighted by number, which is twice the mean
+ * radius. This is exact for 1 species, and an approximation for a mixture. Kinetic theory ignores the area that is
+ * occupied by particles, so the measured mean free path is shorter than theory when the gas is dense.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import NullableIO from '../../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import BaseContainer from '../../common/model/BaseContainer.js';
+import CollisionDetector from '../../common/model/CollisionDetector.js';
+import ParticleSystem from '../../common/model/ParticleSystem.js';
+import gasProperties from '../../gasProperties.js';
+
+// constants
+const PROPERTY_OPTIONS = {
+  isValidValue: value => ( value === null || ( typeof value === 'number' && value >= 0 ) ),
+  phetioType: PropertyIO( NullableIO( NumberIO ) ),
+  phetioReadOnly: true // derived from the state of the particle system
+};
+
+class MeanFreePathModel {
+
+  /**
+   * @param {ParticleSystem} particleSystem
+   * @param {BaseContainer} container
+   * @param {CollisionDetector} collisionDetector
+   * @param {BooleanProperty} isPlayingProperty
+   * @param {number} samplePeriod - data is averaged over this period, in ps
+   * @param {Object} [options]
+   */
+  constructor( particleSystem, container, collisionDetector, isPlayingProperty, samplePeriod, options ) {
+    assert && assert( particleSystem instanceof ParticleSystem, `invalid particleSystem: ${particleSystem}` );
+    assert && assert( container instanceof BaseContainer, `invalid container: ${container}` );
+    assert && assert( collisionDetector instanceof CollisionDetector,
+      `invalid collisionDetector: ${collisionDetector}` );
+    assert && assert( isPlayingProperty instanceof BooleanProperty, `invalid isPlayingProperty: ${isPlayingProperty}` );
+    assert && assert( typeof samplePeriod === 'number' && samplePeriod > 0,
+      `invalid samplePeriod: ${samplePeriod}` );
+
+    options = merge( {
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // @private
+    this.particleSystem = particleSystem;
+    this.container = container;
+    this.collisionDetector = collisionDetector;
+    this.isPlayingProperty = isPlayingProperty;
+    this.samplePeriod = samplePeriod;
+
+    // @public (read-only) {Property.<number|null>} measured mean free path, in pm, null if no free paths ended
+    this.meanFreePathProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      units: 'pm',
+      tandem: options.tandem.createTandem( 'meanFreePathProperty' ),
+      phetioDocumentation: 'mean distance that particles traveled between particle-particle collisions'
+    } ) );
+
+    // @public (read-only) {Property.<number|null>} mean free path predicted by kinetic theory, in pm,
+    // null if the container is empty
+    this.theoreticalMeanFreePathProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      units: 'pm',
+      tandem: options.tandem.createTandem( 'theoreticalMeanFreePathProperty' ),
+      phetioDocumentation: 'mean free path predicted by kinetic theory, λ = 1/(√2nσ)'
+    } ) );
+
+    // @public (read-only) {Property.<number|null>} measured number of particle-particle collisions per particle,
+    // per ps, null if the container was empty
+    this.collisionFrequencyProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      units: '1/ps',
+      tandem: options.tandem.createTandem( 'collisionFrequencyProperty' ),
+      phetioDocumentation: 'number of particle-particle collisions per particle, per ps'
+    } ) );
+
+    // @public (read-only) {Property.<number|null>} collision frequency predicted by kinetic theory, in 1/ps,
+    // null if the container is empty
+    this.theoreticalCollisionFrequencyProperty = new Property( null, merge( {}, PROPERTY_OPTIONS, {
+      units: '1/ps',
+      tandem: options.tandem.createTandem( 'theoreticalCollisionFrequencyProperty' ),
+      phetioDocumentation: 'collision frequency predicted by kinetic theory, z = v̄/λ'
+    } ) );
+
+    // @private used internally to smooth the measurements
+    this.dtAccumulator = 0; // accumulated dts while samples were taken
+    this.numberOfFreePaths = 0; // number of free paths that ended
+    this.freePathLengthSum = 0; // sum of the lengths of the free paths that ended, in pm
+    this.particleTime = 0; // sum of N * dt for the samples, in ps
+
+    // Reset sample data when the play state changes, so that we can update immediately if manually stepping.
+    isPlayingProperty.link( () => {
+      this.clearSamples();
+    } );
+
+    // If the number of particles changes while paused, there are no new measurements, but theory has changed.
+    particleSystem.numberOfParticlesProperty.link( numberOfParticles => {
+      if ( numberOfParticles === 0 || !isPlayingProperty.value ) {
+        this.updateTheory();
+      }
+    } );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.meanFreePathProperty.reset();
+    this.theoreticalMeanFreePathProperty.reset();
+    this.collisionFrequencyProperty.reset();
+    this.theoreticalCollisionFrequencyProperty.reset();
+    this.clearSamples();
+  }
+
+  /**
+   * Clears the sample data.
+   * @private
+   */
+  clearSamples() {
+    this.dtAccumulator = 0;
+    this.numberOfFreePaths = 0;
+    this.freePathLengthSum = 0;
+    this.particleTime = 0;
+  }
+
+  /**
+   * Computes the mean free path and collision frequency, smoothed over an interval.
+   * This must be called after the collision detector has been updated for the time step.
+   * @param {number} dt - time delta, in ps
+   * @public
+   */
+  step( dt ) {
+
+    // Accumulate dt
+    this.dtAccumulator += dt;
+
+    // Takes data samples
+    this.sample( dt );
+
+    // Update now if we've reached the end of the sample period, or if we're manually stepping
+    if ( this.dtAccumulator >= this.samplePeriod || !this.isPlayingProperty.value ) {
+      this.update();
+    }
+  }
+
+  /**
+   * Takes a data sample, from the most recent update of the collision detector.
+   * @param {number} dt - time delta, in ps
+   * @private
+   */
+  sample( dt ) {
+    this.numberOfFreePaths += this.collisionDetector.numberOfFreePaths;
+    this.freePathLengthSum += this.collisionDetector.freePathLengthSum;
+    this.particleTime += this.particleSystem.numberOfParticlesProperty.value * dt;
+  }
+
+  /**
+   * Updates Properties using the current sample data.
+   * @private
+   */
+  update() {
+
+    // Each particle-particle collision ends the free paths of 2 particles, and is a collision for each of them.
+    this.meanFreePathProperty.value = ( this.numberOfFreePaths === 0 ) ? null :
+                                      this.freePathLengthSum / this.numberOfFreePaths;
+    this.collisionFrequencyProperty.value = ( this.particleTime === 0 ) ? null :
+                                            this.numberOfFreePaths / this.particleTime;
+    this.updateTheory();
+
+    // Clear sample data in preparation for the next sample period.
+    this.clearSamples();
+  }
+
+  /**
+   * Updates the values that are predicted by kinetic theory, for the current state of the particle system.
+   * @private
+   */
+  updateTheory() {
+    const insideParticleArrays = this.particleSystem.insideParticleArrays;
+    let numberOfParticles = 0;
+    let radiusSum = 0;
+    let speedSum = 0;
+    for ( let i = insideParticleArrays.length - 1; i >= 0; i-- ) {
+      const particles = insideParticleArrays[ i ];
+      for ( let j = particles.length - 1; j >= 0; j-- ) {
+        radiusSum += particles[ j ].radius;
+        speedSum += particles[ j ].getSpeed();
+      }
+      numberOfParticles += particles.length;
+    }
+
+    if ( numberOfParticles === 0 ) {
+      this.theoreticalMeanFreePathProperty.value = null;
+      this.theoreticalCollisionFrequencyProperty.value = null;
+    }
+    else {
+      const numberDensity = numberOfParticles / ( this.container.width * this.container.height ); // 1/pm^2
+      const crossSection = 2 * radiusSum / numberOfParticles; // pm
+      const meanFreePath = 1 / ( Math.SQRT2 * numberDensity * crossSection );
+      this.theoreticalMeanFreePathProperty.value = meanFreePath;
+      this.theoreticalCollisionFrequencyProperty.value = ( speedSum / numberOfParticles ) / meanFreePath;
+    }
+  }
+}
+
+gasProperties.register( 'MeanFreePathModel', MeanFreePathModel );
+export default MeanFreePathModel;
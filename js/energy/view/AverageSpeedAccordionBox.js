@@ -30,16 +30,17 @@ import gasPropertiesStrings from '../../gasPropertiesStrings.js';
 class AverageSpeedAccordionBox extends AccordionBox {
 
   /**
-   * @param {Property.<number|null>} heavyAverageSpeedProperty - average speed of heavy particles, in pm/ps
-   * @param {Property.<number|null>} lightAverageSpeedProperty - average speed of light particles, in pm/ps
+   * @param {ParticleSpecies[]} species - the particle species
+   * @param {Property.<number|null>[]} averageSpeedProperties - average speed of each species, in pm/ps,
+   *   in the same order as species
    * @param {ModelViewTransform2} modelViewTransform
    * @param {Object} [options]
    */
-  constructor( heavyAverageSpeedProperty, lightAverageSpeedProperty, modelViewTransform, options ) {
-    assert && assert( heavyAverageSpeedProperty instanceof Property,
-      `invalid heavyAverageSpeedProperty: ${heavyAverageSpeedProperty}` );
-    assert && assert( lightAverageSpeedProperty instanceof Property,
-      `invalid lightAverageSpeedProperty: ${lightAverageSpeedProperty}` );
+  constructor( species, averageSpeedProperties, modelViewTransform, options ) {
+    assert && assert( Array.isArray( species ), `invalid species: ${species}` );
+    assert && assert( Array.isArray( averageSpeedProperties ) && averageSpeedProperties.length === species.length &&
+                      _.every( averageSpeedProperties, property => property instanceof Property ),
+      `invalid averageSpeedProperties: ${averageSpeedProperties}` );
     assert && assert( modelViewTransform instanceof ModelViewTransform2,
       `invalid modelViewTransform: ${modelViewTransform}` );
 
@@ -64,13 +65,14 @@ class AverageSpeedAccordionBox extends AccordionBox {
     options.titleNode.maxWidth = 0.75 * options.fixedWidth; // determined empirically
 
     // icons for the particles
-    const heavyParticleNode = GasPropertiesIconFactory.createHeavyParticleIcon( modelViewTransform );
-    const lightParticleNode = GasPropertiesIconFactory.createLightParticleIcon( modelViewTransform );
+    const particleNodes = species.map( species =>
+      GasPropertiesIconFactory.createSpeciesIcon( species.name, modelViewTransform ) );
 
     // add a horizontal strut so that icons have the same effective width
-    const maxWidth = Math.max( heavyParticleNode.width, lightParticleNode.width );
-    heavyParticleNode.addChild( new HStrut( maxWidth, { center: heavyParticleNode.center } ) );
-    lightParticleNode.addChild( new HStrut( maxWidth, { center: lightParticleNode.center } ) );
+    const maxWidth = _.max( particleNodes.map( particleNode => particleNode.width ) );
+    particleNodes.forEach( particleNode => {
+      particleNode.addChild( new HStrut( maxWidth, { center: particleNode.center } ) );
+    } );
 
     const numberDisplayRange = new Range( 0, 9999 );
     const numberDisplayOptions = {
@@ -90,18 +92,17 @@ class AverageSpeedAccordionBox extends AccordionBox {
 
     // These Properties are in pm/ps, and we want to display in m/s.  There is no need to convert the values,
     // since the conversion (1E-12) is the same for numerator and denominator.
-    const heavyNumberDisplay = new NumberDisplay( heavyAverageSpeedProperty, numberDisplayRange, numberDisplayOptions );
-    const lightNumberDisplay = new NumberDisplay( lightAverageSpeedProperty, numberDisplayRange, numberDisplayOptions );
+    const numberDisplays = averageSpeedProperties.map( averageSpeedProperty =>
+      new NumberDisplay( averageSpeedProperty, numberDisplayRange, numberDisplayOptions ) );
 
     const contentWidth = options.fixedWidth - ( 2 * options.contentXMargin );
 
     // layout icons and NumberDisplays in a grid
     const content = new FixedWidthNode( contentWidth, new VBox( {
       align: 'left',
-      children: [
-        new HBox( { children: [ heavyParticleNode, heavyNumberDisplay ] } ),
-        new HBox( { children: [ lightParticleNode, lightNumberDisplay ] } )
-      ]
+      children: particleNodes.map( ( particleNode, i ) => new HBox( {
+        children: [ particleNode, numberDisplays[ i ] ]
+      } ) )
     } ), {
       align: 'center'
     } );
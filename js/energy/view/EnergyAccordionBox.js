@@ -7,9 +7,12 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Range from '../../../../dot/js/Range.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
 import HBox from '../../../../scenery/js/nodes/HBox.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
 import AccordionBox from '../../../../sun/js/AccordionBox.js';
@@ -17,10 +20,14 @@ import Tandem from '../../../../tandem/js/Tandem.js';
 import GasPropertiesColorProfile from '../../common/GasPropertiesColorProfile.js';
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
 import FixedWidthNode from '../../common/view/FixedWidthNode.js';
+import GasPropertiesCheckbox from '../../common/view/GasPropertiesCheckbox.js';
+import GasPropertiesIconFactory from '../../common/view/GasPropertiesIconFactory.js';
+import LabeledNumberDisplay from '../../common/view/LabeledNumberDisplay.js';
 import gasProperties from '../../gasProperties.js';
-import HeavyParticlesCheckbox from './HeavyParticlesCheckbox.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import HistogramBinControls from './HistogramBinControls.js';
 import HistogramNode from './HistogramNode.js';
-import LightParticlesCheckbox from './LightParticlesCheckbox.js';
+import SpeciesHistogramCheckbox from './SpeciesHistogramCheckbox.js';
 
 class EnergyAccordionBox extends AccordionBox {
 
@@ -37,7 +44,8 @@ class EnergyAccordionBox extends AccordionBox {
 
     options = merge( {
       fixedWidth: 100,
-      contentXMargin: 0
+      contentXMargin: 0,
+      binControlsOptions: null // {Object|null} options for HistogramBinControls
     }, GasPropertiesConstants.ACCORDION_BOX_OPTIONS, {
 
       // superclass options
@@ -55,27 +63,70 @@ class EnergyAccordionBox extends AccordionBox {
     // Limit width of title, multiplier determined empirically
     options.titleNode.maxWidth = 0.75 * options.fixedWidth;
 
-    // Checkboxes
+    // Checkboxes, one for each species
     const checkboxes = new HBox( {
-      children: [
-        new HeavyParticlesCheckbox( histogramNode.heavyPlotVisibleProperty, modelViewTransform, {
-          tandem: options.tandem.createTandem( 'heavyParticlesCheckbox' )
-        } ),
-        new LightParticlesCheckbox( histogramNode.lightPlotVisibleProperty, modelViewTransform, {
-          tandem: options.tandem.createTandem( 'lightParticlesCheckbox' )
-        } )
-      ],
+      children: histogramNode.species.map( ( species, i ) =>
+        new SpeciesHistogramCheckbox( histogramNode.speciesPlotVisibleProperties[ i ], species.name,
+          modelViewTransform, {
+            tandem: options.tandem.createTandem( `${species.name}ParticlesCheckbox` )
+          } ) ),
       align: 'center',
       spacing: 25
     } );
 
     const contentWidth = options.fixedWidth - ( 2 * options.contentXMargin );
 
+    // Controls for the bins of the histogram
+    const binControls = new HistogramBinControls( histogramNode.binning, merge( {
+      tandem: options.tandem.createTandem( 'binControls' )
+    }, options.binControlsOptions ) );
+
+    const contentChildren = [ histogramNode, checkboxes ];
+
+    // Checkbox for the Maxwell-Boltzmann curve, and how well the histogram fits the curve
+    if ( histogramNode.theoreticalPlotVisibleProperty ) {
+
+      const maxwellBoltzmannCheckbox = new GasPropertiesCheckbox( histogramNode.theoreticalPlotVisibleProperty, {
+        text: gasPropertiesStrings.maxwellBoltzmann,
+        textMaxWidth: 0.6 * contentWidth, // determined empirically
+        icon: GasPropertiesIconFactory.createMaxwellBoltzmannIcon(),
+        tandem: options.tandem.createTandem( 'maxwellBoltzmannCheckbox' )
+      } );
+
+      const hBoxChildren = [ maxwellBoltzmannCheckbox ];
+
+      // The fit is not measured with the overlap collision detector, see HistogramsModel options.hasChiSquared.
+      if ( histogramNode.chiSquaredProperty ) {
+
+        const chiSquaredDisplay = new LabeledNumberDisplay(
+          new RichText( gasPropertiesStrings.chiSquared, {
+            font: GasPropertiesConstants.CONTROL_FONT,
+            fill: GasPropertiesColorProfile.textFillProperty,
+            maxWidth: 60 // determined empirically
+          } ),
+          histogramNode.chiSquaredProperty, new Range( 0, 99 ), '', new AlignGroup() );
+        hBoxChildren.push( chiSquaredDisplay );
+
+        // The fit is meaningful only when compared to the curve.
+        histogramNode.theoreticalPlotVisibleProperty.link( visible => {
+          chiSquaredDisplay.visible = visible;
+        } );
+      }
+
+      contentChildren.push( new HBox( {
+        children: hBoxChildren,
+        align: 'center',
+        spacing: 15
+      } ) );
+    }
+
+    contentChildren.push( binControls );
+
     // Checkboxes centered below histogram
     const content = new FixedWidthNode( contentWidth, new VBox( {
       align: 'center',
       spacing: 10,
-      children: [ histogramNode, checkboxes ]
+      children: contentChildren
     } ) );
 
     super( content, options );
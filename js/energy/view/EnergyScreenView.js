@@ -6,18 +6,23 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Node from '../../../../scenery/js/nodes/Node.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
+import EnergyLedgerAccordionBox from '../../common/view/EnergyLedgerAccordionBox.js';
 import IdealGasLawScreenView from '../../common/view/IdealGasLawScreenView.js';
 import ParticlesAccordionBox from '../../common/view/ParticlesAccordionBox.js';
+import TimeSeriesAccordionBox from '../../common/view/TimeSeriesAccordionBox.js';
 import gasProperties from '../../gasProperties.js';
 import EnergyModel from '../model/EnergyModel.js';
 import AverageSpeedAccordionBox from './AverageSpeedAccordionBox.js';
 import EnergyToolsPanel from './EnergyToolsPanel.js';
 import EnergyViewProperties from './EnergyViewProperties.js';
+import EquipartitionAccordionBox from './EquipartitionAccordionBox.js';
 import InjectionTemperatureAccordionBox from './InjectionTemperatureAccordionBox.js';
 import KineticEnergyAccordionBox from './KineticEnergyAccordionBox.js';
+import MeanFreePathAccordionBox from './MeanFreePathAccordionBox.js';
 import SpeedAccordionBox from './SpeedAccordionBox.js';
 
 // constants
@@ -41,8 +46,8 @@ class EnergyScreenView extends IdealGasLawScreenView {
 
     // Average Speed
     const averageSpeedAccordionBox = new AverageSpeedAccordionBox(
-      model.averageSpeedModel.heavyAverageSpeedProperty,
-      model.averageSpeedModel.lightAverageSpeedProperty,
+      model.particleSystem.species,
+      model.averageSpeedModel.averageSpeedProperties,
       model.modelViewTransform, {
         expandedProperty: viewProperties.averageSpeedExpandedProperty,
         fixedWidth: LEFT_PANEL_WIDTH,
@@ -68,7 +73,8 @@ class EnergyScreenView extends IdealGasLawScreenView {
       children: [
         averageSpeedAccordionBox,
         speedAccordionBox,
-        kineticEnergyAccordionBox
+        kineticEnergyAccordionBox,
+        this.dataExportPanel
       ],
       spacing: VBOX_SPACING,
       top: GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN,
@@ -84,10 +90,11 @@ class EnergyScreenView extends IdealGasLawScreenView {
       } );
 
     // Particles accordion box
+    const particlesListboxParent = new Node();
     const particlesAccordionBox = new ParticlesAccordionBox(
-      model.particleSystem.numberOfHeavyParticlesProperty,
-      model.particleSystem.numberOfLightParticlesProperty,
-      model.modelViewTransform, {
+      model.particleSystem.species,
+      model.modelViewTransform,
+      particlesListboxParent, {
         collisionsEnabledProperty: model.collisionDetector.particleParticleCollisionsEnabledProperty,
         expandedProperty: viewProperties.particlesExpandedProperty,
         fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
@@ -104,13 +111,41 @@ class EnergyScreenView extends IdealGasLawScreenView {
       }
     );
 
+    // Equipartition accordion box, if there is a diatomic species
+    const rightPanelsChildren = [ toolsPanel, particlesAccordionBox, injectionTemperatureAccordionBox ];
+    if ( model.equipartitionModel ) {
+      rightPanelsChildren.push( new EquipartitionAccordionBox( model.equipartitionModel, {
+        expandedProperty: viewProperties.equipartitionExpandedProperty,
+        fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+        tandem: tandem.createTandem( 'equipartitionAccordionBox' )
+      } ) );
+    }
+
+    // Mean Free Path accordion box
+    rightPanelsChildren.push( new MeanFreePathAccordionBox( model.meanFreePathModel, {
+      expandedProperty: viewProperties.meanFreePathExpandedProperty,
+      fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+      tandem: tandem.createTandem( 'meanFreePathAccordionBox' )
+    } ) );
+
+    // First Law accordion box
+    rightPanelsChildren.push( new EnergyLedgerAccordionBox( model.energyLedger, {
+      expandedProperty: viewProperties.energyLedgerExpandedProperty,
+      fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+      tandem: tandem.createTandem( 'energyLedgerAccordionBox' )
+    } ) );
+
+    // Time Series accordion box
+    rightPanelsChildren.push( new TimeSeriesAccordionBox( model.timeSeriesModel,
+      viewProperties.timeSeriesQuantityProperty, viewProperties.timeWindowProperty, {
+        expandedProperty: viewProperties.timeSeriesExpandedProperty,
+        fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+        tandem: tandem.createTandem( 'timeSeriesAccordionBox' )
+      } ) );
+
     // Panels on the right side of the screen
     const rightPanels = new VBox( {
-      children: [
-        toolsPanel,
-        particlesAccordionBox,
-        injectionTemperatureAccordionBox
-      ],
+      children: rightPanelsChildren,
       spacing: VBOX_SPACING,
       right: this.layoutBounds.right - GasPropertiesConstants.SCREEN_VIEW_X_MARGIN,
       top: this.layoutBounds.top + GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN
@@ -122,6 +157,9 @@ class EnergyScreenView extends IdealGasLawScreenView {
     this.addChild( rightPanels );
     rightPanels.moveToBack();
 
+    // On top of everything, so that the combo box lists are not occluded.
+    this.addChild( particlesListboxParent );
+
     // @private used in methods
     this.viewProperties = viewProperties;
     this.speedAccordionBox = speedAccordionBox;
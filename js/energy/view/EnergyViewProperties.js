@@ -42,6 +42,24 @@ class EnergyViewProperties extends IdealGasLawViewProperties {
       tandem: tandem.createTandem( 'injectionTemperatureExpandedProperty' ),
       phetioDocumentation: 'whether the Injection Temperature accordion box is expanded'
     } );
+
+    // @public
+    this.equipartitionExpandedProperty = new BooleanProperty( true, {
+      tandem: tandem.createTandem( 'equipartitionExpandedProperty' ),
+      phetioDocumentation: 'whether the Equipartition accordion box is expanded, if there is one'
+    } );
+
+    // @public
+    this.meanFreePathExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'meanFreePathExpandedProperty' ),
+      phetioDocumentation: 'whether the Mean Free Path accordion box is expanded'
+    } );
+
+    // @public
+    this.energyLedgerExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'energyLedgerExpandedProperty' ),
+      phetioDocumentation: 'whether the First Law accordion box is expanded'
+    } );
   }
 
   /**
@@ -54,6 +72,9 @@ class EnergyViewProperties extends IdealGasLawViewProperties {
     this.speedExpandedProperty.reset();
     this.kineticEnergyExpandedProperty.reset();
     this.injectionTemperatureExpandedProperty.reset();
+    this.equipartitionExpandedProperty.reset();
+    this.meanFreePathExpandedProperty.reset();
+    this.energyLedgerExpandedProperty.reset();
   }
 }
 
@@ -0,0 +1,95 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * EquipartitionAccordionBox displays the average translational energy per particle, the average rotational energy
+ * per diatomic particle, and the heat capacity of the gas in the container. See EquipartitionModel.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import GasPropertiesColorProfile from '../../common/GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
+import FixedWidthNode from '../../common/view/FixedWidthNode.js';
+import LabeledNumberDisplay from '../../common/view/LabeledNumberDisplay.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import EquipartitionModel from '../model/EquipartitionModel.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: new PhetFont( 14 ),
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 100
+};
+
+class EquipartitionAccordionBox extends AccordionBox {
+
+  /**
+   * @param {EquipartitionModel} equipartitionModel
+   * @param {Object} [options]
+   */
+  constructor( equipartitionModel, options ) {
+    assert && assert( equipartitionModel instanceof EquipartitionModel,
+      `invalid equipartitionModel: ${equipartitionModel}` );
+
+    options = merge( {
+      fixedWidth: 100,
+      contentXMargin: 0
+    }, GasPropertiesConstants.ACCORDION_BOX_OPTIONS, {
+
+      // superclass options
+      contentYSpacing: 0,
+      titleNode: new Text( gasPropertiesStrings.equipartition, {
+        font: GasPropertiesConstants.TITLE_FONT,
+        fill: GasPropertiesColorProfile.textFillProperty
+      } ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+
+    }, options );
+
+    // Limit width of title
+    options.titleNode.maxWidth = 0.75 * options.fixedWidth; // determined empirically
+
+    // The model's energies are in AMU * pm^2 / ps^2, and we want to display in zJ.
+    const toZeptojoules = energy => ( energy === null ) ? null :
+                                    energy * GasPropertiesConstants.ZJ_PER_AMU_PM2_PER_PS2;
+    const translationalEnergyProperty = new DerivedProperty( [ equipartitionModel.translationalEnergyProperty ],
+      toZeptojoules );
+    const rotationalEnergyProperty = new DerivedProperty( [ equipartitionModel.rotationalEnergyProperty ],
+      toZeptojoules );
+
+    const labelsAlignGroup = new AlignGroup( { matchVertical: false } );
+
+    const content = new FixedWidthNode( options.fixedWidth - ( 2 * options.contentXMargin ), new VBox( {
+      align: 'left',
+      spacing: 5,
+      children: [
+        new LabeledNumberDisplay( new Text( gasPropertiesStrings.translational, TEXT_OPTIONS ),
+          translationalEnergyProperty, new Range( 0, 99 ), gasPropertiesStrings.zeptojoules, labelsAlignGroup ),
+        new LabeledNumberDisplay( new Text( gasPropertiesStrings.rotational, TEXT_OPTIONS ),
+          rotationalEnergyProperty, new Range( 0, 99 ), gasPropertiesStrings.zeptojoules, labelsAlignGroup ),
+        new LabeledNumberDisplay( new RichText( gasPropertiesStrings.heatCapacity, TEXT_OPTIONS ),
+          equipartitionModel.heatCapacityProperty, new Range( 0, 9 ), gasPropertiesStrings.nk, labelsAlignGroup )
+      ]
+    } ), {
+      align: 'center'
+    } );
+
+    super( content, options );
+  }
+}
+
+gasProperties.register( 'EquipartitionAccordionBox', EquipartitionAccordionBox );
+export default EquipartitionAccordionBox;
@@ -0,0 +1,119 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * HistogramBinControls are the controls for the bins of a histogram: the number of bins, whether the bin width is
+ * chosen automatically, and the bin width. The bin width can be shown in different units than the model, e.g. zJ
+ * instead of AMU * pm^2 / ps^2, see options.binWidthScale.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import GasPropertiesColorProfile from '../../common/GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
+import GasPropertiesCheckbox from '../../common/view/GasPropertiesCheckbox.js';
+import GasPropertiesSpinner from '../../common/view/GasPropertiesSpinner.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import HistogramBinning from '../model/HistogramBinning.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: GasPropertiesConstants.CONTROL_FONT,
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 100 // determined empirically
+};
+
+class HistogramBinControls extends VBox {
+
+  /**
+   * @param {HistogramBinning} binning
+   * @param {Object} [options]
+   */
+  constructor( binning, options ) {
+    assert && assert( binning instanceof HistogramBinning, `invalid binning: ${binning}` );
+
+    options = merge( {
+      binWidthLabel: '', // label for the bin width spinner, with units
+      binWidthScale: 1, // multiplier for converting the model's bin width to the bin width that is shown
+      binWidthDelta: 10, // amount that the bin width spinner changes the bin width that is shown
+      binWidthDecimalPlaces: 0, // decimal places shown by the bin width spinner
+
+      // superclass options
+      align: 'left',
+      spacing: 8,
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    // Number of bins
+    const numberOfBinsSpinner = new GasPropertiesSpinner( binning.numberOfBinsProperty, {
+      deltaValue: 1,
+      decimalPlaces: 0,
+      tandem: options.tandem.createTandem( 'numberOfBinsSpinner' )
+    } );
+
+    // Auto-range
+    const autoRangeCheckbox = new GasPropertiesCheckbox( binning.autoRangeProperty, {
+      text: gasPropertiesStrings.autoRange,
+      textMaxWidth: 50, // determined empirically
+      tandem: options.tandem.createTandem( 'autoRangeCheckbox' )
+    } );
+
+    // The bin width that is shown, synchronized with the model's bin width
+    const binWidthRange = binning.binWidthProperty.range;
+    const scaledBinWidthProperty = new NumberProperty( binning.binWidthProperty.value * options.binWidthScale, {
+      range: new Range( binWidthRange.min * options.binWidthScale, binWidthRange.max * options.binWidthScale )
+    } );
+    let isSynchronizing = false;
+    binning.binWidthProperty.link( binWidth => {
+      if ( !isSynchronizing ) {
+        isSynchronizing = true;
+        scaledBinWidthProperty.value = binWidth * options.binWidthScale;
+        isSynchronizing = false;
+      }
+    } );
+    scaledBinWidthProperty.lazyLink( scaledBinWidth => {
+      if ( !isSynchronizing ) {
+        isSynchronizing = true;
+        binning.binWidthProperty.value = binWidthRange.constrainValue( scaledBinWidth / options.binWidthScale );
+        isSynchronizing = false;
+      }
+    } );
+
+    // Bin width, which is chosen automatically in auto-range mode
+    const binWidthSpinner = new GasPropertiesSpinner( scaledBinWidthProperty, {
+      deltaValue: options.binWidthDelta,
+      decimalPlaces: options.binWidthDecimalPlaces,
+      enabledProperty: new DerivedProperty( [ binning.autoRangeProperty ], autoRange => !autoRange ),
+      tandem: options.tandem.createTandem( 'binWidthSpinner' )
+    } );
+
+    assert && assert( !options.children, 'HistogramBinControls sets children' );
+    options = merge( {
+      children: [
+        new HBox( {
+          spacing: 10,
+          children: [ new Text( gasPropertiesStrings.bins, TEXT_OPTIONS ), numberOfBinsSpinner, autoRangeCheckbox ]
+        } ),
+        new HBox( {
+          spacing: 10,
+          children: [ new Text( options.binWidthLabel, TEXT_OPTIONS ), binWidthSpinner ]
+        } )
+      ]
+    }, options );
+
+    super( options );
+  }
+}
+
+gasProperties.register( 'HistogramBinControls', HistogramBinControls );
+export default HistogramBinControls;
@@ -11,6 +11,7 @@ import Emitter from '../../../../axon/js/Emitter.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
 import merge from '../../../../phet-core/js/merge.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
@@ -20,6 +21,7 @@ import ColorDef from '../../../../scenery/js/util/ColorDef.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import GasPropertiesColorProfile from '../../common/GasPropertiesColorProfile.js';
 import gasProperties from '../../gasProperties.js';
+import HistogramBinning from '../model/HistogramBinning.js';
 import BarPlotNode from './BarPlotNode.js';
 import IntervalLinesNode from './IntervalLinesNode.js';
 import LinePlotNode from './LinePlotNode.js';
@@ -30,34 +32,40 @@ const HISTOGRAM_AXIS_LABEL_OPTIONS = {
   font: new PhetFont( 14 )
 };
 
+// Options for tick labels on the x axis
+const TICK_LABEL_OPTIONS = {
+  fill: GasPropertiesColorProfile.textFillProperty,
+  font: new PhetFont( 10 ),
+  maxWidth: 40 // determined empirically
+};
+
 class HistogramNode extends Node {
 
   /**
-   * @param {number} numberOfBins
-   * @param {number} binWidth
+   * @param {HistogramBinning} binning
    * @param {Emitter} binCountsUpdatedEmitter - notifies when the bin counts have changed
    * @param {Property.<number[]>} allBinCountsProperty  - bin counts for all particles
-   * @param {Property.<number[]>} heavyBinCountsProperty - bin counts for heavy particles
-   * @param {Property.<number[]>} lightBinCountsProperty - bin counts for light particles
+   * @param {ParticleSpecies[]} species - the particle species
+   * @param {Property.<number[]>[]} speciesBinCountsProperties - bin counts for each species, in the same order as
+   *   species
    * @param {NumberProperty} yScaleProperty - scale of the y axis
    * @param {string} xAxisString - label on the x axis
    * @param {string} yAxisString - label on the y axis
    * @param {Object} [options]
    */
-  constructor( numberOfBins, binWidth, binCountsUpdatedEmitter,
-               allBinCountsProperty, heavyBinCountsProperty, lightBinCountsProperty,
+  constructor( binning, binCountsUpdatedEmitter,
+               allBinCountsProperty, species, speciesBinCountsProperties,
                yScaleProperty, xAxisString, yAxisString,
                options ) {
-    assert && assert( typeof numberOfBins === 'number' && numberOfBins > 0, `invalid numberOfBins: ${numberOfBins}` );
-    assert && assert( typeof binWidth === 'number' && binWidth > 0, `invalid binWidth: ${binWidth}` );
+    assert && assert( binning instanceof HistogramBinning, `invalid binning: ${binning}` );
     assert && assert( binCountsUpdatedEmitter instanceof Emitter,
       `invalid binCountsUpdatedEmitter: ${binCountsUpdatedEmitter}` );
     assert && assert( allBinCountsProperty instanceof Property,
       `invalid allBinCountsProperty: ${allBinCountsProperty}` );
-    assert && assert( heavyBinCountsProperty instanceof Property,
-      `invalid heavyBinCountsProperty: ${heavyBinCountsProperty}` );
-    assert && assert( lightBinCountsProperty instanceof Property,
-      `invalid lightBinCountsProperty: ${lightBinCountsProperty}` );
+    assert && assert( Array.isArray( species ), `invalid species: ${species}` );
+    assert && assert( Array.isArray( speciesBinCountsProperties ) &&
+                      speciesBinCountsProperties.length === species.length,
+      `invalid speciesBinCountsProperties: ${speciesBinCountsProperties}` );
     assert && assert( yScaleProperty instanceof NumberProperty,
       `invalid yScaleProperty: ${yScaleProperty}` );
     assert && assert( typeof xAxisString === 'string', `invalid xAxisString: ${xAxisString}` );
@@ -70,6 +78,17 @@ class HistogramNode extends Node {
       borderLineWidth: 1,
       plotLineWidth: 2, // lineWidth for line segment plots
       barColor: 'white', // {ColorDef}
+      tickLabelScale: 1, // multiplier for converting bin edges to the values shown by the tick labels
+      tickLabelDecimalPlaces: 0, // decimal places shown by the tick labels
+
+      // {function():number[]|null} gets the Maxwell-Boltzmann bin counts for all particles,
+      // null if the histogram has no Maxwell-Boltzmann curve
+      getTheoreticalBinCounts: null,
+
+      // {Property.<number|null>|null} reduced chi-squared of the bin counts for all particles, compared to the
+      // Maxwell-Boltzmann bin counts. null if the histogram has no Maxwell-Boltzmann curve, or if the fit is not
+      // measured, see HistogramsModel options.hasChiSquared.
+      chiSquaredProperty: null,
 
       // phet-io
       tandem: Tandem.REQUIRED
@@ -78,6 +97,10 @@ class HistogramNode extends Node {
 
     assert && assert( options.barColor !== null && ColorDef.isColorDef( options.barColor ),
       `invalid barColor: ${options.barColor}` );
+    assert && assert( options.getTheoreticalBinCounts === null || typeof options.getTheoreticalBinCounts === 'function',
+      `invalid getTheoreticalBinCounts: ${options.getTheoreticalBinCounts}` );
+    assert && assert( options.chiSquaredProperty === null || options.chiSquaredProperty instanceof Property,
+      `invalid chiSquaredProperty: ${options.chiSquaredProperty}` );
 
     // Background appears behind plotted data
     const background = new Rectangle( 0, 0, options.chartSize.width, options.chartSize.height, {
@@ -90,28 +113,48 @@ class HistogramNode extends Node {
       lineWidth: options.borderLineWidth
     } );
 
+    // Background of the overflow bin, which counts all values beyond the other bins
+    const overflowBinNode = new Rectangle( 0, 0, 1, options.chartSize.height, {
+      fill: GasPropertiesColorProfile.histogramOverflowBinFillProperty
+    } );
+
     // The main plot, for all particles
     const allPlotNode = new BarPlotNode( options.chartSize, yScaleProperty, options.barColor );
 
     // Species-specific plots
-    const heavyPlotNode = new LinePlotNode( options.chartSize, yScaleProperty,
-      GasPropertiesColorProfile.heavyParticleColorProperty, options.plotLineWidth );
-    const lightPlotNode = new LinePlotNode( options.chartSize, yScaleProperty,
-      GasPropertiesColorProfile.lightParticleColorProperty, options.plotLineWidth );
+    const speciesPlotNodes = species.map( species => new LinePlotNode( options.chartSize, yScaleProperty,
+      species.colorProperty, options.plotLineWidth ) );
+
+    // Maxwell-Boltzmann curve for all particles, a dashed line so that it's distinguishable from the species plots
+    const theoreticalPlotNode = options.getTheoreticalBinCounts ?
+                                new LinePlotNode( options.chartSize, yScaleProperty,
+                                  GasPropertiesColorProfile.maxwellBoltzmannCurveColorProperty, options.plotLineWidth, {
+                                    lineDash: [ 4, 3 ]
+                                  } ) :
+                                null;
 
     // parent Node for all plotted data
     const plotNodesParent = new Node( {
-      children: [ allPlotNode, heavyPlotNode, lightPlotNode ]
+      children: theoreticalPlotNode ?
+                [ allPlotNode, ...speciesPlotNodes, theoreticalPlotNode ] :
+                [ allPlotNode, ...speciesPlotNodes ]
     } );
 
     // Horizontal lines that indicate y-axis scale.
     const intervalLines = new IntervalLinesNode( options.chartSize );
 
+    // Tick labels on the x axis, at the left edges of the first bin, a middle bin, and the overflow bin
+    const tickLabelNodes = [ new Text( '', TICK_LABEL_OPTIONS ), new Text( '', TICK_LABEL_OPTIONS ),
+      new Text( '', TICK_LABEL_OPTIONS ) ];
+    const tickLabelsParent = new Node( {
+      children: tickLabelNodes
+    } );
+
     // x-axis label
     const xAxisLabelNode = new Text( xAxisString, merge( {}, HISTOGRAM_AXIS_LABEL_OPTIONS, {
       maxWidth: 0.9 * background.width,
       centerX: background.centerX,
-      top: background.bottom + 5
+      top: background.bottom + 18
     } ) );
 
     // y-axis label
@@ -124,37 +167,70 @@ class HistogramNode extends Node {
 
     assert && assert( !options.children, 'HistogramNode sets children' );
     options = merge( {
-      children: [ background, intervalLines, plotNodesParent, border, xAxisLabelNode, yAxisLabelNode ]
+      children: [ background, overflowBinNode, intervalLines, plotNodesParent, border, tickLabelsParent,
+        xAxisLabelNode, yAxisLabelNode ]
     }, options );
 
     super( options );
 
-    // @public visibility of species-specific plots
-    this.heavyPlotVisibleProperty = new BooleanProperty( false, {
-      tandem: options.tandem.createTandem( 'heavyPlotVisibleProperty' ),
-      phetioDocumentation: 'whether the plot for heavy particles is visible on the histogram'
-    } );
-    this.lightPlotVisibleProperty = new BooleanProperty( false, {
-      tandem: options.tandem.createTandem( 'lightPlotVisibleProperty' ),
-      phetioDocumentation: 'whether the plot for light particles is visible on the histogram'
-    } );
+    // @public (read-only)
+    this.binning = binning;
+
+    // @public (read-only) {ParticleSpecies[]}
+    this.species = species;
+
+    // @public {BooleanProperty[]} visibility of species-specific plots, in the same order as species
+    this.speciesPlotVisibleProperties = species.map( species => new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( `${species.name}PlotVisibleProperty` ),
+      phetioDocumentation: `whether the plot for ${species.name} particles is visible on the histogram`
+    } ) );
+
+    // @public {BooleanProperty|null} visibility of the Maxwell-Boltzmann curve, null if there is no curve
+    this.theoreticalPlotVisibleProperty = theoreticalPlotNode ? new BooleanProperty( false, {
+      tandem: options.tandem.createTandem( 'theoreticalPlotVisibleProperty' ),
+      phetioDocumentation: 'whether the Maxwell-Boltzmann curve is visible on the histogram'
+    } ) : null;
+
+    // @public (read-only) {Property.<number|null>|null} see options.chiSquaredProperty
+    this.chiSquaredProperty = options.chiSquaredProperty;
 
     // Update plots to display the current bin counts. Update species-specific plots only if they are visible.
     const updatePlots = () => {
 
       allPlotNode.plot( allBinCountsProperty.value );
 
-      if ( this.heavyPlotVisibleProperty.value ) {
-        heavyPlotNode.plot( heavyBinCountsProperty.value );
+      for ( let i = 0; i < speciesPlotNodes.length; i++ ) {
+        if ( this.speciesPlotVisibleProperties[ i ].value ) {
+          speciesPlotNodes[ i ].plot( speciesBinCountsProperties[ i ].value );
+        }
       }
 
-      if ( this.lightPlotVisibleProperty.value ) {
-        lightPlotNode.plot( lightBinCountsProperty.value );
+      if ( theoreticalPlotNode && this.theoreticalPlotVisibleProperty.value ) {
+        theoreticalPlotNode.plot( options.getTheoreticalBinCounts() );
       }
     };
 
+    // Update the overflow bin and tick labels to match the bins. The histogram is a fixed width, so the bars get
+    // narrower as the number of bins increases.
+    const updateBins = () => {
+      const numberOfBins = binning.numberOfBinsProperty.value;
+      const binWidth = binning.binWidthProperty.value;
+      const barWidth = options.chartSize.width / numberOfBins;
+      overflowBinNode.setRect( ( numberOfBins - 1 ) * barWidth, 0, barWidth, options.chartSize.height );
+      const tickBinIndices = [ 0, Math.floor( ( numberOfBins - 1 ) / 2 ), numberOfBins - 1 ];
+      tickLabelNodes.forEach( ( tickLabelNode, i ) => {
+        tickLabelNode.text = Utils.toFixed( tickBinIndices[ i ] * binWidth * options.tickLabelScale,
+          options.tickLabelDecimalPlaces );
+        tickLabelNode.centerX = tickBinIndices[ i ] * barWidth;
+        tickLabelNode.top = background.bottom + 2;
+      } );
+      tickLabelNodes[ tickLabelNodes.length - 1 ].text += '+';
+    };
+    updateBins();
+
     // Update everything
     const update = () => {
+      updateBins();
       updatePlots();
       intervalLines.update( yScaleProperty.value );
     };
@@ -176,19 +252,21 @@ class HistogramNode extends Node {
       }
     } );
 
-    // Visibility of heavy plot, update immediately when it's made visible
-    this.heavyPlotVisibleProperty.link( visible => {
-      heavyPlotNode.visible = visible;
-      if ( visible ) {
-        heavyPlotNode.plot( heavyBinCountsProperty.value );
-      }
+    // Visibility of species-specific plots, update immediately when a plot is made visible
+    this.speciesPlotVisibleProperties.forEach( ( plotVisibleProperty, i ) => {
+      plotVisibleProperty.link( visible => {
+        speciesPlotNodes[ i ].visible = visible;
+        if ( visible ) {
+          speciesPlotNodes[ i ].plot( speciesBinCountsProperties[ i ].value );
+        }
+      } );
     } );
 
-    // Visibility of light plot, update immediately when it's made visible
-    this.lightPlotVisibleProperty.link( visible => {
-      lightPlotNode.visible = visible;
+    // Visibility of the Maxwell-Boltzmann curve, update immediately when it is made visible
+    theoreticalPlotNode && this.theoreticalPlotVisibleProperty.link( visible => {
+      theoreticalPlotNode.visible = visible;
       if ( visible ) {
-        lightPlotNode.plot( lightBinCountsProperty.value );
+        theoreticalPlotNode.plot( options.getTheoreticalBinCounts() );
       }
     } );
   }
@@ -198,8 +276,8 @@ class HistogramNode extends Node {
    * @public
    */
   reset() {
-    this.heavyPlotVisibleProperty.reset();
-    this.lightPlotVisibleProperty.reset();
+    this.speciesPlotVisibleProperties.forEach( plotVisibleProperty => plotVisibleProperty.reset() );
+    this.theoreticalPlotVisibleProperty && this.theoreticalPlotVisibleProperty.reset();
   }
 }
 
@@ -9,6 +9,7 @@
 import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
+import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
 import gasProperties from '../../gasProperties.js';
 import gasPropertiesStrings from '../../gasPropertiesStrings.js';
 import HistogramsModel from '../model/HistogramsModel.js';
@@ -27,6 +28,12 @@ class KineticEnergyAccordionBox extends EnergyAccordionBox {
     assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
 
     options = merge( {
+      binControlsOptions: {
+        binWidthLabel: gasPropertiesStrings.binWidthZeptojoules,
+        binWidthScale: GasPropertiesConstants.ZJ_PER_AMU_PM2_PER_PS2, // bin width is shown in zJ
+        binWidthDelta: 0.1, // zJ
+        binWidthDecimalPlaces: 2
+      },
 
       // phet-io
       tandem: Tandem.REQUIRED
@@ -8,6 +8,7 @@
 
 import merge from '../../../../phet-core/js/merge.js';
 import GasPropertiesColorProfile from '../../common/GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
 import gasProperties from '../../gasProperties.js';
 import gasPropertiesStrings from '../../gasPropertiesStrings.js';
 import HistogramsModel from '../model/HistogramsModel.js';
@@ -25,18 +26,21 @@ class KineticEnergyHistogramNode extends HistogramNode {
     options = merge( {
 
       // superclass options
-      barColor: GasPropertiesColorProfile.kineticEnergyHistogramBarColorProperty
+      barColor: GasPropertiesColorProfile.kineticEnergyHistogramBarColorProperty,
+      tickLabelScale: GasPropertiesConstants.ZJ_PER_AMU_PM2_PER_PS2, // tick labels are in zJ
+      tickLabelDecimalPlaces: 1,
+      getTheoreticalBinCounts: () => histogramsModel.allTheoreticalKineticEnergyBinCounts,
+      chiSquaredProperty: histogramsModel.kineticEnergyChiSquaredProperty
     }, options );
 
     super(
-      histogramsModel.numberOfBins,
-      histogramsModel.kineticEnergyBinWidth,
+      histogramsModel.kineticEnergyBinning,
       histogramsModel.binCountsUpdatedEmitter,
       histogramsModel.allKineticEnergyBinCountsProperty,
-      histogramsModel.heavyKineticEnergyBinCountsProperty,
-      histogramsModel.lightKineticEnergyBinCountsProperty,
+      histogramsModel.species,
+      histogramsModel.speciesKineticEnergyBinCountsProperties,
       histogramsModel.yScaleProperty,
-      gasPropertiesStrings.kineticEnergy, // x-axis label
+      gasPropertiesStrings.kineticEnergyZeptojoules, // x-axis label
       gasPropertiesStrings.numberOfParticles, // y-axis label
       options
     );
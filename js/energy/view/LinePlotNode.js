@@ -11,6 +11,7 @@ import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Dimension2 from '../../../../dot/js/Dimension2.js';
 import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
 import ColorDef from '../../../../scenery/js/util/ColorDef.js';
 import gasProperties from '../../gasProperties.js';
@@ -22,17 +23,23 @@ class LinePlotNode extends Path {
    * @param {NumberProperty} yScaleProperty - scale of the y axis
    * @param {ColorDef} color - color of the line segments
    * @param {number} lineWidth - width of the line segments
+   * @param {Object} [options]
    */
-  constructor( chartSize, yScaleProperty, color, lineWidth ) {
+  constructor( chartSize, yScaleProperty, color, lineWidth, options ) {
     assert && assert( chartSize instanceof Dimension2, `invalid chartSize: ${chartSize}` );
     assert && assert( yScaleProperty instanceof NumberProperty, `invalid yScaleProperty: ${yScaleProperty}` );
     assert && assert( color !== null && ColorDef.isColorDef( color ), `invalid color: ${color}` );
     assert && assert( typeof lineWidth === 'number' && lineWidth > 0, `invalid lineWidth: ${lineWidth}` );
 
+    options = merge( {
+      lineDash: [] // {number[]} dash pattern of the line segments, [] is a solid line
+    }, options );
+
     super( new Shape(), {
       fill: null, // because we're drawing lines
       stroke: color,
-      lineWidth: lineWidth
+      lineWidth: lineWidth,
+      lineDash: options.lineDash
     } );
 
     // @private
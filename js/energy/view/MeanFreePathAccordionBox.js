@@ -0,0 +1,103 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * MeanFreePathAccordionBox displays the measured mean free path and collision frequency of the particles in the
+ * container, and the values that are predicted by kinetic theory. See MeanFreePathModel.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import AlignGroup from '../../../../scenery/js/nodes/AlignGroup.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import GasPropertiesColorProfile from '../../common/GasPropertiesColorProfile.js';
+import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
+import FixedWidthNode from '../../common/view/FixedWidthNode.js';
+import LabeledNumberDisplay from '../../common/view/LabeledNumberDisplay.js';
+import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
+import MeanFreePathModel from '../model/MeanFreePathModel.js';
+
+// constants
+const TEXT_OPTIONS = {
+  font: new PhetFont( 14 ),
+  fill: GasPropertiesColorProfile.textFillProperty,
+  maxWidth: 100
+};
+const MEAN_FREE_PATH_RANGE = new Range( 0, 999 ); // nm
+const COLLISION_FREQUENCY_RANGE = new Range( 0, 99 ); // 1/ps
+
+class MeanFreePathAccordionBox extends AccordionBox {
+
+  /**
+   * @param {MeanFreePathModel} meanFreePathModel
+   * @param {Object} [options]
+   */
+  constructor( meanFreePathModel, options ) {
+    assert && assert( meanFreePathModel instanceof MeanFreePathModel,
+      `invalid meanFreePathModel: ${meanFreePathModel}` );
+
+    options = merge( {
+      fixedWidth: 100,
+      contentXMargin: 0
+    }, GasPropertiesConstants.ACCORDION_BOX_OPTIONS, {
+
+      // superclass options
+      contentYSpacing: 0,
+      titleNode: new Text( gasPropertiesStrings.meanFreePath, {
+        font: GasPropertiesConstants.TITLE_FONT,
+        fill: GasPropertiesColorProfile.textFillProperty
+      } ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+
+    }, options );
+
+    // Limit width of title
+    options.titleNode.maxWidth = 0.75 * options.fixedWidth; // determined empirically
+
+    // The model's mean free paths are in pm, and we want to display in nm.
+    const toNanometers = length => ( length === null ) ? null : length / 1000;
+    const meanFreePathProperty = new DerivedProperty( [ meanFreePathModel.meanFreePathProperty ], toNanometers );
+    const theoreticalMeanFreePathProperty = new DerivedProperty(
+      [ meanFreePathModel.theoreticalMeanFreePathProperty ], toNanometers );
+
+    const labelsAlignGroup = new AlignGroup( { matchVertical: false } );
+
+    const content = new FixedWidthNode( options.fixedWidth - ( 2 * options.contentXMargin ), new VBox( {
+      align: 'left',
+      spacing: 5,
+      children: [
+        new LabeledNumberDisplay( new RichText( gasPropertiesStrings.meanFreePathMeasured, TEXT_OPTIONS ),
+          meanFreePathProperty, MEAN_FREE_PATH_RANGE, gasPropertiesStrings.nanometers, labelsAlignGroup, {
+            decimalPlaces: 1
+          } ),
+        new LabeledNumberDisplay( new RichText( gasPropertiesStrings.meanFreePathTheory, TEXT_OPTIONS ),
+          theoreticalMeanFreePathProperty, MEAN_FREE_PATH_RANGE, gasPropertiesStrings.nanometers, labelsAlignGroup, {
+            decimalPlaces: 1
+          } ),
+        new LabeledNumberDisplay( new RichText( gasPropertiesStrings.collisionFrequencyMeasured, TEXT_OPTIONS ),
+          meanFreePathModel.collisionFrequencyProperty, COLLISION_FREQUENCY_RANGE, gasPropertiesStrings.perPicosecond,
+          labelsAlignGroup ),
+        new LabeledNumberDisplay( new RichText( gasPropertiesStrings.collisionFrequencyTheory, TEXT_OPTIONS ),
+          meanFreePathModel.theoreticalCollisionFrequencyProperty, COLLISION_FREQUENCY_RANGE,
+          gasPropertiesStrings.perPicosecond, labelsAlignGroup )
+      ]
+    } ), {
+      align: 'center'
+    } );
+
+    super( content, options );
+  }
+}
+
+gasProperties.register( 'MeanFreePathAccordionBox', MeanFreePathAccordionBox );
+export default MeanFreePathAccordionBox;
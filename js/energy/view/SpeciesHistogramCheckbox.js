@@ -1,7 +1,8 @@
 // Copyright 2019-2020, University of Colorado Boulder
 
 /**
- * SpeciesHistogramCheckbox is the base class for checkboxes that show histogram data for a specific particle species.
+ * SpeciesHistogramCheckbox is a checkbox that shows histogram data for a specific particle species in the
+ * 'Energy' screen.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -10,7 +11,6 @@ import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
-import Particle from '../../common/model/Particle.js';
 import GasPropertiesCheckbox from '../../common/view/GasPropertiesCheckbox.js';
 import GasPropertiesIconFactory from '../../common/view/GasPropertiesIconFactory.js';
 import gasProperties from '../../gasProperties.js';
@@ -19,14 +19,14 @@ class SpeciesHistogramCheckbox extends GasPropertiesCheckbox {
 
   /**
    * @param {BooleanProperty} speciesVisibleProperty
-   * @param {Particle} particle
+   * @param {string} speciesName - see SpeciesDescriptors
    * @param {ModelViewTransform2} modelViewTransform
    * @param {Object} [options]
    */
-  constructor( speciesVisibleProperty, particle, modelViewTransform, options ) {
+  constructor( speciesVisibleProperty, speciesName, modelViewTransform, options ) {
     assert && assert( speciesVisibleProperty instanceof BooleanProperty,
       `invalid speciesVisibleProperty: ${speciesVisibleProperty}` );
-    assert && assert( particle instanceof Particle, `invalid particle: ${particle}` );
+    assert && assert( typeof speciesName === 'string', `invalid speciesName: ${speciesName}` );
     assert && assert( modelViewTransform instanceof ModelViewTransform2,
       `invalid modelViewTransform: ${modelViewTransform}` );
 
@@ -39,7 +39,7 @@ class SpeciesHistogramCheckbox extends GasPropertiesCheckbox {
     }, options );
 
     assert && assert( !options.icon, 'SpeciesHistogramCheckbox sets icon' );
-    options.icon = GasPropertiesIconFactory.createSpeciesHistogramIcon( particle, modelViewTransform );
+    options.icon = GasPropertiesIconFactory.createSpeciesHistogramIcon( speciesName, modelViewTransform );
 
     super( speciesVisibleProperty, options );
   }
@@ -27,6 +27,11 @@ class SpeedAccordionBox extends EnergyAccordionBox {
     assert && assert( modelViewTransform instanceof ModelViewTransform2, `invalid modelViewTransform: ${modelViewTransform}` );
 
     options = merge( {
+      binControlsOptions: {
+        binWidthLabel: gasPropertiesStrings.binWidthMetersPerSecond,
+        binWidthDelta: 10, // m/s
+        binWidthDecimalPlaces: 0
+      },
 
       // phet-io
       tandem: Tandem.REQUIRED
@@ -25,18 +25,19 @@ class SpeedHistogramNode extends HistogramNode {
     options = merge( {
 
       // superclass options
-      barColor: GasPropertiesColorProfile.speedHistogramBarColorProperty
+      barColor: GasPropertiesColorProfile.speedHistogramBarColorProperty,
+      getTheoreticalBinCounts: () => histogramsModel.allTheoreticalSpeedBinCounts,
+      chiSquaredProperty: histogramsModel.speedChiSquaredProperty
     }, options );
 
     super(
-      histogramsModel.numberOfBins,
-      histogramsModel.speedBinWidth,
+      histogramsModel.speedBinning,
       histogramsModel.binCountsUpdatedEmitter,
       histogramsModel.allSpeedBinCountsProperty,
-      histogramsModel.heavySpeedBinCountsProperty,
-      histogramsModel.lightSpeedBinCountsProperty,
+      histogramsModel.species,
+      histogramsModel.speciesSpeedBinCountsProperties,
       histogramsModel.yScaleProperty,
-      gasPropertiesStrings.speed, // x-axis label
+      gasPropertiesStrings.speedMetersPerSecond, // x-axis label
       gasPropertiesStrings.numberOfParticles, // y-axis label
       options
     );
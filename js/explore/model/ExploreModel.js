@@ -21,7 +21,10 @@ class ExploreModel extends IdealGasLawModel {
 
     super( tandem, {
       holdConstant: HoldConstant.NOTHING,
-      leftWallDoesWork: true // moving the left wall does work on particles
+      leftWallDoesWork: true, // moving the left wall does work on particles
+      hasProcessDriver: true,
+      hasPVDiagram: true,
+      hasAperture: true
     } );
 
     // In case clients attempt to use this feature of the base class
@@ -9,8 +9,14 @@
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
+import AttractionsAccordionBox from '../../common/view/AttractionsAccordionBox.js';
+import EffusionAccordionBox from '../../common/view/EffusionAccordionBox.js';
+import EnergyLedgerAccordionBox from '../../common/view/EnergyLedgerAccordionBox.js';
 import IdealGasLawScreenView from '../../common/view/IdealGasLawScreenView.js';
 import ParticlesAccordionBox from '../../common/view/ParticlesAccordionBox.js';
+import ProcessAccordionBox from '../../common/view/ProcessAccordionBox.js';
+import PVDiagramAccordionBox from '../../common/view/PVDiagramAccordionBox.js';
+import TimeSeriesAccordionBox from '../../common/view/TimeSeriesAccordionBox.js';
 import gasProperties from '../../gasProperties.js';
 import ExploreModel from '../model/ExploreModel.js';
 import ExploreToolsPanel from './ExploreToolsPanel.js';
@@ -29,13 +35,16 @@ class ExploreScreenView extends IdealGasLawScreenView {
     // view-specific Properties
     const viewProperties = new ExploreViewProperties( tandem.createTandem( 'viewProperties' ) );
 
-    super( model, viewProperties.particleTypeProperty, viewProperties.widthVisibleProperty, tandem );
+    super( model, viewProperties.particleTypeProperty, viewProperties.widthVisibleProperty, tandem, {
+      densityProfileVisibleProperty: viewProperties.densityProfileVisibleProperty
+    } );
 
     // Panel at upper right
     const toolsPanel = new ExploreToolsPanel(
       viewProperties.widthVisibleProperty,
       model.stopwatch.isVisibleProperty,
       model.collisionCounter.visibleProperty, {
+        densityProfileVisibleProperty: viewProperties.densityProfileVisibleProperty,
         fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
         right: this.layoutBounds.right - GasPropertiesConstants.SCREEN_VIEW_X_MARGIN,
         top: this.layoutBounds.top + GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN,
@@ -43,10 +52,11 @@ class ExploreScreenView extends IdealGasLawScreenView {
       } );
 
     // Particles accordion box
+    const particlesListboxParent = new Node();
     const particlesAccordionBox = new ParticlesAccordionBox(
-      model.particleSystem.numberOfHeavyParticlesProperty,
-      model.particleSystem.numberOfLightParticlesProperty,
-      model.modelViewTransform, {
+      model.particleSystem.species,
+      model.modelViewTransform,
+      particlesListboxParent, {
         fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
         expandedProperty: viewProperties.particlesExpandedProperty,
         right: toolsPanel.right,
@@ -54,13 +64,117 @@ class ExploreScreenView extends IdealGasLawScreenView {
         tandem: tandem.createTandem( 'particlesAccordionBox' )
       } );
 
+    // Attractions accordion box
+    const attractionsAccordionBox = new AttractionsAccordionBox(
+      model.particleSystem.attractionsEnabledProperty,
+      model.particleSystem.species,
+      model.pressureModel.compressibilityFactorProperty,
+      model.modelViewTransform, {
+        fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+        expandedProperty: viewProperties.attractionsExpandedProperty,
+        right: toolsPanel.right,
+        tandem: tandem.createTandem( 'attractionsAccordionBox' )
+      } );
+
+    // First Law accordion box
+    const energyLedgerAccordionBox = new EnergyLedgerAccordionBox( model.energyLedger, {
+      fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+      expandedProperty: viewProperties.energyLedgerExpandedProperty,
+      right: toolsPanel.right,
+      tandem: tandem.createTandem( 'energyLedgerAccordionBox' )
+    } );
+
+    // Process accordion box
+    const processAccordionBox = new ProcessAccordionBox( model.processDriver, model.container.widthRange,
+      model.isPlayingProperty, {
+        fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+        expandedProperty: viewProperties.processExpandedProperty,
+        right: toolsPanel.right,
+        tandem: tandem.createTandem( 'processAccordionBox' )
+      } );
+
+    // PV Diagram accordion box
+    const pvDiagramAccordionBox = new PVDiagramAccordionBox( model.pvDiagram,
+      model.particleSystem.numberOfParticlesProperty, {
+        fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+        expandedProperty: viewProperties.pvDiagramExpandedProperty,
+        right: toolsPanel.right,
+        tandem: tandem.createTandem( 'pvDiagramAccordionBox' )
+      } );
+
+    // Time Series accordion box
+    const timeSeriesAccordionBox = new TimeSeriesAccordionBox( model.timeSeriesModel,
+      viewProperties.timeSeriesQuantityProperty, viewProperties.timeWindowProperty, {
+        fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+        expandedProperty: viewProperties.timeSeriesExpandedProperty,
+        right: toolsPanel.right,
+        tandem: tandem.createTandem( 'timeSeriesAccordionBox' )
+      } );
+
+    // Effusion accordion box
+    const effusionListboxParent = new Node();
+    const effusionAccordionBox = new EffusionAccordionBox( model.effusionModel, model.particleSystem.species,
+      model.modelViewTransform, effusionListboxParent, {
+        fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+        expandedProperty: viewProperties.effusionExpandedProperty,
+        right: toolsPanel.right,
+        tandem: tandem.createTandem( 'effusionAccordionBox' )
+      } );
+
+    // Data export panel, in the lower-left corner of the screen
+    this.dataExportPanel.mutate( {
+      left: this.layoutBounds.left + GasPropertiesConstants.SCREEN_VIEW_X_MARGIN,
+      bottom: this.layoutBounds.bottom - GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN
+    } );
+
+    // Keep the Attractions accordion box below the Particles accordion box, which changes height when expanded.
+    particlesAccordionBox.boundsProperty.link( bounds => {
+      attractionsAccordionBox.top = bounds.bottom + 15;
+    } );
+
+    // Keep the First Law accordion box below the Attractions accordion box, which changes height when expanded.
+    attractionsAccordionBox.boundsProperty.link( bounds => {
+      energyLedgerAccordionBox.top = bounds.bottom + 15;
+    } );
+
+    // Keep the Process accordion box below the First Law accordion box, which changes height when expanded.
+    energyLedgerAccordionBox.boundsProperty.link( bounds => {
+      processAccordionBox.top = bounds.bottom + 15;
+    } );
+
+    // Keep the PV Diagram accordion box below the Process accordion box, which changes height when expanded.
+    processAccordionBox.boundsProperty.link( bounds => {
+      pvDiagramAccordionBox.top = bounds.bottom + 15;
+    } );
+
+    // Keep the Time Series accordion box below the PV Diagram accordion box, which changes height when expanded.
+    pvDiagramAccordionBox.boundsProperty.link( bounds => {
+      timeSeriesAccordionBox.top = bounds.bottom + 15;
+    } );
+
+    // Keep the Effusion accordion box below the Time Series accordion box, which changes height when expanded.
+    timeSeriesAccordionBox.boundsProperty.link( bounds => {
+      effusionAccordionBox.top = bounds.bottom + 15;
+    } );
+
     // Rendering order. Everything we add should be behind what is created by super.
     const parent = new Node();
     parent.addChild( toolsPanel );
     parent.addChild( particlesAccordionBox );
+    parent.addChild( attractionsAccordionBox );
+    parent.addChild( energyLedgerAccordionBox );
+    parent.addChild( processAccordionBox );
+    parent.addChild( pvDiagramAccordionBox );
+    parent.addChild( timeSeriesAccordionBox );
+    parent.addChild( effusionAccordionBox );
+    parent.addChild( this.dataExportPanel );
     this.addChild( parent );
     parent.moveToBack();
 
+    // On top of everything, so that the combo box lists are not occluded.
+    this.addChild( particlesListboxParent );
+    this.addChild( effusionListboxParent );
+
     // @private used in methods
     this.viewProperties = viewProperties;
   }
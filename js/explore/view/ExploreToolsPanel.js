@@ -14,9 +14,11 @@ import Tandem from '../../../../tandem/js/Tandem.js';
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
 import CollisionCounterCheckbox from '../../common/view/CollisionCounterCheckbox.js';
 import FixedWidthNode from '../../common/view/FixedWidthNode.js';
+import GasPropertiesCheckbox from '../../common/view/GasPropertiesCheckbox.js';
 import StopwatchCheckbox from '../../common/view/StopwatchCheckbox.js';
 import WidthCheckbox from '../../common/view/WidthCheckbox.js';
 import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
 
 class ExploreToolsPanel extends Panel {
 
@@ -35,6 +37,7 @@ class ExploreToolsPanel extends Panel {
       `invalid collisionCounterVisibleProperty: ${collisionCounterVisibleProperty}` );
 
     options = merge( {
+      densityProfileVisibleProperty: null, // {BooleanProperty|null} null if there is no Density Profile checkbox
       fixedWidth: 100,
       xMargin: 0,
 
@@ -48,20 +51,30 @@ class ExploreToolsPanel extends Panel {
       textMaxWidth: 110 // determined empirically
     };
 
+    const children = [
+      new WidthCheckbox( widthVisibleProperty, merge( {}, checkboxOptions, {
+        tandem: options.tandem.createTandem( 'widthCheckbox' )
+      } ) ),
+      new StopwatchCheckbox( stopwatchVisibleProperty, merge( {}, checkboxOptions, {
+        tandem: options.tandem.createTandem( 'stopwatchCheckbox' )
+      } ) ),
+      new CollisionCounterCheckbox( collisionCounterVisibleProperty, merge( {}, checkboxOptions, {
+        tandem: options.tandem.createTandem( 'collisionCounterCheckbox' )
+      } ) )
+    ];
+
+    // Optional Density Profile checkbox
+    if ( options.densityProfileVisibleProperty ) {
+      children.push( new GasPropertiesCheckbox( options.densityProfileVisibleProperty, merge( {}, checkboxOptions, {
+        text: gasPropertiesStrings.densityProfile,
+        tandem: options.tandem.createTandem( 'densityProfileCheckbox' )
+      } ) ) );
+    }
+
     const content = new FixedWidthNode( contentWidth, new VBox( {
       align: 'left',
       spacing: 12,
-      children: [
-        new WidthCheckbox( widthVisibleProperty, merge( {}, checkboxOptions, {
-          tandem: options.tandem.createTandem( 'widthCheckbox' )
-        } ) ),
-        new StopwatchCheckbox( stopwatchVisibleProperty, merge( {}, checkboxOptions, {
-          tandem: options.tandem.createTandem( 'stopwatchCheckbox' )
-        } ) ),
-        new CollisionCounterCheckbox( collisionCounterVisibleProperty, merge( {}, checkboxOptions, {
-          tandem: options.tandem.createTandem( 'collisionCounterCheckbox' )
-        } ) )
-      ]
+      children: children
     } ) );
 
     super( content, options );
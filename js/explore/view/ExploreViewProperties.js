@@ -2,11 +2,13 @@
 
 /**
  * ExploreViewProperties defines Properties that are specific to the view in the 'Explore' screen.
- * It adds no additional Properties to the base class, but is provided for symmetry in the model-view type hierarchy.
+ * It adds the expanded state of the Attractions, First Law, Process, PV Diagram and Effusion accordion boxes, and the
+ * visibility of the density profile.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import IdealGasLawViewProperties from '../../common/view/IdealGasLawViewProperties.js';
 import gasProperties from '../../gasProperties.js';
 
@@ -17,6 +19,56 @@ class ExploreViewProperties extends IdealGasLawViewProperties {
    */
   constructor( tandem ) {
     super( tandem );
+
+    // @public
+    this.attractionsExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'attractionsExpandedProperty' ),
+      phetioDocumentation: 'whether the Attractions accordion box is expanded'
+    } );
+
+    // @public
+    this.energyLedgerExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'energyLedgerExpandedProperty' ),
+      phetioDocumentation: 'whether the First Law accordion box is expanded'
+    } );
+
+    // @public
+    this.processExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'processExpandedProperty' ),
+      phetioDocumentation: 'whether the Process accordion box is expanded'
+    } );
+
+    // @public
+    this.pvDiagramExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'pvDiagramExpandedProperty' ),
+      phetioDocumentation: 'whether the PV Diagram accordion box is expanded'
+    } );
+
+    // @public
+    this.effusionExpandedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'effusionExpandedProperty' ),
+      phetioDocumentation: 'whether the Effusion accordion box is expanded'
+    } );
+
+    // @public
+    this.densityProfileVisibleProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'densityProfileVisibleProperty' ),
+      phetioDocumentation: 'whether the vertical density profile is visible in the container'
+    } );
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  reset() {
+    super.reset();
+    this.attractionsExpandedProperty.reset();
+    this.energyLedgerExpandedProperty.reset();
+    this.processExpandedProperty.reset();
+    this.pvDiagramExpandedProperty.reset();
+    this.effusionExpandedProperty.reset();
+    this.densityProfileVisibleProperty.reset();
   }
 }
 
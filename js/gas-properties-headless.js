@@ -0,0 +1,126 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Entry point for running the model of a screen headless, in Node (version 20.19 or later), without a browser.
+ * Steps the model with a fixed dt, and writes the sampled observables as JSON. See ModelRunner.
+ *
+ * Usage:
+ *   node js/gas-properties-headless.js [options]
+ *
+ * Options:
+ *   --screen=name - ideal, explore, energy or diffusion (default ideal)
+ *   --dt=value - time step, in ps (default 0.04)
+ *   --steps=value - number of time steps (default 1000)
+ *   --sampleInterval=value - number of time steps between samples (default 100)
+ *   --seed=value - integer seed for the model's random number generator (default: the seed query parameter)
+ *   --set=path=value - sets a Property of the model, may be repeated, e.g.
+ *       --set=particleSystem.species[0].numberOfParticlesProperty=100
+ *       --set=leftSettings.numberOfParticlesProperty=50
+ *   --snapshot=filename - JSON file that contains a snapshot to restore before running, see BaseModel.getSnapshot
+ *   --saveSnapshot=filename - file to write a snapshot of the model after the last step to
+ *   --query=queryString - query parameters, e.g. --query="seed=5&collisionDetection=eventDriven"
+ *   --output=filename - file to write the JSON to (default stdout)
+ *
+ * Unknown options, and values that are not valid, are errors.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+/* eslint-env node */
+
+// This must be imported first, see headless-globals.js
+import './headless/headless-globals.js';
+
+import fs from 'fs';
+import ModelRunner from './headless/ModelRunner.js';
+
+// Names of the arguments, other than --set, see Options above
+const ARGUMENT_NAMES = [ 'screen', 'dt', 'steps', 'sampleInterval', 'seed', 'snapshot', 'saveSnapshot', 'query',
+  'output' ];
+
+// Parse the command-line arguments, which have the form --name=value.
+const args = {};
+const settings = {};
+process.argv.slice( 2 ).forEach( arg => {
+  const match = arg.match( /^--([^=]+)=(.*)$/ );
+  if ( !match ) {
+    throw new Error( `invalid argument: ${arg}` );
+  }
+  const name = match[ 1 ];
+  const value = match[ 2 ];
+  if ( name === 'set' ) {
+    const index = value.indexOf( '=' );
+    if ( index === -1 ) {
+      throw new Error( `invalid setting: ${value}` );
+    }
+    settings[ value.substring( 0, index ) ] = parseValue( value.substring( index + 1 ) );
+  }
+  else if ( ARGUMENT_NAMES.indexOf( name ) !== -1 ) {
+    args[ name ] = value;
+  }
+  else {
+    throw new Error( `unknown argument: ${arg}` );
+  }
+} );
+
+if ( args.screen && ModelRunner.SCREENS.indexOf( args.screen ) === -1 ) {
+  throw new Error( `invalid screen: ${args.screen}` );
+}
+
+const result = ModelRunner.run( {
+  screen: args.screen || 'ideal',
+  dt: parseNumber( 'dt', 0.04, value => ( value > 0 ) ),
+  numberOfSteps: parseNumber( 'steps', 1000, value => ( Number.isInteger( value ) && value >= 0 ) ),
+  sampleInterval: parseNumber( 'sampleInterval', 100, value => ( Number.isInteger( value ) && value > 0 ) ),
+  seed: parseNumber( 'seed', null, value => Number.isInteger( value ) ),
+  settings: settings,
+  snapshot: args.snapshot ? JSON.parse( fs.readFileSync( args.snapshot, 'utf8' ) ) : null,
+  saveSnapshot: !!args.saveSnapshot
+} );
+
+// The snapshot is written to its own file, so that it can be restored with --snapshot.
+if ( args.saveSnapshot ) {
+  fs.writeFileSync( args.saveSnapshot, JSON.stringify( result.snapshot ) );
+  delete result.snapshot;
+}
+
+const json = JSON.stringify( result, null, 2 );
+if ( args.output ) {
+  fs.writeFileSync( args.output, json );
+}
+else {
+  console.log( json );
+}
+
+/**
+ * Parses the value of a numeric argument. Unlike the asserts in ModelRunner.run, this validation happens whether
+ * or not assertions are enabled.
+ * @param {string} name - name of the argument
+ * @param {number|null} defaultValue - value if the argument was not provided
+ * @param {function(value:number):boolean} isValidValue
+ * @returns {number|null}
+ */
+function parseNumber( name, defaultValue, isValidValue ) {
+  if ( args[ name ] === undefined ) {
+    return defaultValue;
+  }
+  const value = Number( args[ name ] );
+  if ( args[ name ] === '' || !isFinite( value ) || !isValidValue( value ) ) {
+    throw new Error( `invalid ${name}: ${args[ name ]}` );
+  }
+  return value;
+}
+
+/**
+ * Parses the value of a setting. Numbers and booleans are parsed as JSON, anything else is a string.
+ * @param {string} value
+ * @returns {*}
+ */
+function parseValue( value ) {
+  try {
+    return JSON.parse( value );
+  }
+  catch( e ) {
+    return value;
+  }
+}
@@ -10,6 +10,8 @@ import Sim from '../../joist/js/Sim.js';
 import SimLauncher from '../../joist/js/SimLauncher.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import GasPropertiesConstants from './common/GasPropertiesConstants.js';
+import GasPropertiesQueryParameters from './common/GasPropertiesQueryParameters.js';
+import CollisionDetectorBenchmark from './common/model/CollisionDetectorBenchmark.js';
 import GasPropertiesGlobalOptionsNode from './common/view/GasPropertiesGlobalOptionsNode.js';
 import DiffusionScreen from './diffusion/DiffusionScreen.js';
 import EnergyScreen from './energy/EnergyScreen.js';
@@ -29,6 +31,12 @@ const simOptions = {
 };
 
 SimLauncher.launch( () => {
+
+  // Run the collision detection benchmark before creating the sim, so that it is not competing with the sim.
+  if ( GasPropertiesQueryParameters.benchmark ) {
+    CollisionDetectorBenchmark.run();
+  }
+
   const screens = [
     new IdealScreen( Tandem.ROOT.createTandem( 'idealScreen' ) ),
     new ExploreScreen( Tandem.ROOT.createTandem( 'exploreScreen' ) ),
@@ -0,0 +1,14 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Unit tests for gas-properties.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import qunitStart from '../../chipper/js/sim-tests/qunitStart.js';
+import './common/model/DataSerializerTests.js';
+import './headless/ModelRunnerTests.js';
+
+// Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
+qunitStart();
@@ -0,0 +1,285 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ModelRunner runs the model for any screen without the view, and without a Sim. It creates the model with
+ * Tandem.OPT_OUT, steps it with a fixed dt, and samples observables (P, T, V, N, histograms, flow rates, ...)
+ * as plain JSON. It is used to script experiments and regression tests, and is the basis for the Node entry point,
+ * see gas-properties-headless.js.
+ *
+ * Each model has its own random number generator. For reproducible runs, provide the seed option of run, or the
+ * seed query parameter, see GasPropertiesQueryParameters.seed.
+ *
+ * ModelRunner does not create the globals that the model code expects. In the browser, they are created by the
+ * preloads. In Node, import headless-globals.js before importing ModelRunner.
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import Property from '../../../axon/js/Property.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import IdealGasLawModel from '../common/model/IdealGasLawModel.js';
+import DiffusionModel from '../diffusion/model/DiffusionModel.js';
+import EnergyModel from '../energy/model/EnergyModel.js';
+import ExploreModel from '../explore/model/ExploreModel.js';
+import gasProperties from '../gasProperties.js';
+import IdealModel from '../ideal/model/IdealModel.js';
+
+// Model constructors, keyed by screen name
+const MODEL_CONSTRUCTORS = {
+  ideal: IdealModel,
+  explore: ExploreModel,
+  energy: EnergyModel,
+  diffusion: DiffusionModel
+};
+
+const ModelRunner = {
+
+  // {string[]} names of the screens whose models can be run
+  SCREENS: Object.keys( MODEL_CONSTRUCTORS ),
+
+  /**
+   * Creates the model for a screen, uninstrumented for PhET-iO.
+   * @param {string} screen - see ModelRunner.SCREENS
+   * @returns {BaseModel}
+   * @public
+   */
+  createModel( screen ) {
+    assert && assert( ModelRunner.SCREENS.indexOf( screen ) !== -1, `invalid screen: ${screen}` );
+    return new MODEL_CONSTRUCTORS[ screen ]( Tandem.OPT_OUT );
+  },
+
+  /**
+   * Sets the values of Properties of a model.
+   * @param {BaseModel} model
+   * @param {Object} settings - keys are paths to Properties of the model, values are the values to set,
+   *   e.g. { 'particleSystem.species[0].numberOfParticlesProperty': 100 }
+   * @public
+   */
+  applySettings( model, settings ) {
+    Object.keys( settings ).forEach( key => {
+      const property = _.get( model, key );
+      assert && assert( property instanceof Property, `${key} is not a Property of the model` );
+      property.value = settings[ key ];
+    } );
+  },
+
+  /**
+   * Gets the current values of a model's observables. Units are the model's units: pm, ps, K, kPa and AMU.
+   * Values that cannot be computed (e.g. temperature of an empty container) are null.
+   * @param {BaseModel} model
+   * @returns {Object}
+   * @public
+   */
+  getObservables( model ) {
+
+    const observables = {};
+
+    if ( model instanceof IdealGasLawModel ) {
+      merge( observables, {
+        pressure: model.pressureModel.pressureProperty.value, // kPa
+        temperature: model.temperatureModel.temperatureProperty.value, // K
+        volume: model.container.volumeProperty.value, // pm^3
+        width: model.container.widthProperty.value, // pm
+        numberOfParticles: model.particleSystem.numberOfParticlesProperty.value,
+        numberOfSpeciesParticles: mapSpecies( model.particleSystem.species,
+          species => species.numberOfParticlesProperty.value ),
+        holdConstant: model.holdConstantProperty.value.name
+      } );
+
+      if ( model.densityProfile ) {
+        observables.densityProfile = model.densityProfile.binCountsProperty.value.slice();
+      }
+
+      if ( model.bottomThermalWall ) {
+        observables.bottomWallTemperature = model.bottomThermalWall.temperature; // K
+      }
+
+      // The trajectory of a process is in processDriver.trajectory. Sample the theoretical state, for comparison.
+      const processDriver = model.processDriver;
+      if ( processDriver && processDriver.initialState ) {
+        const volume = model.container.volumeProperty.value;
+        observables.process = {
+          processType: processDriver.initialState.processType.name,
+          isRunning: processDriver.isRunningProperty.value,
+          theoreticalPressure: processDriver.getTheoreticalPressure( volume ), // kPa
+          theoreticalTemperature: processDriver.getTheoreticalTemperature( volume ) // K
+        };
+      }
+
+      if ( model.pvDiagram ) {
+        observables.pvDiagram = {
+          work: model.pvDiagram.workProperty.value, // AMU * pm^2 / ps^2
+          cycleWork: model.pvDiagram.cycleWorkProperty.value // AMU * pm^2 / ps^2
+        };
+      }
+
+      // The escape rates as a function of time are in effusionModel.samples.
+      const effusionModel = model.effusionModel;
+      if ( effusionModel ) {
+        observables.effusion = {
+          numberOfParticlesEscaped: mapSpecies( model.particleSystem.species,
+            ( species, i ) => effusionModel.numberOfParticlesEscaped[ i ] ),
+          escapeRate: mapSpecies( model.particleSystem.species,
+            ( species, i ) => effusionModel.escapeRateProperties[ i ].value ), // 1/ps
+          escapeRateRatio: effusionModel.escapeRateRatioProperty.value,
+          theoreticalEscapeRateRatio: effusionModel.theoreticalEscapeRateRatioProperty.value
+        };
+      }
+
+      const energyLedger = model.energyLedger;
+      observables.energyLedger = {
+        heat: energyLedger.heatProperty.value, // AMU * pm^2 / ps^2
+        work: energyLedger.workProperty.value, // AMU * pm^2 / ps^2
+        escapedEnergy: energyLedger.escapedEnergyProperty.value, // AMU * pm^2 / ps^2
+        particlesEnergy: energyLedger.particlesEnergyProperty.value, // AMU * pm^2 / ps^2
+        internalEnergyChange: energyLedger.internalEnergyChangeProperty.value, // AMU * pm^2 / ps^2
+        unaccountedEnergy: energyLedger.unaccountedEnergyProperty.value, // AMU * pm^2 / ps^2
+        heatCapacity: energyLedger.heatCapacityProperty.value // Nk
+      };
+    }
+
+    if ( model instanceof EnergyModel ) {
+      const histogramsModel = model.histogramsModel;
+      observables.histograms = {
+        speedBinWidth: histogramsModel.speedBinning.binWidthProperty.value, // pm/ps
+        kineticEnergyBinWidth: histogramsModel.kineticEnergyBinning.binWidthProperty.value, // AMU * pm^2 / ps^2
+        speciesSpeed: mapSpecies( histogramsModel.species,
+          ( species, i ) => histogramsModel.speciesSpeedBinCountsProperties[ i ].value.slice() ),
+        allSpeed: histogramsModel.allSpeedBinCountsProperty.value.slice(),
+        speciesKineticEnergy: mapSpecies( histogramsModel.species,
+          ( species, i ) => histogramsModel.speciesKineticEnergyBinCountsProperties[ i ].value.slice() ),
+        allKineticEnergy: histogramsModel.allKineticEnergyBinCountsProperty.value.slice(),
+        allTheoreticalSpeed: histogramsModel.allTheoreticalSpeedBinCounts.slice(),
+        allTheoreticalKineticEnergy: histogramsModel.allTheoreticalKineticEnergyBinCounts.slice(),
+        speedChiSquared: histogramsModel.hasChiSquared ? histogramsModel.speedChiSquaredProperty.value : null,
+        kineticEnergyChiSquared: histogramsModel.hasChiSquared ?
+                                 histogramsModel.kineticEnergyChiSquaredProperty.value : null
+      };
+
+      // pm/ps
+      observables.averageSpeed = mapSpecies( model.particleSystem.species,
+        ( species, i ) => model.averageSpeedModel.averageSpeedProperties[ i ].value );
+
+      const equipartitionModel = model.equipartitionModel;
+      if ( equipartitionModel ) {
+        observables.equipartition = {
+          translationalEnergy: equipartitionModel.translationalEnergyProperty.value, // AMU * pm^2 / ps^2
+          rotationalEnergy: equipartitionModel.rotationalEnergyProperty.value, // AMU * pm^2 / ps^2
+          heatCapacity: equipartitionModel.heatCapacityProperty.value // Nk
+        };
+      }
+
+      const meanFreePathModel = model.meanFreePathModel;
+      observables.meanFreePath = {
+        measured: meanFreePathModel.meanFreePathProperty.value, // pm
+        theoretical: meanFreePathModel.theoreticalMeanFreePathProperty.value, // pm
+        collisionFrequency: meanFreePathModel.collisionFrequencyProperty.value, // 1/ps
+        theoreticalCollisionFrequency: meanFreePathModel.theoreticalCollisionFrequencyProperty.value // 1/ps
+      };
+    }
+
+    if ( model instanceof DiffusionModel ) {
+      merge( observables, {
+        numberOfParticles: model.numberOfParticlesProperty.value,
+        hasDivider: model.container.hasDividerProperty.value,
+        left: model.leftData.getMeasurements(),
+        right: model.rightData.getMeasurements(),
+        centerOfMass1: model.centerOfMass1Property.value, // pm
+        centerOfMass2: model.centerOfMass2Property.value, // pm
+        flowRate1: model.particleFlowRate1.getMeasurements(),
+        flowRate2: model.particleFlowRate2.getMeasurements()
+      } );
+    }
+
+    // The trail of the tagged particle is in particleTracer.trail. To tag a particle, use the setup option of run.
+    const particleTracer = model.particleTracer;
+    if ( particleTracer && particleTracer.particleProperty.value ) {
+      const particle = particleTracer.particleProperty.value;
+      observables.tracer = {
+        x: particle.position.x, // pm
+        y: particle.position.y, // pm
+        speed: particleTracer.speedProperty.value, // pm/ps
+        kineticEnergy: particleTracer.kineticEnergyProperty.value, // AMU * pm^2 / ps^2
+        numberOfCollisions: particleTracer.numberOfCollisionsProperty.value
+      };
+    }
+
+    return observables;
+  },
+
+  /**
+   * Runs the model for a screen, and samples its observables.
+   * @param {Object} [options]
+   * @returns {Object} the options that describe the run, the samples, and optionally the final snapshot
+   * @public
+   */
+  run( options ) {
+
+    options = merge( {
+      screen: 'ideal', // see ModelRunner.SCREENS
+      dt: 0.04, // time step, in ps, about 1 frame at normal speed, see TimeTransform.NORMAL
+      numberOfSteps: 1000, // number of times to step the model
+      sampleInterval: 100, // number of steps between samples. The initial state is also sampled.
+      seed: null, // {number|null} seed for the model's random number generator, null to use the seed query parameter
+      settings: {}, // values for Properties of the model, see applySettings
+      snapshot: null, // {Object|null} snapshot to restore after settings are applied, see BaseModel.getSnapshot
+      setup: null, // {function(model:BaseModel)|null} for setup that cannot be expressed as settings
+      saveSnapshot: false // whether to include a snapshot of the model after the last step in the result
+    }, options );
+
+    assert && assert( typeof options.dt === 'number' && options.dt > 0, `invalid dt: ${options.dt}` );
+    assert && assert( Number.isInteger( options.numberOfSteps ) && options.numberOfSteps >= 0,
+      `invalid numberOfSteps: ${options.numberOfSteps}` );
+    assert && assert( Number.isInteger( options.sampleInterval ) && options.sampleInterval > 0,
+      `invalid sampleInterval: ${options.sampleInterval}` );
+
+    const model = ModelRunner.createModel( options.screen );
+    ( options.seed !== null ) && model.setSeed( options.seed );
+    ModelRunner.applySettings( model, options.settings );
+    options.snapshot && model.setSnapshot( options.snapshot );
+    options.setup && options.setup( model );
+
+    // Step in real time units, because stepping in model time is protected. This is the same as the Step button.
+    const dtRealTime = model.timeTransform.inverse( options.dt );
+
+    // Each sample is the observables, plus the time at which they were sampled, in ps.
+    const samples = [ merge( { time: 0 }, ModelRunner.getObservables( model ) ) ];
+    for ( let i = 1; i <= options.numberOfSteps; i++ ) {
+      model.stepRealTime( dtRealTime );
+      if ( i % options.sampleInterval === 0 ) {
+        samples.push( merge( { time: i * options.dt }, ModelRunner.getObservables( model ) ) );
+      }
+    }
+
+    const result = {
+      screen: options.screen,
+      dt: options.dt,
+      numberOfSteps: options.numberOfSteps,
+      sampleInterval: options.sampleInterval,
+      settings: options.settings,
+      samples: samples
+    };
+    if ( options.saveSnapshot ) {
+      result.snapshot = model.getSnapshot();
+    }
+    return result;
+  }
+};
+
+/**
+ * Maps the particle species of a model to an Object whose keys are species names.
+ * @param {ParticleSpecies[]} species
+ * @param {function(species:ParticleSpecies, index:number):*} getValue
+ * @returns {Object}
+ */
+function mapSpecies( species, getValue ) {
+  const object = {};
+  species.forEach( ( species, i ) => {
+    object[ species.name ] = getValue( species, i );
+  } );
+  return object;
+}
+
+gasProperties.register( 'ModelRunner', ModelRunner );
+export default ModelRunner;
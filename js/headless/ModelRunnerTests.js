@@ -0,0 +1,99 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ModelRunner tests
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+import merge from '../../../phet-core/js/merge.js';
+import ModelRunner from './ModelRunner.js';
+
+QUnit.module( 'ModelRunner' );
+
+// Options for a short, seeded run of the Explore screen
+const EXPLORE_OPTIONS = {
+  screen: 'explore',
+  seed: 5,
+  numberOfSteps: 100,
+  sampleInterval: 50,
+  settings: {
+    'particleSystem.species[0].numberOfParticlesProperty': 100,
+    'particleSystem.species[1].numberOfParticlesProperty': 50
+  }
+};
+
+// Options for a short, seeded run of the Diffusion screen
+const DIFFUSION_OPTIONS = {
+  screen: 'diffusion',
+  seed: 5,
+  numberOfSteps: 100,
+  sampleInterval: 50,
+  settings: {
+    'leftSettings.numberOfParticlesProperty': 50,
+    'rightSettings.numberOfParticlesProperty': 50
+  }
+};
+
+/**
+ * Removes the time from samples, so that samples from runs that start at different times can be compared.
+ * @param {Object[]} samples
+ * @returns {Object[]}
+ */
+function withoutTime( samples ) {
+  return samples.map( sample => _.omit( sample, 'time' ) );
+}
+
+QUnit.test( 'seeded runs are reproducible', assert => {
+  const result1 = ModelRunner.run( EXPLORE_OPTIONS );
+  const result2 = ModelRunner.run( EXPLORE_OPTIONS );
+  assert.deepEqual( result2.samples, result1.samples, 'same seed, same samples' );
+} );
+
+QUnit.test( 'unseeded runs use the sim\'s random seed', assert => {
+
+  // Without a seed, models are seeded with phet.chipper.queryParameters.randomSeed, which PhET-iO playback relies on.
+  const options = _.omit( EXPLORE_OPTIONS, 'seed' );
+  assert.deepEqual( ModelRunner.run( options ).samples, ModelRunner.run( options ).samples,
+    'same sim random seed, same samples' );
+} );
+
+QUnit.test( 'snapshot round-trip', assert => {
+  const result = ModelRunner.run( merge( {}, EXPLORE_OPTIONS, { saveSnapshot: true } ) );
+  const snapshot = JSON.parse( JSON.stringify( result.snapshot ) ); // as when saved with --saveSnapshot
+
+  // Restoring the snapshot restores the microstate exactly.
+  const restored = ModelRunner.run( merge( {}, EXPLORE_OPTIONS, {
+    snapshot: snapshot,
+    numberOfSteps: 0,
+    saveSnapshot: true
+  } ) );
+  assert.deepEqual( restored.snapshot, snapshot, 'snapshot of the restored model is the same snapshot' );
+
+  // Observables that depend on the microstate are the same as when the snapshot was saved. Observables that are
+  // accumulated over time (energy ledger, density profile) start over, and are not compared.
+  const savedSample = result.samples[ result.samples.length - 1 ];
+  const restoredSample = restored.samples[ 0 ];
+  [ 'pressure', 'temperature', 'volume', 'width', 'numberOfParticles', 'numberOfSpeciesParticles', 'holdConstant' ]
+    .forEach( key => assert.deepEqual( restoredSample[ key ], savedSample[ key ], key ) );
+
+  // Runs from the same snapshot with the same seed produce the same samples.
+  const options = merge( {}, EXPLORE_OPTIONS, { snapshot: snapshot } );
+  assert.deepEqual( ModelRunner.run( options ).samples, ModelRunner.run( options ).samples,
+    'same snapshot and seed, same samples' );
+} );
+
+QUnit.test( 'run from a snapshot continues the run that saved it', assert => {
+
+  // The Diffusion screen does not use random numbers after the particles are created, so a run that is restored
+  // from a snapshot continues exactly where the run that saved the snapshot stopped.
+  const result = ModelRunner.run( merge( {}, DIFFUSION_OPTIONS, { saveSnapshot: true } ) );
+  const continued = ModelRunner.run( merge( {}, DIFFUSION_OPTIONS, {
+    snapshot: JSON.parse( JSON.stringify( result.snapshot ) )
+  } ) );
+  const uninterrupted = ModelRunner.run( merge( {}, DIFFUSION_OPTIONS, {
+    numberOfSteps: 2 * DIFFUSION_OPTIONS.numberOfSteps
+  } ) );
+  assert.deepEqual( withoutTime( continued.samples ), withoutTime( uninterrupted.samples.slice( 2 ) ),
+    'same samples as an uninterrupted run' );
+} );
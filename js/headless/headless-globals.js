@@ -0,0 +1,58 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Creates the globals that the model code expects, so that the models can be run in Node, without a browser and
+ * without a DOM. This is the Node counterpart to the preloads in gas-properties_en.html, and loads the subset of
+ * those preloads that the model code depends on. It must be imported before any other module of the sim,
+ * because other modules use these globals when they are evaluated. See ModelRunner.
+ *
+ * Query parameters (sim-specific and common) are read from the --query command-line argument,
+ * e.g. --query="seed=5&collisionDetection=eventDriven"
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+/* eslint-env node */
+
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+import vm from 'vm';
+
+// this repository, and the directory that contains it and its dependencies
+const repoDirectory = path.resolve( path.dirname( url.fileURLToPath( import.meta.url ) ), '../..' );
+const rootDirectory = path.resolve( repoDirectory, '..' );
+
+// Preloads that the model code depends on, in the same order as gas-properties_en.html.
+// The other preloads are for the view, or for PhET-iO.
+const PRELOADS = [
+  'sherpa/lib/lodash-4.17.4.js',
+  'assert/js/assert.js',
+  'query-string-machine/js/QueryStringMachine.js',
+  'chipper/js/initialize-globals.js',
+  'sherpa/lib/seedrandom-2.4.2.js',
+  'tandem/js/PhetioIDUtils.js'
+];
+
+// Query parameters, from the --query command-line argument
+const queryArgument = process.argv.find( arg => arg.startsWith( '--query=' ) );
+const queryString = queryArgument ? queryArgument.substring( '--query='.length ) : '';
+
+// The preloads refer to globals via window, and read query parameters from window.location.
+global.window = global;
+window.location = {
+  href: `file://${repoDirectory}/gas-properties_en.html?${queryString}`,
+  search: queryString ? `?${queryString}` : ''
+};
+
+// The HTML file defines these before loading the preloads.
+window.phet = window.phet || {};
+window.phet.chipper = window.phet.chipper || {};
+window.phet.chipper.packageObject = JSON.parse( fs.readFileSync( path.join( repoDirectory, 'package.json' ), 'utf8' ) );
+window.phet.chipper.brand = 'adapted-from-phet';
+
+// Load the preloads into the global scope, as the browser does for script tags.
+PRELOADS.forEach( preload => {
+  const filename = path.join( rootDirectory, preload );
+  vm.runInThisContext( fs.readFileSync( filename, 'utf8' ), { filename: filename } );
+} );
@@ -0,0 +1,112 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Smoke test for running the models headless, in plain Node (version 20.19 or later), without a browser.
+ * For each screen, runs gas-properties-headless.js in its own Node process for a few steps, and verifies that the
+ * process exits normally, and writes the expected number of samples with finite values. Node has no document,
+ * so this fails if any module that the models import depends on the DOM, either when the module is evaluated or
+ * when the model is created and stepped. See headless-globals.js.
+ *
+ * Usage:
+ *   npm test
+ * or:
+ *   node js/headless/headless-smoke-test.js
+ *
+ * @author Chris Malley (PixelZoom, Inc.)
+ */
+
+/* eslint-env node */
+
+import childProcess from 'child_process';
+import path from 'path';
+import url from 'url';
+
+// the Node entry point that is tested
+const ENTRY_POINT = path.resolve( path.dirname( url.fileURLToPath( import.meta.url ) ), '../gas-properties-headless.js' );
+
+const NUMBER_OF_STEPS = 10;
+const SAMPLE_INTERVAL = 5;
+
+// Arguments for each run, and the number of particles that the run has. The Explore screen is also run with the
+// event-driven collision detector, which is selected by a query parameter.
+const RUNS = [ {
+  args: [ '--screen=ideal', '--set=particleSystem.species[0].numberOfParticlesProperty=50' ],
+  numberOfParticles: 50
+}, {
+  args: [ '--screen=explore', '--set=particleSystem.species[1].numberOfParticlesProperty=50' ],
+  numberOfParticles: 50
+}, {
+  args: [ '--screen=explore', '--set=particleSystem.species[1].numberOfParticlesProperty=50',
+    '--query=collisionDetection=eventDriven' ],
+  numberOfParticles: 50
+}, {
+  args: [ '--screen=energy', '--set=particleSystem.species[0].numberOfParticlesProperty=50' ],
+  numberOfParticles: 50
+}, {
+  args: [ '--screen=diffusion', '--set=leftSettings.numberOfParticlesProperty=20',
+    '--set=rightSettings.numberOfParticlesProperty=20' ],
+  numberOfParticles: 40
+} ];
+
+let numberOfFailures = 0;
+RUNS.forEach( run => {
+
+  const args = [ ENTRY_POINT, '--seed=1', `--steps=${NUMBER_OF_STEPS}`, `--sampleInterval=${SAMPLE_INTERVAL}` ]
+    .concat( run.args );
+  const description = run.args.join( ' ' );
+
+  const child = childProcess.spawnSync( process.execPath, args, { encoding: 'utf8' } );
+  let error = null;
+  if ( child.error ) {
+    error = child.error.message;
+  }
+  else if ( child.status !== 0 ) {
+    error = `exited with status ${child.status}\n${child.stderr}`;
+  }
+  else {
+    try {
+      const samples = JSON.parse( child.stdout ).samples;
+      const expectedNumberOfSamples = NUMBER_OF_STEPS / SAMPLE_INTERVAL + 1; // including the initial state
+      if ( !Array.isArray( samples ) || samples.length !== expectedNumberOfSamples ) {
+        error = `expected ${expectedNumberOfSamples} samples`;
+      }
+      else {
+        samples.forEach( sample => {
+          error = error || checkSample( sample, run.numberOfParticles );
+        } );
+      }
+    }
+    catch( e ) {
+      error = `output is not JSON: ${e.message}`;
+    }
+  }
+
+  if ( error ) {
+    numberOfFailures++;
+    console.log( `FAIL ${description}: ${error}` );
+  }
+  else {
+    console.log( `ok ${description}` );
+  }
+} );
+
+console.log( `${RUNS.length - numberOfFailures} of ${RUNS.length} runs passed` );
+process.exitCode = ( numberOfFailures === 0 ) ? 0 : 1;
+
+/**
+ * Checks a sample of the observables, see ModelRunner.getObservables. JSON has no NaN or Infinity, so values that
+ * are not finite are written as null, and are detected here as values that are not numbers.
+ * @param {Object} sample
+ * @param {number} numberOfParticles - the number of particles that the sample should have
+ * @returns {string|null} a description of the problem, null if there is no problem
+ */
+function checkSample( sample, numberOfParticles ) {
+  if ( sample.numberOfParticles !== numberOfParticles ) {
+    return `at ${sample.time} ps, expected ${numberOfParticles} particles, got ${sample.numberOfParticles}`;
+  }
+
+  // The screens that are based on the Ideal Gas Law have pressure and temperature.
+  const names = ( 'temperature' in sample ) ? [ 'time', 'pressure', 'temperature', 'volume' ] : [ 'time' ];
+  const invalidName = names.find( name => !( typeof sample[ name ] === 'number' && isFinite( sample[ name ] ) ) );
+  return invalidName ? `at ${sample.time} ps, invalid ${invalidName}: ${sample[ invalidName ]}` : null;
+}
@@ -2,7 +2,7 @@
 
 /**
  * IdealModel is the top-level model for the 'Ideal' screen.
- * It adds no additional functionality to the base class, but is provided for symmetry in the model-view type hierarchy.
+ * It adds no additional functionality to the base class, other than enabling the PV diagram.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -18,7 +18,9 @@ class IdealModel extends IdealGasLawModel {
    */
   constructor( tandem ) {
     assert && assert( tandem instanceof Tandem, `invalid tandem: ${tandem}` );
-    super( tandem );
+    super( tandem, {
+      hasPVDiagram: true
+    } );
   }
 }
 
@@ -19,9 +19,11 @@ import GasPropertiesColorProfile from '../../common/GasPropertiesColorProfile.js
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
 import CollisionCounterCheckbox from '../../common/view/CollisionCounterCheckbox.js';
 import FixedWidthNode from '../../common/view/FixedWidthNode.js';
+import GasPropertiesCheckbox from '../../common/view/GasPropertiesCheckbox.js';
 import StopwatchCheckbox from '../../common/view/StopwatchCheckbox.js';
 import WidthCheckbox from '../../common/view/WidthCheckbox.js';
 import gasProperties from '../../gasProperties.js';
+import gasPropertiesStrings from '../../gasPropertiesStrings.js';
 import HoldConstantControl from './HoldConstantControl.js';
 
 class IdealControlPanel extends Panel {
@@ -55,6 +57,7 @@ class IdealControlPanel extends Panel {
 
     options = merge( {
       hasHoldConstantControls: true,
+      densityProfileVisibleProperty: null, // {BooleanProperty|null} null if there is no Density Profile checkbox
       fixedWidth: 100,
       xMargin: 0,
 
@@ -93,6 +96,14 @@ class IdealControlPanel extends Panel {
       tandem: options.tandem.createTandem( 'collisionCounterCheckbox' )
     } ) ) );
 
+    // Optional Density Profile checkbox
+    if ( options.densityProfileVisibleProperty ) {
+      children.push( new GasPropertiesCheckbox( options.densityProfileVisibleProperty, merge( {}, checkboxOptions, {
+        text: gasPropertiesStrings.densityProfile,
+        tandem: options.tandem.createTandem( 'densityProfileCheckbox' )
+      } ) ) );
+    }
+
     const content = new FixedWidthNode( contentWidth, new VBox( {
       align: 'left',
       spacing: 12,
@@ -7,12 +7,16 @@
  */
 
 import merge from '../../../../phet-core/js/merge.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import GasPropertiesColorProfile from '../../common/GasPropertiesColorProfile.js';
 import GasPropertiesConstants from '../../common/GasPropertiesConstants.js';
+import AttractionsAccordionBox from '../../common/view/AttractionsAccordionBox.js';
 import GasPropertiesOopsDialog from '../../common/view/GasPropertiesOopsDialog.js';
 import IdealGasLawScreenView from '../../common/view/IdealGasLawScreenView.js';
 import ParticlesAccordionBox from '../../common/view/ParticlesAccordionBox.js';
+import PVDiagramAccordionBox from '../../common/view/PVDiagramAccordionBox.js';
+import TimeSeriesAccordionBox from '../../common/view/TimeSeriesAccordionBox.js';
 import gasProperties from '../../gasProperties.js';
 import gasPropertiesStrings from '../../gasPropertiesStrings.js';
 import IdealModel from '../model/IdealModel.js';
@@ -40,7 +44,9 @@ class IdealScreenView extends IdealGasLawScreenView {
     // view-specific Properties
     const viewProperties = new IdealViewProperties( tandem.createTandem( 'viewProperties' ) );
 
-    super( model, viewProperties.particleTypeProperty, viewProperties.widthVisibleProperty, tandem, options );
+    super( model, viewProperties.particleTypeProperty, viewProperties.widthVisibleProperty, tandem, merge( {
+      densityProfileVisibleProperty: viewProperties.densityProfileVisibleProperty
+    }, options ) );
 
     // Control panel at upper right
     const controlPanel = new IdealControlPanel(
@@ -52,6 +58,7 @@ class IdealScreenView extends IdealGasLawScreenView {
       model.stopwatch.isVisibleProperty,
       model.collisionCounter.visibleProperty, {
         hasHoldConstantControls: options.hasHoldConstantControls,
+        densityProfileVisibleProperty: viewProperties.densityProfileVisibleProperty,
         fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
         right: this.layoutBounds.right - GasPropertiesConstants.SCREEN_VIEW_X_MARGIN,
         top: this.layoutBounds.top + GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN,
@@ -61,10 +68,11 @@ class IdealScreenView extends IdealGasLawScreenView {
     controlPanel.moveToBack();
 
     // Particles accordion box
+    const particlesListboxParent = new Node();
     const particlesAccordionBox = new ParticlesAccordionBox(
-      model.particleSystem.numberOfHeavyParticlesProperty,
-      model.particleSystem.numberOfLightParticlesProperty,
-      model.modelViewTransform, {
+      model.particleSystem.species,
+      model.modelViewTransform,
+      particlesListboxParent, {
         fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
         expandedProperty: viewProperties.particlesExpandedProperty,
         right: controlPanel.right,
@@ -74,6 +82,68 @@ class IdealScreenView extends IdealGasLawScreenView {
     this.addChild( particlesAccordionBox );
     particlesAccordionBox.moveToBack();
 
+    // Attractions accordion box
+    const attractionsAccordionBox = new AttractionsAccordionBox(
+      model.particleSystem.attractionsEnabledProperty,
+      model.particleSystem.species,
+      model.pressureModel.compressibilityFactorProperty,
+      model.modelViewTransform, {
+        fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+        expandedProperty: viewProperties.attractionsExpandedProperty,
+        right: particlesAccordionBox.right,
+        tandem: tandem.createTandem( 'attractionsAccordionBox' )
+      } );
+    this.addChild( attractionsAccordionBox );
+    attractionsAccordionBox.moveToBack();
+
+    // PV Diagram accordion box
+    const pvDiagramAccordionBox = new PVDiagramAccordionBox( model.pvDiagram,
+      model.particleSystem.numberOfParticlesProperty, {
+        fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+        expandedProperty: viewProperties.pvDiagramExpandedProperty,
+        right: particlesAccordionBox.right,
+        tandem: tandem.createTandem( 'pvDiagramAccordionBox' )
+      } );
+    this.addChild( pvDiagramAccordionBox );
+    pvDiagramAccordionBox.moveToBack();
+
+    // Time Series accordion box
+    const timeSeriesAccordionBox = new TimeSeriesAccordionBox( model.timeSeriesModel,
+      viewProperties.timeSeriesQuantityProperty, viewProperties.timeWindowProperty, {
+        fixedWidth: GasPropertiesConstants.RIGHT_PANEL_WIDTH,
+        expandedProperty: viewProperties.timeSeriesExpandedProperty,
+        right: particlesAccordionBox.right,
+        tandem: tandem.createTandem( 'timeSeriesAccordionBox' )
+      } );
+    this.addChild( timeSeriesAccordionBox );
+    timeSeriesAccordionBox.moveToBack();
+
+    // Data export panel, in the lower-left corner of the screen
+    this.dataExportPanel.mutate( {
+      left: this.layoutBounds.left + GasPropertiesConstants.SCREEN_VIEW_X_MARGIN,
+      bottom: this.layoutBounds.bottom - GasPropertiesConstants.SCREEN_VIEW_Y_MARGIN
+    } );
+    this.addChild( this.dataExportPanel );
+    this.dataExportPanel.moveToBack();
+
+    // On top of everything, so that the combo box lists are not occluded.
+    this.addChild( particlesListboxParent );
+
+    // Keep the Attractions accordion box below the Particles accordion box, which changes height when expanded.
+    particlesAccordionBox.boundsProperty.link( bounds => {
+      attractionsAccordionBox.top = bounds.bottom + 15;
+    } );
+
+    // Keep the PV Diagram accordion box below the Attractions accordion box, which changes height when expanded.
+    attractionsAccordionBox.boundsProperty.link( bounds => {
+      pvDiagramAccordionBox.top = bounds.bottom + 15;
+    } );
+
+    // Keep the Time Series accordion box below the PV Diagram accordion box, which changes height when expanded.
+    pvDiagramAccordionBox.boundsProperty.link( bounds => {
+      timeSeriesAccordionBox.top = bounds.bottom + 15;
+    } );
+
     // OopsDialogs related to the 'Hold Constant' feature. When holding a quantity constant would break the model,
     // the model puts itself in a sane configuration, the model notifies the view via an Emitter, and the view
     // notifies the user via a dialog. The student is almost certain to encounter these conditions, so dialogs are